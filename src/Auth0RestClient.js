@@ -2,7 +2,42 @@ const RestClient = require('rest-facade').Client;
 const { ArgumentError } = require('rest-facade');
 
 const utils = require('./utils');
-const { SanitizedError } = require('./errors');
+const { createSanitizedError } = require('./errors');
+const { abortableCustomizer, isAbortSignal, withAbortSignal } = require('./abort');
+
+/**
+ * Remove the `signal` from the first argument of a request, if any.
+ *
+ * @param {Array} args Request arguments
+ * @returns {AbortSignal|undefined}
+ */
+const extractSignal = (args) => {
+  const [params] = args;
+  if (!params || typeof params !== 'object' || !isAbortSignal(params.signal)) {
+    return;
+  }
+
+  const { signal } = params;
+  args[0] = Object.assign({}, params);
+  delete args[0].signal;
+  return signal;
+};
+
+/**
+ * Whether the API rejected the access token, e.g. because it was revoked or signed with a rotated secret.
+ *
+ * @param {Error} err Request error
+ * @returns {boolean}
+ */
+const isInvalidTokenError = (err) => {
+  if (!err || err.statusCode !== 401) {
+    return false;
+  }
+
+  const response = err.originalError && err.originalError.response;
+  const authenticate = (response && response.headers && response.headers['www-authenticate']) || '';
+  return /invalid_token/.test(authenticate) || /(invalid|expired) token/i.test(err.message || '');
+};
 
 class Auth0RestClient {
   constructor(resourceUrl, options, provider) {
@@ -18,38 +53,84 @@ class Auth0RestClient {
       throw new ArgumentError('Must provide options');
     }
 
-    options.errorCustomizer = options.errorCustomizer || SanitizedError;
+    options.errorCustomizer = options.errorCustomizer || createSanitizedError;
     options.errorFormatter = options.errorFormatter || { message: 'message', name: 'error' };
 
+    if (options.timeout) {
+      const request = options.request || {};
+      options.request = Object.assign({}, request, {
+        customizer: utils.timeoutCustomizer(options.timeout, request.customizer),
+      });
+    }
+
     this.options = options;
     this.provider = provider;
     this.restClient = new RestClient(resourceUrl, options);
 
     this.wrappedProvider = function (method, args) {
-      if (!this.provider) {
+      args = args || [];
+      const signal = extractSignal(args);
+      if (!signal && !this.provider) {
         return this._request(method, args);
       }
 
       let callback;
-      if (args && args[args.length - 1] instanceof Function) {
-        callback = args[args.length - 1];
+      if (args[args.length - 1] instanceof Function) {
+        callback = args.pop();
       }
 
-      return this.provider
-        .getAccessToken()
-        .then((access_token) => {
-          this.restClient.options.headers['Authorization'] = `Bearer ${access_token}`;
-          return this._request(method, args);
-        })
-        .catch((err) => {
-          if (callback) {
-            return callback(err);
+      const promise = withAbortSignal(signal, (onAbort) => {
+        if (signal) {
+          // `create(data)` has no url params, the customizer needs to be passed as params.
+          if (method === 'create' && args.length === 1) {
+            args.unshift({});
           }
-          throw err;
-        });
+          args[0] = Object.assign({}, args[0], {
+            _requestCustomizer: abortableCustomizer(args[0]._requestCustomizer, onAbort),
+          });
+        }
+
+        return this._authorizedRequest(method, args);
+      });
+
+      if (callback) {
+        promise.then((data) => callback(null, data), callback);
+        return;
+      }
+
+      return promise;
     };
   }
 
+  /**
+   * Perform the request with the access token of the provider. When the API rejects the token,
+   * the token is invalidated and the request is retried once with a new one.
+   *
+   * @param {string}  method    Rest client method.
+   * @param {Array}   args      Request arguments.
+   * @param {boolean} [retry]   Whether to retry the request after an invalid token error.
+   * @returns {Promise} Promise resolving to the response.
+   */
+  async _authorizedRequest(method, args, retry = true) {
+    if (!this.provider) {
+      return this._request(method, args);
+    }
+
+    let accessToken;
+    try {
+      accessToken = await this.provider.getAccessToken();
+      this.restClient.options.headers['Authorization'] = `Bearer ${accessToken}`;
+      return await this._request(method, args);
+    } catch (err) {
+      if (!retry || !isInvalidTokenError(err) || typeof this.provider.invalidate !== 'function') {
+        throw err;
+      }
+
+      await this.provider.invalidate(accessToken);
+      return this._authorizedRequest(method, args, false);
+    }
+  }
+
   _request(method, args) {
     if (!this.options.includeResponseHeaders) {
       return this.restClient[method](...args);
@@ -72,6 +153,10 @@ class Auth0RestClient {
     return new Promise((resolve, reject) => {
       this.restClient[method](...args, (err, data, headers) => {
         const payload = { data, headers };
+        const rateLimit = utils.getRateLimit(headers);
+        if (rateLimit) {
+          payload.rateLimit = rateLimit;
+        }
         if (err) {
           if (callback) callback(err);
           else reject(err);
@@ -1,14 +1,47 @@
 const retry = require('retry');
 const { ArgumentError } = require('rest-facade');
+const { getRetryAfter } = require('./utils');
+const { isAbortSignal, wait } = require('./abort');
 
 const DEFAULT_OPTIONS = {
   maxRetries: 3,
+  maxRetryDelay: 60000,
   enabled: true,
   randomize: true,
+  retryableStatusCodes: [429, 502, 503, 504],
+  retryableErrorCodes: [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'ESOCKETTIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+  ],
+  retryableMethods: ['getAll', 'get', 'update', 'delete'],
+};
+
+const getErrorHeaders = (err) =>
+  err && err.originalError && err.originalError.response && err.originalError.response.headers;
+
+const getErrorCode = (err) =>
+  (err.originalError && err.originalError.code) ||
+  err.code ||
+  (typeof err.statusCode === 'string' ? err.statusCode : undefined);
+
+const getSignal = ([params]) => {
+  if (params && typeof params === 'object' && isAbortSignal(params.signal)) {
+    return params.signal;
+  }
 };
 
 /**
- * Wrapper Rest Client that adds Retry functionality when requests are failing due to rate limiting (status code 429).
+ * Wrapper Rest Client that adds Retry functionality when requests are failing due to rate limiting (status code 429),
+ * transient network errors or gateway errors.
+ * Rate limited requests were not processed by the API, so they are retried for every method. Other failures are only
+ * retried for the methods in `retryableMethods`, which defaults to the idempotent ones.
+ * The delay before retrying is taken from the `Retry-After` or `x-ratelimit-reset` response headers when present,
+ * otherwise an exponential backoff is used. Requests asked to wait longer than `maxRetryDelay` fail instead.
+ * Pending retries are cancelled when the `signal` passed in the request params is aborted.
  */
 class RetryRestClient {
   /**
@@ -16,6 +49,10 @@ class RetryRestClient {
    * @param {object}  [options]                    Options for the RetryRestClient. It includes all properties from https://github.com/tim-kos/node-retry#retryoperationoptions
    * @param {object}  [options.enabled=true]       Enabled or Disable Retry Policy functionality.
    * @param {number}  [options.maxRetries=3]       The maximum amount of times to retry the operation.
+   * @param {number}  [options.maxRetryDelay=60000]  The maximum delay before a retry, in milliseconds. Errors whose `Retry-After` or `x-ratelimit-reset` headers ask for a longer delay are not retried.
+   * @param {number[]}  [options.retryableStatusCodes=[429, 502, 503, 504]]  Response status codes that are retried.
+   * @param {string[]}  [options.retryableErrorCodes]  Network error codes that are retried, e.g. `ECONNRESET` or `ETIMEDOUT`.
+   * @param {string[]}  [options.retryableMethods=['getAll', 'get', 'update', 'delete']]  Methods retried on errors other than 429. Add `create` or `patch` to opt non-idempotent requests in.
    */
   constructor(restClient, options) {
     if (restClient === null || typeof restClient !== 'object') {
@@ -32,8 +69,22 @@ class RetryRestClient {
       throw new ArgumentError('Must provide maxRetries as a positive number');
     }
 
+    if (typeof params.maxRetryDelay !== 'number' || params.maxRetryDelay < 0) {
+      throw new ArgumentError('Must provide maxRetryDelay as a non-negative number');
+    }
+
+    ['retryableStatusCodes', 'retryableErrorCodes', 'retryableMethods'].forEach((option) => {
+      if (!Array.isArray(params[option])) {
+        throw new ArgumentError(`Must provide ${option} as an array`);
+      }
+    });
+
     this.restClient = restClient;
     this.enabled = params.enabled;
+    this.retryableStatusCodes = params.retryableStatusCodes;
+    this.retryableErrorCodes = params.retryableErrorCodes;
+    this.retryableMethods = params.retryableMethods;
+    this.maxRetryDelay = params.maxRetryDelay;
     this.retryOptions = Object.assign({ retries: params.maxRetries }, params);
   }
 
@@ -78,27 +129,52 @@ class RetryRestClient {
     return promise;
   }
 
+  shouldRetry(method, err) {
+    if (!err) {
+      return false;
+    }
+
+    if (err.statusCode === 429) {
+      return this.retryableStatusCodes.includes(429);
+    }
+
+    if (!this.retryableMethods.includes(method)) {
+      return false;
+    }
+
+    return (
+      this.retryableStatusCodes.includes(err.statusCode) ||
+      this.retryableErrorCodes.includes(getErrorCode(err))
+    );
+  }
+
   handleRetry(method, args) {
     if (!this.enabled) {
       return this.restClient[method](...args);
     }
 
-    return new Promise((resolve, reject) => {
-      const operation = retry.operation(this.retryOptions);
-
-      operation.attempt(() => {
-        this.restClient[method](...args)
-          .then((body) => {
-            resolve(body);
-          })
-          .catch((err) => {
-            if (err && err.statusCode === 429 && operation.retry(err)) {
-              return;
-            }
-            reject(err);
-          });
-      });
-    });
+    const timeouts = retry.timeouts(this.retryOptions);
+    const signal = getSignal(args);
+
+    const attempt = async (retries) => {
+      try {
+        return await this.restClient[method](...args);
+      } catch (err) {
+        if (retries >= timeouts.length || !this.shouldRetry(method, err)) {
+          throw err;
+        }
+
+        const delay = getRetryAfter(getErrorHeaders(err));
+        if (delay > this.maxRetryDelay) {
+          throw err;
+        }
+
+        await wait(delay === undefined ? timeouts[retries] : delay, signal);
+        return attempt(retries + 1);
+      }
+    };
+
+    return attempt(0);
   }
 }
 
@@ -0,0 +1,106 @@
+const { AbortError } = require('./errors');
+
+/**
+ * Whether the given value is an AbortSignal.
+ *
+ * @param {any} value Value to check
+ * @returns {boolean}
+ */
+const isAbortSignal = (value) =>
+  !!value &&
+  typeof value === 'object' &&
+  typeof value.aborted === 'boolean' &&
+  typeof value.addEventListener === 'function';
+
+/**
+ * Run a request that can be cancelled with an AbortSignal.
+ *
+ * The request function receives an `onAbort` function used to register how the
+ * in-flight request is cancelled. The returned promise rejects with an AbortError
+ * as soon as the signal is aborted, whether or not the request settles.
+ *
+ * @param {AbortSignal} [signal] Signal used to abort the request
+ * @param {Function} request Function starting the request and returning a promise
+ * @returns {Promise}
+ */
+const withAbortSignal = (signal, request) => {
+  if (!signal) {
+    return Promise.resolve().then(() => request(() => {}));
+  }
+
+  if (signal.aborted) {
+    return Promise.reject(new AbortError());
+  }
+
+  return new Promise((resolve, reject) => {
+    let cancel;
+    const onAbort = () => {
+      if (cancel) {
+        cancel();
+      }
+      reject(new AbortError());
+    };
+    const registerCancel = (fn) => {
+      if (signal.aborted) {
+        fn();
+      } else {
+        cancel = fn;
+      }
+    };
+
+    signal.addEventListener('abort', onAbort);
+
+    Promise.resolve()
+      .then(() => request(registerCancel))
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+/**
+ * Wrap a rest-facade request customizer so the underlying superagent request
+ * is aborted through the given `onAbort` registration function.
+ *
+ * @param {Function} [customizer] Existing request customizer
+ * @param {Function} onAbort Registration function provided by withAbortSignal
+ * @returns {Function}
+ */
+const abortableCustomizer = (customizer, onAbort) => {
+  if (customizer && customizer.length === 3) {
+    return (req, params, done) => {
+      onAbort(() => req.abort());
+      customizer(req, params, done);
+    };
+  }
+
+  return (req, params) => {
+    onAbort(() => req.abort());
+    if (customizer) {
+      customizer(req, params);
+    }
+  };
+};
+
+/**
+ * Wait for the given delay, unless the signal is aborted first.
+ *
+ * @param {number} delay Delay in milliseconds
+ * @param {AbortSignal} [signal] Signal used to stop waiting
+ * @returns {Promise}
+ */
+const wait = (delay, signal) =>
+  withAbortSignal(
+    signal,
+    (onAbort) =>
+      new Promise((resolve) => {
+        const timer = setTimeout(resolve, delay);
+        onAbort(() => clearTimeout(timer));
+      })
+  );
+
+module.exports = {
+  isAbortSignal,
+  withAbortSignal,
+  abortableCustomizer,
+  wait,
+};
@@ -0,0 +1,209 @@
+const jwt = require('jsonwebtoken');
+const jwksClient = require('jwks-rsa');
+const { ArgumentError } = require('rest-facade');
+const { sanitizeArguments } = require('../utils');
+const { AccessTokenValidationError } = require('../errors');
+
+const DEFAULT_ALGORITHMS = ['RS256'];
+
+const toArray = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  return Array.isArray(value) ? value : value.split(' ').filter(Boolean);
+};
+
+/**
+ * Map a jsonwebtoken verification error to an AccessTokenValidationError.
+ *
+ * @param {Error} err jsonwebtoken error
+ * @returns {AccessTokenValidationError}
+ */
+const toValidationError = (err) => {
+  const message = `Access token validation failed: ${err.message}`;
+
+  if (err.name === 'TokenExpiredError') {
+    return new AccessTokenValidationError(message, 'token_expired', err);
+  }
+
+  if (err.name === 'NotBeforeError') {
+    return new AccessTokenValidationError(message, 'token_not_active', err);
+  }
+
+  const reasons = {
+    'jwt audience invalid': 'invalid_audience',
+    'jwt issuer invalid': 'invalid_issuer',
+    'invalid signature': 'invalid_signature',
+    'invalid algorithm': 'invalid_algorithm',
+  };
+  const reason = Object.keys(reasons).find((prefix) => err.message.startsWith(prefix));
+
+  return new AccessTokenValidationError(message, reason ? reasons[reason] : 'invalid_token', err);
+};
+
+/**
+ * Verifies the access tokens issued by Auth0 for your APIs.
+ */
+class AccessTokenVerifier {
+  /**
+   * @param  {object}    options                 Verifier options.
+   * @param  {string}    options.domain          Tenant domain, used for the default issuer and JWKS url.
+   * @param  {string}    [options.issuer]        Expected issuer. Defaults to `https://{domain}/`.
+   * @param  {string|string[]} [options.audience] Default expected audience, the identifier of your API.
+   * @param  {string[]}  [options.algorithms]    Default accepted signing algorithms. Defaults to `['RS256']`.
+   * @param  {object}    [options.jwksClient]    JWKS client used to get the signing keys.
+   * @param  {number}    [options.clockTolerance] Clock skew accepted when checking the `exp` and `nbf` claims, in seconds. Defaults to 0.
+   * @param  {Function}  [options.clock]         Function returning the current time in milliseconds. Defaults to `Date.now`.
+   */
+  constructor(options) {
+    if (!options || typeof options !== 'object') {
+      throw new ArgumentError('Missing access token verifier options');
+    }
+
+    if (!options.domain && !(options.issuer && options.jwksClient)) {
+      throw new ArgumentError('Must provide a domain');
+    }
+
+    this.issuer = options.issuer || `https://${options.domain}/`;
+    this.audience = options.audience;
+    this.algorithms = options.algorithms || DEFAULT_ALGORITHMS;
+    this.jwksClient = options.jwksClient || AccessTokenVerifier.createJwksClient(options.domain);
+    this.clockTolerance = options.clockTolerance;
+    this.clock = options.clock;
+  }
+
+  /**
+   * Create the JWKS client of a tenant. Signing keys are cached, and an unknown key id triggers a
+   * (rate limited) refetch of the key set so rotated keys are picked up.
+   *
+   * @param   {string}  domain    Tenant domain.
+   * @param   {string}  [jwksUri] URL of the key set. Defaults to `https://{domain}/.well-known/jwks.json`.
+   * @returns {object} JWKS client.
+   */
+  static createJwksClient(domain, jwksUri) {
+    return jwksClient({
+      jwksUri: jwksUri || `https://${domain}/.well-known/jwks.json`,
+      cache: true,
+      rateLimit: true,
+      jwksRequestsPerMinute: 10,
+    });
+  }
+
+  /**
+   * Verify an access token: its signature, issuer, audience, expiration and optionally its scopes
+   * and permissions. Failures are reported as an AccessTokenValidationError, its `errorCode` tells the reason.
+   *
+   * @example
+   * auth0.verifyAccessToken(token, {
+   *   audience: 'https://api.example.com',
+   *   requiredScopes: ['read:messages']
+   * }).then(function (payload) {
+   *   console.log(payload.sub);
+   * });
+   * @param   {string}    token                               Access token, without the `Bearer` prefix.
+   * @param   {object}    [options]                           Verification options.
+   * @param   {string|string[]} [options.audience]            Expected audience, defaults to the verifier audience.
+   * @param   {string}    [options.issuer]                    Expected issuer, defaults to the verifier issuer.
+   * @param   {string[]}  [options.algorithms]                Accepted signing algorithms.
+   * @param   {number}    [options.clockTolerance]            Clock skew accepted, in seconds, defaults to the verifier clock tolerance.
+   * @param   {string|string[]} [options.requiredScopes]      Scopes that must all be present in the `scope` claim.
+   * @param   {string|string[]} [options.requiredPermissions] Permissions that must all be present in the `permissions` claim.
+   * @param   {Function}  [cb]                                Callback function.
+   * @returns {Promise|undefined} Promise returning the token payload.
+   */
+  verify(token, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+    const params = {
+      audience: this.audience,
+      issuer: this.issuer,
+      algorithms: this.algorithms,
+      clockTolerance: this.clockTolerance,
+      ...sanitizedOptions,
+    };
+
+    if (!params.audience) {
+      throw new ArgumentError('Must provide an audience');
+    }
+
+    const promise = this._verify(token, params);
+
+    if (sanitizedCb instanceof Function) {
+      promise.then(sanitizedCb.bind(null, null)).catch(sanitizedCb);
+      return;
+    }
+
+    return promise;
+  }
+
+  async _verify(token, params) {
+    if (!token || typeof token !== 'string') {
+      throw new AccessTokenValidationError('Access token is required but missing', 'token_missing');
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.payload || typeof decoded.payload !== 'object') {
+      throw new AccessTokenValidationError('Access token could not be decoded', 'token_malformed');
+    }
+
+    const { header } = decoded;
+    if (!params.algorithms.includes(header.alg)) {
+      throw new AccessTokenValidationError(
+        `Signature algorithm of "${
+          header.alg
+        }" is not supported. Expected the access token to be signed with "${params.algorithms.join(
+          '", "'
+        )}".`,
+        'invalid_algorithm'
+      );
+    }
+
+    let key;
+    try {
+      key = await this.jwksClient.getSigningKey(header.kid);
+    } catch (err) {
+      throw new AccessTokenValidationError(
+        `Unable to find a signing key that matches "${header.kid}"`,
+        'signing_key_not_found',
+        err
+      );
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, key.getPublicKey(), {
+        algorithms: params.algorithms,
+        audience: params.audience,
+        issuer: params.issuer,
+        clockTolerance: params.clockTolerance,
+        clockTimestamp: this.clock && Math.floor(this.clock() / 1000),
+      });
+    } catch (err) {
+      throw toValidationError(err);
+    }
+
+    const scopes = toArray(payload.scope);
+    const missingScopes = toArray(params.requiredScopes).filter((scope) => !scopes.includes(scope));
+    if (missingScopes.length) {
+      throw new AccessTokenValidationError(
+        `Access token is missing the required scopes "${missingScopes.join(' ')}"`,
+        'insufficient_scope'
+      );
+    }
+
+    const permissions = Array.isArray(payload.permissions) ? payload.permissions : [];
+    const missingPermissions = toArray(params.requiredPermissions).filter(
+      (permission) => !permissions.includes(permission)
+    );
+    if (missingPermissions.length) {
+      throw new AccessTokenValidationError(
+        `Access token is missing the required permissions "${missingPermissions.join(' ')}"`,
+        'insufficient_permissions'
+      );
+    }
+
+    return payload;
+  }
+}
+
+module.exports = AccessTokenVerifier;
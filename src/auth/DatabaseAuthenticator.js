@@ -1,5 +1,7 @@
 const { ArgumentError } = require('rest-facade');
 const RestClient = require('rest-facade').Client;
+const { createSanitizedError } = require('../errors');
+const { timeoutCustomizer } = require('../utils');
 
 /**
  * Abstracts the sign-in, sign-up and change-password processes for Database &
@@ -10,6 +12,7 @@ class DatabaseAuthenticator {
    * @param  {object}              options            Authenticator options.
    * @param  {string}              options.baseUrl    The auth0 account URL.
    * @param  {string}              [options.clientId] Default client ID.
+   * @param  {number}              [options.timeout]  Request timeout in milliseconds.
    * @param   {string}             [options.proxy]    Add the `superagent-proxy` dependency and specify a proxy url eg 'https://myproxy.com:1234'
    * @param  {OAuthAuthenticator}  oauth              OAuthAuthenticator instance.
    */
@@ -28,9 +31,11 @@ class DatabaseAuthenticator {
      * @type {object}
      */
     const clientOptions = {
+      errorCustomizer: createSanitizedError,
       errorFormatter: { message: 'message', name: 'error' },
       headers: options.headers,
       proxy: options.proxy,
+      request: { customizer: timeoutCustomizer(options.timeout) },
     };
 
     this.oauth = oauth;
@@ -0,0 +1,163 @@
+const jwt = require('jsonwebtoken');
+const { ArgumentError } = require('rest-facade');
+const { LogoutTokenValidationError } = require('../errors');
+const InMemoryTokenCache = require('../management/InMemoryTokenCache');
+const AccessTokenVerifier = require('./AccessTokenVerifier');
+const logoutToken = require('./logoutToken');
+
+const DEFAULT_ALGORITHMS = ['RS256', 'HS256'];
+const DEFAULT_REPLAY_STORE_SIZE = 1000;
+const DEFAULT_CLOCK_TOLERANCE = 60; // seconds
+
+const isReplayStore = (store) => !!store && typeof store.add === 'function';
+
+/**
+ * Verifies the logout tokens Auth0 sends to the back-channel logout URI of your application.
+ */
+class LogoutTokenVerifier {
+  /**
+   * @param  {object}    options                 Verifier options.
+   * @param  {string}    options.domain          Tenant domain, used for the default issuer and JWKS url.
+   * @param  {string}    options.clientId        Client ID, the expected audience.
+   * @param  {string}    [options.clientSecret]  Client secret, used to verify HS256 signatures.
+   * @param  {string}    [options.issuer]        Expected issuer. Defaults to `https://{domain}/`.
+   * @param  {string[]}  [options.algorithms]    Accepted signing algorithms. Defaults to `['RS256', 'HS256']`.
+   * @param  {object}    [options.jwksClient]    JWKS client used to get the signing keys.
+   * @param  {object}    [options.replayStore]   Store of the seen token IDs, share it between processes. Its `add(key, value, ttl)` must atomically store the key unless it exists and return (a Promise of) whether it did, e.g. `SET key value PX ttl NX` in Redis. Defaults to an in-memory store.
+   * @param  {number}    [options.clockTolerance] Clock skew accepted when checking the time claims, in seconds. Defaults to 60.
+   * @param  {Function}  [options.clock]         Function returning the current time in milliseconds. Defaults to `Date.now`.
+   */
+  constructor(options) {
+    if (!options || typeof options !== 'object') {
+      throw new ArgumentError('Missing logout token verifier options');
+    }
+
+    if (!options.domain && !(options.issuer && options.jwksClient)) {
+      throw new ArgumentError('Must provide a domain');
+    }
+
+    if (options.replayStore !== undefined && !isReplayStore(options.replayStore)) {
+      throw new ArgumentError('replayStore must implement add');
+    }
+
+    this.issuer = options.issuer || `https://${options.domain}/`;
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.algorithms = options.algorithms || DEFAULT_ALGORITHMS;
+    this.jwksClient = options.jwksClient || AccessTokenVerifier.createJwksClient(options.domain);
+    this.replayStore =
+      options.replayStore || new InMemoryTokenCache({ max: DEFAULT_REPLAY_STORE_SIZE });
+    this.clockTolerance =
+      options.clockTolerance !== undefined ? options.clockTolerance : DEFAULT_CLOCK_TOLERANCE;
+    this.clock = options.clock || Date.now;
+  }
+
+  /**
+   * Verify a logout token: its signature, issuer, audience, expiration and back-channel logout
+   * claims, and that it was not used before. Failures are reported as a LogoutTokenValidationError.
+   *
+   * @example
+   * app.post('/backchannel-logout', express.urlencoded({ extended: false }), async (req, res) => {
+   *   try {
+   *     const { sub, sid } = await auth0.verifyLogoutToken(req.body.logout_token);
+   *     // End the sessions of the user (sub) or the session (sid).
+   *     res.sendStatus(200);
+   *   } catch (err) {
+   *     res.status(400).json({ error: 'invalid_request', error_description: err.message });
+   *   }
+   * });
+   * @param   {string}    token       Logout token, the `logout_token` parameter of the request.
+   * @param   {Function}  [cb]        Callback function.
+   * @returns {Promise|undefined} Promise returning the token payload.
+   */
+  verify(token, cb) {
+    if (!this.clientId) {
+      throw new ArgumentError('Must provide a clientId');
+    }
+
+    const promise = this._verify(token);
+
+    if (cb instanceof Function) {
+      promise.then(cb.bind(null, null)).catch(cb);
+      return;
+    }
+
+    return promise;
+  }
+
+  async _getKey(header) {
+    if (header.alg === 'HS256') {
+      if (!this.clientSecret) {
+        throw new LogoutTokenValidationError(
+          'Validation of HS256 logout tokens requires a `clientSecret`'
+        );
+      }
+      // Decoded like the client secret of OAUthWithIDTokenValidation.
+      return Buffer.from(this.clientSecret, 'base64');
+    }
+
+    try {
+      const key = await this.jwksClient.getSigningKey(header.kid);
+      return key.getPublicKey();
+    } catch (err) {
+      throw new LogoutTokenValidationError(
+        `Unable to find a signing key that matches "${header.kid}"`,
+        err
+      );
+    }
+  }
+
+  async _verify(token) {
+    if (!token || typeof token !== 'string') {
+      throw new LogoutTokenValidationError('Logout token is required but missing');
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.payload || typeof decoded.payload !== 'object') {
+      throw new LogoutTokenValidationError('Logout token could not be decoded');
+    }
+
+    const { header } = decoded;
+    if (!this.algorithms.includes(header.alg)) {
+      throw new LogoutTokenValidationError(
+        `Signature algorithm of "${
+          header.alg
+        }" is not supported. Expected the logout token to be signed with "${this.algorithms.join(
+          '", "'
+        )}".`
+      );
+    }
+
+    const key = await this._getKey(header);
+
+    try {
+      // The claims, including the expiration, are checked by logoutToken.validate.
+      jwt.verify(token, key, {
+        algorithms: this.algorithms,
+        ignoreExpiration: true,
+        clockTolerance: this.clockTolerance,
+        clockTimestamp: Math.floor(this.clock() / 1000),
+      });
+    } catch (err) {
+      throw new LogoutTokenValidationError(`Logout token validation failed: ${err.message}`, err);
+    }
+
+    const payload = logoutToken.validate(decoded.payload, {
+      issuer: this.issuer,
+      audience: this.clientId,
+      leeway: this.clockTolerance,
+      clock: this.clock,
+    });
+
+    // Remember the token until it expires, after which it is rejected anyway. The check and the
+    // write are a single call, so concurrent deliveries of a token cannot both be accepted.
+    const ttl = Math.max(payload.exp * 1000 - this.clock(), 0) + this.clockTolerance * 1000;
+    if (!(await this.replayStore.add(`${payload.iss}|${payload.jti}`, true, ttl))) {
+      throw new LogoutTokenValidationError(`Logout token "${payload.jti}" has already been used`);
+    }
+
+    return payload;
+  }
+}
+
+module.exports = LogoutTokenVerifier;
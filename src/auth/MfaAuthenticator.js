@@ -0,0 +1,363 @@
+const { ArgumentError } = require('rest-facade');
+const Auth0RestClient = require('../Auth0RestClient');
+const { createSanitizedError } = require('../errors');
+const { sanitizeArguments } = require('../utils');
+const { addClientAuthentication } = require('./clientAuthentication');
+
+const MFA_GRANT_TYPES = {
+  otp: 'http://auth0.com/oauth/grant-type/mfa-otp',
+  oob: 'http://auth0.com/oauth/grant-type/mfa-oob',
+  recoveryCode: 'http://auth0.com/oauth/grant-type/mfa-recovery-code',
+};
+
+function getParamsFromOptions(options) {
+  const params = {};
+  if (!options || typeof options !== 'object') {
+    return params;
+  }
+  if (options.signal) {
+    params.signal = options.signal;
+  }
+  return params;
+}
+
+const isMissing = (value) => typeof value !== 'string' || value.trim().length === 0;
+
+const bearer = (mfaToken) => (req) => req.set('Authorization', `Bearer ${mfaToken}`);
+
+/**
+ * Handles the multi-factor authentication flows started by an `mfa_required` error,
+ * e.g. when a user enrolled in MFA signs in with `passwordGrant`.
+ */
+class MfaAuthenticator {
+  /**
+   * @param  {object}              options                             Authenticator options.
+   * @param  {string}              options.baseUrl                     The auth0 account URL.
+   * @param  {string}              [options.domain]                    Required if using clientAssertionSigningKey.
+   * @param  {string}              [options.clientId]                  Default client ID.
+   * @param  {string}              [options.clientSecret]              Default client secret.
+   * @param  {string}              [options.clientAssertionSigningKey] Private key used to sign the client assertion JWT.
+   * @param  {string}              [options.clientAssertionSigningAlg] Default 'RS256'.
+   * @param  {number}              [options.timeout]                   Request timeout in milliseconds.
+   * @param   {string}             [options.proxy]                     Add the `superagent-proxy` dependency and specify a proxy url eg 'https://myproxy.com:1234'
+   * @param  {OAuthAuthenticator}  oauth                               OAuthAuthenticator instance.
+   */
+  constructor(options, oauth) {
+    if (!options) {
+      throw new ArgumentError('Missing authenticator options');
+    }
+
+    if (typeof options !== 'object') {
+      throw new ArgumentError('The authenticator options must be an object');
+    }
+
+    /**
+     * Options object for the Rest Client instance.
+     *
+     * @type {object}
+     */
+    const clientOptions = {
+      errorCustomizer: createSanitizedError,
+      errorFormatter: { message: 'message', name: 'error' },
+      headers: options.headers,
+      proxy: options.proxy,
+      timeout: options.timeout,
+    };
+
+    this.oauth = oauth;
+    this.mfa = new Auth0RestClient(`${options.baseUrl}/mfa/:type`, clientOptions);
+    this.domain = options.domain;
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.clientAssertionSigningKey = options.clientAssertionSigningKey;
+    this.clientAssertionSigningAlg = options.clientAssertionSigningAlg;
+  }
+
+  _addClientAuthentication(payload, required) {
+    return addClientAuthentication({
+      payload,
+      required,
+      domain: this.domain,
+      clientSecret: this.clientSecret,
+      clientAssertionSigningKey: this.clientAssertionSigningKey,
+      clientAssertionSigningAlg: this.clientAssertionSigningAlg,
+    });
+  }
+
+  /**
+   * Get the MFA token of an `mfa_required` error, needed by all the other methods.
+   *
+   * @example
+   * try {
+   *   await auth0.oauth.passwordGrant({ username: '{USERNAME}', password: '{PASSWORD}' });
+   * } catch (err) {
+   *   const mfaToken = auth0.mfa.getMfaToken(err);
+   *   if (!mfaToken) {
+   *     throw err;
+   *   }
+   *   // Continue with the MFA flow.
+   * }
+   * @param   {Error|object}  error   Error of the token request, or its response body.
+   * @returns {string|undefined}      The MFA token, if the error is an `mfa_required` error.
+   */
+  getMfaToken(error) {
+    if (!error || typeof error !== 'object') {
+      return;
+    }
+
+    const response = error.originalError && error.originalError.response;
+    const body = response ? response.body || response.data : error;
+
+    if (body && body.error === 'mfa_required' && typeof body.mfa_token === 'string') {
+      return body.mfa_token;
+    }
+  }
+
+  /**
+   * List the authenticators the user is enrolled in.
+   *
+   * @example
+   * auth0.mfa.listAuthenticators({ mfa_token: mfaToken }, function (err, authenticators) {
+   *   if (err) {
+   *     // Handle error.
+   *   }
+   *
+   *   console.log(authenticators);
+   * });
+   * @param   {object}    data                  Request data.
+   * @param   {string}    data.mfa_token        MFA token of the `mfa_required` error.
+   * @param   {object}    [options]             Additional options.
+   * @param   {AbortSignal} [options.signal]    Signal used to abort the request.
+   * @param   {Function}  [cb]                  Method callback.
+   * @returns {Promise|undefined}
+   */
+  listAuthenticators(data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+
+    if (!data || typeof data !== 'object') {
+      throw new ArgumentError('Missing data object');
+    }
+
+    if (isMissing(data.mfa_token)) {
+      throw new ArgumentError('mfa_token field is required');
+    }
+
+    const params = {
+      ...getParamsFromOptions(sanitizedOptions),
+      type: 'authenticators',
+      _requestCustomizer: bearer(data.mfa_token),
+    };
+
+    if (sanitizedCb && sanitizedCb instanceof Function) {
+      return this.mfa.getAll(params, sanitizedCb);
+    }
+
+    return this.mfa.getAll(params);
+  }
+
+  /**
+   * Enroll the user in a new authenticator.
+   *
+   * @example <caption>
+   *   For OTP authenticators, show the `barcode_uri` as a QR code and complete the enrollment
+   *   with `otpGrant`. For OOB authenticators, complete it with `oobGrant` and the `oob_code`.
+   *   More information in the
+   *   <a href="https://auth0.com/docs/api/authentication#add-an-authenticator">
+   *     API Docs
+   *   </a>.
+   * </caption>
+   *
+   * var data = {
+   *   mfa_token: mfaToken,
+   *   authenticator_types: ['oob'],
+   *   oob_channels: ['sms'],
+   *   phone_number: '+12345678900'
+   * };
+   *
+   * auth0.mfa.associate(data, function (err, authenticator) {
+   *   if (err) {
+   *     // Handle error.
+   *   }
+   *
+   *   console.log(authenticator.oob_code);
+   * });
+   * @param   {object}    data                      Request data.
+   * @param   {string}    data.mfa_token            MFA token of the `mfa_required` error.
+   * @param   {string[]}  data.authenticator_types  Type of the authenticator: `otp` or `oob`.
+   * @param   {string[]}  [data.oob_channels]       Channels of OOB authenticators: `sms`, `voice` or `auth0`.
+   * @param   {string}    [data.phone_number]       Phone number of SMS and voice authenticators.
+   * @param   {object}    [options]                 Additional options.
+   * @param   {AbortSignal} [options.signal]        Signal used to abort the request.
+   * @param   {Function}  [cb]                      Method callback.
+   * @returns {Promise|undefined}
+   */
+  associate(data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+
+    if (!data || typeof data !== 'object') {
+      throw new ArgumentError('Missing data object');
+    }
+
+    const { mfa_token: mfaToken, ...body } = data;
+
+    if (isMissing(mfaToken)) {
+      throw new ArgumentError('mfa_token field is required');
+    }
+
+    if (!Array.isArray(body.authenticator_types) || body.authenticator_types.length === 0) {
+      throw new ArgumentError('authenticator_types field is required');
+    }
+
+    const payload = this._addClientAuthentication({
+      client_id: this.clientId,
+      ...body,
+    });
+
+    const params = {
+      ...getParamsFromOptions(sanitizedOptions),
+      type: 'associate',
+      _requestCustomizer: bearer(mfaToken),
+    };
+
+    if (sanitizedCb && sanitizedCb instanceof Function) {
+      return this.mfa.create(params, payload, sanitizedCb);
+    }
+
+    return this.mfa.create(params, payload);
+  }
+
+  /**
+   * Challenge the user with one of their authenticators, e.g. to send the SMS code.
+   *
+   * @example <caption>
+   *   The response holds the `challenge_type` and, for OOB challenges, the `oob_code` to
+   *   pass to `oobGrant`.
+   *   More information in the
+   *   <a href="https://auth0.com/docs/api/authentication#challenge-request">
+   *     API Docs
+   *   </a>.
+   * </caption>
+   *
+   * auth0.mfa.challenge({
+   *   mfa_token: mfaToken,
+   *   challenge_type: 'oob',
+   *   authenticator_id: 'sms|dev_123'
+   * });
+   * @param   {object}    data                      Request data.
+   * @param   {string}    data.mfa_token            MFA token of the `mfa_required` error.
+   * @param   {string}    [data.challenge_type]     Supported challenge types, e.g. `otp oob`.
+   * @param   {string}    [data.authenticator_id]   Authenticator to challenge.
+   * @param   {object}    [options]                 Additional options.
+   * @param   {AbortSignal} [options.signal]        Signal used to abort the request.
+   * @param   {Function}  [cb]                      Method callback.
+   * @returns {Promise|undefined}
+   */
+  challenge(data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+
+    if (!data || typeof data !== 'object') {
+      throw new ArgumentError('Missing data object');
+    }
+
+    if (isMissing(data.mfa_token)) {
+      throw new ArgumentError('mfa_token field is required');
+    }
+
+    const payload = this._addClientAuthentication({
+      client_id: this.clientId,
+      ...data,
+    });
+
+    const params = {
+      ...getParamsFromOptions(sanitizedOptions),
+      type: 'challenge',
+    };
+
+    if (sanitizedCb && sanitizedCb instanceof Function) {
+      return this.mfa.create(params, payload, sanitizedCb);
+    }
+
+    return this.mfa.create(params, payload);
+  }
+
+  /**
+   * Complete the login with the code of an OTP authenticator. The ID token is validated.
+   *
+   * @example
+   * const tokens = await auth0.mfa.otpGrant({ mfa_token: mfaToken, otp: '123456' });
+   * @param   {object}    data                  Request data.
+   * @param   {string}    data.mfa_token        MFA token of the `mfa_required` error.
+   * @param   {string}    data.otp              One time password of the authenticator.
+   * @param   {object}    [options]             Additional options.
+   * @param   {string}    [options.forwardedFor] Value to be used for auth0-forwarded-for header
+   * @param   {AbortSignal} [options.signal]    Signal used to abort the request.
+   * @param   {Function}  [cb]                  Method callback.
+   * @returns {Promise|undefined}
+   */
+  otpGrant(data, options, cb) {
+    return this._grant(MFA_GRANT_TYPES.otp, ['otp'], data, options, cb);
+  }
+
+  /**
+   * Complete the login with an OOB challenge, e.g. the code sent by SMS as `binding_code`.
+   * The ID token is validated. Until a push notification is accepted it fails with an
+   * `authorization_pending` error code.
+   *
+   * @example
+   * const tokens = await auth0.mfa.oobGrant({
+   *   mfa_token: mfaToken,
+   *   oob_code: challenge.oob_code,
+   *   binding_code: '123456'
+   * });
+   * @param   {object}    data                  Request data.
+   * @param   {string}    data.mfa_token        MFA token of the `mfa_required` error.
+   * @param   {string}    data.oob_code         OOB code returned by `challenge` or `associate`.
+   * @param   {string}    [data.binding_code]   Code received by the user, for SMS, voice and email challenges.
+   * @param   {object}    [options]             Additional options.
+   * @param   {string}    [options.forwardedFor] Value to be used for auth0-forwarded-for header
+   * @param   {AbortSignal} [options.signal]    Signal used to abort the request.
+   * @param   {Function}  [cb]                  Method callback.
+   * @returns {Promise|undefined}
+   */
+  oobGrant(data, options, cb) {
+    return this._grant(MFA_GRANT_TYPES.oob, ['oob_code'], data, options, cb);
+  }
+
+  /**
+   * Complete the login with a recovery code. The ID token is validated, and the response holds
+   * the new `recovery_code` of the user.
+   *
+   * @example
+   * const tokens = await auth0.mfa.recoveryCodeGrant({ mfa_token: mfaToken, recovery_code: code });
+   * @param   {object}    data                  Request data.
+   * @param   {string}    data.mfa_token        MFA token of the `mfa_required` error.
+   * @param   {string}    data.recovery_code    Recovery code of the user.
+   * @param   {object}    [options]             Additional options.
+   * @param   {string}    [options.forwardedFor] Value to be used for auth0-forwarded-for header
+   * @param   {AbortSignal} [options.signal]    Signal used to abort the request.
+   * @param   {Function}  [cb]                  Method callback.
+   * @returns {Promise|undefined}
+   */
+  recoveryCodeGrant(data, options, cb) {
+    return this._grant(MFA_GRANT_TYPES.recoveryCode, ['recovery_code'], data, options, cb);
+  }
+
+  _grant(grantType, requiredFields, data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+
+    if (!data || typeof data !== 'object') {
+      throw new ArgumentError('Missing data object');
+    }
+
+    ['mfa_token', ...requiredFields].forEach((field) => {
+      if (isMissing(data[field])) {
+        throw new ArgumentError(`${field} field is required`);
+      }
+    });
+
+    // Sent as given to the token endpoint, which adds the client authentication.
+    return this.oauth.grant(grantType, data, sanitizedOptions, sanitizedCb);
+  }
+}
+
+module.exports = MfaAuthenticator;
@@ -1,11 +1,65 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const jwksClient = require('jwks-rsa');
 const { ArgumentError } = require('rest-facade');
-const validateIdToken = require('./idToken').validate;
+const { validate: validateIdToken, getKeyTypes, SUPPORTED_ALGORITHMS } = require('./idToken');
+const { IdTokenValidationError } = require('../errors');
 
 const HS256_IGNORE_VALIDATION_MESSAGE =
   'Validation of `id_token` requires a `clientSecret` when using the HS256 algorithm. To ensure tokens are validated, please switch the signing algorithm to RS256 or provide a `clientSecret` in the constructor.';
 
+const getKeyType = (key) => {
+  try {
+    return crypto.createPublicKey(key.getPublicKey()).asymmetricKeyType;
+  } catch (err) {
+    return undefined;
+  }
+};
+
+/**
+ * Get the JWKS signing key of an ID token, checking its `alg` and key type match the algorithm of
+ * the token. The key is selected by `kid`; without a `kid` the JWKS must hold a single key, or a
+ * single key matching the algorithm of the token.
+ *
+ * @param {object} client JWKS client.
+ * @param {object} header Header of the ID token.
+ * @returns {Promise} Promise returning the signing key.
+ */
+const getSigningKey = (client, header) => {
+  const keyTypes = getKeyTypes(header.alg);
+  const checkKey = (key) => {
+    const keyType = getKeyType(key);
+    if ((key.alg && key.alg !== header.alg) || (keyType && !keyTypes.includes(keyType))) {
+      throw new Error(
+        `Signing key "${key.kid || header.kid}" (${key.alg || keyType}) cannot verify "${
+          header.alg
+        }" signatures`
+      );
+    }
+    return key;
+  };
+
+  return new Promise((resolve, reject) => {
+    client.getSigningKey(header.kid, (err, key) => (err ? reject(err) : resolve(key)));
+  })
+    .catch((err) => {
+      if (header.kid || err.name !== 'SigningKeyNotFoundError') {
+        throw err;
+      }
+
+      return client.getSigningKeys().then((keys) => {
+        const candidates = keys.filter(
+          (key) => (!key.alg || key.alg === header.alg) && keyTypes.includes(getKeyType(key))
+        );
+        if (candidates.length !== 1) {
+          throw err;
+        }
+        return candidates[0];
+      });
+    })
+    .then(checkKey);
+};
+
 /**
  * Abstracts the `oauth.create` method with additional id_token validation
  */
@@ -14,10 +68,14 @@ class OAUthWithIDTokenValidation {
    * @param  {object}              oauth                               An instance of @type {OAuthAuthenticator}
    * @param  {object}              options                             Authenticator options.
    * @param  {string}              options.domain                      AuthenticationClient server domain
+   * @param  {string}              [options.issuer]                    Expected issuer of the ID tokens. Defaults to `https://{domain}/`.
    * @param  {string}              [options.clientId]                  Default client ID.
    * @param  {string}              [options.clientSecret]              Default client Secret.
-   * @param  {string}              [options.supportedAlgorithms]       Algorithms that your application expects to receive
+   * @param  {string[]}            [options.supportedAlgorithms]       Algorithms that your application expects to receive, any of RS256, RS384, RS512, PS256, PS384, PS512, ES256, ES384, ES512 and HS256. Defaults to HS256 and RS256.
    * @param  {boolean}             [options.__bypassIdTokenValidation] Whether the id_token should be validated or not
+   * @param  {object}              [options.jwksClient]                JWKS client used to get the signing keys of the tenant.
+   * @param  {number}              [options.clockTolerance]            Clock skew accepted when checking the time claims, in seconds. Defaults to 60 seconds for the OIDC claims.
+   * @param  {Function}            [options.clock]                     Function returning the current time in milliseconds. Defaults to `Date.now`.
    */
   constructor(oauth, options) {
     if (!oauth) {
@@ -37,10 +95,26 @@ class OAUthWithIDTokenValidation {
     this.clientId = options.clientId;
     this.clientSecret = options.clientSecret;
     this.domain = options.domain;
+    this.issuer = options.issuer || `https://${options.domain}/`;
+    this.clockTolerance = options.clockTolerance;
+    this.clock = options.clock;
     this.supportedAlgorithms = options.supportedAlgorithms || ['HS256', 'RS256'];
-    this._jwksClient = jwksClient({
-      jwksUri: `https://${options.domain}/.well-known/jwks.json`,
-    });
+
+    const unsupported = this.supportedAlgorithms.filter(
+      (alg) => !SUPPORTED_ALGORITHMS.includes(alg)
+    );
+    if (unsupported.length) {
+      throw new ArgumentError(
+        `Unsupported ID token signing algorithms "${unsupported.join(
+          '", "'
+        )}", expected any of "${SUPPORTED_ALGORITHMS.join('", "')}"`
+      );
+    }
+    this._jwksClient =
+      options.jwksClient ||
+      jwksClient({
+        jwksUri: `https://${options.domain}/.well-known/jwks.json`,
+      });
   }
 
   /**
@@ -60,13 +134,9 @@ class OAUthWithIDTokenValidation {
         }
         return callback(null, Buffer.from(_this.clientSecret, 'base64'));
       }
-      _this._jwksClient.getSigningKey(header.kid, (err, key) => {
-        if (err) {
-          return callback(err);
-        }
-        const signingKey = key.publicKey || key.rsaPublicKey;
-        return callback(null, signingKey);
-      });
+      getSigningKey(_this._jwksClient, header)
+        .then((key) => callback(null, key.publicKey || key.rsaPublicKey))
+        .catch(callback);
     }
     const createAndValidate = this.oauth.create(params, data).then((r) => {
       if (_this.__bypassIdTokenValidation) {
@@ -78,7 +148,7 @@ class OAUthWithIDTokenValidation {
           const options = {
             algorithms: this.supportedAlgorithms,
             audience: this.clientId,
-            issuer: `https://${this.domain}/`,
+            issuer: this.issuer,
           };
 
           if (data.organization) {
@@ -93,12 +163,22 @@ class OAUthWithIDTokenValidation {
             options.maxAge = data.maxAge;
           }
 
+          if (this.clockTolerance !== undefined) {
+            options.clockTolerance = this.clockTolerance;
+            options.leeway = this.clockTolerance;
+          }
+
+          if (this.clock) {
+            options.clock = this.clock;
+            options.clockTimestamp = Math.floor(this.clock() / 1000);
+          }
+
           jwt.verify(r.id_token, getKey, options, (err) => {
             if (err) {
               if (err.message && err.message.includes(HS256_IGNORE_VALIDATION_MESSAGE)) {
                 console.warn(HS256_IGNORE_VALIDATION_MESSAGE);
               } else {
-                return reject(err);
+                return reject(new IdTokenValidationError(err.message, err));
               }
             }
 
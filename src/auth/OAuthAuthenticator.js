@@ -1,9 +1,14 @@
-const { sanitizeArguments } = require('../utils');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const uuid = require('uuid');
+const { sanitizeArguments, base64UrlEncode, buildUrl } = require('../utils');
 const { ArgumentError } = require('rest-facade');
-const RestClient = require('rest-facade').Client;
-const { SanitizedError } = require('../errors');
+const Auth0RestClient = require('../Auth0RestClient');
+const { wait } = require('../abort');
+const { createSanitizedError, AuthorizationError } = require('../errors');
 const OAUthWithIDTokenValidation = require('./OAUthWithIDTokenValidation');
 const { addClientAuthentication } = require('./clientAuthentication');
+const { getEndpoints } = require('./discovery');
 
 function getParamsFromOptions(options) {
   const params = {};
@@ -18,9 +23,73 @@ function getParamsFromOptions(options) {
   if (options.type) {
     params.type = options.type;
   }
+  if (options.signal) {
+    params.signal = options.signal;
+  }
   return params;
 }
 
+// The token endpoint is requested directly, without the `type` of the legacy OAuth endpoints.
+const getTokenParams = (options) => {
+  const params = getParamsFromOptions(options);
+  delete params.type;
+  return params;
+};
+
+const REQUEST_OBJECT_LIFETIME = 300;
+const DEVICE_CODE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+const CIBA_GRANT_TYPE = 'urn:openid:params:grant-type:ciba';
+const TOKEN_EXCHANGE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:token-exchange';
+const DEFAULT_POLLING_INTERVAL = 5;
+
+/**
+ * Poll the token endpoint until the user completes a decoupled authorization (device or CIBA flow),
+ * honoring the polling interval and the `slow_down` responses of the authorization server.
+ *
+ * @param {Function} grant Token request, rejected with an `authorization_pending` error code until then.
+ * @param {object} data Response of the authorization request, with its `interval` and `expires_in`.
+ * @param {object} [options] Request options, with the `signal` used to stop polling.
+ * @param {string} expiredMessage Message of the error thrown once the authorization request expired.
+ * @returns {Promise}
+ */
+const pollGrant = async (grant, data, options, expiredMessage) => {
+  const signal = options && options.signal;
+  const deadline = data.expires_in ? Date.now() + data.expires_in * 1000 : Infinity;
+  let interval = (data.interval === undefined ? DEFAULT_POLLING_INTERVAL : data.interval) * 1000;
+
+  while (Date.now() < deadline) {
+    await wait(interval, signal);
+
+    try {
+      return await grant();
+    } catch (err) {
+      if (err.errorCode === 'slow_down') {
+        interval += DEFAULT_POLLING_INTERVAL * 1000;
+      } else if (err.errorCode !== 'authorization_pending') {
+        throw err;
+      }
+    }
+  }
+
+  throw new AuthorizationError(expiredMessage, 'expired_token');
+};
+
+const isMissing = (value) => typeof value !== 'string' || value.trim().length === 0;
+
+const isNil = (value) => value === undefined || value === null;
+
+const randomString = () => base64UrlEncode(crypto.randomBytes(32));
+
+const createCodeChallenge = (codeVerifier) =>
+  base64UrlEncode(crypto.createHash('sha256').update(codeVerifier).digest());
+
+const getCallbackParam = (params, name) => {
+  if (typeof params.get === 'function') {
+    return params.get(name) || undefined;
+  }
+  return params[name];
+};
+
 /**
  * Abstracts the sign-in, sign-up and change-password processes for Database &
  * Active Directory authentication services.
@@ -30,11 +99,14 @@ class OAuthAuthenticator {
    * @param  {object}              options                             Authenticator options.
    * @param  {string}              options.baseUrl                     The Auth0 account URL.
    * @param  {string}              options.domain                      AuthenticationClient server domain
+   * @param  {string}              [options.issuer]                    Issuer of the tokens. Defaults to `https://{domain}/`.
+   * @param  {object}              [options.endpoints]                 Endpoint URLs, see `discovery.getEndpoints`. Defaults to the endpoints of `baseUrl`.
    * @param  {string}              [options.clientId]                  Default client ID.
    * @param  {string}              [options.clientSecret]              Default client Secret.
    * @param  {string}              [options.clientAssertionSigningKey] Private key used to sign the client assertion JWT.
    * @param  {string}              [options.clientAssertionSigningAlg] Default 'RS256'.
    * @param  {boolean}             [options.__bypassIdTokenValidation] Whether the id_token should be validated or not
+   * @param  {number}              [options.timeout]                   Request timeout in milliseconds.
    * @param   {string}             [options.proxy]                     Add the `superagent-proxy` dependency and specify a proxy url eg 'https://myproxy.com:1234'
    */
   constructor(options) {
@@ -52,15 +124,35 @@ class OAuthAuthenticator {
      * @type {object}
      */
     const clientOptions = {
-      errorCustomizer: SanitizedError,
+      errorCustomizer: createSanitizedError,
       errorFormatter: { message: 'message', name: 'error' },
       headers: options.headers,
       proxy: options.proxy,
+      timeout: options.timeout,
     };
 
-    this.oauth = new RestClient(`${options.baseUrl}/oauth/:type`, clientOptions);
+    const formClientOptions = {
+      ...clientOptions,
+      headers: { ...options.headers, 'Content-Type': 'application/x-www-form-urlencoded' },
+      request: { type: 'form' },
+    };
+
+    const endpoints = options.endpoints || getEndpoints(options.baseUrl);
+
+    // Legacy OAuth endpoints (`/oauth/ro` and `/oauth/access_token`), not listed by discovery.
+    this.oauth = new Auth0RestClient(`${options.baseUrl}/oauth/:type`, clientOptions);
+    this.token = new Auth0RestClient(endpoints.token, clientOptions);
+    this.deviceCode = new Auth0RestClient(endpoints.deviceAuthorization, clientOptions);
+    this.par = new Auth0RestClient(endpoints.pushedAuthorizationRequest, { ...formClientOptions });
+    this.backchannel = new Auth0RestClient(endpoints.backchannelAuthentication, {
+      ...formClientOptions,
+    });
     this.oauthWithIDTokenValidation = new OAUthWithIDTokenValidation(this.oauth, options);
+    this.tokenWithIDTokenValidation = new OAUthWithIDTokenValidation(this.token, options);
+    this.baseUrl = options.baseUrl;
+    this.endpoints = endpoints;
     this.domain = options.domain;
+    this.issuer = options.issuer || `https://${options.domain}/`;
     this.clientId = options.clientId;
     this.clientSecret = options.clientSecret;
     this.clientAssertionSigningKey = options.clientAssertionSigningKey;
@@ -112,6 +204,7 @@ class OAuthAuthenticator {
    * @param   {string}    userData.connection    The identity provider in use.
    * @param   {object}    [options]              Additional options.
    * @param   {string}    [options.forwardedFor] Value to be used for auth0-forwarded-for header
+   * @param   {AbortSignal} [options.signal]     Signal used to abort the request.
    * @param {Function} cb                        Callback
    * @returns  {Promise|undefined}
    */
@@ -182,6 +275,7 @@ class OAuthAuthenticator {
    * @param   {string}    [userData.realm]       Name of the realm to use to authenticate or the connection name
    * @param   {object}    [options]              Additional options.
    * @param   {string}    [options.forwardedFor] Value to be used for auth0-forwarded-for header
+   * @param   {AbortSignal} [options.signal]     Signal used to abort the request.
    * @param {Function} cb                        Callback
    * @returns  {Promise|undefined}
    */
@@ -210,16 +304,13 @@ class OAuthAuthenticator {
       data.grant_type = 'http://auth0.com/oauth/grant-type/password-realm';
     }
 
-    const params = {
-      type: 'token',
-      ...getParamsFromOptions(sanitizedOptions),
-    };
+    const params = getTokenParams(sanitizedOptions);
 
     if (sanitizedCb && sanitizedCb instanceof Function) {
-      return this.oauthWithIDTokenValidation.create(params, data, sanitizedCb);
+      return this.tokenWithIDTokenValidation.create(params, data, sanitizedCb);
     }
 
-    return this.oauthWithIDTokenValidation.create(params, data);
+    return this.tokenWithIDTokenValidation.create(params, data);
   }
 
   /**
@@ -248,10 +339,14 @@ class OAuthAuthenticator {
    * });
    * @param   {object}    data                Data object.
    * @param   {string}    data.refresh_token  Refresh token.
+   * @param   {object}    [options]           Additional options.
+   * @param   {AbortSignal} [options.signal]  Signal used to abort the request.
    * @param  {Function}  cb Callback
    * @returns  {Promise|undefined}
    */
-  refreshToken(data, cb) {
+  refreshToken(data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+
     if (!data || typeof data !== 'object') {
       throw new ArgumentError('Missing data object');
     }
@@ -266,14 +361,12 @@ class OAuthAuthenticator {
       throw new ArgumentError('refresh_token is required');
     }
 
-    const params = {
-      type: 'token',
-    };
+    const params = getTokenParams(sanitizedOptions);
 
-    if (cb && cb instanceof Function) {
-      return this.oauth.create(params, data, cb);
+    if (sanitizedCb && sanitizedCb instanceof Function) {
+      return this.token.create(params, data, sanitizedCb);
     }
-    return this.oauth.create(params, data);
+    return this.token.create(params, data);
   }
 
   /**
@@ -282,11 +375,15 @@ class OAuthAuthenticator {
    * @param   {object}    data                User credentials object.
    * @param   {string}    data.access_token   User access token.
    * @param   {string}    data.connection     Identity provider.
+   * @param   {object}    [options]           Additional options.
+   * @param   {AbortSignal} [options.signal]  Signal used to abort the request.
    * @param   {Function}    cb     Callback
    * @returns  {Promise|undefined}
    */
-  socialSignIn(data, cb) {
+  socialSignIn(data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
     const params = {
+      ...getParamsFromOptions(sanitizedOptions),
       type: 'access_token',
     };
 
@@ -302,40 +399,40 @@ class OAuthAuthenticator {
       throw new ArgumentError('connection field is required');
     }
 
-    if (cb && cb instanceof Function) {
-      return this.oauth.create(params, data, cb);
+    if (sanitizedCb && sanitizedCb instanceof Function) {
+      return this.oauth.create(params, data, sanitizedCb);
     }
 
     return this.oauth.create(params, data);
   }
 
-  clientCredentialsGrant(options, cb) {
-    if (!options || typeof options !== 'object') {
+  clientCredentialsGrant(data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+
+    if (!data || typeof data !== 'object') {
       throw new ArgumentError('Missing options object');
     }
 
-    const data = this._addClientAuthentication(
+    const payload = this._addClientAuthentication(
       {
         grant_type: 'client_credentials',
         client_id: this.clientId,
-        ...options,
+        ...data,
       },
       true
     );
 
-    if (!data.client_id || data.client_id.trim().length === 0) {
+    if (!payload.client_id || payload.client_id.trim().length === 0) {
       throw new ArgumentError('client_id field is required');
     }
 
-    const params = {
-      type: 'token',
-    };
+    const params = getTokenParams(sanitizedOptions);
 
-    if (cb && cb instanceof Function) {
-      return this.oauth.create(params, data, cb);
+    if (sanitizedCb && sanitizedCb instanceof Function) {
+      return this.token.create(params, payload, sanitizedCb);
     }
 
-    return this.oauth.create(params, data);
+    return this.token.create(params, payload);
   }
 
   /**
@@ -368,10 +465,14 @@ class OAuthAuthenticator {
    * @param   {string}    options.organization     Organization ID
    * @param   {string}    options.code             Code in URL returned after authentication
    * @param   {string}    options.redirect_uri     The URL to which Auth0 will redirect the browser after authorization has been granted by the user.
+   * @param   {object}    [requestOptions]         Additional options.
+   * @param   {AbortSignal} [requestOptions.signal] Signal used to abort the request.
    * @param {Function} cb Callback
    * @returns  {Promise|undefined}
    */
-  authorizationCodeGrant(options, cb) {
+  authorizationCodeGrant(options, requestOptions, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(requestOptions, cb);
+
     if (!options || typeof options !== 'object') {
       throw new ArgumentError('Missing options object');
     }
@@ -390,15 +491,691 @@ class OAuthAuthenticator {
       throw new ArgumentError('redirect_uri field is required');
     }
 
+    const params = getTokenParams(sanitizedOptions);
+
+    if (sanitizedCb && sanitizedCb instanceof Function) {
+      return this.tokenWithIDTokenValidation.create(params, data, sanitizedCb);
+    }
+
+    return this.tokenWithIDTokenValidation.create(params, data);
+  }
+
+  /**
+   * Build the `/authorize` URL starting an authorization code flow with PKCE.
+   *
+   * @example <caption>
+   *   Redirect the user to the returned URL and keep the transaction (e.g. in the session)
+   *   until the user comes back to the redirect URI, then pass it to `handleCallback`.
+   *   More information in the
+   *   <a href="https://auth0.com/docs/api/authentication#authorization-code-flow-with-pkce">
+   *     API Docs
+   *   </a>.
+   * </caption>
+   *
+   * var authorization = auth0.oauth.buildAuthorizeUrl({
+   *   redirect_uri: '{REDIRECT_URI}',
+   *   scope: 'openid profile email', // Optional field.
+   *   audience: '{API_IDENTIFIER}' // Optional field.
+   * });
+   *
+   * req.session.transaction = authorization.transaction;
+   * res.redirect(authorization.url);
+   * @param   {object}    options                  Authorization parameters, any other parameter is added to the URL.
+   * @param   {string}    options.redirect_uri     The URL to which Auth0 will redirect the browser after authorization has been granted by the user.
+   * @param   {string}    [options.client_id]      Client ID, defaults to the client ID of the authenticator.
+   * @param   {string}    [options.scope]          Defaults to `openid profile email`.
+   * @param   {string}    [options.response_type]  Defaults to `code`.
+   * @param   {string}    [options.state]          Defaults to a random value.
+   * @param   {string}    [options.nonce]          Defaults to a random value.
+   * @param   {number}    [options.max_age]        Maximum elapsed time in seconds since the last time the user authenticated.
+   * @param   {string}    [options.organization]   Organization ID or name.
+   * @returns {object}    The `url` to redirect to and the `transaction` to pass to `handleCallback`.
+   */
+  buildAuthorizeUrl(options) {
+    if (!options || typeof options !== 'object') {
+      throw new ArgumentError('Missing options object');
+    }
+
+    const codeVerifier = randomString();
     const params = {
-      type: 'token',
+      client_id: this.clientId,
+      response_type: 'code',
+      scope: 'openid profile email',
+      ...options,
+      // An undefined state or nonce must not disable the checks of the callback.
+      state: isNil(options.state) ? randomString() : options.state,
+      nonce: isNil(options.nonce) ? randomString() : options.nonce,
+      code_challenge: createCodeChallenge(codeVerifier),
+      code_challenge_method: 'S256',
     };
 
-    if (cb && cb instanceof Function) {
-      return this.oauthWithIDTokenValidation.create(params, data, cb);
+    if (!params.client_id || params.client_id.trim().length === 0) {
+      throw new ArgumentError('client_id field is required');
     }
 
-    return this.oauthWithIDTokenValidation.create(params, data);
+    if (!params.redirect_uri || params.redirect_uri.trim().length === 0) {
+      throw new ArgumentError('redirect_uri field is required');
+    }
+
+    return {
+      url: buildUrl(this.endpoints.authorization, '', params),
+      transaction: {
+        code_verifier: codeVerifier,
+        redirect_uri: params.redirect_uri,
+        state: params.state,
+        nonce: params.nonce,
+        max_age: params.max_age,
+        organization: params.organization,
+      },
+    };
+  }
+
+  /**
+   * Complete an authorization code flow started with `buildAuthorizeUrl`: check the state of the
+   * callback, exchange the code using the PKCE code verifier and validate the ID token against
+   * the nonce, max age and organization of the transaction.
+   *
+   * @example <caption>
+   *   Failures reported in the callback, or a state that does not match the transaction,
+   *   are rejected as an AuthorizationError.
+   * </caption>
+   *
+   * auth0.oauth.handleCallback(req.query, req.session.transaction, function (err, tokens) {
+   *   if (err) {
+   *     // Handle error.
+   *   }
+   *
+   *   console.log(tokens);
+   * });
+   * @param   {object|URLSearchParams} params     Query parameters of the callback request.
+   * @param   {object}    transaction              Transaction returned by `buildAuthorizeUrl`.
+   * @param   {object}    [requestOptions]         Additional options.
+   * @param   {AbortSignal} [requestOptions.signal] Signal used to abort the request.
+   * @param   {Function}  [cb]                     Callback
+   * @returns {Promise|undefined}
+   */
+  handleCallback(params, transaction, requestOptions, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(requestOptions, cb);
+
+    if (!params || typeof params !== 'object') {
+      throw new ArgumentError('Missing callback params');
+    }
+
+    if (!transaction || typeof transaction !== 'object') {
+      throw new ArgumentError('Missing transaction object');
+    }
+
+    if (isMissing(transaction.state)) {
+      throw new ArgumentError('The transaction is missing the state');
+    }
+
+    const promise = Promise.resolve().then(() => {
+      const error = getCallbackParam(params, 'error');
+      if (error) {
+        throw new AuthorizationError(getCallbackParam(params, 'error_description') || error, error);
+      }
+
+      if (getCallbackParam(params, 'state') !== transaction.state) {
+        throw new AuthorizationError(
+          'The state of the callback does not match the transaction',
+          'state_mismatch'
+        );
+      }
+
+      const code = getCallbackParam(params, 'code');
+      if (!code) {
+        throw new AuthorizationError(
+          'The callback is missing the authorization code',
+          'missing_code'
+        );
+      }
+
+      const data = {
+        code,
+        redirect_uri: transaction.redirect_uri,
+        code_verifier: transaction.code_verifier,
+      };
+
+      if (transaction.nonce) {
+        data.nonce = transaction.nonce;
+      }
+
+      if (transaction.max_age) {
+        data.maxAge = transaction.max_age;
+      }
+
+      if (transaction.organization) {
+        data.organization = transaction.organization;
+      }
+
+      return this.authorizationCodeGrant(data, sanitizedOptions);
+    });
+
+    if (sanitizedCb && sanitizedCb instanceof Function) {
+      promise.then((data) => sanitizedCb(null, data), sanitizedCb);
+      return;
+    }
+
+    return promise;
+  }
+
+  /**
+   * Start the device authorization flow.
+   *
+   * @example <caption>
+   *   Ask the user to open the verification URI and enter the user code, then poll for the
+   *   tokens with `pollDeviceCodeGrant`.
+   *   More information in the
+   *   <a href="https://auth0.com/docs/api/authentication#device-authorization-flow">
+   *     API Docs
+   *   </a>.
+   * </caption>
+   *
+   * var data = {
+   *   scope: 'openid profile offline_access', // Optional field.
+   *   audience: '{API_IDENTIFIER}' // Optional field.
+   * };
+   *
+   * auth0.oauth.deviceAuthorization(data, function (err, authorization) {
+   *   if (err) {
+   *     // Handle error.
+   *   }
+   *
+   *   console.log(authorization.verification_uri_complete, authorization.user_code);
+   * });
+   * @param   {object}    [data]                  Device authorization payload.
+   * @param   {string}    [data.client_id]        Client ID, defaults to the client ID of the authenticator.
+   * @param   {string}    [data.scope]            Requested scopes.
+   * @param   {string}    [data.audience]         Identifier of the API to get an access token for.
+   * @param   {object}    [options]               Additional options.
+   * @param   {AbortSignal} [options.signal]      Signal used to abort the request.
+   * @param   {Function}  [cb]                    Callback
+   * @returns {Promise|undefined}
+   */
+  deviceAuthorization(data, options, cb) {
+    if (data instanceof Function) {
+      cb = data;
+      data = {};
+    }
+
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+
+    if (data !== undefined && (!data || typeof data !== 'object')) {
+      throw new ArgumentError('The data must be an object');
+    }
+
+    const payload = {
+      client_id: this.clientId,
+      ...data,
+    };
+
+    if (!payload.client_id || payload.client_id.trim().length === 0) {
+      throw new ArgumentError('client_id field is required');
+    }
+
+    const params = getParamsFromOptions(sanitizedOptions);
+
+    if (sanitizedCb && sanitizedCb instanceof Function) {
+      return this.deviceCode.create(params, payload, sanitizedCb);
+    }
+
+    return this.deviceCode.create(params, payload);
+  }
+
+  /**
+   * Exchange a device code for tokens. Until the user completes the authorization it fails with
+   * an `authorization_pending` error code, see `pollDeviceCodeGrant` to wait for the tokens.
+   *
+   * @param   {object}    data                    Device code payload.
+   * @param   {string}    data.device_code        Device code returned by `deviceAuthorization`.
+   * @param   {object}    [options]               Additional options.
+   * @param   {AbortSignal} [options.signal]      Signal used to abort the request.
+   * @param   {Function}  [cb]                    Callback
+   * @returns {Promise|undefined}
+   */
+  deviceCodeGrant(data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+
+    if (!data || typeof data !== 'object') {
+      throw new ArgumentError('Missing data object');
+    }
+
+    const payload = {
+      grant_type: DEVICE_CODE_GRANT_TYPE,
+      client_id: this.clientId,
+      ...data,
+    };
+
+    if (typeof payload.device_code !== 'string' || payload.device_code.trim().length === 0) {
+      throw new ArgumentError('device_code field is required');
+    }
+
+    const params = getTokenParams(sanitizedOptions);
+
+    if (sanitizedCb && sanitizedCb instanceof Function) {
+      return this.tokenWithIDTokenValidation.create(params, payload, sanitizedCb);
+    }
+
+    return this.tokenWithIDTokenValidation.create(params, payload);
+  }
+
+  /**
+   * Poll for the tokens of a device authorization until the user completes it, honoring the
+   * polling `interval` and the `slow_down` responses of the authorization server.
+   *
+   * @example <caption>
+   *   Rejects with the error of the authorization server when the user denies the request or
+   *   the device code expires (`access_denied` and `expired_token` error codes).
+   * </caption>
+   *
+   * const authorization = await auth0.oauth.deviceAuthorization({ scope: 'openid profile' });
+   *
+   * console.log(`Visit ${authorization.verification_uri_complete}`);
+   *
+   * const tokens = await auth0.oauth.pollDeviceCodeGrant(authorization);
+   * @param   {object}    data                    Response of `deviceAuthorization`.
+   * @param   {string}    data.device_code        Device code.
+   * @param   {number}    [data.interval]         Polling interval in seconds, defaults to 5.
+   * @param   {number}    [data.expires_in]       Lifetime of the device code in seconds.
+   * @param   {object}    [options]               Additional options.
+   * @param   {AbortSignal} [options.signal]      Signal used to stop polling.
+   * @param   {Function}  [cb]                    Callback
+   * @returns {Promise|undefined}
+   */
+  pollDeviceCodeGrant(data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+
+    if (!data || typeof data !== 'object') {
+      throw new ArgumentError('Missing data object');
+    }
+
+    if (typeof data.device_code !== 'string' || data.device_code.trim().length === 0) {
+      throw new ArgumentError('device_code field is required');
+    }
+
+    const promise = pollGrant(
+      () => this.deviceCodeGrant({ device_code: data.device_code }, sanitizedOptions),
+      data,
+      sanitizedOptions,
+      'The device code has expired'
+    );
+
+    if (sanitizedCb && sanitizedCb instanceof Function) {
+      promise.then((tokens) => sanitizedCb(null, tokens), sanitizedCb);
+      return;
+    }
+
+    return promise;
+  }
+
+  /**
+   * Push the authorization parameters to the `/oauth/par` endpoint, authenticating the client.
+   *
+   * @example <caption>
+   *   Redirect the user to `/authorize` with only the client ID and the returned `request_uri`,
+   *   before it expires.
+   *   More information in the
+   *   <a href="https://auth0.com/docs/get-started/authentication-and-authorization-flow/authorization-code-flow/authorization-code-flow-with-par">
+   *     Docs
+   *   </a>.
+   * </caption>
+   *
+   * const { request_uri } = await auth0.oauth.pushedAuthorizationRequest({
+   *   redirect_uri: '{REDIRECT_URI}',
+   *   scope: 'openid profile'
+   * });
+   *
+   * res.redirect(`https://{YOUR_ACCOUNT}.auth0.com/authorize?client_id={CLIENT_ID}&request_uri=${encodeURIComponent(request_uri)}`);
+   * @param   {object}    data                  Authorization parameters, e.g. `redirect_uri`, `scope` or `state`.
+   * @param   {string}    [data.redirect_uri]   Required unless the parameters are sent as a signed `request` object.
+   * @param   {string}    [data.request]        Request object built with `buildRequestObject`.
+   * @param   {string}    [data.response_type]  Defaults to `code`.
+   * @param   {object}    [options]             Additional options.
+   * @param   {AbortSignal} [options.signal]    Signal used to abort the request.
+   * @param   {Function}  [cb]                  Callback
+   * @returns {Promise|undefined}               Resolves to the `request_uri` and its `expires_in` lifetime in seconds.
+   */
+  pushedAuthorizationRequest(data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+
+    if (!data || typeof data !== 'object') {
+      throw new ArgumentError('Missing data object');
+    }
+
+    const payload = this._addClientAuthentication(
+      {
+        client_id: this.clientId,
+        ...(data.request ? {} : { response_type: 'code' }),
+        ...data,
+      },
+      true
+    );
+
+    if (!payload.client_id || payload.client_id.trim().length === 0) {
+      throw new ArgumentError('client_id field is required');
+    }
+
+    if (!payload.request && (!payload.redirect_uri || payload.redirect_uri.trim().length === 0)) {
+      throw new ArgumentError('redirect_uri field is required');
+    }
+
+    const params = getParamsFromOptions(sanitizedOptions);
+
+    if (sanitizedCb && sanitizedCb instanceof Function) {
+      return this.par.create(params, payload, sanitizedCb);
+    }
+
+    return this.par.create(params, payload);
+  }
+
+  /**
+   * Build a request object (JAR): the authorization parameters as a JWT signed with the
+   * `clientAssertionSigningKey`, or with the `clientSecret` (HS256) when there is none.
+   *
+   * @example <caption>
+   *   Send it as the `request` parameter of `pushedAuthorizationRequest`.
+   * </caption>
+   *
+   * const request = auth0.oauth.buildRequestObject({
+   *   redirect_uri: '{REDIRECT_URI}',
+   *   response_type: 'code',
+   *   scope: 'openid profile'
+   * });
+   *
+   * const { request_uri } = await auth0.oauth.pushedAuthorizationRequest({ request });
+   * @param   {object}    params                Authorization parameters.
+   * @param   {object}    [options]             Signing options.
+   * @param   {number}    [options.expiresIn]   Lifetime of the request object in seconds, defaults to 300.
+   * @returns {string}    The signed request object.
+   */
+  buildRequestObject(params, options) {
+    if (!params || typeof params !== 'object') {
+      throw new ArgumentError('Missing params object');
+    }
+
+    const { expiresIn = REQUEST_OBJECT_LIFETIME } = options || {};
+    const clientId = params.client_id || this.clientId;
+
+    if (!clientId || clientId.trim().length === 0) {
+      throw new ArgumentError('client_id field is required');
+    }
+
+    let key = this.clientAssertionSigningKey;
+    let algorithm = this.clientAssertionSigningAlg || 'RS256';
+    if (!key) {
+      if (!this.clientSecret) {
+        throw new ArgumentError(
+          'The clientAssertionSigningKey or clientSecret option is required to sign the request object'
+        );
+      }
+      key = this.clientSecret;
+      algorithm = 'HS256';
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+      response_type: 'code',
+      ...params,
+      client_id: clientId,
+      iss: clientId,
+      aud: this.issuer,
+      iat: now,
+      nbf: now,
+      exp: now + expiresIn,
+      jti: uuid.v4(),
+    };
+
+    return jwt.sign(payload, key, { algorithm });
+  }
+
+  /**
+   * Start a Client-Initiated Backchannel Authentication (CIBA) request: the user is asked to
+   * approve the login on their own device, e.g. with a push notification.
+   *
+   * @example <caption>
+   *   Poll for the tokens with `pollBackchannelGrant`.
+   *   More information in the
+   *   <a href="https://auth0.com/docs/get-started/authentication-and-authorization-flow/client-initiated-backchannel-authentication-flow">
+   *     Docs
+   *   </a>.
+   * </caption>
+   *
+   * const authorization = await auth0.oauth.backchannelAuthorize({
+   *   login_hint: { format: 'iss_sub', iss: 'https://{YOUR_ACCOUNT}.auth0.com/', sub: '{USER_ID}' },
+   *   binding_message: 'Confirm order 1234',
+   *   scope: 'openid'
+   * });
+   * @param   {object}    data                      Authorization parameters.
+   * @param   {string|object} data.login_hint       User to authenticate, objects are sent as JSON.
+   * @param   {string}    data.scope                Requested scopes, must include `openid`.
+   * @param   {string}    [data.binding_message]    Message shown on both devices, so the user can tell the requests apart.
+   * @param   {string}    [data.audience]           Identifier of the API to get an access token for.
+   * @param   {object}    [options]                 Additional options.
+   * @param   {AbortSignal} [options.signal]        Signal used to abort the request.
+   * @param   {Function}  [cb]                      Callback
+   * @returns {Promise|undefined}                   Resolves to the `auth_req_id`, its `expires_in` lifetime and the polling `interval`.
+   */
+  backchannelAuthorize(data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+
+    if (!data || typeof data !== 'object') {
+      throw new ArgumentError('Missing data object');
+    }
+
+    const payload = this._addClientAuthentication(
+      {
+        client_id: this.clientId,
+        ...data,
+      },
+      true
+    );
+
+    if (payload.login_hint && typeof payload.login_hint === 'object') {
+      payload.login_hint = JSON.stringify(payload.login_hint);
+    }
+
+    if (typeof payload.login_hint !== 'string' || payload.login_hint.trim().length === 0) {
+      throw new ArgumentError('login_hint field is required');
+    }
+
+    if (typeof payload.scope !== 'string' || !payload.scope.split(' ').includes('openid')) {
+      throw new ArgumentError('scope field must include openid');
+    }
+
+    const params = getParamsFromOptions(sanitizedOptions);
+
+    if (sanitizedCb && sanitizedCb instanceof Function) {
+      return this.backchannel.create(params, payload, sanitizedCb);
+    }
+
+    return this.backchannel.create(params, payload);
+  }
+
+  /**
+   * Exchange the `auth_req_id` of a CIBA request for tokens. Until the user approves the request
+   * it fails with an `authorization_pending` error code, see `pollBackchannelGrant` to wait for the tokens.
+   *
+   * @param   {object}    data                  Request data.
+   * @param   {string}    data.auth_req_id      Identifier returned by `backchannelAuthorize`.
+   * @param   {object}    [options]             Additional options.
+   * @param   {AbortSignal} [options.signal]    Signal used to abort the request.
+   * @param   {Function}  [cb]                  Callback
+   * @returns {Promise|undefined}
+   */
+  backchannelGrant(data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+
+    if (!data || typeof data !== 'object') {
+      throw new ArgumentError('Missing data object');
+    }
+
+    const payload = this._addClientAuthentication(
+      {
+        grant_type: CIBA_GRANT_TYPE,
+        client_id: this.clientId,
+        ...data,
+      },
+      true
+    );
+
+    if (typeof payload.auth_req_id !== 'string' || payload.auth_req_id.trim().length === 0) {
+      throw new ArgumentError('auth_req_id field is required');
+    }
+
+    const params = getTokenParams(sanitizedOptions);
+
+    if (sanitizedCb && sanitizedCb instanceof Function) {
+      return this.tokenWithIDTokenValidation.create(params, payload, sanitizedCb);
+    }
+
+    return this.tokenWithIDTokenValidation.create(params, payload);
+  }
+
+  /**
+   * Poll for the tokens of a CIBA request until the user approves it, honoring the polling
+   * `interval` and the `slow_down` responses of the authorization server.
+   *
+   * @example <caption>
+   *   Rejects with the error of the authorization server when the user denies the request or
+   *   it expires (`access_denied` and `expired_token` error codes).
+   * </caption>
+   *
+   * const authorization = await auth0.oauth.backchannelAuthorize({ login_hint, scope: 'openid' });
+   * const tokens = await auth0.oauth.pollBackchannelGrant(authorization);
+   * @param   {object}    data                  Response of `backchannelAuthorize`.
+   * @param   {string}    data.auth_req_id      Identifier of the CIBA request.
+   * @param   {number}    [data.interval]       Polling interval in seconds, defaults to 5.
+   * @param   {number}    [data.expires_in]     Lifetime of the CIBA request in seconds.
+   * @param   {object}    [options]             Additional options.
+   * @param   {AbortSignal} [options.signal]    Signal used to stop polling.
+   * @param   {Function}  [cb]                  Callback
+   * @returns {Promise|undefined}
+   */
+  pollBackchannelGrant(data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+
+    if (!data || typeof data !== 'object') {
+      throw new ArgumentError('Missing data object');
+    }
+
+    if (typeof data.auth_req_id !== 'string' || data.auth_req_id.trim().length === 0) {
+      throw new ArgumentError('auth_req_id field is required');
+    }
+
+    const promise = pollGrant(
+      () => this.backchannelGrant({ auth_req_id: data.auth_req_id }, sanitizedOptions),
+      data,
+      sanitizedOptions,
+      'The backchannel authentication request has expired'
+    );
+
+    if (sanitizedCb && sanitizedCb instanceof Function) {
+      promise.then((tokens) => sanitizedCb(null, tokens), sanitizedCb);
+      return;
+    }
+
+    return promise;
+  }
+
+  /**
+   * Request tokens with any grant type, e.g. an extension grant not covered by the other methods.
+   * The client authentication is added to the request and the ID token, if any, is validated.
+   *
+   * @example
+   * const tokens = await auth0.oauth.grant('urn:example:params:grant-type:custom', {
+   *   assertion: '{ASSERTION}',
+   *   scope: 'openid'
+   * });
+   * @param   {string}    grantType                   Grant type, sent as `grant_type`.
+   * @param   {object}    [data]                      Parameters of the token request.
+   * @param   {object}    [options]                   Additional options.
+   * @param   {boolean}   [options.validateIdToken]   Whether the ID token of the response should be validated, defaults to `true`.
+   * @param   {boolean}   [options.requireClientAuthentication] Whether to reject the request without a client secret or assertion.
+   * @param   {string}    [options.forwardedFor]      Value to be used for auth0-forwarded-for header
+   * @param   {AbortSignal} [options.signal]          Signal used to abort the request.
+   * @param   {Function}  [cb]                        Callback
+   * @returns {Promise|undefined}
+   */
+  grant(grantType, data, options, cb) {
+    if (data instanceof Function) {
+      cb = data;
+      data = {};
+    }
+
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+    const { validateIdToken = true, requireClientAuthentication = false } = sanitizedOptions || {};
+
+    if (isMissing(grantType)) {
+      throw new ArgumentError('Must provide a grant type');
+    }
+
+    if (data !== undefined && (!data || typeof data !== 'object')) {
+      throw new ArgumentError('The data must be an object');
+    }
+
+    const payload = this._addClientAuthentication(
+      {
+        client_id: this.clientId,
+        ...data,
+        grant_type: grantType,
+      },
+      requireClientAuthentication
+    );
+
+    if (isMissing(payload.client_id)) {
+      throw new ArgumentError('client_id field is required');
+    }
+
+    const params = getTokenParams(sanitizedOptions);
+    const client = validateIdToken ? this.tokenWithIDTokenValidation : this.token;
+
+    if (sanitizedCb && sanitizedCb instanceof Function) {
+      return client.create(params, payload, sanitizedCb);
+    }
+
+    return client.create(params, payload);
+  }
+
+  /**
+   * Exchange a token for another one (RFC 8693), e.g. to call a downstream service on behalf of
+   * the user, or with an Auth0 custom token exchange profile.
+   *
+   * @example
+   * const tokens = await auth0.oauth.tokenExchange({
+   *   subject_token: accessToken,
+   *   subject_token_type: 'urn:ietf:params:oauth:token-type:access_token',
+   *   audience: 'https://downstream.example.com'
+   * });
+   * @param   {object}    data                          Token exchange parameters.
+   * @param   {string}    data.subject_token            Token representing the subject of the request.
+   * @param   {string}    data.subject_token_type       Type of the subject token, e.g. `urn:ietf:params:oauth:token-type:access_token` or a custom token exchange profile.
+   * @param   {string}    [data.actor_token]            Token representing the party acting on behalf of the subject.
+   * @param   {string}    [data.actor_token_type]       Type of the actor token, required with an actor token.
+   * @param   {string}    [data.requested_token_type]   Type of the requested token.
+   * @param   {string}    [data.audience]               Identifier of the API to get an access token for.
+   * @param   {string}    [data.scope]                  Requested scopes.
+   * @param   {object}    [options]                     Additional options, see `grant`.
+   * @param   {Function}  [cb]                          Callback
+   * @returns {Promise|undefined}
+   */
+  tokenExchange(data, options, cb) {
+    if (!data || typeof data !== 'object') {
+      throw new ArgumentError('Missing data object');
+    }
+
+    if (isMissing(data.subject_token)) {
+      throw new ArgumentError('subject_token field is required');
+    }
+
+    if (isMissing(data.subject_token_type)) {
+      throw new ArgumentError('subject_token_type field is required');
+    }
+
+    if (data.actor_token !== undefined && isMissing(data.actor_token_type)) {
+      throw new ArgumentError('actor_token_type field is required with an actor_token');
+    }
+
+    return this.grant(TOKEN_EXCHANGE_GRANT_TYPE, data, options, cb);
   }
 }
 
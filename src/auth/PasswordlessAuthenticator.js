@@ -1,6 +1,7 @@
 const { ArgumentError } = require('rest-facade');
 const RestClient = require('rest-facade').Client;
-const { sanitizeArguments } = require('../utils');
+const { createSanitizedError } = require('../errors');
+const { sanitizeArguments, timeoutCustomizer } = require('../utils');
 const { addClientAuthentication } = require('./clientAuthentication');
 
 function getParamsFromOptions(options) {
@@ -30,6 +31,7 @@ class PasswordlessAuthenticator {
    * @param  {string}              [options.clientSecret] Default client secret.
    * @param  {string}              [options.clientAssertionSigningKey] Private key used to sign the client assertion JWT.
    * @param  {string}              [options.clientAssertionSigningAlg] Default 'RS256'.
+   * @param  {number}              [options.timeout]  Request timeout in milliseconds.
    * @param   {string}             [options.proxy]    Add the `superagent-proxy` dependency and specify a proxy url eg 'https://myproxy.com:1234'
    * @param  {OAuthAuthenticator}  oauth              OAuthAuthenticator instance.
    */
@@ -48,9 +50,11 @@ class PasswordlessAuthenticator {
      * @type {object}
      */
     const clientOptions = {
+      errorCustomizer: createSanitizedError,
       errorFormatter: { message: 'message', name: 'error' },
       headers: options.headers,
       proxy: options.proxy,
+      request: { customizer: timeoutCustomizer(options.timeout) },
     };
 
     this.oauth = oauth;
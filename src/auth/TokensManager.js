@@ -1,6 +1,10 @@
 const axios = require('axios');
 const { ArgumentError } = require('rest-facade');
 const { addClientAuthentication } = require('./clientAuthentication');
+const { sanitizeArguments } = require('../utils');
+const { withAbortSignal } = require('../abort');
+const { fromAxiosError } = require('../errors');
+const { getEndpoints } = require('./discovery');
 
 /**
  * Provides methods for getting token data and exchanging tokens.
@@ -9,12 +13,14 @@ class TokensManager {
   /**
    * @param  {object}   options                 Manager options.
    * @param  {string}   options.baseUrl         The auth0 account URL.
+   * @param  {object}   [options.endpoints]     Endpoint URLs. Defaults to the endpoints of `baseUrl`.
    * @param  {string}   [options.headers]       Default request headers.
    * @param  {string}   [options.domain]  Required if using clientAssertionSigningKey.
    * @param  {string}   [options.clientId]      Default client ID.
    * @param  {string}   [options.clientSecret]  Default client Secret.
    * @param  {string}   [options.clientAssertionSigningKey]  Private key used to sign the client assertion JWT.
    * @param  {string}   [options.clientAssertionSigningAlg]  Default 'RS256'.
+   * @param  {number}   [options.timeout]       Request timeout in milliseconds.
    */
   constructor(options) {
     if (typeof options !== 'object') {
@@ -26,12 +32,14 @@ class TokensManager {
     }
 
     this.baseUrl = options.baseUrl;
+    this.endpoints = options.endpoints || getEndpoints(options.baseUrl);
     this.headers = options.headers || {};
     this.domain = options.domain;
     this.clientId = options.clientId || '';
     this.clientSecret = options.clientSecret || '';
     this.clientAssertionSigningKey = options.clientAssertionSigningKey;
     this.clientAssertionSigningAlg = options.clientAssertionSigningAlg;
+    this.timeout = options.timeout;
   }
 
   /**
@@ -52,10 +60,13 @@ class TokensManager {
    *   console.log(tokenInfo);
    * });
    * @param   {string}    idToken     User ID token.
+   * @param   {object}    [options]           Additional options.
+   * @param   {AbortSignal} [options.signal]  Signal used to abort the request.
    * @param   {Function}  [cb]        Method callback.
    * @returns  {Promise|undefined}
    */
-  getInfo(idToken, cb) {
+  getInfo(idToken, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
     const headers = { ...this.headers };
 
     if (idToken === null || idToken === undefined) {
@@ -67,16 +78,23 @@ class TokensManager {
     }
 
     // Perform the request.
-    const promise = axios({
-      method: 'POST',
-      url: `${this.baseUrl}/tokeninfo`,
-      data: { id_token: idToken },
-      headers,
-    }).then(({ data }) => data);
+    const { signal } = sanitizedOptions || {};
+    const promise = withAbortSignal(signal, () =>
+      axios({
+        method: 'POST',
+        url: `${this.baseUrl}/tokeninfo`,
+        data: { id_token: idToken },
+        headers,
+        timeout: this.timeout,
+        signal,
+      }).catch((err) => {
+        throw fromAxiosError(err);
+      })
+    ).then(({ data }) => data);
 
     // Use callback if given.
-    if (cb instanceof Function) {
-      promise.then(cb.bind(null, null)).catch(cb);
+    if (sanitizedCb instanceof Function) {
+      promise.then(sanitizedCb.bind(null, null)).catch(sanitizedCb);
       return;
     }
 
@@ -115,10 +133,13 @@ class TokensManager {
    * @param   {string}    data.target         Target client ID.
    * @param   {string}    data.api_type       The API to be used (aws, auth0, etc).
    * @param   {string}    data.grant_type     Grant type (password, jwt, etc).
+   * @param   {object}    [options]           Additional options.
+   * @param   {AbortSignal} [options.signal]  Signal used to abort the request.
    * @param   {Function}  [cb]                Callback function.
    * @returns  {Promise|undefined}
    */
-  getDelegationToken(data, cb) {
+  getDelegationToken(data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
     const body = { client_id: this.clientId, ...data };
     const { headers } = this;
 
@@ -154,16 +175,23 @@ class TokensManager {
     }
 
     // Perform the request.
-    const promise = axios({
-      method: 'POST',
-      url: `${this.baseUrl}/delegation`,
-      data: body,
-      headers,
-    }).then(({ data }) => data);
+    const { signal } = sanitizedOptions || {};
+    const promise = withAbortSignal(signal, () =>
+      axios({
+        method: 'POST',
+        url: `${this.baseUrl}/delegation`,
+        data: body,
+        headers,
+        timeout: this.timeout,
+        signal,
+      }).catch((err) => {
+        throw fromAxiosError(err);
+      })
+    ).then(({ data }) => data);
 
     // Use callback if given.
-    if (cb instanceof Function) {
-      promise.then(cb.bind(null, null)).catch(cb);
+    if (sanitizedCb instanceof Function) {
+      promise.then(sanitizedCb.bind(null, null)).catch(sanitizedCb);
       return;
     }
 
@@ -194,10 +222,13 @@ class TokensManager {
    * @param   {string}    data.token            User refresh token.
    * @param   {string}    [data.client_id]      Target client ID.
    * @param   {string}    [data.client_secret]  Target client secret.
+   * @param   {object}    [options]           Additional options.
+   * @param   {AbortSignal} [options.signal]  Signal used to abort the request.
    * @param   {Function}  [cb]                  Callback function.
    * @returns  {Promise|undefined}
    */
-  revokeRefreshToken(data, cb) {
+  revokeRefreshToken(data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
     if (!data) {
       throw new ArgumentError('Missing token data object');
     }
@@ -234,16 +265,23 @@ class TokensManager {
     const { headers } = this;
 
     // Perform the request.
-    const promise = axios({
-      method: 'POST',
-      url: `${this.baseUrl}/oauth/revoke`,
-      data: body,
-      headers,
-    }).then(({ data }) => data);
+    const { signal } = sanitizedOptions || {};
+    const promise = withAbortSignal(signal, () =>
+      axios({
+        method: 'POST',
+        url: this.endpoints.revocation,
+        data: body,
+        headers,
+        timeout: this.timeout,
+        signal,
+      }).catch((err) => {
+        throw fromAxiosError(err);
+      })
+    ).then(({ data }) => data);
 
     // Use callback if given.
-    if (cb instanceof Function) {
-      promise.then(cb.bind(null, null)).catch(cb);
+    if (sanitizedCb instanceof Function) {
+      promise.then(sanitizedCb.bind(null, null)).catch(sanitizedCb);
       return;
     }
 
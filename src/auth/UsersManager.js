@@ -1,6 +1,10 @@
 const axios = require('axios');
 
 const { ArgumentError } = require('rest-facade');
+const { sanitizeArguments } = require('../utils');
+const { withAbortSignal } = require('../abort');
+const { fromAxiosError } = require('../errors');
+const { getEndpoints } = require('./discovery');
 
 /**
  * Provides methods for getting user information and impersonating users.
@@ -9,8 +13,10 @@ class UsersManager {
   /**
    * @param  {object}   options               Manager options.
    * @param  {string}   options.baseUrl       The auth0 account URL.
+   * @param  {object}   [options.endpoints]   Endpoint URLs. Defaults to the endpoints of `baseUrl`.
    * @param  {string}   [options.headers]     Default request headers.
    * @param  {string}   [options.clientId]    Default client ID.
+   * @param  {number}   [options.timeout]     Request timeout in milliseconds.
    */
   constructor(options) {
     if (typeof options !== 'object') {
@@ -22,8 +28,10 @@ class UsersManager {
     }
 
     this.baseUrl = options.baseUrl;
+    this.endpoints = options.endpoints || getEndpoints(options.baseUrl);
     this.headers = options.headers;
     this.clientId = options.clientId;
+    this.timeout = options.timeout;
   }
 
   /**
@@ -43,11 +51,15 @@ class UsersManager {
    *   console.log(userInfo);
    * });
    * @param   {string}    accessToken   User access token.
+   * @param   {object}    [options]           Additional options.
+   * @param   {AbortSignal} [options.signal]  Signal used to abort the request.
    * @param   {Function}  [cb]          Callback function.
    * @returns  {Promise|undefined}
    */
-  getInfo(accessToken, cb) {
-    const url = `${this.baseUrl}/userinfo`;
+  getInfo(accessToken, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+    const { signal } = sanitizedOptions || {};
+    const url = this.endpoints.userinfo;
     const headers = { ...this.headers };
 
     if (accessToken === null || accessToken === undefined) {
@@ -62,15 +74,21 @@ class UsersManager {
     headers['Authorization'] = `Bearer ${accessToken}`;
 
     // Perform the request.
-    const promise = axios({
-      method: 'GET',
-      url,
-      headers,
-    }).then(({ data }) => data);
+    const promise = withAbortSignal(signal, () =>
+      axios({
+        method: 'GET',
+        url,
+        headers,
+        timeout: this.timeout,
+        signal,
+      }).catch((err) => {
+        throw fromAxiosError(err);
+      })
+    ).then(({ data }) => data);
 
     // Use callback if given.
-    if (cb instanceof Function) {
-      promise.then(cb.bind(null, null)).catch(cb);
+    if (sanitizedCb instanceof Function) {
+      promise.then(sanitizedCb.bind(null, null)).catch(sanitizedCb);
       return;
     }
 
@@ -146,7 +164,12 @@ class UsersManager {
       headers,
       data,
       url,
-    }).then(({ data }) => data);
+      timeout: this.timeout,
+    })
+      .then(({ data }) => data)
+      .catch((err) => {
+        throw fromAxiosError(err);
+      });
 
     // Use callback if given.
     if (cb instanceof Function) {
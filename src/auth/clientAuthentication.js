@@ -36,6 +36,8 @@ const createClientAssertionJWT = ({
  * Adds client authentication, if available, to the payload of the following requests:
  * - /oauth/token
  * - /oauth/revoke
+ * - /oauth/par
+ * - /bc-authorize
  * - /mfa/associate
  * - /mfa/challenge
  * - /passwordless/start
@@ -0,0 +1,110 @@
+const axios = require('axios');
+const { ArgumentError } = require('rest-facade');
+const { fromAxiosError } = require('../errors');
+
+const DISCOVERY_PATH = '/.well-known/openid-configuration';
+
+// Pending or loaded configurations, by discovery URL.
+const cache = new Map();
+
+const trimTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+/**
+ * Check an OpenID Provider configuration has the metadata the SDK cannot default.
+ *
+ * @param {object} configuration OpenID Provider configuration.
+ * @returns {object} The configuration, or throws an exception if it is invalid.
+ */
+const validate = function (configuration) {
+  if (!configuration || typeof configuration !== 'object') {
+    throw new ArgumentError('The OpenID configuration must be an object');
+  }
+
+  ['issuer', 'jwks_uri'].forEach((name) => {
+    if (typeof configuration[name] !== 'string' || configuration[name].length === 0) {
+      throw new ArgumentError(`The OpenID configuration must include the ${name}`);
+    }
+  });
+
+  return configuration;
+};
+
+/**
+ * Load the OpenID Provider configuration published at `/.well-known/openid-configuration`.
+ * Configurations are cached by URL and concurrent calls share the same request, failed
+ * requests are not cached.
+ *
+ * @param {string} issuerBaseUrl Base URL of the issuer, e.g. `https://{YOUR_ACCOUNT}.auth0.com`.
+ * @param {object} [options] Request options.
+ * @param {object} [options.headers] Additional headers of the request.
+ * @param {number} [options.timeout] Timeout of the request, in milliseconds.
+ * @returns {Promise} Promise returning the configuration.
+ */
+const getConfiguration = function (issuerBaseUrl, options) {
+  const { headers, timeout } = options || {};
+  const url = `${trimTrailingSlash(issuerBaseUrl)}${DISCOVERY_PATH}`;
+
+  if (!cache.has(url)) {
+    const promise = axios({ method: 'GET', url, headers, timeout })
+      .catch((err) => {
+        throw fromAxiosError(err);
+      })
+      .then(({ data }) => {
+        validate(data);
+
+        if (trimTrailingSlash(data.issuer) !== trimTrailingSlash(issuerBaseUrl)) {
+          throw new ArgumentError(
+            `The OpenID configuration issuer "${data.issuer}" does not match "${issuerBaseUrl}"`
+          );
+        }
+
+        return data;
+      });
+
+    promise.catch(() => cache.delete(url));
+    cache.set(url, promise);
+  }
+
+  return cache.get(url);
+};
+
+/**
+ * Forget the loaded configurations, e.g. after the signing keys or endpoints of an issuer changed.
+ */
+const clearCache = function () {
+  cache.clear();
+};
+
+/**
+ * Get the endpoints used by the SDK, from the OpenID Provider configuration when given and
+ * defaulting to the Auth0 endpoints of the base URL.
+ *
+ * @param {string} baseUrl Base URL of the issuer.
+ * @param {object} [configuration] OpenID Provider configuration.
+ * @returns {object} The endpoint URLs.
+ */
+const getEndpoints = function (baseUrl, configuration) {
+  const metadata = configuration || {};
+
+  return {
+    authorization: metadata.authorization_endpoint || `${baseUrl}/authorize`,
+    token: metadata.token_endpoint || `${baseUrl}/oauth/token`,
+    userinfo: metadata.userinfo_endpoint || `${baseUrl}/userinfo`,
+    revocation: metadata.revocation_endpoint || `${baseUrl}/oauth/revoke`,
+    deviceAuthorization: metadata.device_authorization_endpoint || `${baseUrl}/oauth/device/code`,
+    pushedAuthorizationRequest:
+      metadata.pushed_authorization_request_endpoint || `${baseUrl}/oauth/par`,
+    backchannelAuthentication:
+      metadata.backchannel_authentication_endpoint || `${baseUrl}/bc-authorize`,
+    endSession: metadata.end_session_endpoint || `${baseUrl}/oidc/logout`,
+    jwks: metadata.jwks_uri || `${baseUrl}/.well-known/jwks.json`,
+  };
+};
+
+module.exports = {
+  DISCOVERY_PATH,
+  validate,
+  getConfiguration,
+  clearCache,
+  getEndpoints,
+};
@@ -1,3 +1,5 @@
+const { IdTokenValidationError } = require('../errors');
+
 const urlDecodeB64 = function (data) {
   return Buffer.from(data, 'base64').toString('utf8');
 };
@@ -12,7 +14,7 @@ const decode = function (token) {
   const parts = token.split('.');
 
   if (parts.length !== 3) {
-    throw new Error('ID token could not be decoded');
+    throw new IdTokenValidationError('ID token could not be decoded');
   }
 
   return {
@@ -25,25 +27,67 @@ const decode = function (token) {
 
 const DEFAULT_LEEWAY = 60; //default clock-skew, in seconds
 
+const DEFAULT_ALGORITHMS = ['RS256', 'HS256'];
+
+// Algorithms of the keys in the JWKS of the tenant; HS256 ID tokens are signed with the client secret.
+const ASYMMETRIC_ALGORITHMS = {
+  RS256: ['rsa'],
+  RS384: ['rsa'],
+  RS512: ['rsa'],
+  PS256: ['rsa', 'rsa-pss'],
+  PS384: ['rsa', 'rsa-pss'],
+  PS512: ['rsa', 'rsa-pss'],
+  ES256: ['ec'],
+  ES384: ['ec'],
+  ES512: ['ec'],
+};
+
+const SUPPORTED_ALGORITHMS = [...Object.keys(ASYMMETRIC_ALGORITHMS), 'HS256'];
+
+const quoteList = (values) => {
+  const quoted = values.map((value) => `"${value}"`);
+  return quoted.length > 1
+    ? `${quoted.slice(0, -1).join(', ')} or ${quoted[quoted.length - 1]}`
+    : quoted.join('');
+};
+
+/**
+ * Get the key types that can verify a signature algorithm, as the `asymmetricKeyType` of a
+ * Node.js KeyObject.
+ *
+ * @param {string} alg signature algorithm, e.g. `ES256`
+ * @returns {string[]} The key types, empty for symmetric or unknown algorithms
+ */
+const getKeyTypes = function (alg) {
+  return ASYMMETRIC_ALGORITHMS[alg] || [];
+};
+
 /**
  * Validator for ID Tokens following OIDC spec.
  *
  * @param {string} token the string token to verify
  * @param {object} options the options required to run this verification
+ * @param {string[]} [options.algorithms] accepted signature algorithms, defaults to RS256 and HS256
+ * @param {number} [options.leeway] clock skew, in seconds
+ * @param {Function} [options.clock] function returning the current time in milliseconds, defaults to `Date.now`
  * @returns {object} The decoded token payload, or throws an exception if validation failed
  */
 const validate = function (token, options) {
   if (!token) {
-    throw new Error('ID token is required but missing');
+    throw new IdTokenValidationError('ID token is required but missing');
   }
 
   const decodedToken = decode(token);
 
   // Check algorithm
   const { header } = decodedToken;
-  if (header.alg !== 'RS256' && header.alg !== 'HS256') {
-    throw new Error(
-      `Signature algorithm of "${header.alg}" is not supported. Expected the ID token to be signed with "RS256" or "HS256".`
+  const { algorithms: expected = DEFAULT_ALGORITHMS } = options || {};
+  const algorithms = expected.filter((alg) => SUPPORTED_ALGORITHMS.includes(alg));
+  if (!algorithms.includes(header.alg)) {
+    throw new IdTokenValidationError(
+      `Signature algorithm of "${
+        header.alg
+      }" is not supported. Expected the ID token to be signed with ${quoteList(algorithms)}.`
     );
   }
 
@@ -51,33 +95,35 @@ const validate = function (token, options) {
 
   // Issuer
   if (!payload.iss || typeof payload.iss !== 'string') {
-    throw new Error('Issuer (iss) claim must be a string present in the ID token');
+    throw new IdTokenValidationError('Issuer (iss) claim must be a string present in the ID token');
   }
   if (payload.iss !== options.issuer) {
-    throw new Error(
+    throw new IdTokenValidationError(
       `Issuer (iss) claim mismatch in the ID token; expected "${options.issuer}", found "${payload.iss}"`
     );
   }
 
   // Subject
   if (!payload.sub || typeof payload.sub !== 'string') {
-    throw new Error('Subject (sub) claim must be a string present in the ID token');
+    throw new IdTokenValidationError(
+      'Subject (sub) claim must be a string present in the ID token'
+    );
   }
 
   // Audience
   if (!payload.aud || !(typeof payload.aud === 'string' || Array.isArray(payload.aud))) {
-    throw new Error(
+    throw new IdTokenValidationError(
       'Audience (aud) claim must be a string or array of strings present in the ID token'
     );
   }
   if (Array.isArray(payload.aud) && !payload.aud.includes(options.audience)) {
-    throw new Error(
+    throw new IdTokenValidationError(
       `Audience (aud) claim mismatch in the ID token; expected "${
         options.audience
       }" but was not one of "${payload.aud.join(', ')}"`
     );
   } else if (typeof payload.aud === 'string' && payload.aud !== options.audience) {
-    throw new Error(
+    throw new IdTokenValidationError(
       `Audience (aud) claim mismatch in the ID token; expected "${options.audience}" but found "${payload.aud}"`
     );
   }
@@ -86,23 +132,25 @@ const validate = function (token, options) {
   if (options.organization) {
     if (options.organization.indexOf('org_') === 0) {
       if (!payload.org_id || typeof payload.org_id !== 'string') {
-        throw new Error('Organization Id (org_id) claim must be a string present in the ID token');
+        throw new IdTokenValidationError(
+          'Organization Id (org_id) claim must be a string present in the ID token'
+        );
       }
 
       if (payload.org_id !== options.organization) {
-        throw new Error(
+        throw new IdTokenValidationError(
           `Organization Id (org_id) claim value mismatch in the ID token; expected "${options.organization}", found "${payload.org_id}"'`
         );
       }
     } else {
       if (!payload.org_name || typeof payload.org_name !== 'string') {
-        throw new Error(
+        throw new IdTokenValidationError(
           'Organization Name (org_name) claim must be a string present in the ID token'
         );
       }
 
       if (payload.org_name !== options.organization.toLowerCase()) {
-        throw new Error(
+        throw new IdTokenValidationError(
           `Organization Name (org_name) claim value mismatch in the ID token; expected "${options.organization}", found "${payload.org_name}"'`
         );
       }
@@ -110,33 +158,39 @@ const validate = function (token, options) {
   }
 
   // --Time validation (epoch)--
-  const now = Math.floor(Date.now() / 1000);
-  const leeway = options.leeway || DEFAULT_LEEWAY;
+  const now = Math.floor((options.clock ? options.clock() : Date.now()) / 1000);
+  const leeway = typeof options.leeway === 'number' ? options.leeway : DEFAULT_LEEWAY;
 
   // Expires at
   if (!payload.exp || typeof payload.exp !== 'number') {
-    throw new Error('Expiration Time (exp) claim must be a number present in the ID token');
+    throw new IdTokenValidationError(
+      'Expiration Time (exp) claim must be a number present in the ID token'
+    );
   }
   const expTime = payload.exp + leeway;
 
   if (now > expTime) {
-    throw new Error(
+    throw new IdTokenValidationError(
       `Expiration Time (exp) claim error in the ID token; current time (${now}) is after expiration time (${expTime})`
     );
   }
 
   // Issued at
   if (!payload.iat || typeof payload.iat !== 'number') {
-    throw new Error('Issued At (iat) claim must be a number present in the ID token');
+    throw new IdTokenValidationError(
+      'Issued At (iat) claim must be a number present in the ID token'
+    );
   }
 
   // Nonce
   if (options.nonce) {
     if (!payload.nonce || typeof payload.nonce !== 'string') {
-      throw new Error('Nonce (nonce) claim must be a string present in the ID token');
+      throw new IdTokenValidationError(
+        'Nonce (nonce) claim must be a string present in the ID token'
+      );
     }
     if (payload.nonce !== options.nonce) {
-      throw new Error(
+      throw new IdTokenValidationError(
         `Nonce (nonce) claim mismatch in the ID token; expected "${options.nonce}", found "${payload.nonce}"`
       );
     }
@@ -145,12 +199,12 @@ const validate = function (token, options) {
   // Authorized party
   if (Array.isArray(payload.aud) && payload.aud.length > 1) {
     if (!payload.azp || typeof payload.azp !== 'string') {
-      throw new Error(
+      throw new IdTokenValidationError(
         'Authorized Party (azp) claim must be a string present in the ID token when Audience (aud) claim has multiple values'
       );
     }
     if (payload.azp !== options.audience) {
-      throw new Error(
+      throw new IdTokenValidationError(
         `Authorized Party (azp) claim mismatch in the ID token; expected "${options.audience}", found "${payload.azp}"`
       );
     }
@@ -159,14 +213,14 @@ const validate = function (token, options) {
   // Authentication time
   if (options.maxAge) {
     if (!payload.auth_time || typeof payload.auth_time !== 'number') {
-      throw new Error(
+      throw new IdTokenValidationError(
         'Authentication Time (auth_time) claim must be a number present in the ID token when Max Age (max_age) is specified'
       );
     }
 
     const authValidUntil = payload.auth_time + options.maxAge + leeway;
     if (now > authValidUntil) {
-      throw new Error(
+      throw new IdTokenValidationError(
         `Authentication Time (auth_time) claim in the ID token indicates that too much time has passed since the last end-user authentication. Currrent time (${now}) is after last auth at ${authValidUntil}`
       );
     }
@@ -176,6 +230,8 @@ const validate = function (token, options) {
 };
 
 module.exports = {
+  SUPPORTED_ALGORITHMS,
+  getKeyTypes,
   decode,
   validate,
 };
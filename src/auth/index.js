@@ -7,10 +7,15 @@ const { ArgumentError } = require('rest-facade');
 const OAuthAuthenticator = require('./OAuthAuthenticator');
 const DatabaseAuthenticator = require('./DatabaseAuthenticator');
 const PasswordlessAuthenticator = require('./PasswordlessAuthenticator');
+const MfaAuthenticator = require('./MfaAuthenticator');
 
 // Managers
 const UsersManager = require('./UsersManager');
 const TokensManager = require('./TokensManager');
+const AccessTokenVerifier = require('./AccessTokenVerifier');
+const LogoutTokenVerifier = require('./LogoutTokenVerifier');
+const discovery = require('./discovery');
+const idToken = require('./idToken');
 
 const BASE_URL_FORMAT = 'https://%s';
 
@@ -35,24 +40,58 @@ class AuthenticationClient {
   /**
    * @param   {object}  options                           Options for the Authentication Client SDK.
    * @param   {string}  options.domain                    AuthenticationClient server domain.
+   * @param   {string}  [options.issuerBaseUrl]           Base URL of the server, e.g. `http://localhost:3000`. Defaults to `https://{domain}`.
+   * @param   {object}  [options.openidConfiguration]     OpenID Provider configuration, see `AuthenticationClient.discover`. The issuer, JWKS url, ID token algorithms and endpoints are taken from it.
    * @param   {string}  [options.clientId]                Default client ID.
    * @param   {string}  [options.clientSecret]            Default client Secret.
    * @param   {string}  [options.clientAssertionSigningKey] Private key used to sign the client assertion JWT.
    * @param   {string}  [options.clientAssertionSigningAlg] Default RS256
-   * @param   {string}  [options.supportedAlgorithms]     Algorithms that your application expects to receive
+   * @param   {string[]} [options.supportedAlgorithms]   Algorithms that your application expects to receive for ID and logout tokens, e.g. `['RS256', 'ES256']`. Defaults to HS256 and RS256.
    * @param  {boolean}  [options.__bypassIdTokenValidation] Whether the id_token should be validated or not
    * @param   {object}  [options.headers]                 Additional headers that will be added to the outgoing requests.
    * @param   {string}  [options.proxy]                   Add the `superagent-proxy` dependency and specify a proxy url eg 'https://myproxy.com:1234'
+   * @param   {number}  [options.timeout]                 Timeout in milliseconds for every request.
+   * @param   {string}  [options.audience]                Identifier of your API, the default audience of `verifyAccessToken`.
+   * @param   {object}  [options.logoutTokenReplayStore]  Store of the logout token IDs seen by `verifyLogoutToken`, implementing an atomic `add(key, value, ttl)`, see `LogoutTokenVerifier`. Defaults to an in-memory store.
+   * @param   {number}  [options.clockTolerance]          Clock skew accepted when validating the time claims of ID, access and logout tokens, in seconds.
+   * @param   {Function} [options.clock]                  Function returning the current time in milliseconds, used to validate tokens. Defaults to `Date.now`.
    */
   constructor(options) {
     if (!options || typeof options !== 'object') {
       throw new ArgumentError('Authentication Client SDK options must be an object');
     }
 
-    if (!options.domain || options.domain.length === 0) {
+    if ((!options.domain || options.domain.length === 0) && !options.issuerBaseUrl) {
       throw new ArgumentError('Must provide a domain');
     }
 
+    if (
+      options.clockTolerance !== undefined &&
+      (typeof options.clockTolerance !== 'number' || options.clockTolerance < 0)
+    ) {
+      throw new ArgumentError('clockTolerance must be a non-negative number of seconds');
+    }
+
+    if (options.clock !== undefined && typeof options.clock !== 'function') {
+      throw new ArgumentError('clock must be a function returning the time in milliseconds');
+    }
+
+    const configuration =
+      options.openidConfiguration && discovery.validate(options.openidConfiguration);
+    const baseUrl = options.issuerBaseUrl
+      ? options.issuerBaseUrl.replace(/\/+$/, '')
+      : util.format(BASE_URL_FORMAT, options.domain);
+    const domain = options.domain || new URL(baseUrl).host;
+    const endpoints = discovery.getEndpoints(baseUrl, configuration);
+    const issuer = configuration ? configuration.issuer : `${baseUrl}/`;
+    const supportedAlgorithms =
+      options.supportedAlgorithms ||
+      (configuration &&
+        configuration.id_token_signing_alg_values_supported &&
+        configuration.id_token_signing_alg_values_supported.filter((alg) =>
+          idToken.SUPPORTED_ALGORITHMS.includes(alg)
+        ));
+
     const defaultHeaders = {
       'User-Agent': `node.js/${process.version.replace('v', '')}`,
       'Content-Type': 'application/json',
@@ -60,15 +99,21 @@ class AuthenticationClient {
 
     const managerOptions = {
       clientId: options.clientId,
-      domain: options.domain,
+      domain,
+      issuer,
+      endpoints,
       clientSecret: options.clientSecret,
       clientAssertionSigningKey: options.clientAssertionSigningKey,
       clientAssertionSigningAlg: options.clientAssertionSigningAlg,
       headers: Object.assign(defaultHeaders, options.headers || {}),
-      baseUrl: util.format(BASE_URL_FORMAT, options.domain),
-      supportedAlgorithms: options.supportedAlgorithms,
+      baseUrl,
+      supportedAlgorithms,
       __bypassIdTokenValidation: options.__bypassIdTokenValidation,
       proxy: options.proxy,
+      timeout: options.timeout,
+      jwksClient: AccessTokenVerifier.createJwksClient(domain, endpoints.jwks),
+      clockTolerance: options.clockTolerance,
+      clock: options.clock,
     };
 
     if (options.telemetry !== false) {
@@ -79,6 +124,12 @@ class AuthenticationClient {
       }
     }
 
+    this.baseUrl = baseUrl;
+    this.issuer = issuer;
+    this.endpoints = endpoints;
+    this.openidConfiguration = configuration;
+    this.clientId = options.clientId;
+
     /**
      * OAuth authenticator.
      *
@@ -100,6 +151,13 @@ class AuthenticationClient {
      */
     this.passwordless = new PasswordlessAuthenticator(managerOptions, this.oauth);
 
+    /**
+     * MFA authenticator.
+     *
+     * @type {MfaAuthenticator}
+     */
+    this.mfa = new MfaAuthenticator(managerOptions, this.oauth);
+
     /**
      * Users manager.
      *
@@ -113,6 +171,79 @@ class AuthenticationClient {
      * @type {TokensManager}
      */
     this.tokens = new TokensManager(managerOptions);
+
+    /**
+     * Access token verifier.
+     *
+     * @type {AccessTokenVerifier}
+     */
+    this.accessTokenVerifier = new AccessTokenVerifier({
+      domain,
+      issuer,
+      audience: options.audience,
+      jwksClient: managerOptions.jwksClient,
+      clockTolerance: options.clockTolerance,
+      clock: options.clock,
+    });
+
+    /**
+     * Back-channel logout token verifier.
+     *
+     * @type {LogoutTokenVerifier}
+     */
+    this.logoutTokenVerifier = new LogoutTokenVerifier({
+      domain,
+      issuer,
+      clientId: options.clientId,
+      clientSecret: options.clientSecret,
+      algorithms: supportedAlgorithms,
+      jwksClient: managerOptions.jwksClient,
+      replayStore: options.logoutTokenReplayStore,
+      clockTolerance: options.clockTolerance,
+      clock: options.clock,
+    });
+  }
+
+  /**
+   * Create an Authentication Client configured from the OpenID Provider configuration of the
+   * server, published at `/.well-known/openid-configuration`. Use it with custom domains or any
+   * server that does not use the default Auth0 URLs.
+   *
+   * @example <caption>
+   *   The configuration is loaded once and cached, the clients created later for the same server
+   *   reuse it.
+   * </caption>
+   *
+   * AuthenticationClient.discover({
+   *   issuerBaseUrl: 'https://login.example.com',
+   *   clientId: '{CLIENT_ID}'
+   * }).then(function (auth0) {
+   *   console.log(auth0.openidConfiguration.token_endpoint);
+   * });
+   * @param   {object}    options     Options of the Authentication Client, the `issuerBaseUrl` or `domain` is used to load the configuration.
+   * @param   {Function}  [cb]        Method callback.
+   * @returns {Promise|undefined} Promise returning the Authentication Client.
+   */
+  static discover(options, cb) {
+    if (!options || typeof options !== 'object') {
+      throw new ArgumentError('Authentication Client SDK options must be an object');
+    }
+
+    if ((!options.domain || options.domain.length === 0) && !options.issuerBaseUrl) {
+      throw new ArgumentError('Must provide a domain');
+    }
+
+    const issuerBaseUrl = options.issuerBaseUrl || util.format(BASE_URL_FORMAT, options.domain);
+    const promise = discovery
+      .getConfiguration(issuerBaseUrl, { headers: options.headers, timeout: options.timeout })
+      .then((openidConfiguration) => new AuthenticationClient({ ...options, openidConfiguration }));
+
+    if (cb instanceof Function) {
+      promise.then(cb.bind(null, null)).catch(cb);
+      return;
+    }
+
+    return promise;
   }
 
   /**
@@ -488,7 +619,7 @@ class AuthenticationClient {
    *
    *   console.log(response);
    * });
-   * @param     {object}  options
+   * @param     {object}  options Options of the client credentials grant.
    * @param     {string}  [options.scope] scopes to request to be added to the returned access token
    * @param     {string}  [options.audience] audience or identifier of the API where the access token will be used, e.g. Auth0 Management API
    * @returns    {Promise|undefined}
@@ -568,6 +699,139 @@ class AuthenticationClient {
   refreshToken(...args) {
     return this.oauth.refreshToken(...args);
   }
+
+  /**
+   * Verify an access token issued for your API: its signature using the signing keys of the tenant,
+   * its issuer, audience and expiration, and optionally its scopes and permissions.
+   *
+   * @example <caption>
+   *   Failures are reported as an AccessTokenValidationError with the reason as `errorCode`,
+   *   e.g. `token_expired`, `invalid_audience` or `insufficient_scope`.
+   * </caption>
+   *
+   * auth0.verifyAccessToken(accessToken, {
+   *   audience: 'https://api.example.com',
+   *   requiredScopes: 'read:messages'
+   * }, function (err, payload) {
+   *   if (err) {
+   *     // Handle error.
+   *   }
+   *
+   *   console.log(payload.sub);
+   * });
+   * @param   {string}    accessToken                         Access token, without the `Bearer` prefix.
+   * @param   {object}    [options]                           Verification options.
+   * @param   {string|string[]} [options.audience]            Expected audience. Defaults to the `audience` of the client.
+   * @param   {string}    [options.issuer]                    Expected issuer. Defaults to `https://{domain}/`.
+   * @param   {string[]}  [options.algorithms]                Accepted signing algorithms. Defaults to `['RS256']`.
+   * @param   {string|string[]} [options.requiredScopes]      Scopes that must all be granted.
+   * @param   {string|string[]} [options.requiredPermissions] Permissions that must all be granted.
+   * @param   {Function}  [cb]                                Method callback.
+   * @returns  {Promise|undefined}
+   */
+  verifyAccessToken(...args) {
+    return this.accessTokenVerifier.verify(...args);
+  }
+
+  /**
+   * Verify a logout token sent to the back-channel logout URI of your application: its signature,
+   * issuer, audience, expiration and back-channel logout claims, and that it was not replayed.
+   *
+   * @example <caption>
+   *   Failures are reported as a LogoutTokenValidationError, answer them with a 400 response.
+   * </caption>
+   *
+   * app.post('/backchannel-logout', express.urlencoded({ extended: false }), async (req, res) => {
+   *   const { sub, sid } = await auth0.verifyLogoutToken(req.body.logout_token);
+   *   // End the sessions of the user (sub) or the session (sid).
+   *   res.sendStatus(200);
+   * });
+   * @param   {string}    logoutToken   The `logout_token` parameter of the request.
+   * @param   {Function}  [cb]          Method callback.
+   * @returns  {Promise|undefined}
+   */
+  verifyLogoutToken(...args) {
+    return this.logoutTokenVerifier.verify(...args);
+  }
+
+  /**
+   * Build the `/v2/logout` URL ending the Auth0 session of the user.
+   *
+   * @example <caption>
+   *   The `returnTo` URL must be in the Allowed Logout URLs of the application, or of the tenant
+   *   when no client ID is given.
+   *   More information in the
+   *   <a href="https://auth0.com/docs/api/authentication#logout">
+   *     API Docs
+   *   </a>.
+   * </caption>
+   *
+   * res.redirect(auth0.buildLogoutUrl({ returnTo: 'https://myapp.com' }));
+   * @param   {object}    [options]               Logout parameters.
+   * @param   {string}    [options.returnTo]      URL to redirect the user to after the logout.
+   * @param   {string}    [options.client_id]     Client ID, defaults to the client ID of the client.
+   * @param   {boolean}   [options.federated]     Whether to also log the user out of their identity provider.
+   * @returns {string}
+   */
+  buildLogoutUrl(options) {
+    if (options !== undefined && (!options || typeof options !== 'object')) {
+      throw new ArgumentError('The logout options must be an object');
+    }
+
+    const { federated, ...params } = options || {};
+
+    return utils.buildUrl(`${this.baseUrl}/v2/logout`, '', {
+      client_id: this.clientId,
+      ...params,
+      federated: federated ? '' : undefined,
+    });
+  }
+
+  /**
+   * Build the OIDC `/oidc/logout` URL for RP-initiated logout.
+   *
+   * @example <caption>
+   *   Pass the ID token of the user as `id_token_hint`. The `post_logout_redirect_uri` must be
+   *   in the Allowed Logout URLs of the application.
+   *   More information in the
+   *   <a href="https://auth0.com/docs/authenticate/login/logout/log-users-out-of-auth0">
+   *     Docs
+   *   </a>.
+   * </caption>
+   *
+   * res.redirect(auth0.buildOidcLogoutUrl({
+   *   id_token_hint: idToken,
+   *   post_logout_redirect_uri: 'https://myapp.com'
+   * }));
+   * @param   {object}    [options]                           Logout parameters, any other parameter is added to the URL.
+   * @param   {string}    [options.id_token_hint]             ID token of the user.
+   * @param   {string}    [options.post_logout_redirect_uri]  URL to redirect the user to after the logout.
+   * @param   {string}    [options.state]                     Value passed back to the redirect URL.
+   * @param   {string}    [options.logout_hint]               Session ID of the user to log out.
+   * @param   {string}    [options.client_id]                 Client ID, defaults to the client ID of the client.
+   * @param   {boolean}   [options.federated]                 Whether to also log the user out of their identity provider.
+   * @returns {string}
+   */
+  buildOidcLogoutUrl(options) {
+    if (options !== undefined && (!options || typeof options !== 'object')) {
+      throw new ArgumentError('The logout options must be an object');
+    }
+
+    const { federated, ...params } = options || {};
+    const query = {
+      client_id: this.clientId,
+      ...params,
+      federated: federated ? '' : undefined,
+    };
+
+    if (query.post_logout_redirect_uri && !query.id_token_hint && !query.client_id) {
+      throw new ArgumentError(
+        'id_token_hint or client_id field is required with a post_logout_redirect_uri'
+      );
+    }
+
+    return utils.buildUrl(this.endpoints.endSession, '', query);
+  }
 }
 
 module.exports = AuthenticationClient;
@@ -0,0 +1,118 @@
+const { LogoutTokenValidationError } = require('../errors');
+
+const BACKCHANNEL_LOGOUT_EVENT = 'http://schemas.openid.net/event/backchannel-logout';
+
+const DEFAULT_LEEWAY = 60; //default clock-skew, in seconds
+
+const isString = (value) => typeof value === 'string' && value.length > 0;
+
+/**
+ * Validator for Logout Tokens following the OIDC Back-Channel Logout spec.
+ * The signature is not checked here, see LogoutTokenVerifier.
+ *
+ * @param {object} payload the decoded payload of the logout token
+ * @param {object} options the options required to run this verification
+ * @param {string} options.issuer expected issuer
+ * @param {string} options.audience expected audience, the client ID
+ * @param {number} [options.leeway] clock skew, in seconds
+ * @param {Function} [options.clock] function returning the current time in milliseconds, defaults to `Date.now`
+ * @returns {object} The payload, or throws an exception if validation failed
+ */
+const validate = function (payload, options) {
+  if (!payload || typeof payload !== 'object') {
+    throw new LogoutTokenValidationError('Logout token could not be decoded');
+  }
+
+  // Issuer
+  if (!isString(payload.iss)) {
+    throw new LogoutTokenValidationError(
+      'Issuer (iss) claim must be a string present in the logout token'
+    );
+  }
+  if (payload.iss !== options.issuer) {
+    throw new LogoutTokenValidationError(
+      `Issuer (iss) claim mismatch in the logout token; expected "${options.issuer}", found "${payload.iss}"`
+    );
+  }
+
+  // Audience
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.every(isString)) {
+    throw new LogoutTokenValidationError(
+      'Audience (aud) claim must be a string or array of strings present in the logout token'
+    );
+  }
+  if (!audiences.includes(options.audience)) {
+    throw new LogoutTokenValidationError(
+      `Audience (aud) claim mismatch in the logout token; expected "${
+        options.audience
+      }" but was not one of "${audiences.join(', ')}"`
+    );
+  }
+
+  // --Time validation (epoch)--
+  const now = Math.floor((options.clock ? options.clock() : Date.now()) / 1000);
+  const leeway = typeof options.leeway === 'number' ? options.leeway : DEFAULT_LEEWAY;
+
+  // Issued at
+  if (typeof payload.iat !== 'number') {
+    throw new LogoutTokenValidationError(
+      'Issued At (iat) claim must be a number present in the logout token'
+    );
+  }
+
+  // Expires at
+  if (typeof payload.exp !== 'number') {
+    throw new LogoutTokenValidationError(
+      'Expiration Time (exp) claim must be a number present in the logout token'
+    );
+  }
+  if (now > payload.exp + leeway) {
+    throw new LogoutTokenValidationError(
+      `Expiration Time (exp) claim error in the logout token; current time (${now}) is after expiration time (${
+        payload.exp + leeway
+      })`
+    );
+  }
+
+  // JWT ID
+  if (!isString(payload.jti)) {
+    throw new LogoutTokenValidationError(
+      'JWT ID (jti) claim must be a string present in the logout token'
+    );
+  }
+
+  // Events
+  const { events } = payload;
+  if (
+    !events ||
+    typeof events !== 'object' ||
+    !events[BACKCHANNEL_LOGOUT_EVENT] ||
+    typeof events[BACKCHANNEL_LOGOUT_EVENT] !== 'object'
+  ) {
+    throw new LogoutTokenValidationError(
+      `Events (events) claim must be an object with a "${BACKCHANNEL_LOGOUT_EVENT}" member in the logout token`
+    );
+  }
+
+  // Subject and session
+  if (!isString(payload.sub) && !isString(payload.sid)) {
+    throw new LogoutTokenValidationError(
+      'Subject (sub) or Session ID (sid) claim must be a string present in the logout token'
+    );
+  }
+
+  // Nonce
+  if (payload.nonce !== undefined) {
+    throw new LogoutTokenValidationError(
+      'Nonce (nonce) claim must not be present in the logout token'
+    );
+  }
+
+  return payload;
+};
+
+module.exports = {
+  BACKCHANNEL_LOGOUT_EVENT,
+  validate,
+};
@@ -1,4 +1,5 @@
 const util = require('util');
+const { getRateLimit } = require('./utils');
 
 const errors = (module.exports = {});
 
@@ -35,9 +36,56 @@ errors.sanitizeErrorRequestData = function (error) {
   return error;
 };
 
+const getResponse = (originalError) => (originalError && originalError.response) || {};
+
+/**
+ * Path of the request url, without the query string.
+ *
+ * @param {string} url Request url
+ * @returns {string|undefined}
+ */
+const getPath = (url) => {
+  if (!url) {
+    return;
+  }
+
+  try {
+    return new URL(url).pathname;
+  } catch (e) {
+    return url.split('?')[0];
+  }
+};
+
+/**
+ * Machine readable error code of the response body, e.g. `inexistent_user` or `invalid_grant`,
+ * or the network error code when the request failed without a response.
+ *
+ * @param {object} originalError Original error
+ * @returns {string|undefined}
+ */
+const getErrorCode = (originalError) => {
+  const response = getResponse(originalError);
+  const body = response.body || response.data;
+
+  if (body && typeof body === 'object') {
+    if (body.errorCode) {
+      return body.errorCode;
+    }
+    // The Authentication API uses OAuth2 style `error` codes, the Management API the HTTP status text.
+    if (typeof body.error === 'string' && /^[a-z0-9_]+$/.test(body.error)) {
+      return body.error;
+    }
+  }
+
+  if (originalError && !originalError.response && typeof originalError.code === 'string') {
+    return originalError.code;
+  }
+};
+
 /**
  * Given an Api Error, modify the original error and sanitize
- * sensitive information using sanitizeErrorRequestData
+ * sensitive information using sanitizeErrorRequestData.
+ * The rate limit quota of the response, if any, is exposed as `rateLimit`.
  *
  * @param {string} name New error name
  * @param {string} message New error message
@@ -46,11 +94,18 @@ errors.sanitizeErrorRequestData = function (error) {
  * @param {any} originalError Original error to be attached on the error
  */
 const SanitizedError = function (name, message, status, requestInfo, originalError) {
+  const headers = getResponse(originalError).headers || {};
+
   this.name = name || this.constructor.name || this.constructor.prototype.name || '';
   this.message = message || '';
   this.statusCode = status || (originalError && originalError.code);
+  this.errorCode = getErrorCode(originalError);
   this.requestInfo = Object.assign({}, requestInfo);
+  this.requestId = headers['x-auth0-requestid'] || headers['x-request-id'];
+  this.method = this.requestInfo.method && this.requestInfo.method.toUpperCase();
+  this.path = getPath(this.requestInfo.url);
   this.originalError = errors.sanitizeErrorRequestData(originalError);
+  this.rateLimit = getRateLimit(headers);
 
   Error.captureStackTrace(this, this.constructor);
 };
@@ -58,3 +113,272 @@ const SanitizedError = function (name, message, status, requestInfo, originalErr
 util.inherits(SanitizedError, Error);
 
 errors.SanitizedError = SanitizedError;
+
+/**
+ * Define a SanitizedError subclass.
+ *
+ * @param {string} name Class name
+ * @param {Function} [Parent] Parent class, SanitizedError by default
+ * @returns {Function}
+ */
+const defineSanitizedError = function (name, Parent = SanitizedError) {
+  const ErrorClass = function (...args) {
+    Parent.apply(this, args);
+  };
+  Object.defineProperty(ErrorClass, 'name', { value: name });
+  util.inherits(ErrorClass, Parent);
+  return ErrorClass;
+};
+
+/**
+ * The request was rate limited (429), see `rateLimit` for the quota of the client.
+ */
+errors.RateLimitError = defineSanitizedError('RateLimitError');
+
+/**
+ * The access token or the client credentials are missing or invalid (401).
+ */
+errors.UnauthorizedError = defineSanitizedError('UnauthorizedError');
+
+/**
+ * The access token is missing the scopes required by the endpoint (403).
+ */
+errors.ForbiddenError = defineSanitizedError('ForbiddenError');
+
+/**
+ * The resource does not exist (404).
+ */
+errors.NotFoundError = defineSanitizedError('NotFoundError');
+
+/**
+ * The resource already exists or conflicts with another one (409).
+ */
+errors.ConflictError = defineSanitizedError('ConflictError');
+
+/**
+ * The request payload or parameters are invalid (400 or 422).
+ */
+errors.ValidationError = defineSanitizedError('ValidationError');
+
+/**
+ * The request failed without a response, e.g. the connection was reset.
+ */
+errors.NetworkError = defineSanitizedError('NetworkError');
+
+/**
+ * The request did not complete within the configured `timeout`.
+ */
+errors.TimeoutError = defineSanitizedError('TimeoutError', errors.NetworkError);
+
+const ERRORS_BY_STATUS = {
+  400: errors.ValidationError,
+  401: errors.UnauthorizedError,
+  403: errors.ForbiddenError,
+  404: errors.NotFoundError,
+  409: errors.ConflictError,
+  422: errors.ValidationError,
+  429: errors.RateLimitError,
+};
+
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+/**
+ * Create the SanitizedError subclass matching a failed request, e.g. a NotFoundError for a 404 response.
+ * It takes the SanitizedError arguments, so it can be used as the `errorCustomizer` of a rest client.
+ *
+ * @param {string} name Error name
+ * @param {string} message Error message
+ * @param {number} status Response status
+ * @param {any} requestInfo Request info to be attached on the error
+ * @param {any} originalError Original error to be attached on the error
+ * @returns {SanitizedError}
+ */
+errors.createSanitizedError = function (name, message, status, requestInfo, originalError) {
+  let ErrorClass = ERRORS_BY_STATUS[status] || SanitizedError;
+
+  if (!status && originalError) {
+    ErrorClass =
+      originalError.timeout || TIMEOUT_ERROR_CODES.includes(originalError.code)
+        ? errors.TimeoutError
+        : errors.NetworkError;
+  }
+
+  return new ErrorClass(name, message, status, requestInfo, originalError);
+};
+
+/**
+ * Redact the credentials sent in a failed axios request.
+ *
+ * @param {Error} error axios error
+ * @returns {Error}
+ */
+const sanitizeAxiosError = function (error) {
+  const { config, request } = error;
+
+  if (config) {
+    sanitizeErrors(config.headers);
+
+    if (typeof config.data === 'string') {
+      try {
+        const data = JSON.parse(config.data);
+        sanitizeErrors(data);
+        config.data = JSON.stringify(data);
+      } catch (e) {
+        // Not a JSON payload, e.g. multipart form data.
+      }
+    } else if (config.data && config.data.constructor === Object) {
+      sanitizeErrors(config.data);
+    }
+  }
+
+  if (request && typeof request._header === 'string') {
+    request._header = request._header.replace(/^(authorization:).*$/gim, '$1 [REDACTED]');
+  }
+
+  return error;
+};
+
+/**
+ * Convert the error of an axios request into the matching SanitizedError subclass.
+ *
+ * @param {Error} error axios error
+ * @param {string} [message] Error message, defaults to the message of the response body.
+ * @returns {SanitizedError}
+ */
+errors.fromAxiosError = function (error, message) {
+  const response = error.response || {};
+  const data = response.data && typeof response.data === 'object' ? response.data : {};
+  const config = error.config || {};
+  const requestInfo = {
+    method: config.method && config.method.toUpperCase(),
+    url: config.url,
+  };
+
+  return errors.createSanitizedError(
+    data.error || response.statusText,
+    message || data.error_description || data.message || error.message,
+    response.status,
+    requestInfo,
+    sanitizeAxiosError(error)
+  );
+};
+
+/**
+ * Error thrown when an ID token is invalid, e.g. expired or signed for another audience.
+ *
+ * @param {string} message Error message
+ * @param {Error} [originalError] Error of the underlying JWT library, if any.
+ */
+const IdTokenValidationError = function (message, originalError) {
+  this.name = 'IdTokenValidationError';
+  this.message = message || '';
+  this.originalError = originalError;
+
+  Error.captureStackTrace(this, this.constructor);
+};
+
+util.inherits(IdTokenValidationError, Error);
+
+errors.IdTokenValidationError = IdTokenValidationError;
+
+/**
+ * Error thrown when a back-channel logout token is invalid, e.g. signed for another audience,
+ * missing the logout event or replayed.
+ *
+ * @param {string} message Error message
+ * @param {Error} [originalError] Error of the underlying JWT or JWKS library, if any.
+ */
+const LogoutTokenValidationError = function (message, originalError) {
+  this.name = 'LogoutTokenValidationError';
+  this.message = message || '';
+  this.originalError = originalError;
+
+  Error.captureStackTrace(this, this.constructor);
+};
+
+util.inherits(LogoutTokenValidationError, Error);
+
+errors.LogoutTokenValidationError = LogoutTokenValidationError;
+
+/**
+ * Error thrown when an access token is rejected, e.g. expired, issued for another audience
+ * or missing a required scope. `errorCode` holds the reason of the failure, e.g. `token_expired`
+ * or `insufficient_scope`.
+ *
+ * @param {string} message Error message
+ * @param {string} errorCode Reason of the failure
+ * @param {Error} [originalError] Error of the underlying JWT or JWKS library, if any.
+ */
+const AccessTokenValidationError = function (message, errorCode, originalError) {
+  this.name = 'AccessTokenValidationError';
+  this.message = message || '';
+  this.errorCode = errorCode;
+  this.originalError = originalError;
+
+  Error.captureStackTrace(this, this.constructor);
+};
+
+util.inherits(AccessTokenValidationError, Error);
+
+errors.AccessTokenValidationError = AccessTokenValidationError;
+
+/**
+ * Error thrown when a request is cancelled through its AbortSignal.
+ *
+ * @param {string} [message] Error message
+ */
+const AbortError = function (message) {
+  this.name = 'AbortError';
+  this.message = message || 'The request was aborted';
+
+  Error.captureStackTrace(this, this.constructor);
+};
+
+util.inherits(AbortError, Error);
+
+errors.AbortError = AbortError;
+
+/**
+ * Error thrown when the authorization server redirects back with an error, when the
+ * callback does not match the transaction it was started with, or when a device code
+ * expires while polling. `errorCode` holds the `error` parameter of the callback, or
+ * `state_mismatch`, `missing_code` and `expired_token`.
+ *
+ * @param {string} message Error message
+ * @param {string} errorCode Reason of the failure
+ */
+const AuthorizationError = function (message, errorCode) {
+  this.name = 'AuthorizationError';
+  this.message = message || '';
+  this.errorCode = errorCode;
+
+  Error.captureStackTrace(this, this.constructor);
+};
+
+util.inherits(AuthorizationError, Error);
+
+errors.AuthorizationError = AuthorizationError;
+
+/**
+ * Error thrown when a job fails or does not complete in time. `errorCode` is `job_failed` or
+ * `job_timeout`, `job` holds the last state of the job and `errors` the failed rows reported by
+ * the job errors endpoint, if any.
+ *
+ * @param {string} message Error message
+ * @param {string} errorCode Reason of the failure
+ * @param {object} job Last state of the job
+ * @param {object[]} [jobErrors] Failed rows of the job
+ */
+const JobError = function (message, errorCode, job, jobErrors) {
+  this.name = 'JobError';
+  this.message = message || '';
+  this.errorCode = errorCode;
+  this.job = job;
+  this.errors = jobErrors;
+
+  Error.captureStackTrace(this, this.constructor);
+};
+
+util.inherits(JobError, Error);
+
+errors.JobError = JobError;
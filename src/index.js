@@ -5,7 +5,26 @@
  * {@link https://github.com/ngonzalvez/rest-facade}
  */
 
+const errors = require('./errors');
+
 module.exports = {
   ManagementClient: require('./management'),
   AuthenticationClient: require('./auth'),
+  middleware: require('./middleware'),
+  passwordHashes: require('./management/passwordHashes'),
+  SanitizedError: errors.SanitizedError,
+  RateLimitError: errors.RateLimitError,
+  UnauthorizedError: errors.UnauthorizedError,
+  ForbiddenError: errors.ForbiddenError,
+  NotFoundError: errors.NotFoundError,
+  ConflictError: errors.ConflictError,
+  ValidationError: errors.ValidationError,
+  NetworkError: errors.NetworkError,
+  TimeoutError: errors.TimeoutError,
+  IdTokenValidationError: errors.IdTokenValidationError,
+  LogoutTokenValidationError: errors.LogoutTokenValidationError,
+  AccessTokenValidationError: errors.AccessTokenValidationError,
+  AbortError: errors.AbortError,
+  AuthorizationError: errors.AuthorizationError,
+  JobError: errors.JobError,
 };
@@ -1,4 +1,44 @@
 import mod from './index.js';
 
-export const { ManagementClient, AuthenticationClient } = mod;
-export default { ManagementClient, AuthenticationClient };
+export const {
+  ManagementClient,
+  AuthenticationClient,
+  middleware,
+  passwordHashes,
+  SanitizedError,
+  RateLimitError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  NetworkError,
+  TimeoutError,
+  IdTokenValidationError,
+  LogoutTokenValidationError,
+  AccessTokenValidationError,
+  AbortError,
+  AuthorizationError,
+  JobError,
+} = mod;
+export default {
+  ManagementClient,
+  AuthenticationClient,
+  middleware,
+  passwordHashes,
+  SanitizedError,
+  RateLimitError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  NetworkError,
+  TimeoutError,
+  IdTokenValidationError,
+  LogoutTokenValidationError,
+  AccessTokenValidationError,
+  AbortError,
+  AuthorizationError,
+  JobError,
+};
@@ -183,6 +183,24 @@ class ActionsManager extends BaseManager {
     return this.resource.getAll(...args);
   }
 
+  /**
+   * Iterate over all actions.
+   *
+   * @example
+   * for await (const action of management.actions.iterate()) {
+   *   console.log(action.name);
+   * }
+   * @param   {object}    [params]            Actions parameters.
+   * @param   {number}    [params.per_page]   Number of results per page.
+   * @param   {number}    [params.page]       Page number to start from, zero indexed.
+   * @param   {string}    [params.triggerId]  The trigger ID of the actions to retrieve.
+   * @param   {string}    [params.actionName] The name of the actions to retrieve.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iterate(params) {
+    return this._paginate(this.resource, params, { key: 'actions' });
+  }
+
   /**
    * Get an Auth0 action.
    *
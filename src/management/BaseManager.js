@@ -2,6 +2,23 @@ const { ArgumentError } = require('rest-facade');
 const Auth0RestClient = require('../Auth0RestClient');
 const RetryRestClient = require('../RetryRestClient');
 
+const DEFAULT_PER_PAGE = 50;
+
+/**
+ * Extract the list of entities from a page returned by a list endpoint.
+ *
+ * @param {object|Array} body The response body.
+ * @param {string} key The property holding the entities when totals are included.
+ * @returns {Array}
+ */
+const getPageItems = (body, key) => {
+  if (Array.isArray(body)) {
+    return body;
+  }
+
+  return (body && body[key]) || [];
+};
+
 class BaseManager {
   constructor(options) {
     if (options === null || typeof options !== 'object') {
@@ -27,6 +44,7 @@ class BaseManager {
       proxy: options.proxy,
       query: { repeatParams: false },
       includeResponseHeaders: options.includeResponseHeaders,
+      timeout: options.timeout,
     };
 
     const usersAuth0RestClient = new Auth0RestClient(
@@ -36,6 +54,116 @@ class BaseManager {
     );
     return new RetryRestClient(usersAuth0RestClient, options.retry);
   }
+
+  /**
+   * Get the body of a rest client response, unwrapping the `{ data, headers }`
+   * payload when response headers are included.
+   *
+   * @param {object|Array} response The response of a rest client.
+   * @returns {object|Array}
+   */
+  _getData(response) {
+    return this._options.includeResponseHeaders ? response.data : response;
+  }
+
+  /**
+   * Fetch a single page from a list endpoint.
+   *
+   * @param {external:RestClient} resource The rest client of the list endpoint.
+   * @param {object} params The query parameters.
+   * @returns {Promise<object|Array>}
+   */
+  async _getPage(resource, params) {
+    return this._getData(await resource.getAll(params));
+  }
+
+  /**
+   * Lazily iterate over every entity of a paginated list endpoint.
+   *
+   * Checkpoint pagination (`from`/`take`) is used when the endpoint supports it,
+   * unless `page` or `per_page` are provided. Otherwise offset pagination is used,
+   * stopping at `maxResults` for endpoints that cap how deep offset pagination can go.
+   *
+   * @param {external:RestClient} resource                  The rest client of the list endpoint.
+   * @param {object}              [params]                  The query parameters.
+   * @param {object}              pagination                Pagination settings of the endpoint.
+   * @param {string}              pagination.key            Property holding the entities in the paginated response.
+   * @param {boolean}             [pagination.checkpoint]   Whether the endpoint supports `from`/`take` with a `next` token.
+   * @param {string}              [pagination.cursor]       Entity field used as the next `from` (endpoints without a `next` token). Only used when `params.from` is provided.
+   * @param {number}              [pagination.maxResults]   Maximum number of results reachable through offset pagination.
+   * @yields {object} The entities of every page.
+   */
+  async *_paginate(resource, params, pagination) {
+    const query = Object.assign({}, params);
+    const usesOffset = query.page !== undefined || query.per_page !== undefined;
+    const useCheckpoint =
+      (pagination.checkpoint && !usesOffset) ||
+      (pagination.cursor !== undefined && query.from !== undefined);
+
+    if (useCheckpoint) {
+      yield* this._paginateCheckpoint(resource, query, pagination);
+    } else {
+      yield* this._paginateOffset(resource, query, pagination);
+    }
+  }
+
+  async *_paginateOffset(resource, query, { key, maxResults }) {
+    const perPage = query.per_page || DEFAULT_PER_PAGE;
+    let page = query.page || 0;
+    let fetched = page * perPage;
+
+    while (!maxResults || fetched < maxResults) {
+      const body = await this._getPage(
+        resource,
+        Object.assign({}, query, { page, per_page: perPage, include_totals: true })
+      );
+      let items = getPageItems(body, key);
+
+      if (maxResults && fetched + items.length > maxResults) {
+        items = items.slice(0, maxResults - fetched);
+      }
+
+      yield* items;
+      fetched += items.length;
+
+      const total = body && typeof body.total === 'number' ? body.total : undefined;
+      if (items.length < perPage || (total !== undefined && fetched >= total)) {
+        return;
+      }
+
+      page++;
+    }
+  }
+
+  async *_paginateCheckpoint(resource, query, { key, cursor }) {
+    const take = query.take || DEFAULT_PER_PAGE;
+    let { from } = query;
+
+    for (;;) {
+      const pageQuery = Object.assign({}, query, { take });
+      delete pageQuery.include_totals;
+      if (from !== undefined) {
+        pageQuery.from = from;
+      }
+
+      const body = await this._getPage(resource, pageQuery);
+      const items = getPageItems(body, key);
+
+      yield* items;
+
+      if (cursor) {
+        if (items.length < take) {
+          return;
+        }
+        from = items[items.length - 1][cursor];
+      } else {
+        if (!items.length || !body.next) {
+          return;
+        }
+        from = body.next;
+      }
+    }
+  }
 }
 
 module.exports = BaseManager;
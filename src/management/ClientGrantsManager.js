@@ -72,6 +72,22 @@ class ClientGrantsManager extends BaseManager {
     return this.resource.getAll(...args);
   }
 
+  /**
+   * Iterate over all Auth0 Client Grants.
+   *
+   * @example
+   * for await (const grant of management.clientGrants.iterate()) {
+   *   console.log(grant.audience);
+   * }
+   * @param   {object}    [params]          Client Grants parameters.
+   * @param   {number}    [params.per_page] Number of results per page.
+   * @param   {number}    [params.page]     Page number to start from, zero indexed.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iterate(params) {
+    return this._paginate(this.resource, params, { key: 'client_grants' });
+  }
+
   /**
    * Update an Auth0 client grant.
    *
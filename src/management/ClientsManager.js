@@ -84,6 +84,22 @@ class ClientsManager extends BaseManager {
     return this.resource.getAll(...args);
   }
 
+  /**
+   * Iterate over all Auth0 clients.
+   *
+   * @example
+   * for await (const client of management.clients.iterate({ per_page: 100 })) {
+   *   console.log(client.name);
+   * }
+   * @param   {object}    [params]          Clients parameters.
+   * @param   {number}    [params.per_page] Number of results per page.
+   * @param   {number}    [params.page]     Page number to start from, zero indexed.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iterate(params) {
+    return this._paginate(this.resource, params, { key: 'clients' });
+  }
+
   /**
    * Get an Auth0 client.
    *
@@ -87,6 +87,26 @@ class ConnectionsManager extends BaseManager {
     return this.resource.getAll(...args);
   }
 
+  /**
+   * Iterate over all connections.
+   *
+   * @example
+   * for await (const connection of management.connections.iterate({ strategy: 'auth0' })) {
+   *   console.log(connection.name);
+   * }
+   * @param   {object}      [params]                Connections params.
+   * @param   {number}      [params.per_page]       Number of results per page.
+   * @param   {number}      [params.page]           Page number to start from, zero indexed.
+   * @param   {string[]}    [params.fields]         List of fields to include or exclude
+   * @param   {boolean}     [params.include_fields] true if the fields specified are to be included in the result, false otherwise. Default true
+   * @param   {string}      [params.strategy]       Provide strategies to only retrieve connections with such strategies
+   * @param   {string}      [params.name]           Provide the name of the connection to retrieve
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iterate(params) {
+    return this._paginate(this.resource, params, { key: 'connections' });
+  }
+
   /**
    * Get an Auth0 connection.
    *
@@ -54,6 +54,25 @@ class GrantsManager extends BaseManager {
     return this.resource.getAll(...args);
   }
 
+  /**
+   * Iterate over all grants.
+   *
+   * @example
+   * for await (const grant of management.grants.iterate({ user_id: USER_ID })) {
+   *   console.log(grant.clientID);
+   * }
+   * @param   {object}    [params]           Grants parameters.
+   * @param   {number}    [params.per_page]  Number of results per page.
+   * @param   {number}    [params.page]      Page number to start from, zero indexed.
+   * @param   {string}    [params.user_id]   The user_id of the grants to retrieve.
+   * @param   {string}    [params.client_id] The client_id of the grants to retrieve.
+   * @param   {string}    [params.audience]  The audience of the grants to retrieve.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iterate(params) {
+    return this._paginate(this.resource, params, { key: 'grants' });
+  }
+
   /**
    * Delete an Auth0 grant.
    *
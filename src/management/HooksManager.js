@@ -73,6 +73,22 @@ class HooksManager extends BaseManager {
     return this.resource.getAll(...args);
   }
 
+  /**
+   * Iterate over all hooks.
+   *
+   * @example
+   * for await (const hook of management.hooks.iterate()) {
+   *   console.log(hook.name);
+   * }
+   * @param   {object}    [params]          Hooks parameters.
+   * @param   {number}    [params.per_page] Number of results per page.
+   * @param   {number}    [params.page]     Page number to start from, zero indexed.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iterate(params) {
+    return this._paginate(this.resource, params, { key: 'hooks' });
+  }
+
   /**
    * Get an Auth0 hook.
    *
@@ -0,0 +1,90 @@
+const DEFAULT_MAX_ITEMS = 100;
+
+/**
+ * In-memory least recently used cache. This is the default token cache of the
+ * ManagementTokenProvider and a reference for custom cache adapters.
+ *
+ * A cache adapter is any object implementing `get(key)`, `set(key, value, ttl)` and `delete(key)`,
+ * where every method may return a Promise and `ttl` is expressed in milliseconds.
+ */
+class InMemoryTokenCache {
+  /**
+   * @param {object}  [options]                   Options for the InMemoryTokenCache.
+   * @param {number}  [options.max=100]           Maximum number of entries kept in memory.
+   */
+  constructor(options = {}) {
+    this.max = options.max || DEFAULT_MAX_ITEMS;
+    this.items = new Map();
+  }
+
+  /**
+   * Get a cached value.
+   *
+   * @param   {string}  key   Cache key.
+   * @returns {object|undefined} The cached value, or `undefined` when missing or expired.
+   */
+  get(key) {
+    const item = this.items.get(key);
+
+    if (!item) {
+      return undefined;
+    }
+
+    if (item.expiresAt !== undefined && item.expiresAt <= Date.now()) {
+      this.items.delete(key);
+      return undefined;
+    }
+
+    // Re-insert the item to mark it as the most recently used.
+    this.items.delete(key);
+    this.items.set(key, item);
+    return item.value;
+  }
+
+  /**
+   * Store a value in the cache.
+   *
+   * @param {string}  key     Cache key.
+   * @param {object}  value   Value to cache.
+   * @param {number}  [ttl]   Time to live in milliseconds. The value never expires when omitted.
+   */
+  set(key, value, ttl) {
+    this.items.delete(key);
+    this.items.set(key, {
+      value,
+      expiresAt: typeof ttl === 'number' ? Date.now() + ttl : undefined,
+    });
+
+    if (this.items.size > this.max) {
+      this.items.delete(this.items.keys().next().value);
+    }
+  }
+
+  /**
+   * Store a value unless the key is already cached, like `SET key value PX ttl NX` in Redis.
+   *
+   * @param   {string}  key     Cache key.
+   * @param   {object}  value   Value to cache.
+   * @param   {number}  [ttl]   Time to live in milliseconds. The value never expires when omitted.
+   * @returns {boolean} Whether the value was stored.
+   */
+  add(key, value, ttl) {
+    if (this.get(key) !== undefined) {
+      return false;
+    }
+
+    this.set(key, value, ttl);
+    return true;
+  }
+
+  /**
+   * Remove a value from the cache.
+   *
+   * @param {string}  key   Cache key.
+   */
+  delete(key) {
+    this.items.delete(key);
+  }
+}
+
+module.exports = InMemoryTokenCache;
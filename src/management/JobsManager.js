@@ -1,9 +1,19 @@
 const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
+const { Readable, pipeline } = require('stream');
+const zlib = require('zlib');
 
 const { ArgumentError } = require('rest-facade');
 const BaseManager = require('./BaseManager');
+const { sanitizeArguments, forEachConcurrently } = require('../utils');
+const { withAbortSignal, wait } = require('../abort');
+const { fromAxiosError, JobError, AbortError } = require('../errors');
+const usersExport = require('./usersExport');
+const usersImport = require('./usersImport');
+
+const DEFAULT_POLLING_INTERVAL = 2000;
+const DEFAULT_IMPORT_CONCURRENCY = 2;
 
 /**
  * Abstract the creation as well as the retrieval of async jobs.
@@ -96,22 +106,25 @@ class JobsManager extends BaseManager {
     const headers = { ...options.headers, ...form.getHeaders() };
     headers['Content-Type'] = 'multipart/form-data';
 
-    const promise = options.tokenProvider.getAccessToken().then(async (access_token) => {
+    const { signal } = data;
+    const promise = withAbortSignal(signal, async () => {
+      const access_token = await options.tokenProvider.getAccessToken();
       try {
         return await axios.post(url, form, {
           headers: { ...headers, Authorization: `Bearer ${access_token}` },
+          timeout: options.timeout,
+          signal,
         });
       } catch (err) {
         if (!err.response) {
-          throw err;
+          throw fromAxiosError(err);
         }
 
         const res = err.response;
         // `superagent` uses the error parameter in callback on http errors.
         // the following code is intended to keep that behaviour (https://github.com/visionmedia/superagent/blob/master/lib/node/response.js#L170)
-        const error = new Error(`${'cannot POST' + ' '}${url} (${res.status})`);
+        const error = fromAxiosError(err, `${'cannot POST' + ' '}${url} (${res.status})`);
         error.status = res.status;
-        error.method = 'POST';
         error.text = res.data.message || res.statusText || error.message;
         throw error;
       }
@@ -150,6 +163,7 @@ class JobsManager extends BaseManager {
    * @param   {string}    [data.users_json]             JSON data for the users.
    * @param   {boolean}   [data.upsert]                 Whether to update users if they already exist (true) or to ignore them (false).
    * @param   {boolean}   [data.send_completion_email]  Whether to send a completion email to all tenant owners when the job is finished (true) or not (false).
+   * @param   {AbortSignal} [data.signal]               Signal used to abort the upload.
    * @param   {Function}  [cb]                          Callback function.
    * @returns  {Promise|undefined}
    */
@@ -182,6 +196,7 @@ class JobsManager extends BaseManager {
    * @param   {string}    [data.users_json]             JSON data for the users.
    * @param   {boolean}   [data.upsert]                 Whether to update users if they already exist (true) or to ignore them (false).
    * @param   {boolean}   [data.send_completion_email]  Whether to send a completion email to all tenant owners when the job is finished (true) or not (false).
+   * @param   {AbortSignal} [data.signal]               Signal used to abort the upload.
    * @param   {Function}  [cb]                          Callback function.
    * @returns  {Promise|undefined}
    */
@@ -198,6 +213,183 @@ class JobsManager extends BaseManager {
     return promise;
   }
 
+  /**
+   * Import users with `importUsersJob` and wait for the job to complete.
+   *
+   * @example
+   * management.jobs.importUsersAndWait({
+   *   connection_id: '{CONNECTION_ID}',
+   *   users: '{PATH_TO_USERS_FILE}'
+   * }).then(function (job) {
+   *   console.log(job.summary);
+   * }).catch(function (err) {
+   *   // err.errors holds the users that failed to import.
+   * });
+   * @param   {object}    data                Users import data, see `importUsersJob`.
+   * @param   {object}    [options]           Polling options, see `waitForCompletion`. Defaults to the `signal` of the data.
+   * @param   {Function}  [cb]                Callback function.
+   * @returns  {Promise|undefined}
+   */
+  importUsersAndWait(data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+    const promise = this.importUsersJob(data).then((job) =>
+      this.waitForCompletion(job.id, { signal: data.signal, ...sanitizedOptions })
+    );
+
+    if (sanitizedCb instanceof Function) {
+      promise.then(sanitizedCb.bind(null, null)).catch(sanitizedCb);
+      return;
+    }
+
+    return promise;
+  }
+
+  /**
+   * Import any number of users: validate them against the bulk import schema, split the valid
+   * ones into import files under the 500KB limit of the API, run the import jobs with limited
+   * concurrency and wait for them to complete.
+   *
+   * Resolves with the results of all the chunks: the summed job `summary`, the `invalid` users
+   * that were not imported, the per user `errors` reported by the jobs and the `chunks` with
+   * their job or error. A failed chunk does not stop the import.
+   *
+   * @example
+   * const result = await management.jobs.importUsersInChunks({
+   *   connection_id: '{CONNECTION_ID}',
+   *   users: fs.createReadStream('./users.ndjson'),
+   *   upsert: true
+   * }, { concurrency: 2 });
+   *
+   * console.log(result.summary, result.invalid, result.errors);
+   * @param   {object}    data                                Users import data.
+   * @param   {string}    data.connection_id                  Connection for the users insertion.
+   * @param   {Array|Iterable|AsyncIterable|stream.Readable} data.users Users to import: an array, (async) iterable or NDJSON stream.
+   * @param   {boolean}   [data.upsert]                       Whether to update users if they already exist.
+   * @param   {boolean}   [data.send_completion_email]        Whether to send a completion email, for each job.
+   * @param   {AbortSignal} [data.signal]                     Signal used to abort the import.
+   * @param   {object}    [options]                           Import options.
+   * @param   {number}    [options.concurrency]               Maximum number of jobs running at once. Defaults to 2.
+   * @param   {number}    [options.maxChunkSize]              Maximum size of an import file, in bytes. Defaults to 500KB.
+   * @param   {Function}  [options.onChunk]                   Function called with the result of each chunk.
+   * @param   {number}    [options.interval]                  Delay between two polls of a job, see `waitForCompletion`.
+   * @param   {number}    [options.timeout]                   Maximum time to wait for each job, see `waitForCompletion`.
+   * @param   {Function}  [options.onProgress]                Function called with each job while it runs, see `waitForCompletion`.
+   * @param   {Function}  [cb]                                Callback function.
+   * @returns  {Promise|undefined}
+   */
+  importUsersInChunks(data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+    const {
+      concurrency = DEFAULT_IMPORT_CONCURRENCY,
+      maxChunkSize = usersImport.MAX_FILE_SIZE,
+      onChunk,
+      ...waitOptions
+    } = sanitizedOptions || {};
+
+    if (!data || typeof data !== 'object') {
+      throw new ArgumentError('Must provide the users import data');
+    }
+
+    if (!data.connection_id || typeof data.connection_id !== 'string') {
+      throw new ArgumentError('The connection_id must be a string');
+    }
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new ArgumentError('The concurrency must be a positive integer');
+    }
+
+    if (!Number.isInteger(maxChunkSize) || maxChunkSize < 1) {
+      throw new ArgumentError('The maxChunkSize must be a positive number of bytes');
+    }
+
+    if (onChunk !== undefined && !(onChunk instanceof Function)) {
+      throw new ArgumentError('onChunk must be a function');
+    }
+
+    const users = usersImport.toIterable(data.users);
+    const promise = this._importUsersInChunks(data, users, {
+      concurrency,
+      maxChunkSize,
+      onChunk,
+      waitOptions,
+    });
+
+    if (sanitizedCb instanceof Function) {
+      promise.then(sanitizedCb.bind(null, null)).catch(sanitizedCb);
+      return;
+    }
+
+    return promise;
+  }
+
+  async _importUsersInChunks(data, users, { concurrency, maxChunkSize, onChunk, waitOptions }) {
+    const { signal } = data;
+    const result = {
+      summary: { total: 0, inserted: 0, updated: 0, failed: 0, invalid: 0 },
+      chunks: [],
+      invalid: [],
+      errors: [],
+    };
+
+    const chunks = usersImport.chunk(users, {
+      maxSize: maxChunkSize,
+      onInvalid: (invalid) => {
+        result.invalid.push(invalid);
+        result.summary.total++;
+        result.summary.invalid++;
+      },
+    });
+
+    await forEachConcurrently(chunks, concurrency, async (chunk, index) => {
+      const chunkResult = { index, size: chunk.length };
+      result.chunks[index] = chunkResult;
+      result.summary.total += chunk.length;
+
+      try {
+        const { id } = await this.importUsersJob({
+          connection_id: data.connection_id,
+          upsert: data.upsert,
+          send_completion_email: data.send_completion_email,
+          users_json: JSON.stringify(chunk),
+          signal,
+        });
+        const job = await this.waitForCompletion(id, { ...waitOptions, signal });
+        chunkResult.job = job;
+
+        const summary = job.summary || {};
+        result.summary.inserted += summary.inserted || 0;
+        result.summary.updated += summary.updated || 0;
+        result.summary.failed += summary.failed || 0;
+
+        if (summary.failed > 0) {
+          // Like for failed jobs, the failed rows are a best effort.
+          const jobErrors = await this.jobErrors
+            .get({ id, signal })
+            .then((response) => this._getData(response))
+            .catch(() => []);
+          result.errors.push(...(Array.isArray(jobErrors) ? jobErrors : []));
+        }
+      } catch (err) {
+        if (err instanceof AbortError) {
+          throw err;
+        }
+
+        chunkResult.error = err;
+        result.summary.failed += chunk.length;
+        if (err instanceof JobError) {
+          chunkResult.job = err.job;
+          result.errors.push(...(err.errors || []));
+        }
+      }
+
+      if (onChunk) {
+        onChunk(chunkResult);
+      }
+    });
+
+    return result;
+  }
+
   /**
    * Export all users to a file using a long running job.
    *
@@ -250,6 +442,114 @@ class JobsManager extends BaseManager {
     return this.usersExports.create(data);
   }
 
+  /**
+   * Export users with `exportUsers` and wait for the job to complete. The `location` of the
+   * completed job is the URL of the export file.
+   *
+   * @example
+   * management.jobs.exportUsersAndWait({ format: 'json' }).then(function (job) {
+   *   console.log(job.location);
+   * });
+   * @param   {object}    data                Users export data, see `exportUsers`.
+   * @param   {object}    [options]           Polling options, see `waitForCompletion`. Defaults to the `signal` of the data.
+   * @param   {Function}  [cb]                Callback function.
+   * @returns  {Promise|undefined}
+   */
+  exportUsersAndWait(data, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+    const promise = this.exportUsers(data).then((response) =>
+      this.waitForCompletion(this._getData(response).id, {
+        signal: data && data.signal,
+        ...sanitizedOptions,
+      })
+    );
+
+    if (sanitizedCb instanceof Function) {
+      promise.then(sanitizedCb.bind(null, null)).catch(sanitizedCb);
+      return;
+    }
+
+    return promise;
+  }
+
+  /**
+   * Download the file of a completed users export job and parse it, in the `json` or `csv`
+   * format of the job. When the job requested `fields`, the records are keyed by their
+   * `export_as` or `name`. CSV values are strings.
+   *
+   * The returned stream is in object mode and is also an async iterable of the records.
+   *
+   * @example
+   * const job = await management.jobs.exportUsersAndWait({ format: 'json' });
+   *
+   * for await (const user of management.jobs.downloadExport(job)) {
+   *   console.log(user.email);
+   * }
+   * @param   {object}      job                 Completed users export job, e.g. returned by `exportUsersAndWait`.
+   * @param   {string}      job.location        URL of the export file.
+   * @param   {string}      [job.format]        Format of the export, `json` or `csv`. Defaults to `csv`.
+   * @param   {object[]}    [job.fields]        Fields requested for the export.
+   * @param   {object}      [options]           Download options.
+   * @param   {AbortSignal} [options.signal]    Signal used to abort the download.
+   * @returns {stream.Readable} Stream of the user records.
+   */
+  downloadExport(job, options) {
+    const { signal } = options || {};
+
+    if (!job || typeof job !== 'object') {
+      throw new ArgumentError('Must provide an export job');
+    }
+
+    if (job.status !== undefined && job.status !== 'completed') {
+      throw new ArgumentError(`The export job must be completed, its status is "${job.status}"`);
+    }
+
+    if (!job.location || typeof job.location !== 'string') {
+      throw new ArgumentError('The export job must have a location');
+    }
+
+    const format = job.format || 'csv';
+    if (!usersExport.FORMATS.includes(format)) {
+      throw new ArgumentError(`Unsupported export format "${format}"`);
+    }
+
+    return Readable.from(this._readExport(job.location, format, job.fields, signal));
+  }
+
+  async *_readExport(location, format, fields, signal) {
+    const response = await withAbortSignal(signal, async () => {
+      try {
+        // The export file is gzipped, keep it that way whatever its Content-Encoding.
+        return await axios.get(location, {
+          responseType: 'stream',
+          decompress: false,
+          timeout: this.options.timeout,
+          signal,
+        });
+      } catch (err) {
+        throw fromAxiosError(err);
+      }
+    });
+
+    const content = pipeline(response.data, zlib.createGunzip(), () => {});
+    content.setEncoding('utf8');
+
+    const onAbort = () => content.destroy(new AbortError());
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+
+    const parse = format === 'json' ? usersExport.parseJsonLines : usersExport.parseCsv;
+    try {
+      yield* parse(content, usersExport.getFieldKeys(fields));
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      response.data.destroy();
+    }
+  }
+
   /**
    * Given a job ID, retrieve the failed/errored items
    *
@@ -284,6 +584,97 @@ class JobsManager extends BaseManager {
     return this.jobErrors.get(params);
   }
 
+  /**
+   * Poll a job until it completes.
+   *
+   * @example <caption>
+   *   Resolves with the completed job. When the job fails it rejects with a JobError whose
+   *   `errors` holds the failed rows, as returned by `errors`.
+   * </caption>
+   *
+   * management.jobs.waitForCompletion('{JOB_ID}', {
+   *   timeout: 5 * 60 * 1000,
+   *   onProgress: function (job) {
+   *     console.log(job.status, job.percentage_done);
+   *   }
+   * }).then(function (job) {
+   *   console.log(job.summary);
+   * });
+   * @param   {string}    jobId                   Job ID.
+   * @param   {object}    [options]               Polling options.
+   * @param   {number}    [options.interval]      Delay between two polls, in milliseconds. Defaults to 2 seconds.
+   * @param   {number}    [options.timeout]       Maximum time to wait, in milliseconds. Defaults to no limit.
+   * @param   {AbortSignal} [options.signal]      Signal used to stop polling.
+   * @param   {Function}  [options.onProgress]    Function called with the job while it is not completed.
+   * @param   {Function}  [cb]                    Callback function.
+   * @returns  {Promise|undefined}
+   */
+  waitForCompletion(jobId, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+    const {
+      interval = DEFAULT_POLLING_INTERVAL,
+      timeout,
+      signal,
+      onProgress,
+    } = sanitizedOptions || {};
+
+    if (!jobId || typeof jobId !== 'string') {
+      throw new ArgumentError('The id parameter must be a valid job id');
+    }
+
+    if (typeof interval !== 'number' || interval < 0) {
+      throw new ArgumentError('The interval must be a positive number of milliseconds');
+    }
+
+    if (timeout !== undefined && (typeof timeout !== 'number' || timeout <= 0)) {
+      throw new ArgumentError('The timeout must be a positive number of milliseconds');
+    }
+
+    if (onProgress !== undefined && !(onProgress instanceof Function)) {
+      throw new ArgumentError('onProgress must be a function');
+    }
+
+    const promise = this._waitForCompletion(jobId, { interval, timeout, signal, onProgress });
+
+    if (sanitizedCb instanceof Function) {
+      promise.then(sanitizedCb.bind(null, null)).catch(sanitizedCb);
+      return;
+    }
+
+    return promise;
+  }
+
+  async _waitForCompletion(id, { interval, timeout, signal, onProgress }) {
+    const deadline = timeout ? Date.now() + timeout : Infinity;
+
+    for (;;) {
+      const job = this._getData(await this.jobs.get({ id, signal }));
+
+      if (job.status === 'completed') {
+        return job;
+      }
+
+      if (job.status === 'failed') {
+        // The failed rows are a best effort, the job failure is reported either way.
+        const jobErrors = await this.jobErrors
+          .get({ id, signal })
+          .then((response) => this._getData(response))
+          .catch(() => undefined);
+        throw new JobError(`Job ${id} failed`, 'job_failed', job, jobErrors || []);
+      }
+
+      if (onProgress) {
+        onProgress(job);
+      }
+
+      if (Date.now() + interval > deadline) {
+        throw new JobError(`Job ${id} did not complete within ${timeout}ms`, 'job_timeout', job);
+      }
+
+      await wait(interval, signal);
+    }
+  }
+
   /**
    * Send a verification email to a user.
    *
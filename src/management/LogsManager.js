@@ -58,6 +58,34 @@ class LogsManager extends BaseManager {
     return this.resource.getAll(...args);
   }
 
+  /**
+   * Iterate over all logs.
+   * Offset pagination is limited to the first 1000 results; provide `from` to use
+   * checkpoint pagination from a given log event instead.
+   *
+   * @example
+   * for await (const log of management.logs.iterate({ q: 'type:f' })) {
+   *   console.log(log.type);
+   * }
+   * @param   {object}     [params]                Logs params.
+   * @param   {string}     [params.q]              Search Criteria using Query String Syntax
+   * @param   {number}     [params.per_page]       The amount of entries per page
+   * @param   {number}     [params.page]           Page number to start from, zero indexed.
+   * @param   {string}     [params.sort]           The field to use for sorting.
+   * @param   {string}     [params.fields]         A comma separated list of fields to include or exclude
+   * @param   {boolean}    [params.include_fields] true if the fields specified are to be included in the result, false otherwise.
+   * @param   {string}     [params.from]           For checkpoint pagination, log event Id from which to start selection from.
+   * @param   {number}     [params.take]           When using the `from` parameter, the number of entries to retrieve per request. Default 50, max 100.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iterate(params) {
+    return this._paginate(this.resource, params, {
+      key: 'logs',
+      cursor: 'log_id',
+      maxResults: 1000,
+    });
+  }
+
   /**
    * Get an Auth0 log.
    *
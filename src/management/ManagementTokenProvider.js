@@ -1,7 +1,42 @@
 const { ArgumentError } = require('rest-facade');
 const AuthenticationClient = require('../auth');
-const memoizer = require('lru-memoizer');
-const util = require('util');
+const InMemoryTokenCache = require('./InMemoryTokenCache');
+
+/**
+ * Run a cache operation, ignoring failures: a failing cache store should not prevent the client from getting a token.
+ *
+ * @param {Function} operation Cache operation.
+ * @returns {Promise} Promise returning the result of the operation, or `undefined` when it failed.
+ */
+const safely = (operation) =>
+  Promise.resolve()
+    .then(operation)
+    .catch(() => undefined);
+
+const isCacheAdapter = (cache) =>
+  ['get', 'set', 'delete'].every((method) => typeof cache[method] === 'function');
+
+/**
+ * Time in milliseconds a token response can be cached for.
+ *
+ * @param {object} options  ManagementTokenProvider options.
+ * @param {object} data     Client Credentials Grant response.
+ * @returns {number} Time to live in milliseconds.
+ */
+const getTokenTTL = (options, data) => {
+  if (options.cacheTTLInSeconds) {
+    return options.cacheTTLInSeconds * 1000;
+  }
+
+  // if the expires_in is lower or equal to than 10 seconds, do not subtract 10 additional seconds.
+  if (data.expires_in && data.expires_in <= 10 /* seconds */) {
+    return data.expires_in * 1000;
+  } else if (data.expires_in) {
+    // Subtract 10 seconds from expires_in to fetch a new one, before it expires.
+    return data.expires_in * 1000 - 10000 /* milliseconds */;
+  }
+  return 60 * 60 * 1000; //1h
+};
 
 /**
  * Auth0 Management API Token Provider.
@@ -18,15 +53,21 @@ class ManagementTokenProvider {
    * @param {string}  options.audience                Audience of the Management API.
    * @param {boolean} [options.enableCache=true]      Enabled or Disable Cache
    * @param {number}  [options.cacheTTLInSeconds]     By default the `expires_in` value will be used to determine the cached time of the token, this can be overridden.
+   * @param {object}  [options.cache]                 Cache adapter implementing `get(key)`, `set(key, value, ttl)` and `delete(key)` (`ttl` in milliseconds), e.g. backed by Redis to share tokens between processes. Defaults to an in-memory LRU cache.
+   * @param {number}  [options.backgroundRefreshRatio] Fraction of the token lifetime, between 0 and 1, after which a new token is fetched in the background, e.g. `0.8`. For a token read from the cache, the fraction of its remaining lifetime. Disabled by default.
    * @param {object}  [options.headers]               Additional headers that will be added to the outgoing requests.
    * @param {string}  [options.proxy]                 Add the `superagent-proxy` dependency and specify a proxy url eg 'https://myproxy.com:1234'
+   * @param {number}  [options.timeout]               Request timeout in milliseconds.
    */
   constructor(options) {
     if (!options || typeof options !== 'object') {
       throw new ArgumentError('Options must be an object');
     }
 
-    const params = { enableCache: true, ...options };
+    const params = {
+      ...options,
+      enableCache: options.enableCache === undefined ? true : options.enableCache,
+    };
 
     if (!params.domain || params.domain.length === 0) {
       throw new ArgumentError('Must provide a domain');
@@ -61,6 +102,20 @@ class ManagementTokenProvider {
       }
     }
 
+    if (params.cache !== undefined && (!params.cache || !isCacheAdapter(params.cache))) {
+      throw new ArgumentError('cache must implement get, set and delete');
+    }
+
+    if (params.backgroundRefreshRatio !== undefined) {
+      if (typeof params.backgroundRefreshRatio !== 'number') {
+        throw new ArgumentError('backgroundRefreshRatio must be a number');
+      }
+
+      if (params.backgroundRefreshRatio <= 0 || params.backgroundRefreshRatio >= 1) {
+        throw new ArgumentError('backgroundRefreshRatio must be between 0 and 1');
+      }
+    }
+
     if (params.scope && typeof params.scope !== 'string') {
       throw new ArgumentError('scope must be a string');
     }
@@ -76,63 +131,140 @@ class ManagementTokenProvider {
       clientInfo: this.options.clientInfo,
       headers: this.options.headers,
       proxy: this.options.proxy,
+      timeout: this.options.timeout,
     };
     this.authenticationClient = new AuthenticationClient(authenticationClientOptions);
 
-    const self = this;
-    this.getCachedAccessToken = util.promisify(
-      memoizer({
-        load(options, callback) {
-          self
-            .clientCredentialsGrant(options.domain, options.scope, options.audience)
-            .then((data) => {
-              callback(null, data);
-            })
-            .catch((err) => {
-              callback(err);
-            });
-        },
-        hash(options) {
-          return `${options.domain}-${options.clientId}-${options.scope}`;
-        },
-        itemMaxAge(options, data) {
-          if (options.cacheTTLInSeconds) {
-            return options.cacheTTLInSeconds * 1000;
-          }
-
-          // if the expires_in is lower or equal to than 10 seconds, do not subtract 10 additional seconds.
-          if (data.expires_in && data.expires_in <= 10 /* seconds */) {
-            return data.expires_in * 1000;
-          } else if (data.expires_in) {
-            // Subtract 10 seconds from expires_in to fetch a new one, before it expires.
-            return data.expires_in * 1000 - 10000 /* milliseconds */;
-          }
-          return 60 * 60 * 1000; //1h
-        },
-        max: 100,
-      })
-    );
+    this.cache = this.options.cache || new InMemoryTokenCache();
+    this.pendingTokenRequest = null;
+    this.refreshTimer = null;
   }
 
   /**
-   * Returns the access_token.
+   * Returns the access_token. Concurrent calls share a single in-flight request, even when the
+   * cache is disabled.
    *
    * @returns {Promise} Promise returning an access_token.
    */
   async getAccessToken() {
     if (this.options.enableCache) {
-      const data = await this.getCachedAccessToken(this.options);
+      const data = await this.getCachedAccessToken();
       return data.access_token;
     } else {
-      const data = await this.clientCredentialsGrant(
-        this.options.domain,
-        this.options.scope,
-        this.options.audience
+      const data = await this.coalesce(() =>
+        this.clientCredentialsGrant(this.options.domain, this.options.scope, this.options.audience)
       );
       return data.access_token;
     }
   }
 
+  /**
+   * Remove the cached access token, e.g. after it was revoked or the client secret was rotated,
+   * so the next call to `getAccessToken` fetches a new one.
+   *
+   * @param   {string}  [accessToken]   Only invalidate the cached token when it is this one, so a
+   *                                    token that was already replaced is kept. The comparison and
+   *                                    the removal are two cache calls: with a shared cache, a token
+   *                                    stored by another process in between is removed as well,
+   *                                    costing one extra token request.
+   * @returns {Promise} Promise resolving once the token was removed from the cache.
+   */
+  async invalidate(accessToken) {
+    const key = this.getCacheKey();
+
+    if (accessToken) {
+      const cached = await safely(() => this.cache.get(key));
+      if (!cached || cached.access_token !== accessToken) {
+        return;
+      }
+    }
+
+    this.cancelRefresh();
+    await safely(() => this.cache.delete(key));
+  }
+
+  /**
+   * Returns the token response from the cache, fetching and caching a new one when missing.
+   * Concurrent calls share a single in-flight request.
+   *
+   * @returns {Promise} Promise returning the Client Credentials Grant response.
+   */
+  getCachedAccessToken() {
+    return this.coalesce(() => this.loadAccessToken());
+  }
+
+  coalesce(load) {
+    if (!this.pendingTokenRequest) {
+      this.pendingTokenRequest = load().finally(() => {
+        this.pendingTokenRequest = null;
+      });
+    }
+
+    return this.pendingTokenRequest;
+  }
+
+  async loadAccessToken() {
+    const cached = await safely(() => this.cache.get(this.getCacheKey()));
+    if (cached) {
+      // The token may have been fetched by another process sharing the cache.
+      if (!this.refreshTimer && cached.expires_at) {
+        this.scheduleRefresh(Math.max(cached.expires_at - Date.now(), 0));
+      }
+
+      return cached;
+    }
+
+    return this.fetchAccessToken();
+  }
+
+  async fetchAccessToken() {
+    const data = await this.clientCredentialsGrant(
+      this.options.domain,
+      this.options.scope,
+      this.options.audience
+    );
+
+    const ttl = getTokenTTL(this.options, data);
+    const lifetime = data.expires_in ? data.expires_in * 1000 : ttl;
+    // The expiry lets the processes sharing the cache schedule their own background refresh.
+    const cached = { ...data, expires_at: Date.now() + lifetime };
+    await safely(() => this.cache.set(this.getCacheKey(), cached, ttl));
+    this.scheduleRefresh(lifetime);
+
+    return cached;
+  }
+
+  scheduleRefresh(lifetime) {
+    if (!this.options.backgroundRefreshRatio) {
+      return;
+    }
+
+    this.cancelRefresh();
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      // Errors are ignored, the token will be fetched again when it expires.
+      this.coalesce(() => this.fetchAccessToken()).catch(() => {});
+    }, lifetime * this.options.backgroundRefreshRatio);
+
+    // Do not keep the process alive only to refresh the token.
+    if (this.refreshTimer.unref) {
+      this.refreshTimer.unref();
+    }
+  }
+
+  cancelRefresh() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  getCacheKey() {
+    // Shared caches hold the tokens of every provider, keep the tokens of each audience apart.
+    const { domain, clientId, scope, audience } = this.options;
+    return `${domain}-${clientId}-${scope}-${audience}`;
+  }
+
   clientCredentialsGrant(domain, scope, audience) {
     return this.authenticationClient.clientCredentialsGrant({
       audience,
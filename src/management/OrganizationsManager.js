@@ -83,6 +83,25 @@ class OrganizationsManager extends BaseManager {
     return this.organizations.getAll(...args);
   }
 
+  /**
+   * Iterate over all organizations.
+   * Uses checkpoint pagination unless `page` or `per_page` are provided.
+   *
+   * @example
+   * for await (const organization of management.organizations.iterate()) {
+   *   console.log(organization.name);
+   * }
+   * @param   {object}    [params]          Organizations parameters.
+   * @param   {string}    [params.from]     For checkpoint pagination, the Id from which to start selection from.
+   * @param   {number}    [params.take]     For checkpoint pagination, the number of entries to retrieve per request. Default 50.
+   * @param   {number}    [params.per_page] Number of results per page, switches to offset pagination.
+   * @param   {number}    [params.page]     Page number to start from, zero indexed, switches to offset pagination.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iterate(params) {
+    return this._paginate(this.organizations, params, { key: 'organizations', checkpoint: true });
+  }
+
   /**
    * Get an Auth0 organization.
    *
@@ -365,6 +384,26 @@ class OrganizationsManager extends BaseManager {
     return this.members.getAll(params, callback);
   }
 
+  /**
+   * Iterate over all members of an organization.
+   * Uses checkpoint pagination unless `page` or `per_page` are provided.
+   *
+   * @example
+   * for await (const member of management.organizations.iterateMembers({ id: 'ORGANIZATION_ID' })) {
+   *   console.log(member.user_id);
+   * }
+   * @param   {object}    params            Organization parameters
+   * @param   {string}    params.id         Organization ID
+   * @param   {string}    [params.from]     For checkpoint pagination, the Id from which to start selection from.
+   * @param   {number}    [params.take]     For checkpoint pagination, the number of entries to retrieve per request. Default 50.
+   * @param   {number}    [params.per_page] Number of results per page, switches to offset pagination.
+   * @param   {number}    [params.page]     Page number to start from, zero indexed, switches to offset pagination.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iterateMembers(params) {
+    return this._paginate(this.members, params, { key: 'members', checkpoint: true });
+  }
+
   /**
    * Add members in an organization
    *
@@ -471,6 +510,23 @@ class OrganizationsManager extends BaseManager {
     return this.invitations.getAll(params, callback);
   }
 
+  /**
+   * Iterate over all invitations of an organization.
+   *
+   * @example
+   * for await (const invitation of management.organizations.iterateInvitations({ id: 'ORGANIZATION_ID' })) {
+   *   console.log(invitation.invitee.email);
+   * }
+   * @param   {object}    params            Organization parameters
+   * @param   {string}    params.id         Organization ID
+   * @param   {number}    [params.per_page] Number of results per page.
+   * @param   {number}    [params.page]     Page number to start from, zero indexed.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iterateInvitations(params) {
+    return this._paginate(this.invitations, params, { key: 'invitations' });
+  }
+
   /**
    * Get an Invitation in a Organization
    *
@@ -627,6 +683,24 @@ class OrganizationsManager extends BaseManager {
     return this.roles.getAll(params, callback);
   }
 
+  /**
+   * Iterate over all roles of a member of an organization.
+   *
+   * @example
+   * for await (const role of management.organizations.iterateMemberRoles({ id: 'ORGANIZATION_ID', user_id: 'user_id' })) {
+   *   console.log(role.name);
+   * }
+   * @param   {object}    params            Organization parameters
+   * @param   {string}    params.id         ID of the Organization.
+   * @param   {string}    params.user_id    ID of the user.
+   * @param   {number}    [params.per_page] Number of results per page.
+   * @param   {number}    [params.page]     Page number to start from, zero indexed.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iterateMemberRoles(params) {
+    return this._paginate(this.roles, params, { key: 'roles' });
+  }
+
   /**
    * Add a Role to a Member in an organization
    *
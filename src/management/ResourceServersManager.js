@@ -75,6 +75,22 @@ class ResourceServersManager extends BaseManager {
     return this.resource.getAll(...args);
   }
 
+  /**
+   * Iterate over all resource servers.
+   *
+   * @example
+   * for await (const resourceServer of management.resourceServers.iterate()) {
+   *   console.log(resourceServer.identifier);
+   * }
+   * @param   {object}    [params]          Resource Servers parameters.
+   * @param   {number}    [params.per_page] Number of results per page.
+   * @param   {number}    [params.page]     Page number to start from, zero indexed.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iterate(params) {
+    return this._paginate(this.resource, params, { key: 'resource_servers' });
+  }
+
   /**
    * Get a Resource Server.
    *
@@ -75,6 +75,22 @@ class RolesManager extends BaseManager {
     return this.resource.getAll(...args);
   }
 
+  /**
+   * Iterate over all roles.
+   *
+   * @example
+   * for await (const role of management.roles.iterate()) {
+   *   console.log(role.name);
+   * }
+   * @param   {object}    [params]          Roles parameters.
+   * @param   {number}    [params.per_page] Number of results per page.
+   * @param   {number}    [params.page]     Page number to start from, zero indexed.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iterate(params) {
+    return this._paginate(this.resource, params, { key: 'roles' });
+  }
+
   /**
    * Get an Auth0 role.
    *
@@ -171,6 +187,23 @@ class RolesManager extends BaseManager {
     return this.permissions.getAll(params, callback);
   }
 
+  /**
+   * Iterate over all permissions of a role.
+   *
+   * @example
+   * for await (const permission of management.roles.iteratePermissions({ id: 'ROLE_ID' })) {
+   *   console.log(permission.permission_name);
+   * }
+   * @param   {object}    params            Role parameters.
+   * @param   {string}    params.id         ID of the Role.
+   * @param   {number}    [params.per_page] Number of results per page.
+   * @param   {number}    [params.page]     Page number to start from, zero indexed.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iteratePermissions(params) {
+    return this._paginate(this.permissions, params, { key: 'permissions' });
+  }
+
   /**
    * Add permissions in a role
    *
@@ -283,6 +316,31 @@ class RolesManager extends BaseManager {
     return this.users.getAll(params, callback);
   }
 
+  /**
+   * Iterate over all users within a role.
+   * Uses checkpoint pagination unless `page` or `per_page` are provided. Offset pagination is
+   * limited to the first 1000 results, so leave them out to iterate over every user.
+   *
+   * @example
+   * for await (const user of management.roles.iterateUsers({ id: 'ROLE_ID' })) {
+   *   console.log(user.email);
+   * }
+   * @param   {object}    params            Role parameters.
+   * @param   {string}    params.id         ID of the Role.
+   * @param   {string}    [params.from]     For checkpoint pagination, the Id from which to start selection from.
+   * @param   {number}    [params.take]     For checkpoint pagination, the number of entries to retrieve per request. Default 50.
+   * @param   {number}    [params.per_page] Number of results per page, switches to offset pagination.
+   * @param   {number}    [params.page]     Page number to start from, zero indexed, switches to offset pagination.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iterateUsers(params) {
+    return this._paginate(this.users, params, {
+      key: 'users',
+      checkpoint: true,
+      maxResults: 1000,
+    });
+  }
+
   /**
    * Assign users to a role
    *
@@ -70,6 +70,22 @@ class RulesManager extends BaseManager {
     return this.resource.getAll(...args);
   }
 
+  /**
+   * Iterate over all rules.
+   *
+   * @example
+   * for await (const rule of management.rules.iterate()) {
+   *   console.log(rule.name);
+   * }
+   * @param   {object}    [params]          Rules parameters.
+   * @param   {number}    [params.per_page] Number of results per page.
+   * @param   {number}    [params.page]     Page number to start from, zero indexed.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iterate(params) {
+    return this._paginate(this.resource, params, { key: 'rules' });
+  }
+
   /**
    * Get an Auth0 rule.
    *
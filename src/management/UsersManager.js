@@ -1,7 +1,109 @@
 const { ArgumentError } = require('rest-facade');
 const BaseManager = require('./BaseManager');
 
-const { sanitizeArguments } = require('../utils');
+const { sanitizeArguments, forEachConcurrently, getRetryAfter } = require('../utils');
+const { wait } = require('../abort');
+const { AbortError, RateLimitError } = require('../errors');
+
+const MAX_SEARCH_RESULTS = 1000;
+const BULK_SEARCH_PER_PAGE = 100;
+const DEFAULT_BULK_CONCURRENCY = 3;
+const DEFAULT_RATE_LIMIT_DELAY = 1000; // ms
+
+// Operations of `bulk`, called with the manager, the request params and the operation value.
+const BULK_OPERATIONS = {
+  block: (users, params) => users.update(params, { blocked: true }),
+  unblock: (users, params) => users.update(params, { blocked: false }),
+  delete: (users, params) => users.delete(params),
+  update: (users, params, data) => users.update(params, data),
+  appMetadata: (users, params, metadata) => users.updateAppMetadata(params, metadata),
+  userMetadata: (users, params, metadata) => users.updateUserMetadata(params, metadata),
+  assignRoles: (users, params, roles) => users.assignRoles(params, { roles }),
+  removeRoles: (users, params, roles) => users.removeRoles(params, { roles }),
+};
+const BULK_OPERATIONS_WITHOUT_VALUE = ['block', 'unblock', 'delete'];
+
+/**
+ * Get the name and function of a bulk operation.
+ *
+ * @param   {string|object|Function} operation The operation.
+ * @returns {object} The `name` and `run` function of the operation.
+ */
+const getBulkOperation = (operation) => {
+  if (operation instanceof Function) {
+    return {
+      name: 'custom',
+      run: (users, { id, signal }) => operation(id, { signal }),
+    };
+  }
+
+  if (BULK_OPERATIONS_WITHOUT_VALUE.includes(operation)) {
+    return { name: operation, run: BULK_OPERATIONS[operation] };
+  }
+
+  const names = operation && typeof operation === 'object' ? Object.keys(operation) : [];
+  const [name] = names;
+  if (
+    names.length !== 1 ||
+    !BULK_OPERATIONS[name] ||
+    BULK_OPERATIONS_WITHOUT_VALUE.includes(name)
+  ) {
+    throw new ArgumentError(
+      `The operation must be a function, one of "${BULK_OPERATIONS_WITHOUT_VALUE.join(
+        '", "'
+      )}" or an object with one of "${Object.keys(BULK_OPERATIONS)
+        .filter((key) => !BULK_OPERATIONS_WITHOUT_VALUE.includes(key))
+        .join('", "')}"`
+    );
+  }
+
+  const value = operation[name];
+  if (name.endsWith('Roles')) {
+    if (!Array.isArray(value) || value.length === 0) {
+      throw new ArgumentError(`The ${name} operation requires an array of role IDs`);
+    }
+  } else if (!value || typeof value !== 'object') {
+    throw new ArgumentError(`The ${name} operation requires an object`);
+  }
+
+  return { name, run: (users, params) => BULK_OPERATIONS[name](users, params, value) };
+};
+
+/**
+ * Space the start of the calls of `bulk` to at most `rate` per second, and hold them while the
+ * tenant is rate limited.
+ *
+ * @param   {number}      [rate]    Maximum number of calls per second.
+ * @param   {AbortSignal} [signal]  Signal used to stop waiting.
+ * @returns {object} The scheduler, with the `acquire` and `pause` functions.
+ */
+const createBulkScheduler = (rate, signal) => {
+  const interval = rate ? 1000 / rate : 0;
+  let next = 0;
+  let pausedUntil = 0;
+
+  return {
+    async acquire() {
+      // Reserve the slot before waiting, so concurrent calls get the following ones.
+      const start = Math.max(Date.now(), next);
+      next = start + interval;
+      await wait(start - Date.now(), signal);
+
+      while (Date.now() < pausedUntil) {
+        await wait(pausedUntil - Date.now(), signal);
+      }
+    },
+    pause(delay) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+    },
+  };
+};
+
+const getRateLimitDelay = (err) => {
+  const response = err.originalError && err.originalError.response;
+  const delay = getRetryAfter(response && response.headers);
+  return delay === undefined ? DEFAULT_RATE_LIMIT_DELAY : delay;
+};
 
 /**
  * Abstracts interaction with the users endpoint.
@@ -150,6 +252,24 @@ class UsersManager extends BaseManager {
     return this.users.getAll(...args);
   }
 
+  /**
+   * Iterate over all users matching the query.
+   * The search endpoint only returns the first 1000 results, use an export job for more.
+   *
+   * @example
+   * for await (const user of management.users.iterate({ q: 'email.domain:"example.com"' })) {
+   *   console.log(user.email);
+   * }
+   * @param   {object}    [params]          Users params.
+   * @param   {string}    [params.q]        Search Criteria using Query String Syntax.
+   * @param   {number}    [params.per_page] Number of results per page.
+   * @param   {number}    [params.page]     Page number to start from, zero indexed.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iterate(params) {
+    return this._paginate(this.users, params, { key: 'users', maxResults: MAX_SEARCH_RESULTS });
+  }
+
   /**
    * Get Users by an Email Address
    *
@@ -573,6 +693,23 @@ class UsersManager extends BaseManager {
     return this.roles.getAll(...args);
   }
 
+  /**
+   * Iterate over all roles of a user.
+   *
+   * @example
+   * for await (const role of management.users.iterateRoles({ id: USER_ID })) {
+   *   console.log(role.name);
+   * }
+   * @param   {object}    params            The user data object.
+   * @param   {string}    params.id         The user id.
+   * @param   {number}    [params.per_page] Number of results per page.
+   * @param   {number}    [params.page]     Page number to start from, zero indexed.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iterateRoles(params) {
+    return this._paginate(this.roles, params, { key: 'roles' });
+  }
+
   /**
    * Assign roles to a user
    *
@@ -671,6 +808,23 @@ class UsersManager extends BaseManager {
     return this.permissions.getAll(...args);
   }
 
+  /**
+   * Iterate over all permissions of a user.
+   *
+   * @example
+   * for await (const permission of management.users.iteratePermissions({ id: USER_ID })) {
+   *   console.log(permission.permission_name);
+   * }
+   * @param   {object}    params            The user data object.
+   * @param   {string}    params.id         The user id.
+   * @param   {number}    [params.per_page] Number of results per page.
+   * @param   {number}    [params.page]     Page number to start from, zero indexed.
+   * @returns  {AsyncIterableIterator<object>}
+   */
+  iteratePermissions(params) {
+    return this._paginate(this.permissions, params, { key: 'permissions' });
+  }
+
   /**
    * Assign permissions to a user
    *
@@ -877,6 +1031,207 @@ class UsersManager extends BaseManager {
   deleteAuthenticationMethodById(...args) {
     return this.authenticationMethods.delete(...args);
   }
+
+  /**
+   * Run an operation on many users: the users with the given IDs or matching a search query.
+   * The calls run with limited concurrency and, when `rate` is set, at most `rate` calls start
+   * per second. A call still rate limited after the retries of the client fails, and holds the
+   * other calls until the rate limit resets.
+   *
+   * A failed call does not stop the run. Resolves with a report of the `results` of each user,
+   * whose `status` is `succeeded`, `failed` (with the `error`), `skipped` when it succeeded in
+   * the `resume` report, or `dry_run`. When aborted, the AbortError holds the `report` so far.
+   *
+   * @example
+   * const report = await management.users.bulk('email.domain:"example.com"', 'block', {
+   *   concurrency: 2,
+   *   rate: 10
+   * });
+   *
+   * console.log(report.summary);
+   *
+   * // Retry the users that failed.
+   * await management.users.bulk('email.domain:"example.com"', 'block', { resume: report });
+   * @param   {string[]|string|object}  target                  User IDs, a search query or the `iterate` params of the users. A search must match at most 1000 users.
+   * @param   {string|object|Function}  operation               `block`, `unblock`, `delete`, an object with one of `update`, `appMetadata`, `userMetadata`, `assignRoles` or `removeRoles`, or a function called with the user ID and `{ signal }`.
+   * @param   {object}                  [options]               Bulk options.
+   * @param   {number}                  [options.concurrency]   Maximum number of calls at once. Defaults to 3.
+   * @param   {number}                  [options.rate]          Maximum number of calls per second.
+   * @param   {boolean}                 [options.dryRun]        Only resolve the users, without calling the operation.
+   * @param   {object}                  [options.resume]        Report of a previous run, whose succeeded users are skipped.
+   * @param   {Function}                [options.onResult]      Function called with the result of each user.
+   * @param   {AbortSignal}             [options.signal]        Signal used to abort the run.
+   * @param   {Function}                [cb]                    Callback function.
+   * @returns  {Promise|undefined}
+   */
+  bulk(target, operation, options, cb) {
+    const { options: sanitizedOptions, cb: sanitizedCb } = sanitizeArguments(options, cb);
+    const {
+      concurrency = DEFAULT_BULK_CONCURRENCY,
+      rate,
+      dryRun = false,
+      resume,
+      onResult,
+      signal,
+    } = sanitizedOptions || {};
+
+    const isIds = Array.isArray(target);
+    if (isIds && !target.every((id) => typeof id === 'string' && id.length > 0)) {
+      throw new ArgumentError('The user IDs must be non-empty strings');
+    }
+
+    if (
+      !isIds &&
+      !(typeof target === 'string' && target.length > 0) &&
+      !(target && typeof target === 'object')
+    ) {
+      throw new ArgumentError(
+        'The target must be an array of user IDs, a search query or search params'
+      );
+    }
+
+    const bulkOperation = getBulkOperation(operation);
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new ArgumentError('The concurrency must be a positive integer');
+    }
+
+    if (rate !== undefined && (typeof rate !== 'number' || rate <= 0)) {
+      throw new ArgumentError('The rate must be a positive number of calls per second');
+    }
+
+    if (resume !== undefined && !(resume && Array.isArray(resume.results))) {
+      throw new ArgumentError('resume must be the report of a previous run');
+    }
+
+    if (onResult !== undefined && !(onResult instanceof Function)) {
+      throw new ArgumentError('onResult must be a function');
+    }
+
+    const promise = this._bulk(target, bulkOperation, {
+      concurrency,
+      rate,
+      dryRun,
+      resume,
+      onResult,
+      signal,
+    });
+
+    if (sanitizedCb instanceof Function) {
+      promise.then(sanitizedCb.bind(null, null)).catch(sanitizedCb);
+      return;
+    }
+
+    return promise;
+  }
+
+  async _getBulkUserIds(target, signal) {
+    if (Array.isArray(target)) {
+      return [...new Set(target)];
+    }
+
+    // Resolve all the users first, the operation may change the results of the search.
+    const params = typeof target === 'string' ? { q: target } : target;
+    const query = { ...params, fields: 'user_id', include_fields: true, signal };
+    const perPage = params.per_page || BULK_SEARCH_PER_PAGE;
+    const first = await this._getPage(this.users, {
+      ...query,
+      page: 0,
+      per_page: perPage,
+      include_totals: true,
+    });
+
+    // The search cannot go past its first 1000 results, the other users would be left out.
+    if (first.total > MAX_SEARCH_RESULTS) {
+      throw new ArgumentError(
+        `The search matches ${first.total} users, more than the ${MAX_SEARCH_RESULTS} users it can return: narrow the query or pass the user IDs`
+      );
+    }
+
+    const userIds = new Set((first.users || []).map((user) => user.user_id));
+    if (userIds.size === perPage) {
+      for await (const user of this.iterate({ ...query, page: 1, per_page: perPage })) {
+        userIds.add(user.user_id);
+      }
+    }
+
+    return [...userIds];
+  }
+
+  async _runBulkOperation(operation, userId, scheduler, signal) {
+    await scheduler.acquire();
+
+    try {
+      return await operation.run(this, { id: userId, signal });
+    } catch (err) {
+      // The rest client already retried the call, hold the other calls until the rate limit resets.
+      if (err instanceof RateLimitError) {
+        scheduler.pause(getRateLimitDelay(err));
+      }
+
+      throw err;
+    }
+  }
+
+  async _bulk(target, operation, { concurrency, rate, dryRun, resume, onResult, signal }) {
+    const userIds = await this._getBulkUserIds(target, signal);
+    const succeeded = new Set(
+      resume
+        ? resume.results
+            .filter(({ status }) => status === 'succeeded' || status === 'skipped')
+            .map(({ user_id }) => user_id)
+        : []
+    );
+    const results = userIds.map((user_id) => ({ user_id, status: 'pending' }));
+    const getReport = () => {
+      const summary = {
+        total: results.length,
+        succeeded: 0,
+        failed: 0,
+        skipped: 0,
+        dry_run: 0,
+        pending: 0,
+      };
+      results.forEach(({ status }) => {
+        summary[status]++;
+      });
+
+      return { operation: operation.name, dryRun, summary, results };
+    };
+
+    const scheduler = createBulkScheduler(rate, signal);
+
+    try {
+      await forEachConcurrently(results, concurrency, async (result) => {
+        if (succeeded.has(result.user_id)) {
+          result.status = 'skipped';
+        } else if (dryRun) {
+          result.status = 'dry_run';
+        } else {
+          try {
+            await this._runBulkOperation(operation, result.user_id, scheduler, signal);
+            result.status = 'succeeded';
+          } catch (err) {
+            if (err instanceof AbortError) {
+              throw err;
+            }
+
+            result.status = 'failed';
+            result.error = err;
+          }
+        }
+
+        if (onResult) {
+          onResult(result);
+        }
+      });
+    } catch (err) {
+      err.report = getReport();
+      throw err;
+    }
+
+    return getReport();
+  }
 }
 
 module.exports = UsersManager;
@@ -104,11 +104,18 @@ class ManagementClient {
    * @param   {string}  [options.scope]                             Management API Scopes.
    * @param   {boolean} [options.tokenProvider.enableCache=true]    Enabled or Disable Cache.
    * @param   {number}  [options.tokenProvider.cacheTTLInSeconds]   By default the `expires_in` value will be used to determine the cached time of the token, this can be overridden.
+   * @param   {object}  [options.tokenProvider.cache]               Cache adapter implementing `get(key)`, `set(key, value, ttl)` and `delete(key)` (`ttl` in milliseconds) used to share the token, e.g. between processes. Defaults to an in-memory LRU cache.
+   * @param   {number}  [options.tokenProvider.backgroundRefreshRatio] Fraction of the token lifetime, between 0 and 1, after which a new token is fetched in the background, e.g. `0.8`. For a token read from the cache, the fraction of its remaining lifetime. Disabled by default.
    * @param   {boolean} [options.retry.enabled=true]                Enabled or Disable Retry Policy functionality.
    * @param   {number}  [options.retry.maxRetries=10]               Retry failed requests X times.
+   * @param   {number}  [options.retry.maxRetryDelay=60000]         Maximum delay in milliseconds before a retry. Rate limited requests asked to wait longer fail with the RateLimitError.
+   * @param   {number[]} [options.retry.retryableStatusCodes]       Response status codes that are retried. Default `[429, 502, 503, 504]`.
+   * @param   {string[]} [options.retry.retryableErrorCodes]        Network error codes that are retried, e.g. `ECONNRESET` or `ETIMEDOUT`.
+   * @param   {string[]} [options.retry.retryableMethods]           Methods retried on errors other than 429. Default `['getAll', 'get', 'update', 'delete']`, add `create` or `patch` to retry non-idempotent requests.
    * @param   {object}  [options.headers]                           Additional headers that will be added to the outgoing requests.
    * @param   {string}  [options.proxy]                             Add the `superagent-proxy` dependency and specify a proxy url eg 'https://myproxy.com:1234'
-   * @param   {boolean}  [options.includeResponseHeaders]            Include the response headers in the payload in the format `{ data, headers }`.
+   * @param   {number}  [options.timeout]                           Timeout in milliseconds for every request. Individual requests can also be aborted by passing an AbortSignal as `signal` in their first argument.
+   * @param   {boolean}  [options.includeResponseHeaders]            Include the response headers in the payload in the format `{ data, headers, rateLimit }`, where `rateLimit` holds the `x-ratelimit-*` quota when sent by the API.
    */
   constructor(options) {
     if (!options || typeof options !== 'object') {
@@ -140,6 +147,8 @@ class ManagementClient {
       if (options.tokenProvider) {
         config.enableCache = options.tokenProvider.enableCache;
         config.cacheTTLInSeconds = options.tokenProvider.cacheTTLInSeconds;
+        config.cache = options.tokenProvider.cache;
+        config.backgroundRefreshRatio = options.tokenProvider.backgroundRefreshRatio;
         delete config.tokenProvider;
       }
 
@@ -172,6 +181,7 @@ class ManagementClient {
     managerOptions.retry = options.retry;
     managerOptions.includeResponseHeaders = options.includeResponseHeaders;
     managerOptions.proxy = options.proxy;
+    managerOptions.timeout = options.timeout;
 
     /**
      * Simple abstraction for performing CRUD operations on the
@@ -2039,6 +2049,98 @@ class ManagementClient {
     return this.jobs.errors(...args);
   }
 
+  /**
+   * Poll a job until it completes, see `management.jobs.waitForCompletion`.
+   *
+   * @example
+   * management.waitForJob('{JOB_ID}', { interval: 5000 }, function (err, job) {
+   *   if (err) {
+   *     // Handle error, err.errors holds the failed rows of a failed job.
+   *   }
+   *
+   *   // Completed job.
+   *   console.log(job);
+   * });
+   * @param   {string}    jobId         Job ID.
+   * @param   {object}    [options]     Polling options.
+   * @param   {Function}  [cb]          Callback function.
+   * @returns  {Promise|undefined}
+   */
+  waitForJob(...args) {
+    return this.jobs.waitForCompletion(...args);
+  }
+
+  /**
+   * Import users and wait for the job to complete, see `management.jobs.importUsersAndWait`.
+   *
+   * @example
+   * management.importUsersAndWait({
+   *   connection_id: '{CONNECTION_ID}',
+   *   users: '{PATH_TO_USERS_FILE}'
+   * }).then(function (job) {
+   *   console.log(job.summary);
+   * });
+   * @param   {object}    data          Users import data.
+   * @param   {object}    [options]     Polling options.
+   * @param   {Function}  [cb]          Callback function.
+   * @returns  {Promise|undefined}
+   */
+  importUsersAndWait(...args) {
+    return this.jobs.importUsersAndWait(...args);
+  }
+
+  /**
+   * Validate and import any number of users in chunks, see `management.jobs.importUsersInChunks`.
+   *
+   * @example
+   * management.importUsersInChunks({
+   *   connection_id: '{CONNECTION_ID}',
+   *   users: users
+   * }).then(function (result) {
+   *   console.log(result.summary);
+   * });
+   * @param   {object}    data          Users import data.
+   * @param   {object}    [options]     Import options.
+   * @param   {Function}  [cb]          Callback function.
+   * @returns  {Promise|undefined}
+   */
+  importUsersInChunks(...args) {
+    return this.jobs.importUsersInChunks(...args);
+  }
+
+  /**
+   * Export users and wait for the job to complete, see `management.jobs.exportUsersAndWait`.
+   *
+   * @example
+   * management.exportUsersAndWait({ format: 'json' }).then(function (job) {
+   *   console.log(job.location);
+   * });
+   * @param   {object}    data          Users export data.
+   * @param   {object}    [options]     Polling options.
+   * @param   {Function}  [cb]          Callback function.
+   * @returns  {Promise|undefined}
+   */
+  exportUsersAndWait(...args) {
+    return this.jobs.exportUsersAndWait(...args);
+  }
+
+  /**
+   * Download and parse the file of a completed users export job, see `management.jobs.downloadExport`.
+   *
+   * @example
+   * const job = await management.exportUsersAndWait({ format: 'json' });
+   *
+   * for await (const user of management.downloadUsersExport(job)) {
+   *   console.log(user.email);
+   * }
+   * @param   {object}    job           Completed users export job.
+   * @param   {object}    [options]     Download options.
+   * @returns {stream.Readable} Stream of the user records.
+   */
+  downloadUsersExport(...args) {
+    return this.jobs.downloadExport(...args);
+  }
+
   /**
    * Send a verification email to a user.
    *
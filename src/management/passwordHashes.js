@@ -0,0 +1,554 @@
+/**
+ * Builders of the `custom_password_hash` of bulk user imports, from the hash parameters or the
+ * encoded hashes of common frameworks. The built hashes are validated against the bulk import
+ * schema and, when a known `password` is given, checked to verify it.
+ */
+
+const crypto = require('crypto');
+const { ArgumentError } = require('rest-facade');
+const usersImport = require('./usersImport');
+
+const DIGEST_ALGORITHMS = ['md4', 'md5', 'sha1', 'sha256', 'sha512'];
+const SCRYPT_DEFAULTS = { cost: 16384, blockSize: 8, parallelization: 1 };
+const LDAP_DIGESTS = {
+  MD5: 'md5',
+  SHA: 'sha1',
+  SHA256: 'sha256',
+  SHA512: 'sha512',
+};
+const ASP_NET_IDENTITY_PRFS = ['sha1', 'sha256', 'sha512'];
+const PHPASS_ITOA64 = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// PHC strings use the base64 alphabet without padding.
+const toB64 = (buffer) => buffer.toString('base64').replace(/=+$/, '');
+const toBuffer = (value, encoding) => {
+  if (Buffer.isBuffer(value)) {
+    return value;
+  }
+
+  return Buffer.from(value, encoding);
+};
+const toEncoded = (value, encoding) => (Buffer.isBuffer(value) ? value.toString(encoding) : value);
+
+const equals = (expected, actual) =>
+  expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+
+const createHash = (digest) => {
+  try {
+    return crypto.createHash(digest);
+  } catch (err) {
+    throw new ArgumentError(`The ${digest} digest is not supported by this Node.js version`);
+  }
+};
+
+/**
+ * Get the bytes hashed by the digest algorithms: the password and its salt.
+ *
+ * @param   {object}  hash      The custom password hash.
+ * @param   {string}  password  The password.
+ * @returns {Buffer}
+ */
+const saltedPassword = (hash, password) => {
+  const passwordBuffer = Buffer.from(password, (hash.password && hash.password.encoding) || 'utf8');
+  if (!hash.salt) {
+    return passwordBuffer;
+  }
+
+  const salt = Buffer.from(hash.salt.value, hash.salt.encoding || 'utf8');
+  return hash.salt.position === 'suffix'
+    ? Buffer.concat([passwordBuffer, salt])
+    : Buffer.concat([salt, passwordBuffer]);
+};
+
+const hashValue = (hash) => Buffer.from(hash.hash.value, hash.hash.encoding || 'hex');
+
+const verifyPbkdf2 = (value, password) => {
+  const [, id, params, salt, derivedKey] = value.split('$');
+  const digest = id.split('-')[1] || 'sha1';
+  const { i: iterations, l: keylen } = params.split(',').reduce((parsed, param) => {
+    const [name, paramValue] = param.split('=');
+    parsed[name] = Number(paramValue);
+    return parsed;
+  }, {});
+  const expected = Buffer.from(derivedKey || '', 'base64');
+
+  return equals(
+    expected,
+    crypto.pbkdf2Sync(
+      password,
+      Buffer.from(salt, 'base64'),
+      iterations,
+      keylen || expected.length,
+      digest
+    )
+  );
+};
+
+const verifyLdap = (value, password) => {
+  const [, scheme, encoded] = value.match(/^\{([A-Z0-9-]+)\}(.*)$/) || [];
+  const salted = scheme && scheme.startsWith('S') && LDAP_DIGESTS[scheme.slice(1)];
+  const digest = salted || LDAP_DIGESTS[scheme];
+  if (!digest) {
+    throw new ArgumentError(`LDAP {${scheme}} hashes cannot be verified`);
+  }
+
+  const decoded = Buffer.from(encoded, 'base64');
+  const { length } = createHash(digest).digest();
+  const salt = salted ? decoded.subarray(length) : Buffer.alloc(0);
+
+  return equals(
+    decoded.subarray(0, length),
+    createHash(digest)
+      .update(Buffer.concat([Buffer.from(password, 'utf8'), salt]))
+      .digest()
+  );
+};
+
+// Encode bytes with the base64 variant of phpass, least significant bits first.
+const phpassEncode64 = (input) => {
+  let output = '';
+  for (let i = 0; i < input.length; i += 3) {
+    const value = input[i] | ((input[i + 1] || 0) << 8) | ((input[i + 2] || 0) << 16);
+    const chars = Math.min(input.length - i, 3) + 1;
+    for (let shift = 0; shift < chars * 6; shift += 6) {
+      output += PHPASS_ITOA64[(value >> shift) & 0x3f];
+    }
+  }
+  return output;
+};
+
+const verifyPhpass = (value, password) => {
+  const countLog2 = PHPASS_ITOA64.indexOf(value[3]);
+  const salt = value.slice(4, 12);
+  const passwordBuffer = Buffer.from(password, 'utf8');
+
+  let hash = createHash('md5')
+    .update(Buffer.concat([Buffer.from(salt, 'binary'), passwordBuffer]))
+    .digest();
+  for (let count = 1 << countLog2; count > 0; count--) {
+    hash = createHash('md5')
+      .update(Buffer.concat([hash, passwordBuffer]))
+      .digest();
+  }
+
+  return equals(
+    Buffer.from(value, 'binary'),
+    Buffer.from(`${value.slice(0, 12)}${phpassEncode64(hash)}`, 'binary')
+  );
+};
+
+/**
+ * Check whether a custom password hash verifies a password, like Auth0 does on the first login
+ * of an imported user. bcrypt and argon2 hashes cannot be checked without their native libraries.
+ *
+ * @param   {object}  hash      The custom password hash.
+ * @param   {string}  password  The password.
+ * @returns {boolean} Whether the password matches the hash.
+ */
+const verify = function (hash, password) {
+  if (typeof password !== 'string') {
+    throw new ArgumentError('The password must be a string');
+  }
+
+  const { algorithm } = hash;
+  switch (algorithm) {
+    case 'md4':
+    case 'md5':
+    case 'sha1':
+    case 'sha256':
+    case 'sha512':
+      return equals(
+        hashValue(hash),
+        createHash(algorithm).update(saltedPassword(hash, password)).digest()
+      );
+    case 'hmac':
+      return equals(
+        hashValue(hash),
+        crypto
+          .createHmac(
+            hash.hash.digest,
+            Buffer.from(hash.hash.key.value, hash.hash.key.encoding || 'utf8')
+          )
+          .update(saltedPassword(hash, password))
+          .digest()
+      );
+    case 'pbkdf2':
+      return verifyPbkdf2(hash.hash.value, password);
+    case 'ldap':
+      return verifyLdap(hash.hash.value, password);
+    case 'phpass':
+      return verifyPhpass(hash.hash.value, password);
+    case 'scrypt': {
+      const { cost, blockSize, parallelization } = { ...SCRYPT_DEFAULTS, ...hash };
+      return equals(
+        hashValue(hash),
+        crypto.scryptSync(
+          Buffer.from(password, 'utf8'),
+          Buffer.from(hash.salt.value, hash.salt.encoding || 'utf8'),
+          hash.keylen,
+          { N: cost, r: blockSize, p: parallelization, maxmem: 256 * cost * blockSize }
+        )
+      );
+    }
+    default:
+      throw new ArgumentError(`${algorithm} hashes cannot be verified locally`);
+  }
+};
+
+/**
+ * Validate a built hash against the bulk import schema and verify the known password, if any.
+ *
+ * @param   {object}  hash                The custom password hash.
+ * @param   {object}  [options]           Check options.
+ * @param   {string}  [options.password]  Known password of the hash.
+ * @returns {object} The hash.
+ */
+const check = function (hash, options) {
+  const errors = usersImport.validateCustomPasswordHash(hash);
+  if (errors.length) {
+    throw new ArgumentError(
+      `Invalid custom password hash: ${errors
+        .map(({ path, message }) => `${path} ${message}`)
+        .join(', ')}`
+    );
+  }
+
+  if (options && options.password !== undefined && !verify(hash, options.password)) {
+    throw new ArgumentError('The password does not match the custom password hash');
+  }
+
+  return hash;
+};
+
+/**
+ * Build a bcrypt hash, e.g. `$2b$10$...`.
+ *
+ * @param   {string}  value       The bcrypt hash.
+ * @param   {object}  [options]   Check options, see `check`.
+ * @returns {object} The custom password hash.
+ */
+const bcrypt = function (value, options) {
+  return check({ algorithm: 'bcrypt', hash: { value } }, options);
+};
+
+/**
+ * Build an argon2 hash, in the PHC format, e.g. `$argon2id$v=19$m=65536,t=3,p=4$...`.
+ *
+ * @param   {string}  value       The argon2 hash.
+ * @param   {object}  [options]   Check options, see `check`.
+ * @returns {object} The custom password hash.
+ */
+const argon2 = function (value, options) {
+  return check({ algorithm: 'argon2', hash: { value } }, options);
+};
+
+/**
+ * Build a LDAP hash, e.g. `{SSHA}...`.
+ *
+ * @param   {string}  value       The LDAP hash.
+ * @param   {object}  [options]   Check options, see `check`.
+ * @returns {object} The custom password hash.
+ */
+const ldap = function (value, options) {
+  return check({ algorithm: 'ldap', hash: { value } }, options);
+};
+
+/**
+ * Build a PBKDF2 hash, encoded in the PHC format.
+ *
+ * @param   {object}        params                  Hash parameters.
+ * @param   {string}        [params.digest]         HMAC digest, e.g. `sha1`. Defaults to `sha256`.
+ * @param   {number}        params.iterations       Number of iterations.
+ * @param   {Buffer|string} params.salt             Salt.
+ * @param   {Buffer|string} params.hash             Derived key.
+ * @param   {string}        [params.encoding]       Encoding of the string salt and hash. Defaults to `base64`.
+ * @param   {object}        [options]               Check options, see `check`.
+ * @returns {object} The custom password hash.
+ */
+const pbkdf2 = function (params, options) {
+  const { digest = 'sha256', iterations, salt, hash, encoding = 'base64' } = params || {};
+  if (!Number.isInteger(iterations) || iterations < 1) {
+    throw new ArgumentError('The iterations must be a positive integer');
+  }
+
+  if (salt === undefined || hash === undefined) {
+    throw new ArgumentError('The salt and hash are required');
+  }
+
+  const derivedKey = toBuffer(hash, encoding);
+  const value = `$pbkdf2-${digest}$i=${iterations},l=${derivedKey.length}$${toB64(
+    toBuffer(salt, encoding)
+  )}$${toB64(derivedKey)}`;
+
+  return check({ algorithm: 'pbkdf2', hash: { value, encoding: 'utf8' } }, options);
+};
+
+const saltOf = ({ salt, saltEncoding = 'utf8', position = 'prefix' }) => {
+  if (salt === undefined) {
+    return {};
+  }
+
+  return { salt: { value: toEncoded(salt, saltEncoding), encoding: saltEncoding, position } };
+};
+
+const passwordOf = ({ passwordEncoding }) => {
+  if (!passwordEncoding) {
+    return {};
+  }
+
+  return { password: { encoding: passwordEncoding } };
+};
+
+/**
+ * Build a MD4, MD5 or SHA hash, salted or not.
+ *
+ * @param   {string}        algorithm                   `md4`, `md5`, `sha1`, `sha256` or `sha512`.
+ * @param   {object}        params                      Hash parameters.
+ * @param   {Buffer|string} params.hash                 Hash.
+ * @param   {string}        [params.encoding]           Encoding of the hash, `hex`, `base64` or `utf8`. Defaults to `hex`.
+ * @param   {Buffer|string} [params.salt]               Salt.
+ * @param   {string}        [params.saltEncoding]       Encoding of the salt. Defaults to `utf8`.
+ * @param   {string}        [params.position]           Position of the salt, `prefix` or `suffix`. Defaults to `prefix`.
+ * @param   {string}        [params.passwordEncoding]   Encoding of the password, e.g. `utf16le`. Defaults to `utf8`.
+ * @param   {object}        [options]                   Check options, see `check`.
+ * @returns {object} The custom password hash.
+ */
+const digest = function (algorithm, params, options) {
+  if (!DIGEST_ALGORITHMS.includes(algorithm)) {
+    throw new ArgumentError(`The algorithm must be one of "${DIGEST_ALGORITHMS.join('", "')}"`);
+  }
+
+  const { hash, encoding = 'hex' } = params || {};
+  return check(
+    {
+      algorithm,
+      hash: { value: toEncoded(hash, encoding), encoding },
+      ...saltOf(params || {}),
+      ...passwordOf(params || {}),
+    },
+    options
+  );
+};
+
+/**
+ * Build a HMAC hash, salted or not.
+ *
+ * @param   {object}        params                      Hash parameters, as for `digest`.
+ * @param   {string}        params.digest               HMAC digest, e.g. `sha256`.
+ * @param   {Buffer|string} params.key                  HMAC key.
+ * @param   {string}        [params.keyEncoding]        Encoding of the key. Defaults to `utf8`.
+ * @param   {object}        [options]                   Check options, see `check`.
+ * @returns {object} The custom password hash.
+ */
+const hmac = function (params, options) {
+  const { hash, encoding = 'hex', key, keyEncoding = 'utf8' } = params || {};
+  return check(
+    {
+      algorithm: 'hmac',
+      hash: {
+        value: toEncoded(hash, encoding),
+        encoding,
+        digest: params && params.digest,
+        key: { value: toEncoded(key, keyEncoding), encoding: keyEncoding },
+      },
+      ...saltOf(params || {}),
+      ...passwordOf(params || {}),
+    },
+    options
+  );
+};
+
+/**
+ * Build a scrypt hash.
+ *
+ * @param   {object}        params                      Hash parameters.
+ * @param   {Buffer|string} params.hash                 Derived key.
+ * @param   {Buffer|string} params.salt                 Salt.
+ * @param   {string}        [params.encoding]           Encoding of the hash. Defaults to `base64`.
+ * @param   {string}        [params.saltEncoding]       Encoding of the salt. Defaults to `utf8`.
+ * @param   {number}        [params.keylen]             Length of the derived key. Defaults to the length of the hash.
+ * @param   {number}        [params.cost]               CPU/memory cost (N). Defaults to 16384.
+ * @param   {number}        [params.blockSize]          Block size (r). Defaults to 8.
+ * @param   {number}        [params.parallelization]    Parallelization (p). Defaults to 1.
+ * @param   {object}        [options]                   Check options, see `check`.
+ * @returns {object} The custom password hash.
+ */
+const scrypt = function (params, options) {
+  const {
+    hash,
+    salt,
+    encoding = 'base64',
+    saltEncoding = 'utf8',
+    keylen = hash && toBuffer(hash, encoding).length,
+    cost,
+    blockSize,
+    parallelization,
+  } = params || {};
+
+  return check(
+    {
+      algorithm: 'scrypt',
+      hash: { value: toEncoded(hash, encoding), encoding },
+      ...(salt !== undefined && {
+        salt: { value: toEncoded(salt, saltEncoding), encoding: saltEncoding },
+      }),
+      keylen,
+      ...(cost !== undefined && { cost }),
+      ...(blockSize !== undefined && { blockSize }),
+      ...(parallelization !== undefined && { parallelization }),
+    },
+    options
+  );
+};
+
+/**
+ * Build the hash of a Django password, e.g. `pbkdf2_sha256$600000$salt$hash`. Supports the
+ * `pbkdf2_sha256`, `pbkdf2_sha1`, `argon2`, `bcrypt`, `scrypt`, `sha1`, `md5`, `unsalted_sha1`
+ * and `unsalted_md5` hashers. The `bcrypt_sha256` hashes cannot be imported, they are bcrypt
+ * hashes of a SHA256 digest of the password.
+ *
+ * @param   {string}  encoded     The password of the Django user.
+ * @param   {object}  [options]   Check options, see `check`.
+ * @returns {object} The custom password hash.
+ */
+const django = function (encoded, options) {
+  if (typeof encoded !== 'string') {
+    throw new ArgumentError('The Django password hash must be a string');
+  }
+
+  const [hasher, ...parts] = encoded.split('$');
+  switch (hasher) {
+    case 'pbkdf2_sha256':
+    case 'pbkdf2_sha1': {
+      const [iterations, salt, hash] = parts;
+      return pbkdf2(
+        {
+          digest: hasher.split('_')[1],
+          iterations: Number(iterations),
+          salt: Buffer.from(salt || '', 'utf8'),
+          hash: Buffer.from(hash || '', 'base64'),
+        },
+        options
+      );
+    }
+    case 'argon2':
+      return argon2(`$${parts.join('$')}`, options);
+    case 'bcrypt':
+      return bcrypt(parts.slice(1).join('$') && `$${parts.slice(1).join('$')}`, options);
+    case 'scrypt': {
+      // scrypt$<N>$<salt>$<r>$<p>$<hash>
+      const [cost, salt, blockSize, parallelization, hash] = parts;
+      return scrypt(
+        {
+          hash,
+          salt,
+          cost: Number(cost),
+          blockSize: Number(blockSize),
+          parallelization: Number(parallelization),
+        },
+        options
+      );
+    }
+    case 'sha1':
+    case 'md5': {
+      // The unsalted hashers use an empty salt.
+      const [salt, hash] = parts;
+      return digest(hasher, { hash, salt: salt || undefined }, options);
+    }
+    default:
+      // Legacy unsalted MD5 passwords are stored without prefix.
+      if (/^[0-9a-f]{32}$/.test(encoded)) {
+        return digest('md5', { hash: encoded }, options);
+      }
+      throw new ArgumentError(`Unsupported Django password hasher "${hasher}"`);
+  }
+};
+
+/**
+ * Build the hash of a phpass password, e.g. from WordPress or phpBB: a portable `$P$` or `$H$`
+ * hash (iterated MD5), or a bcrypt hash.
+ *
+ * @param   {string}  encoded     The phpass hash.
+ * @param   {object}  [options]   Check options, see `check`.
+ * @returns {object} The custom password hash.
+ */
+const phpass = function (encoded, options) {
+  if (typeof encoded !== 'string') {
+    throw new ArgumentError('The phpass hash must be a string');
+  }
+
+  if (/^\$2[aby]\$/.test(encoded)) {
+    return bcrypt(encoded, options);
+  }
+
+  if (/^\$[PH]\$/.test(encoded)) {
+    return check({ algorithm: 'phpass', hash: { value: encoded } }, options);
+  }
+
+  throw new ArgumentError('Unsupported phpass hash');
+};
+
+/**
+ * Build the hash of an ASP.NET Identity password: the base64 `PasswordHash` of the v2
+ * (PBKDF2 with HMAC-SHA1) and v3 (PBKDF2 with HMAC-SHA1, SHA256 or SHA512) formats.
+ *
+ * @param   {string}  encoded     The ASP.NET Identity password hash.
+ * @param   {object}  [options]   Check options, see `check`.
+ * @returns {object} The custom password hash.
+ */
+const aspNetIdentity = function (encoded, options) {
+  if (typeof encoded !== 'string') {
+    throw new ArgumentError('The ASP.NET Identity password hash must be a string');
+  }
+
+  const decoded = Buffer.from(encoded, 'base64');
+
+  // v2: 0x00, 16 bytes salt, 32 bytes subkey, 1000 iterations of PBKDF2 with HMAC-SHA1.
+  if (decoded[0] === 0x00 && decoded.length === 49) {
+    return pbkdf2(
+      {
+        digest: 'sha1',
+        iterations: 1000,
+        salt: decoded.subarray(1, 17),
+        hash: decoded.subarray(17),
+      },
+      options
+    );
+  }
+
+  // v3: 0x01, PRF, iteration count and salt length as big-endian uint32, salt, subkey.
+  if (decoded[0] === 0x01 && decoded.length > 13) {
+    const prf = ASP_NET_IDENTITY_PRFS[decoded.readUInt32BE(1)];
+    const iterations = decoded.readUInt32BE(5);
+    const saltLength = decoded.readUInt32BE(9);
+
+    if (prf && decoded.length > 13 + saltLength) {
+      return pbkdf2(
+        {
+          digest: prf,
+          iterations,
+          salt: decoded.subarray(13, 13 + saltLength),
+          hash: decoded.subarray(13 + saltLength),
+        },
+        options
+      );
+    }
+  }
+
+  throw new ArgumentError('Unsupported ASP.NET Identity password hash');
+};
+
+module.exports = {
+  verify,
+  check,
+  bcrypt,
+  argon2,
+  ldap,
+  pbkdf2,
+  digest,
+  hmac,
+  scrypt,
+  django,
+  phpass,
+  aspNetIdentity,
+};
@@ -0,0 +1,152 @@
+/**
+ * Parsers of the users export files, reading the decompressed file as an (async) iterable of
+ * string chunks and yielding one record per user.
+ */
+
+const FORMATS = ['json', 'csv'];
+
+/**
+ * Get the record keys of the fields requested for an export job.
+ *
+ * @param {object[]} [fields] The `fields` of the export job.
+ * @returns {string[]|undefined} The keys, or undefined when all the fields were exported.
+ */
+const getFieldKeys = function (fields) {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    return;
+  }
+
+  return fields.map((field) => field.export_as || field.name);
+};
+
+const usersExport = {
+  FORMATS,
+  getFieldKeys,
+
+  /**
+   * Parse an export in the `json` format, one JSON object per line.
+   *
+   * @param {AsyncIterable<string>} chunks Content of the export file.
+   * @param {string[]} [keys] Keys of the requested fields, the records only include these keys.
+   * @yields {object} The user records.
+   */
+  async *parseJsonLines(chunks, keys) {
+    let buffer = '';
+    let lineNumber = 0;
+
+    const parseLine = (line) => {
+      lineNumber++;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        throw new SyntaxError(`Unable to parse the user on line ${lineNumber}: ${err.message}`);
+      }
+
+      if (!keys) {
+        return record;
+      }
+
+      return keys.reduce((projected, key) => {
+        if (record[key] !== undefined) {
+          projected[key] = record[key];
+        }
+        return projected;
+      }, {});
+    };
+
+    for await (const chunk of chunks) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.trim()) {
+          yield parseLine(line);
+        } else {
+          lineNumber++;
+        }
+      }
+    }
+
+    if (buffer.trim()) {
+      yield parseLine(buffer);
+    }
+  },
+
+  /**
+   * Split CSV content into rows of values, supporting quoted values with escaped quotes (`""`)
+   * and line breaks.
+   *
+   * @param {AsyncIterable<string>} chunks CSV content.
+   * @yields {string[]} The rows.
+   */
+  async *_parseCsvRows(chunks) {
+    let row = [];
+    let value = '';
+    let quoted = false;
+    let previous;
+
+    for await (const chunk of chunks) {
+      for (const char of chunk) {
+        if (quoted) {
+          if (char === '"') {
+            quoted = false;
+          } else {
+            value += char;
+          }
+        } else if (char === '"') {
+          // A quote right after the closing quote is an escaped quote.
+          if (previous === '"') {
+            value += '"';
+          }
+          quoted = true;
+        } else if (char === ',') {
+          row.push(value);
+          value = '';
+        } else if (char === '\n') {
+          row.push(value);
+          if (row.length > 1 || row[0] !== '') {
+            yield row;
+          }
+          row = [];
+          value = '';
+        } else if (char !== '\r') {
+          value += char;
+        }
+
+        previous = char;
+      }
+    }
+
+    if (row.length > 0 || value !== '') {
+      row.push(value);
+      yield row;
+    }
+  },
+
+  /**
+   * Parse an export in the `csv` format, whose first row is the header.
+   *
+   * @param {AsyncIterable<string>} chunks Content of the export file.
+   * @param {string[]} [keys] Keys of the requested fields, used instead of the header.
+   * @yields {object} The user records, with string values.
+   */
+  async *parseCsv(chunks, keys) {
+    let columns;
+
+    for await (const row of usersExport._parseCsvRows(chunks)) {
+      if (!columns) {
+        columns = keys || row;
+        continue;
+      }
+
+      yield columns.reduce((record, column, index) => {
+        record[column] = row[index] !== undefined ? row[index] : '';
+        return record;
+      }, {});
+    }
+  },
+};
+
+module.exports = usersExport;
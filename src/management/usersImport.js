@@ -0,0 +1,323 @@
+/**
+ * Local validation of the users of bulk imports, following the bulk user import database schema,
+ * and splitting of the users into import files under the size limit of the API.
+ */
+
+const { Readable } = require('stream');
+const { ArgumentError } = require('rest-facade');
+const usersExport = require('./usersExport');
+
+const MAX_FILE_SIZE = 500 * 1000; // bytes
+
+const HASH_ALGORITHMS = [
+  'argon2',
+  'bcrypt',
+  'hmac',
+  'ldap',
+  'md4',
+  'md5',
+  'sha1',
+  'sha256',
+  'sha512',
+  'pbkdf2',
+  'phpass',
+  'scrypt',
+];
+// Algorithms whose hash value is a self-describing string, salt included.
+const ENCODED_HASH_ALGORITHMS = ['argon2', 'bcrypt', 'ldap', 'pbkdf2', 'phpass'];
+const SALTED_HASH_ALGORITHMS = ['hmac', 'md4', 'md5', 'sha1', 'sha256', 'sha512'];
+const HASH_ENCODINGS = ['base64', 'hex', 'utf8'];
+const PASSWORD_ENCODINGS = ['ascii', 'utf8', 'utf16le', 'ucs2', 'latin1', 'binary'];
+const HMAC_DIGESTS = [
+  'md4',
+  'md5',
+  'ripemd160',
+  'sha1',
+  'sha224',
+  'sha256',
+  'sha384',
+  'sha512',
+  'whirlpool',
+];
+const SALT_POSITIONS = ['prefix', 'suffix'];
+const SCRYPT_PARAMETERS = ['keylen', 'cost', 'blockSize', 'parallelization'];
+const ENCODED_HASH_PREFIXES = {
+  argon2: /^\$argon2(i|d|id)\$/,
+  bcrypt: /^\$2[abxy]?\$\d{2}\$/,
+  ldap: /^\{[A-Z0-9-]+\}/,
+  pbkdf2: /^\$pbkdf2(-[a-z0-9]+)?\$/,
+  phpass: /^\$[PH]\$[./0-9A-Za-z]{31}$/,
+};
+
+const STRING_PROPERTIES = [
+  'user_id',
+  'username',
+  'given_name',
+  'family_name',
+  'name',
+  'nickname',
+  'picture',
+];
+const BOOLEAN_PROPERTIES = ['email_verified', 'blocked'];
+const OBJECT_PROPERTIES = ['app_metadata', 'user_metadata'];
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isString = (value) => typeof value === 'string' && value.length > 0;
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const quoteList = (values) => values.map((value) => `"${value}"`).join(', ');
+
+/**
+ * Validate a `custom_password_hash` of the bulk import schema.
+ *
+ * @param   {object}  hash          The custom password hash.
+ * @param   {string}  [path]        Path of the hash in the user, used in the messages.
+ * @returns {object[]} The errors, with the `path` and `message` of each, empty when the hash is valid.
+ */
+const validateCustomPasswordHash = function (hash, path = 'custom_password_hash') {
+  const errors = [];
+  const fail = (property, message) =>
+    errors.push({ path: property ? `${path}.${property}` : path, message });
+
+  if (!isObject(hash)) {
+    fail('', 'must be an object');
+    return errors;
+  }
+
+  const { algorithm } = hash;
+  if (!HASH_ALGORITHMS.includes(algorithm)) {
+    fail('algorithm', `must be one of ${quoteList(HASH_ALGORITHMS)}`);
+    return errors;
+  }
+
+  const encoded = ENCODED_HASH_ALGORITHMS.includes(algorithm);
+
+  // Hash
+  if (!isObject(hash.hash) || !isString(hash.hash.value)) {
+    fail('hash.value', 'must be a non-empty string');
+  } else {
+    const { encoding, digest, key } = hash.hash;
+
+    if (encoded) {
+      if (encoding !== undefined && encoding !== 'utf8') {
+        fail('hash.encoding', `must be "utf8" for the ${algorithm} algorithm`);
+      }
+      if (!ENCODED_HASH_PREFIXES[algorithm].test(hash.hash.value)) {
+        fail('hash.value', `is not a valid ${algorithm} hash`);
+      }
+    } else if (encoding !== undefined && !HASH_ENCODINGS.includes(encoding)) {
+      fail('hash.encoding', `must be one of ${quoteList(HASH_ENCODINGS)}`);
+    }
+
+    if (algorithm === 'hmac') {
+      if (!HMAC_DIGESTS.includes(digest)) {
+        fail('hash.digest', `must be one of ${quoteList(HMAC_DIGESTS)}`);
+      }
+      if (!isObject(key) || !isString(key.value)) {
+        fail('hash.key.value', 'must be a non-empty string');
+      } else if (key.encoding !== undefined && !HASH_ENCODINGS.includes(key.encoding)) {
+        fail('hash.key.encoding', `must be one of ${quoteList(HASH_ENCODINGS)}`);
+      }
+    } else {
+      if (digest !== undefined) {
+        fail('hash.digest', 'is only supported by the hmac algorithm');
+      }
+      if (key !== undefined) {
+        fail('hash.key', 'is only supported by the hmac algorithm');
+      }
+    }
+  }
+
+  // Salt
+  const { salt } = hash;
+  if (encoded) {
+    if (salt !== undefined) {
+      fail('salt', `is not supported by the ${algorithm} algorithm, include it in the hash`);
+    }
+  } else if (salt === undefined) {
+    if (algorithm === 'scrypt') {
+      fail('salt', 'is required by the scrypt algorithm');
+    }
+  } else if (!isObject(salt) || !isString(salt.value)) {
+    fail('salt.value', 'must be a non-empty string');
+  } else {
+    if (salt.encoding !== undefined && !HASH_ENCODINGS.includes(salt.encoding)) {
+      fail('salt.encoding', `must be one of ${quoteList(HASH_ENCODINGS)}`);
+    }
+    if (SALTED_HASH_ALGORITHMS.includes(algorithm) && !SALT_POSITIONS.includes(salt.position)) {
+      fail('salt.position', `must be one of ${quoteList(SALT_POSITIONS)}`);
+    }
+    if (algorithm === 'scrypt' && salt.position !== undefined) {
+      fail('salt.position', 'is not supported by the scrypt algorithm');
+    }
+  }
+
+  // Password
+  if (hash.password !== undefined) {
+    if (!isObject(hash.password) || !PASSWORD_ENCODINGS.includes(hash.password.encoding)) {
+      fail('password.encoding', `must be one of ${quoteList(PASSWORD_ENCODINGS)}`);
+    }
+  }
+
+  // Scrypt parameters
+  SCRYPT_PARAMETERS.forEach((parameter) => {
+    if (algorithm !== 'scrypt') {
+      if (hash[parameter] !== undefined) {
+        fail(parameter, 'is only supported by the scrypt algorithm');
+      }
+    } else if (
+      (hash[parameter] !== undefined || parameter === 'keylen') &&
+      !isPositiveInteger(hash[parameter])
+    ) {
+      fail(parameter, 'must be a positive integer');
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validate a user against the bulk import schema.
+ *
+ * @param   {object}  user    The user to import.
+ * @returns {object[]} The errors, with the `path` and `message` of each, empty when the user is valid.
+ */
+const validateUser = function (user) {
+  if (!isObject(user)) {
+    return [{ path: '', message: 'must be an object' }];
+  }
+
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+
+  if (typeof user.email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(user.email)) {
+    fail('email', 'must be a valid email address');
+  }
+
+  STRING_PROPERTIES.forEach((property) => {
+    if (user[property] !== undefined && !isString(user[property])) {
+      fail(property, 'must be a non-empty string');
+    }
+  });
+
+  BOOLEAN_PROPERTIES.forEach((property) => {
+    if (user[property] !== undefined && typeof user[property] !== 'boolean') {
+      fail(property, 'must be a boolean');
+    }
+  });
+
+  OBJECT_PROPERTIES.forEach((property) => {
+    if (user[property] !== undefined && !isObject(user[property])) {
+      fail(property, 'must be an object');
+    }
+  });
+
+  if (user.password_hash !== undefined) {
+    if (user.custom_password_hash !== undefined) {
+      fail('password_hash', 'cannot be combined with custom_password_hash');
+    }
+    if (typeof user.password_hash !== 'string' || !/^\$2[ab]\$\d{2}\$/.test(user.password_hash)) {
+      fail('password_hash', 'must be a bcrypt hash');
+    }
+  }
+
+  if (user.custom_password_hash !== undefined) {
+    errors.push(...validateCustomPasswordHash(user.custom_password_hash));
+  }
+
+  if (user.mfa_factors !== undefined && !Array.isArray(user.mfa_factors)) {
+    fail('mfa_factors', 'must be an array');
+  }
+
+  if (user.identities !== undefined) {
+    if (!Array.isArray(user.identities)) {
+      fail('identities', 'must be an array');
+    } else {
+      user.identities.forEach((identity, index) => {
+        if (!isObject(identity) || !isString(identity.provider)) {
+          fail(`identities[${index}].provider`, 'must be a non-empty string');
+        } else if (identity.user_id !== undefined && !isString(identity.user_id)) {
+          fail(`identities[${index}].user_id`, 'must be a non-empty string');
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Get an iterable of the users of an array, (async) iterable or NDJSON stream.
+ *
+ * @param   {Array|Iterable|AsyncIterable|stream.Readable}  users   The users.
+ * @returns {Iterable|AsyncIterable} The users.
+ */
+const toIterable = function (users) {
+  if (users instanceof Readable && !users.readableObjectMode) {
+    users.setEncoding('utf8');
+    return usersExport.parseJsonLines(users);
+  }
+
+  if (
+    !users ||
+    typeof users === 'string' ||
+    (typeof users[Symbol.iterator] !== 'function' &&
+      typeof users[Symbol.asyncIterator] !== 'function')
+  ) {
+    throw new ArgumentError('The users must be an array, an iterable or a NDJSON stream');
+  }
+
+  return users;
+};
+
+const usersImport = {
+  MAX_FILE_SIZE,
+  validateCustomPasswordHash,
+  validateUser,
+  toIterable,
+
+  /**
+   * Validate the users and group the valid ones in chunks whose JSON is at most `maxSize` bytes.
+   *
+   * @param {Iterable|AsyncIterable} users The users.
+   * @param {object} options Chunking options.
+   * @param {number} options.maxSize Maximum size of the JSON of a chunk, in bytes.
+   * @param {Function} options.onInvalid Function called with the `index`, `user` and `errors` of the invalid users.
+   * @yields {object[]} The chunks of valid users.
+   */
+  async *chunk(users, { maxSize, onInvalid }) {
+    let chunk = [];
+    let size = 2; // Brackets of the JSON array.
+    let index = 0;
+
+    for await (const user of users) {
+      const userIndex = index++;
+      const errors = validateUser(user);
+      const userSize = errors.length ? 0 : Buffer.byteLength(JSON.stringify(user));
+
+      if (userSize + 2 > maxSize) {
+        errors.push({ path: '', message: `is larger than the ${maxSize} bytes import file limit` });
+      }
+
+      if (errors.length) {
+        onInvalid({ index: userIndex, user, errors });
+        continue;
+      }
+
+      // Separating comma.
+      if (chunk.length && size + 1 + userSize > maxSize) {
+        yield chunk;
+        chunk = [];
+        size = 2;
+      }
+
+      size += (chunk.length ? 1 : 0) + userSize;
+      chunk.push(user);
+    }
+
+    if (chunk.length) {
+      yield chunk;
+    }
+  },
+};
+
+module.exports = usersImport;
@@ -0,0 +1,219 @@
+const { ArgumentError } = require('rest-facade');
+const AccessTokenVerifier = require('../auth/AccessTokenVerifier');
+const { AccessTokenValidationError } = require('../errors');
+
+/**
+ * Describe a request rejected by the middleware, following RFC 6750.
+ *
+ * @param {number} statusCode HTTP status of the response.
+ * @param {string} [error] RFC 6750 error code, omitted when the request has no credentials.
+ * @param {string} [description] Human readable description of the error.
+ * @param {string[]} [scope] Scopes required to access the resource.
+ * @returns {object}
+ */
+const bearerFailure = (statusCode, error, description, scope) => ({
+  statusCode,
+  error,
+  description,
+  scope,
+});
+
+const quote = (value) => `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+
+/**
+ * Format the `WWW-Authenticate` challenge of a failure.
+ *
+ * @param {object} failure Failure returned by the middleware checks.
+ * @returns {string}
+ */
+const formatChallenge = (failure) => {
+  const params = [];
+
+  if (failure.error) {
+    params.push(`error=${quote(failure.error)}`);
+  }
+  if (failure.description) {
+    params.push(`error_description=${quote(failure.description)}`);
+  }
+  if (failure.scope && failure.scope.length) {
+    params.push(`scope=${quote(failure.scope.join(' '))}`);
+  }
+
+  return params.length ? `Bearer ${params.join(', ')}` : 'Bearer';
+};
+
+/**
+ * Response body of a failure, `undefined` when the request had no credentials.
+ *
+ * @param {object} failure Failure returned by the middleware checks.
+ * @returns {object|undefined}
+ */
+const formatBody = (failure) => {
+  if (!failure.error) {
+    return;
+  }
+
+  return { error: failure.error, error_description: failure.description };
+};
+
+const isFailure = (value) => Boolean(value && value.statusCode && !(value instanceof Error));
+
+const flatten = (values) =>
+  values
+    .reduce((all, value) => all.concat(value), [])
+    .reduce((all, value) => all.concat(String(value).split(' ')), [])
+    .filter(Boolean);
+
+/**
+ * Build the access token verifier of the middleware.
+ *
+ * @param {object} options Middleware options.
+ * @returns {AccessTokenVerifier}
+ */
+const createVerifier = (options) => {
+  if (!options || typeof options !== 'object') {
+    throw new ArgumentError('Must provide the middleware options');
+  }
+
+  const verifier = options.verifier || new AccessTokenVerifier(options);
+
+  if (!verifier.audience) {
+    throw new ArgumentError('Must provide an audience');
+  }
+
+  return verifier;
+};
+
+/**
+ * Read the bearer token of the `Authorization` header.
+ *
+ * @param {object} headers Request headers.
+ * @returns {string|undefined} The token, `undefined` when the header is missing.
+ * @throws {object} Failure when the header is not a bearer token.
+ */
+const getBearerToken = (headers) => {
+  const authorization = headers && headers.authorization;
+
+  if (!authorization) {
+    return;
+  }
+
+  const match = /^Bearer +([A-Za-z0-9\-._~+/]+=*) *$/i.exec(authorization);
+  if (!match) {
+    throw bearerFailure(400, 'invalid_request', 'The Authorization header must be a Bearer token');
+  }
+
+  return match[1];
+};
+
+/**
+ * Verify the bearer token of a request.
+ *
+ * @param {AccessTokenVerifier} verifier Access token verifier.
+ * @param {object} headers Request headers.
+ * @returns {Promise} Promise returning `{ token, payload }`, or rejecting with a failure.
+ */
+const authenticate = async (verifier, headers) => {
+  const token = getBearerToken(headers);
+
+  if (!token) {
+    throw bearerFailure(401);
+  }
+
+  try {
+    const payload = await verifier.verify(token);
+    return { token, payload };
+  } catch (err) {
+    if (err instanceof AccessTokenValidationError) {
+      throw bearerFailure(401, 'invalid_token', err.message);
+    }
+    throw err;
+  }
+};
+
+/**
+ * Check the scopes granted to an authenticated request.
+ *
+ * @param {object} auth `req.auth` set by the middleware.
+ * @param {string[]} scopes Required scopes.
+ * @returns {object|undefined} Failure when a scope is missing.
+ */
+const checkScopes = (auth, scopes) => {
+  if (!auth) {
+    return bearerFailure(401);
+  }
+
+  const granted = flatten([auth.payload.scope || []]);
+  const missing = scopes.filter((scope) => !granted.includes(scope));
+  if (missing.length) {
+    return bearerFailure(
+      403,
+      'insufficient_scope',
+      `Missing required scopes "${missing.join(' ')}"`,
+      scopes
+    );
+  }
+};
+
+/**
+ * Check the permissions granted to an authenticated request.
+ *
+ * @param {object} auth `req.auth` set by the middleware.
+ * @param {string[]} permissions Required permissions.
+ * @returns {object|undefined} Failure when a permission is missing.
+ */
+const checkPermissions = (auth, permissions) => {
+  if (!auth) {
+    return bearerFailure(401);
+  }
+
+  const granted = Array.isArray(auth.payload.permissions) ? auth.payload.permissions : [];
+  const missing = permissions.filter((permission) => !granted.includes(permission));
+  if (missing.length) {
+    return bearerFailure(
+      403,
+      'insufficient_scope',
+      `Missing required permissions "${missing.join(' ')}"`
+    );
+  }
+};
+
+/**
+ * Check the organization of an authenticated request.
+ *
+ * @param {object} auth `req.auth` set by the middleware.
+ * @param {string} organization Organization ID (`org_` prefix) or name.
+ * @returns {object|undefined} Failure when the token was issued for another organization.
+ */
+const checkOrganization = (auth, organization) => {
+  if (!auth) {
+    return bearerFailure(401);
+  }
+
+  const { payload } = auth;
+  const matches =
+    organization.indexOf('org_') === 0
+      ? payload.org_id === organization
+      : typeof payload.org_name === 'string' && payload.org_name === organization.toLowerCase();
+
+  if (!matches) {
+    return bearerFailure(
+      403,
+      'insufficient_scope',
+      `The access token was not issued for the organization "${organization}"`
+    );
+  }
+};
+
+module.exports = {
+  authenticate,
+  checkOrganization,
+  checkPermissions,
+  checkScopes,
+  createVerifier,
+  flatten,
+  formatBody,
+  formatChallenge,
+  getBearerToken,
+  isFailure,
+};
@@ -0,0 +1,129 @@
+const { ArgumentError } = require('rest-facade');
+const bearer = require('./bearer');
+
+/**
+ * Answer a rejected request with its RFC 6750 challenge.
+ *
+ * @param {object} res Response.
+ * @param {object} failure Failure returned by the bearer checks.
+ */
+const reject = (res, failure) => {
+  const body = bearer.formatBody(failure);
+
+  res.statusCode = failure.statusCode;
+  res.setHeader('WWW-Authenticate', bearer.formatChallenge(failure));
+
+  if (!body) {
+    res.end();
+    return;
+  }
+
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Build a guard middleware from a bearer check.
+ *
+ * @param {Function} check Bearer check of `req.auth`, returning a failure to reject the request.
+ * @returns {Function} Express/Connect middleware.
+ */
+const guard = (check) => (req, res, next) => {
+  const failure = check(req.auth);
+
+  if (failure) {
+    reject(res, failure);
+    return;
+  }
+
+  next();
+};
+
+/**
+ * Express/Connect middleware verifying the bearer access token of the request.
+ * The verified token and its claims are set as `req.auth = { token, payload }`.
+ *
+ * @example
+ * const { auth, requireScopes } = require('auth0').middleware;
+ *
+ * app.use(auth({ domain: '{YOUR_ACCOUNT}.auth0.com', audience: '{YOUR_API_IDENTIFIER}' }));
+ *
+ * app.get('/messages', requireScopes('read:messages'), (req, res) => {
+ *   res.json({ user: req.auth.payload.sub });
+ * });
+ * @param   {object}    options                   Middleware options.
+ * @param   {string}    [options.domain]          Tenant domain, used for the default issuer and JWKS url.
+ * @param   {string|string[]} [options.audience]  Identifier of your API.
+ * @param   {string}    [options.issuer]          Expected issuer. Defaults to `https://{domain}/`.
+ * @param   {string[]}  [options.algorithms]      Accepted signing algorithms. Defaults to `['RS256']`.
+ * @param   {object}    [options.verifier]        AccessTokenVerifier to use instead of the options above, e.g. `authenticationClient.accessTokenVerifier`.
+ * @returns {Function} Express/Connect middleware.
+ */
+const auth = (options) => {
+  const verifier = bearer.createVerifier(options);
+
+  return (req, res, next) => {
+    bearer.authenticate(verifier, req.headers).then(
+      (result) => {
+        req.auth = result;
+        next();
+      },
+      (err) => {
+        if (bearer.isFailure(err)) {
+          reject(res, err);
+          return;
+        }
+        next(err);
+      }
+    );
+  };
+};
+
+/**
+ * Middleware rejecting requests whose access token was not granted all the given scopes.
+ *
+ * @example
+ * app.post('/messages', requireScopes('write:messages'), handler);
+ * @param   {...(string|string[])} scopes  Required scopes.
+ * @returns {Function} Express/Connect middleware.
+ */
+const requireScopes = (...scopes) => {
+  const required = bearer.flatten(scopes);
+  return guard((auth) => bearer.checkScopes(auth, required));
+};
+
+/**
+ * Middleware rejecting requests whose access token was not granted all the given permissions.
+ *
+ * @example
+ * app.delete('/messages/:id', requirePermissions('delete:messages'), handler);
+ * @param   {...(string|string[])} permissions  Required permissions.
+ * @returns {Function} Express/Connect middleware.
+ */
+const requirePermissions = (...permissions) => {
+  const required = bearer.flatten(permissions);
+  return guard((auth) => bearer.checkPermissions(auth, required));
+};
+
+/**
+ * Middleware rejecting requests whose access token was issued for another organization.
+ *
+ * @example
+ * app.get('/reports', requireOrganization('org_123'), handler);
+ * @param   {string}    organization  Organization ID (`org_` prefix) or name.
+ * @returns {Function} Express/Connect middleware.
+ */
+const requireOrganization = (organization) => {
+  if (!organization || typeof organization !== 'string') {
+    throw new ArgumentError('Must provide an organization');
+  }
+
+  return guard((auth) => bearer.checkOrganization(auth, organization));
+};
+
+module.exports = {
+  auth,
+  requireScopes,
+  requirePermissions,
+  requireOrganization,
+};
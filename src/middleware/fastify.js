@@ -0,0 +1,103 @@
+const { ArgumentError } = require('rest-facade');
+const bearer = require('./bearer');
+
+/**
+ * Answer a rejected request with its RFC 6750 challenge.
+ *
+ * @param {object} reply Fastify reply.
+ * @param {object} failure Failure returned by the bearer checks.
+ * @returns {object} The reply, so the hook stops the request.
+ */
+const reject = (reply, failure) =>
+  reply
+    .code(failure.statusCode)
+    .header('WWW-Authenticate', bearer.formatChallenge(failure))
+    .send(bearer.formatBody(failure));
+
+/**
+ * Build a guard hook from a bearer check.
+ *
+ * @param {Function} check Bearer check of `request.auth`, returning a failure to reject the request.
+ * @returns {Function} Fastify `preHandler` hook.
+ */
+const guard = (check) => async (request, reply) => {
+  const failure = check(request.auth);
+
+  if (failure) {
+    return reject(reply, failure);
+  }
+};
+
+/**
+ * Fastify `onRequest`/`preHandler` hook verifying the bearer access token of the request.
+ * The verified token and its claims are set as `request.auth = { token, payload }`.
+ *
+ * @example
+ * const { fastify: { auth, requireScopes } } = require('auth0').middleware;
+ *
+ * app.decorateRequest('auth', null);
+ * app.addHook('onRequest', auth({ domain: '{YOUR_ACCOUNT}.auth0.com', audience: '{YOUR_API_IDENTIFIER}' }));
+ *
+ * app.get('/messages', { preHandler: requireScopes('read:messages') }, async (request) => {
+ *   return { user: request.auth.payload.sub };
+ * });
+ * @param   {object}    options                   Hook options, see the Express/Connect `auth` middleware.
+ * @returns {Function} Fastify hook.
+ */
+const auth = (options) => {
+  const verifier = bearer.createVerifier(options);
+
+  return async (request, reply) => {
+    try {
+      request.auth = await bearer.authenticate(verifier, request.headers);
+    } catch (err) {
+      if (bearer.isFailure(err)) {
+        return reject(reply, err);
+      }
+      throw err;
+    }
+  };
+};
+
+/**
+ * Hook rejecting requests whose access token was not granted all the given scopes.
+ *
+ * @param   {...(string|string[])} scopes  Required scopes.
+ * @returns {Function} Fastify `preHandler` hook.
+ */
+const requireScopes = (...scopes) => {
+  const required = bearer.flatten(scopes);
+  return guard((auth) => bearer.checkScopes(auth, required));
+};
+
+/**
+ * Hook rejecting requests whose access token was not granted all the given permissions.
+ *
+ * @param   {...(string|string[])} permissions  Required permissions.
+ * @returns {Function} Fastify `preHandler` hook.
+ */
+const requirePermissions = (...permissions) => {
+  const required = bearer.flatten(permissions);
+  return guard((auth) => bearer.checkPermissions(auth, required));
+};
+
+/**
+ * Hook rejecting requests whose access token was issued for another organization.
+ *
+ * @param   {string}    organization  Organization ID (`org_` prefix) or name.
+ * @returns {Function} Fastify `preHandler` hook.
+ */
+const requireOrganization = (organization) => {
+  if (!organization || typeof organization !== 'string') {
+    throw new ArgumentError('Must provide an organization');
+  }
+
+  return guard((auth) => bearer.checkOrganization(auth, organization));
+};
+
+module.exports = {
+  auth,
+  requireScopes,
+  requirePermissions,
+  requireOrganization,
+};
@@ -0,0 +1,8 @@
+/**
+ * Middleware protecting API routes with Auth0 access tokens.
+ * The top level functions are Express/Connect middleware, the `fastify` ones are Fastify hooks.
+ */
+module.exports = {
+  ...require('./express'),
+  fastify: require('./fastify'),
+};
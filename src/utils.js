@@ -1,16 +1,21 @@
 const pkg = require('../package.json');
 
+/**
+ * Encode a buffer using the URL safe base64 alphabet, without padding.
+ *
+ * @param {Buffer} bytes Data to encode
+ * @returns {string}
+ */
+const base64UrlEncode = (bytes) =>
+  bytes.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
 /**
  * Given a JSON string, convert it to its base64 representation.
  *
  * @param {object} json Json data
  * @returns {string}
  */
-const jsonToBase64 = (json) => {
-  const bytes = Buffer.from(JSON.stringify(json));
-
-  return bytes.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
-};
+const jsonToBase64 = (json) => base64UrlEncode(Buffer.from(JSON.stringify(json)));
 
 /**
  * Return an object with information about the current client.
@@ -38,6 +43,26 @@ const maybeDecode = (url) => {
   return url;
 };
 
+/**
+ * Build a URL from a base URL, a path and query parameters, skipping the `undefined` and `null` ones.
+ *
+ * @param   {string}  baseUrl   Base URL, e.g. `https://{YOUR_ACCOUNT}.auth0.com`.
+ * @param   {string}  path      Path of the URL.
+ * @param   {object}  [query]   Query parameters.
+ * @returns {string}
+ */
+const buildUrl = (baseUrl, path, query) => {
+  const url = new URL(path, baseUrl);
+
+  Object.keys(query || {}).forEach((key) => {
+    if (query[key] !== undefined && query[key] !== null) {
+      url.searchParams.set(key, query[key]);
+    }
+  });
+
+  return url.toString();
+};
+
 const sanitizeArguments = function (optionsCandidate, cbCandidate) {
   if (optionsCandidate instanceof Function) {
     return {
@@ -51,10 +76,151 @@ const sanitizeArguments = function (optionsCandidate, cbCandidate) {
   };
 };
 
+/**
+ * Build a rest-facade request customizer applying the given timeout to every request, then
+ * running the given customizer, if any.
+ *
+ * @param   {number}    [timeout]     Request timeout in milliseconds.
+ * @param   {Function}  [customizer]  Request customizer of the caller.
+ * @returns {Function|null}
+ */
+const timeoutCustomizer = (timeout, customizer) => {
+  if (!timeout) {
+    return customizer || null;
+  }
+
+  // rest-facade waits for the `done` callback of the customizers taking three arguments.
+  if (customizer && customizer.length === 3) {
+    return (req, params, done) => {
+      req.timeout(timeout);
+      customizer(req, params, done);
+    };
+  }
+
+  return (req, params) => {
+    req.timeout(timeout);
+    if (customizer) {
+      customizer(req, params);
+    }
+  };
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Extract the rate limit quota from the `x-ratelimit-*` response headers.
+ *
+ * @param   {object}  [headers] Response headers.
+ * @returns {object|undefined}  Object with the `limit`, `remaining` and `reset` (epoch seconds) values, if present.
+ */
+const getRateLimit = (headers) => {
+  if (!headers) {
+    return;
+  }
+
+  const limit = toNumber(headers['x-ratelimit-limit']);
+  const remaining = toNumber(headers['x-ratelimit-remaining']);
+  const reset = toNumber(headers['x-ratelimit-reset']);
+
+  if (limit === undefined && remaining === undefined && reset === undefined) {
+    return;
+  }
+
+  return { limit, remaining, reset };
+};
+
+/**
+ * Compute how long to wait before retrying a rate limited request, using the
+ * `Retry-After` header (seconds or HTTP date) or else the `x-ratelimit-reset` header.
+ *
+ * @param   {object}  [headers]         Response headers.
+ * @param   {number}  [now=Date.now()]  Current time in milliseconds.
+ * @returns {number|undefined}          Delay in milliseconds, if the headers provide one.
+ */
+const getRetryAfter = (headers, now = Date.now()) => {
+  if (!headers) {
+    return;
+  }
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = toNumber(retryAfter);
+    if (seconds !== undefined) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  const reset = toNumber(headers['x-ratelimit-reset']);
+  if (reset !== undefined) {
+    return Math.max(0, reset * 1000 - now);
+  }
+};
+
+/**
+ * Call an async function on each item of an (async) iterable, with at most `concurrency` calls
+ * in flight. Items are only read when a call can start, so large sources are not buffered.
+ * After a call fails no other call starts, and the first error is thrown once the calls in
+ * flight settled.
+ *
+ * @param   {Iterable|AsyncIterable}  items        Items to process.
+ * @param   {number}                  concurrency  Maximum number of concurrent calls.
+ * @param   {Function}                fn           Function called with the item and its index.
+ * @returns {Promise}
+ */
+const forEachConcurrently = async (items, concurrency, fn) => {
+  const pending = new Set();
+  let failure;
+  let index = 0;
+
+  try {
+    for await (const item of items) {
+      if (failure) {
+        break;
+      }
+
+      const promise = Promise.resolve(index++)
+        .then((itemIndex) => fn(item, itemIndex))
+        .catch((err) => {
+          failure = failure || { err };
+        })
+        .then(() => pending.delete(promise));
+      pending.add(promise);
+
+      if (pending.size >= concurrency) {
+        await Promise.race(pending);
+      }
+    }
+  } finally {
+    await Promise.all(pending);
+  }
+
+  if (failure) {
+    throw failure.err;
+  }
+};
+
 module.exports = {
+  base64UrlEncode,
   jsonToBase64,
   generateClientInfo,
   containsUnsafeChars,
   maybeDecode,
+  buildUrl,
   sanitizeArguments,
+  getRateLimit,
+  getRetryAfter,
+  timeoutCustomizer,
+  forEachConcurrently,
 };
@@ -0,0 +1,221 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ArgumentError } = require('rest-facade');
+
+const AccessTokenVerifier = require('../../src/auth/AccessTokenVerifier');
+const { AccessTokenValidationError } = require('../../src/errors');
+
+const DOMAIN = 'tenant.auth0.com';
+const ISSUER = `https://${DOMAIN}/`;
+const AUDIENCE = 'https://api.example.com';
+
+const generateKeyPair = () =>
+  crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+
+describe('AccessTokenVerifier', () => {
+  const { publicKey, privateKey } = generateKeyPair();
+  let jwksClient;
+  let verifier;
+
+  const sign = (payload = {}, options = {}) =>
+    jwt.sign({ sub: 'user|123', ...payload }, options.key || privateKey, {
+      algorithm: 'RS256',
+      keyid: 'kid',
+      issuer: ISSUER,
+      audience: AUDIENCE,
+      expiresIn: '1h',
+      ...options.sign,
+    });
+
+  const expectValidationError = async (promise, errorCode) => {
+    try {
+      await promise;
+    } catch (err) {
+      expect(err).to.be.an.instanceOf(AccessTokenValidationError);
+      expect(err.errorCode).to.equal(errorCode);
+      return err;
+    }
+    throw new Error(`Expected the token to be rejected with ${errorCode}`);
+  };
+
+  beforeEach(() => {
+    jwksClient = {
+      getSigningKey: sinon.stub().resolves({ getPublicKey: () => publicKey }),
+    };
+    verifier = new AccessTokenVerifier({ domain: DOMAIN, jwksClient });
+  });
+
+  describe('#constructor', () => {
+    it('should raise an error when no options are provided', () => {
+      expect(() => new AccessTokenVerifier()).to.throw(
+        ArgumentError,
+        'Missing access token verifier options'
+      );
+    });
+
+    it('should raise an error when no domain is provided', () => {
+      expect(() => new AccessTokenVerifier({})).to.throw(ArgumentError, 'Must provide a domain');
+    });
+
+    it('should default the issuer to the domain', () => {
+      expect(verifier.issuer).to.equal(ISSUER);
+    });
+
+    it('should create a JWKS client for the domain', () => {
+      const client = AccessTokenVerifier.createJwksClient(DOMAIN);
+      expect(client.options.jwksUri).to.equal(`https://${DOMAIN}/.well-known/jwks.json`);
+      expect(client.options.cache).to.be.true;
+    });
+  });
+
+  describe('#verify', () => {
+    it('should raise an error when no audience is provided', () => {
+      expect(() => verifier.verify(sign())).to.throw(ArgumentError, 'Must provide an audience');
+    });
+
+    it('should return the payload of a valid token', async () => {
+      const payload = await verifier.verify(sign(), { audience: AUDIENCE });
+      expect(payload.sub).to.equal('user|123');
+      sinon.assert.calledWith(jwksClient.getSigningKey, 'kid');
+    });
+
+    it('should use the default audience of the verifier', async () => {
+      verifier = new AccessTokenVerifier({ domain: DOMAIN, audience: AUDIENCE, jwksClient });
+      const payload = await verifier.verify(sign());
+      expect(payload.sub).to.equal('user|123');
+    });
+
+    it('should pass the payload to the callback', (done) => {
+      verifier.verify(sign(), { audience: AUDIENCE }, (err, payload) => {
+        expect(err).to.be.null;
+        expect(payload.sub).to.equal('user|123');
+        done();
+      });
+    });
+
+    it('should reject a missing token', async () => {
+      await expectValidationError(verifier.verify('', { audience: AUDIENCE }), 'token_missing');
+    });
+
+    it('should reject a malformed token', async () => {
+      await expectValidationError(
+        verifier.verify('not.a.jwt', { audience: AUDIENCE }),
+        'token_malformed'
+      );
+    });
+
+    it('should reject a token signed with an unexpected algorithm', async () => {
+      const token = jwt.sign({ sub: 'user|123' }, 'secret', { algorithm: 'HS256' });
+      await expectValidationError(
+        verifier.verify(token, { audience: AUDIENCE }),
+        'invalid_algorithm'
+      );
+    });
+
+    it('should reject a token when the signing key is not found', async () => {
+      jwksClient.getSigningKey.rejects(new Error('Unable to find a signing key'));
+      const err = await expectValidationError(
+        verifier.verify(sign(), { audience: AUDIENCE }),
+        'signing_key_not_found'
+      );
+      expect(err.originalError.message).to.equal('Unable to find a signing key');
+    });
+
+    it('should reject a token with an invalid signature', async () => {
+      const token = sign({}, { key: generateKeyPair().privateKey });
+      await expectValidationError(
+        verifier.verify(token, { audience: AUDIENCE }),
+        'invalid_signature'
+      );
+    });
+
+    it('should reject an expired token', async () => {
+      const token = sign({}, { sign: { expiresIn: -60 } });
+      await expectValidationError(verifier.verify(token, { audience: AUDIENCE }), 'token_expired');
+    });
+
+    it('should accept an expired token within the clock tolerance', async () => {
+      const token = sign({}, { sign: { expiresIn: -30 } });
+      const tolerant = new AccessTokenVerifier({ domain: DOMAIN, jwksClient, clockTolerance: 60 });
+
+      const payload = await tolerant.verify(token, { audience: AUDIENCE });
+
+      expect(payload.sub).to.equal('user|123');
+      await expectValidationError(
+        tolerant.verify(token, { audience: AUDIENCE, clockTolerance: 0 }),
+        'token_expired'
+      );
+    });
+
+    it('should check the expiration with the given clock', async () => {
+      const token = sign();
+      const clock = sinon.stub().returns(Date.now() + 2 * 3600 * 1000);
+      const withClock = new AccessTokenVerifier({ domain: DOMAIN, jwksClient, clock });
+
+      await expectValidationError(withClock.verify(token, { audience: AUDIENCE }), 'token_expired');
+      sinon.assert.called(clock);
+    });
+
+    it('should reject a token that is not active yet', async () => {
+      const token = sign({}, { sign: { notBefore: '1h' } });
+      await expectValidationError(
+        verifier.verify(token, { audience: AUDIENCE }),
+        'token_not_active'
+      );
+    });
+
+    it('should reject a token issued for another audience', async () => {
+      await expectValidationError(
+        verifier.verify(sign(), { audience: 'https://other.example.com' }),
+        'invalid_audience'
+      );
+    });
+
+    it('should reject a token issued by another issuer', async () => {
+      await expectValidationError(
+        verifier.verify(sign(), { audience: AUDIENCE, issuer: 'https://other.auth0.com/' }),
+        'invalid_issuer'
+      );
+    });
+
+    it('should accept a token with the required scopes', async () => {
+      const payload = await verifier.verify(sign({ scope: 'read:messages write:messages' }), {
+        audience: AUDIENCE,
+        requiredScopes: 'read:messages write:messages',
+      });
+      expect(payload.scope).to.equal('read:messages write:messages');
+    });
+
+    it('should reject a token missing a required scope', async () => {
+      const err = await expectValidationError(
+        verifier.verify(sign({ scope: 'read:messages' }), {
+          audience: AUDIENCE,
+          requiredScopes: ['read:messages', 'write:messages'],
+        }),
+        'insufficient_scope'
+      );
+      expect(err.message).to.equal('Access token is missing the required scopes "write:messages"');
+    });
+
+    it('should accept a token with the required permissions', async () => {
+      const payload = await verifier.verify(sign({ permissions: ['read:messages'] }), {
+        audience: AUDIENCE,
+        requiredPermissions: ['read:messages'],
+      });
+      expect(payload.permissions).to.deep.equal(['read:messages']);
+    });
+
+    it('should reject a token missing a required permission', async () => {
+      await expectValidationError(
+        verifier.verify(sign(), { audience: AUDIENCE, requiredPermissions: ['read:messages'] }),
+        'insufficient_permissions'
+      );
+    });
+  });
+});
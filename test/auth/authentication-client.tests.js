@@ -1,6 +1,8 @@
 const { expect } = require('chai');
 const sinon = require('sinon');
 const proxyquire = require('proxyquire');
+const nock = require('nock');
+const jwt = require('jsonwebtoken');
 
 const { ArgumentError } = require('rest-facade');
 
@@ -8,8 +10,13 @@ const AuthenticationClient = require('../../src/auth');
 const OAuthAuthenticator = require('../../src/auth/OAuthAuthenticator');
 const DatabaseAuthenticator = require('../../src/auth/DatabaseAuthenticator');
 const PasswordlessAuthenticator = require('../../src/auth/PasswordlessAuthenticator');
+const MfaAuthenticator = require('../../src/auth/MfaAuthenticator');
 const UsersManager = require('../../src/auth/UsersManager');
 const TokensManager = require('../../src/auth/TokensManager');
+const AccessTokenVerifier = require('../../src/auth/AccessTokenVerifier');
+const LogoutTokenVerifier = require('../../src/auth/LogoutTokenVerifier');
+const discovery = require('../../src/auth/discovery');
+const { LogoutTokenValidationError } = require('../../src/errors');
 
 const { ensureProperty } = require('../utils');
 
@@ -28,6 +35,39 @@ describe('AuthenticationClient', () => {
     });
   });
 
+  describe('clock options', () => {
+    it('should raise an error when the clock tolerance is not valid', () => {
+      expect(
+        () => new AuthenticationClient({ domain: 'tenant.auth0.com', clockTolerance: -1 })
+      ).to.throw(ArgumentError, 'clockTolerance must be a non-negative number of seconds');
+    });
+
+    it('should raise an error when the clock is not a function', () => {
+      expect(() => new AuthenticationClient({ domain: 'tenant.auth0.com', clock: 1000 })).to.throw(
+        ArgumentError,
+        'clock must be a function returning the time in milliseconds'
+      );
+    });
+
+    it('should pass the clock options to the token validators', () => {
+      const clock = () => Date.now();
+      const client = new AuthenticationClient({
+        domain: 'tenant.auth0.com',
+        clockTolerance: 0,
+        clock,
+      });
+
+      [
+        client.oauth.oauthWithIDTokenValidation,
+        client.accessTokenVerifier,
+        client.logoutTokenVerifier,
+      ].forEach((validator) => {
+        expect(validator.clockTolerance).to.equal(0);
+        expect(validator.clock).to.equal(clock);
+      });
+    });
+  });
+
   describe('instance properties', () => {
     const properties = {
       OAuthAuthenticator: {
@@ -42,6 +82,10 @@ describe('AuthenticationClient', () => {
         name: 'passwordless',
         cls: PasswordlessAuthenticator,
       },
+      MfaAuthenticator: {
+        name: 'mfa',
+        cls: MfaAuthenticator,
+      },
       UsersManager: {
         name: 'users',
         cls: UsersManager,
@@ -50,6 +94,14 @@ describe('AuthenticationClient', () => {
         name: 'tokens',
         cls: TokensManager,
       },
+      AccessTokenVerifier: {
+        name: 'accessTokenVerifier',
+        cls: AccessTokenVerifier,
+      },
+      LogoutTokenVerifier: {
+        name: 'logoutTokenVerifier',
+        cls: LogoutTokenVerifier,
+      },
     };
     const options = {
       clientId: 'CLIENT_ID',
@@ -222,4 +274,358 @@ describe('AuthenticationClient', () => {
       this.client.verifyEmailCode({ email: '123', otp: 'code' }, this.callback);
     });
   });
+
+  describe('verifyAccessToken', () => {
+    it('should verify the token with the access token verifier', async () => {
+      const client = new AuthenticationClient({ domain: 'tenant.auth0.com', audience: 'api' });
+      const verify = sinon.stub(client.accessTokenVerifier, 'verify').resolves({ sub: 'user' });
+
+      const payload = await client.verifyAccessToken('token', { requiredScopes: 'read:users' });
+
+      expect(payload).to.deep.equal({ sub: 'user' });
+      sinon.assert.calledWithExactly(verify, 'token', { requiredScopes: 'read:users' });
+      expect(client.accessTokenVerifier.audience).to.equal('api');
+    });
+
+    it('should share the JWKS client with the ID token validation', () => {
+      const client = new AuthenticationClient({ domain: 'tenant.auth0.com' });
+
+      expect(client.oauth.oauthWithIDTokenValidation._jwksClient).to.equal(
+        client.accessTokenVerifier.jwksClient
+      );
+    });
+  });
+
+  describe('verifyLogoutToken', () => {
+    it('should verify the token with the logout token verifier', async () => {
+      const replayStore = { add() {} };
+      const client = new AuthenticationClient({
+        domain: 'tenant.auth0.com',
+        clientId: 'CLIENT_ID',
+        logoutTokenReplayStore: replayStore,
+      });
+      const verify = sinon.stub(client.logoutTokenVerifier, 'verify').resolves({ sid: 'sid' });
+
+      const payload = await client.verifyLogoutToken('token');
+
+      expect(payload).to.deep.equal({ sid: 'sid' });
+      sinon.assert.calledWithExactly(verify, 'token');
+      expect(client.logoutTokenVerifier.clientId).to.equal('CLIENT_ID');
+      expect(client.logoutTokenVerifier.replayStore).to.equal(replayStore);
+      expect(client.logoutTokenVerifier.jwksClient).to.equal(client.accessTokenVerifier.jwksClient);
+    });
+
+    it('should reject the algorithms not supported for ID tokens', async () => {
+      const client = new AuthenticationClient({
+        domain: 'tenant.auth0.com',
+        clientId: 'CLIENT_ID',
+        clientSecret: 'CLIENT_SECRET',
+        supportedAlgorithms: ['RS256'],
+      });
+      const token = jwt.sign(
+        { sid: 'sid', events: { 'http://schemas.openid.net/event/backchannel-logout': {} } },
+        Buffer.from('CLIENT_SECRET', 'base64'),
+        { algorithm: 'HS256', issuer: 'https://tenant.auth0.com/', audience: 'CLIENT_ID' }
+      );
+
+      try {
+        await client.verifyLogoutToken(token);
+        throw new Error('Expected the token to be rejected');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(LogoutTokenValidationError);
+        expect(err.message).to.contain('Signature algorithm of "HS256" is not supported');
+      }
+    });
+
+    it('should accept the algorithms of the OpenID configuration', () => {
+      const client = new AuthenticationClient({
+        clientId: 'CLIENT_ID',
+        issuerBaseUrl: 'https://login.example.com',
+        openidConfiguration: {
+          issuer: 'https://login.example.com/',
+          jwks_uri: 'https://login.example.com/.well-known/jwks.json',
+          id_token_signing_alg_values_supported: ['RS256'],
+        },
+      });
+
+      expect(client.logoutTokenVerifier.algorithms).to.deep.equal(['RS256']);
+    });
+  });
+
+  describe('buildLogoutUrl', () => {
+    const client = new AuthenticationClient({ domain: 'login.example.com', clientId: 'CLIENT_ID' });
+
+    it('should require the options to be an object', () => {
+      expect(() => client.buildLogoutUrl('https://myapp.com')).to.throw(
+        ArgumentError,
+        'The logout options must be an object'
+      );
+    });
+
+    it('should build the /v2/logout url of the domain', () => {
+      expect(client.buildLogoutUrl()).to.equal(
+        'https://login.example.com/v2/logout?client_id=CLIENT_ID'
+      );
+    });
+
+    it('should encode the returnTo url', () => {
+      const url = new URL(
+        client.buildLogoutUrl({ returnTo: 'https://myapp.com/?lang=en&page=1#top' })
+      );
+
+      expect(url.searchParams.get('returnTo')).to.equal('https://myapp.com/?lang=en&page=1#top');
+      expect(url.hash).to.equal('');
+    });
+
+    it('should add the federated flag', () => {
+      const url = new URL(client.buildLogoutUrl({ federated: true, client_id: 'OTHER' }));
+
+      expect(url.searchParams.has('federated')).to.be.true;
+      expect(url.searchParams.get('client_id')).to.equal('OTHER');
+      expect(new URL(client.buildLogoutUrl({ federated: false })).searchParams.has('federated')).to
+        .be.false;
+    });
+  });
+
+  describe('buildOidcLogoutUrl', () => {
+    const client = new AuthenticationClient({ domain: 'login.example.com', clientId: 'CLIENT_ID' });
+
+    it('should build the /oidc/logout url with the given parameters', () => {
+      const url = new URL(
+        client.buildOidcLogoutUrl({
+          id_token_hint: 'ID_TOKEN',
+          post_logout_redirect_uri: 'https://myapp.com/logged-out?from=app',
+          state: 'some state',
+          logout_hint: 'SESSION_ID',
+        })
+      );
+
+      expect(url.origin + url.pathname).to.equal('https://login.example.com/oidc/logout');
+      expect(Object.fromEntries(url.searchParams)).to.deep.equal({
+        client_id: 'CLIENT_ID',
+        id_token_hint: 'ID_TOKEN',
+        post_logout_redirect_uri: 'https://myapp.com/logged-out?from=app',
+        state: 'some state',
+        logout_hint: 'SESSION_ID',
+      });
+    });
+
+    it('should require an id_token_hint or client_id with a post_logout_redirect_uri', () => {
+      const publicClient = new AuthenticationClient({ domain: 'login.example.com' });
+
+      expect(() =>
+        publicClient.buildOidcLogoutUrl({ post_logout_redirect_uri: 'https://myapp.com' })
+      ).to.throw(
+        ArgumentError,
+        'id_token_hint or client_id field is required with a post_logout_redirect_uri'
+      );
+    });
+  });
+
+  describe('OIDC discovery', () => {
+    const ISSUER_BASE_URL = 'http://localhost:3000';
+    const CONFIGURATION = {
+      issuer: `${ISSUER_BASE_URL}/`,
+      jwks_uri: `${ISSUER_BASE_URL}/jwks`,
+      authorization_endpoint: `${ISSUER_BASE_URL}/auth`,
+      token_endpoint: `${ISSUER_BASE_URL}/token`,
+      device_authorization_endpoint: `${ISSUER_BASE_URL}/device/auth`,
+      end_session_endpoint: `${ISSUER_BASE_URL}/session/end`,
+      id_token_signing_alg_values_supported: ['ES256', 'RS256', 'none'],
+    };
+
+    afterEach(() => {
+      discovery.clearCache();
+      nock.cleanAll();
+    });
+
+    describe('#constructor', () => {
+      it('should accept an issuerBaseUrl instead of a domain', () => {
+        const client = new AuthenticationClient({ issuerBaseUrl: `${ISSUER_BASE_URL}/` });
+
+        expect(client.baseUrl).to.equal(ISSUER_BASE_URL);
+        expect(client.issuer).to.equal(`${ISSUER_BASE_URL}/`);
+        expect(client.accessTokenVerifier.issuer).to.equal(`${ISSUER_BASE_URL}/`);
+        expect(client.accessTokenVerifier.jwksClient.options.jwksUri).to.equal(
+          `${ISSUER_BASE_URL}/.well-known/jwks.json`
+        );
+        expect(client.oauth.domain).to.equal('localhost:3000');
+      });
+
+      it('should validate the OpenID configuration', () => {
+        expect(
+          () =>
+            new AuthenticationClient({
+              domain: 'tenant.auth0.com',
+              openidConfiguration: { issuer: 'https://tenant.auth0.com/' },
+            })
+        ).to.throw(ArgumentError, 'The OpenID configuration must include the jwks_uri');
+      });
+
+      it('should use the issuer and JWKS url of the OpenID configuration', () => {
+        const client = new AuthenticationClient({
+          issuerBaseUrl: ISSUER_BASE_URL,
+          clientId: 'CLIENT_ID',
+          openidConfiguration: CONFIGURATION,
+        });
+
+        expect(client.openidConfiguration).to.equal(CONFIGURATION);
+        expect(client.accessTokenVerifier.issuer).to.equal(CONFIGURATION.issuer);
+        expect(client.logoutTokenVerifier.issuer).to.equal(CONFIGURATION.issuer);
+        expect(client.oauth.oauthWithIDTokenValidation.issuer).to.equal(CONFIGURATION.issuer);
+        expect(client.accessTokenVerifier.jwksClient.options.jwksUri).to.equal(
+          CONFIGURATION.jwks_uri
+        );
+      });
+
+      it('should use the supported ID token algorithms of the OpenID configuration', () => {
+        const client = new AuthenticationClient({
+          issuerBaseUrl: ISSUER_BASE_URL,
+          openidConfiguration: CONFIGURATION,
+        });
+
+        expect(client.oauth.oauthWithIDTokenValidation.supportedAlgorithms).to.deep.equal([
+          'ES256',
+          'RS256',
+        ]);
+      });
+
+      it('should prefer the supportedAlgorithms option', () => {
+        const client = new AuthenticationClient({
+          issuerBaseUrl: ISSUER_BASE_URL,
+          supportedAlgorithms: ['RS256'],
+          openidConfiguration: CONFIGURATION,
+        });
+
+        expect(client.oauth.oauthWithIDTokenValidation.supportedAlgorithms).to.deep.equal([
+          'RS256',
+        ]);
+      });
+    });
+
+    describe('endpoints', () => {
+      const client = new AuthenticationClient({
+        issuerBaseUrl: ISSUER_BASE_URL,
+        clientId: 'CLIENT_ID',
+        clientSecret: 'CLIENT_SECRET',
+        openidConfiguration: CONFIGURATION,
+      });
+
+      it('should send token requests to the token endpoint', async () => {
+        const request = nock(ISSUER_BASE_URL)
+          .post('/token', (body) => body.grant_type === 'client_credentials')
+          .reply(200, { access_token: 'ACCESS_TOKEN' });
+
+        const tokens = await client.clientCredentialsGrant({ audience: 'api' });
+
+        expect(tokens.access_token).to.equal('ACCESS_TOKEN');
+        expect(request.isDone()).to.be.true;
+      });
+
+      it('should send device authorization requests to the device authorization endpoint', async () => {
+        const request = nock(ISSUER_BASE_URL)
+          .post('/device/auth')
+          .reply(200, { device_code: 'DEVICE_CODE' });
+
+        await client.oauth.deviceAuthorization();
+
+        expect(request.isDone()).to.be.true;
+      });
+
+      it('should build the authorize url from the authorization endpoint', () => {
+        const { url } = client.oauth.buildAuthorizeUrl({ redirect_uri: 'https://myapp.com/cb' });
+
+        expect(url.startsWith(`${ISSUER_BASE_URL}/auth?`)).to.be.true;
+      });
+
+      it('should build the logout url from the end session endpoint', () => {
+        expect(client.buildOidcLogoutUrl({ id_token_hint: 'ID_TOKEN' })).to.equal(
+          `${ISSUER_BASE_URL}/session/end?client_id=CLIENT_ID&id_token_hint=ID_TOKEN`
+        );
+      });
+
+      it('should default the endpoints missing from the configuration', () => {
+        expect(client.endpoints.pushedAuthorizationRequest).to.equal(
+          `${ISSUER_BASE_URL}/oauth/par`
+        );
+        expect(client.users.endpoints.userinfo).to.equal(`${ISSUER_BASE_URL}/userinfo`);
+      });
+    });
+
+    describe('#discover', () => {
+      it('should require the options', () => {
+        expect(() => AuthenticationClient.discover()).to.throw(
+          ArgumentError,
+          'Authentication Client SDK options must be an object'
+        );
+      });
+
+      it('should require a domain or an issuerBaseUrl', () => {
+        expect(() => AuthenticationClient.discover({ clientId: 'CLIENT_ID' })).to.throw(
+          ArgumentError,
+          'Must provide a domain'
+        );
+      });
+
+      it('should create a client configured from the OpenID configuration', async () => {
+        nock(ISSUER_BASE_URL).get('/.well-known/openid-configuration').reply(200, CONFIGURATION);
+
+        const client = await AuthenticationClient.discover({
+          issuerBaseUrl: ISSUER_BASE_URL,
+          clientId: 'CLIENT_ID',
+        });
+
+        expect(client).to.be.an.instanceOf(AuthenticationClient);
+        expect(client.clientId).to.equal('CLIENT_ID');
+        expect(client.openidConfiguration).to.deep.equal(CONFIGURATION);
+        expect(client.endpoints.token).to.equal(CONFIGURATION.token_endpoint);
+      });
+
+      it('should load the configuration of the domain', async () => {
+        const request = nock('https://tenant.auth0.com')
+          .get('/.well-known/openid-configuration')
+          .reply(200, {
+            issuer: 'https://tenant.auth0.com/',
+            jwks_uri: 'https://tenant.auth0.com/.well-known/jwks.json',
+          });
+
+        const client = await AuthenticationClient.discover({ domain: 'tenant.auth0.com' });
+
+        expect(client.issuer).to.equal('https://tenant.auth0.com/');
+        expect(request.isDone()).to.be.true;
+      });
+
+      it('should load the configuration once', async () => {
+        nock(ISSUER_BASE_URL)
+          .get('/.well-known/openid-configuration')
+          .once()
+          .reply(200, CONFIGURATION);
+
+        const first = await AuthenticationClient.discover({ issuerBaseUrl: ISSUER_BASE_URL });
+        const second = await AuthenticationClient.discover({ issuerBaseUrl: ISSUER_BASE_URL });
+
+        expect(second.openidConfiguration).to.equal(first.openidConfiguration);
+      });
+
+      it('should accept a callback', (done) => {
+        nock(ISSUER_BASE_URL).get('/.well-known/openid-configuration').reply(200, CONFIGURATION);
+
+        AuthenticationClient.discover({ issuerBaseUrl: ISSUER_BASE_URL }, (err, client) => {
+          expect(client.issuer).to.equal(CONFIGURATION.issuer);
+          done(err);
+        });
+      });
+
+      it('should pass the discovery errors', async () => {
+        nock(ISSUER_BASE_URL).get('/.well-known/openid-configuration').reply(404);
+
+        try {
+          await AuthenticationClient.discover({ issuerBaseUrl: ISSUER_BASE_URL });
+          throw new Error('Expected the discovery to fail');
+        } catch (err) {
+          expect(err.statusCode).to.equal(404);
+        }
+      });
+    });
+  });
 });
@@ -0,0 +1,153 @@
+const { expect } = require('chai');
+const nock = require('nock');
+const { ArgumentError } = require('rest-facade');
+
+const discovery = require('../../src/auth/discovery');
+
+const ISSUER_BASE_URL = 'https://login.example.com';
+const CONFIGURATION = {
+  issuer: `${ISSUER_BASE_URL}/`,
+  jwks_uri: `${ISSUER_BASE_URL}/.well-known/jwks.json`,
+  authorization_endpoint: `${ISSUER_BASE_URL}/authorize`,
+  token_endpoint: `${ISSUER_BASE_URL}/oauth/token`,
+};
+
+describe('discovery', () => {
+  afterEach(() => {
+    discovery.clearCache();
+    nock.cleanAll();
+  });
+
+  describe('#validate', () => {
+    it('should require an object', () => {
+      expect(() => discovery.validate('configuration')).to.throw(
+        ArgumentError,
+        'The OpenID configuration must be an object'
+      );
+    });
+
+    it('should require the issuer', () => {
+      expect(() => discovery.validate({ jwks_uri: CONFIGURATION.jwks_uri })).to.throw(
+        ArgumentError,
+        'The OpenID configuration must include the issuer'
+      );
+    });
+
+    it('should require the jwks_uri', () => {
+      expect(() => discovery.validate({ issuer: CONFIGURATION.issuer })).to.throw(
+        ArgumentError,
+        'The OpenID configuration must include the jwks_uri'
+      );
+    });
+
+    it('should return a valid configuration', () => {
+      expect(discovery.validate(CONFIGURATION)).to.equal(CONFIGURATION);
+    });
+  });
+
+  describe('#getConfiguration', () => {
+    it('should load the configuration of the issuer', async () => {
+      const request = nock(ISSUER_BASE_URL)
+        .get('/.well-known/openid-configuration')
+        .reply(200, CONFIGURATION);
+
+      const configuration = await discovery.getConfiguration(`${ISSUER_BASE_URL}/`);
+
+      expect(configuration).to.deep.equal(CONFIGURATION);
+      expect(request.isDone()).to.be.true;
+    });
+
+    it('should send the given headers', async () => {
+      const request = nock(ISSUER_BASE_URL, { reqheaders: { 'x-custom': 'value' } })
+        .get('/.well-known/openid-configuration')
+        .reply(200, CONFIGURATION);
+
+      await discovery.getConfiguration(ISSUER_BASE_URL, { headers: { 'x-custom': 'value' } });
+
+      expect(request.isDone()).to.be.true;
+    });
+
+    it('should share the request of concurrent calls and cache the configuration', async () => {
+      nock(ISSUER_BASE_URL)
+        .get('/.well-known/openid-configuration')
+        .once()
+        .reply(200, CONFIGURATION);
+
+      const [first, second] = await Promise.all([
+        discovery.getConfiguration(ISSUER_BASE_URL),
+        discovery.getConfiguration(ISSUER_BASE_URL),
+      ]);
+      const third = await discovery.getConfiguration(ISSUER_BASE_URL);
+
+      expect(first).to.equal(second);
+      expect(third).to.equal(first);
+    });
+
+    it('should not cache failures', async () => {
+      nock(ISSUER_BASE_URL)
+        .get('/.well-known/openid-configuration')
+        .reply(503, { error: 'temporarily_unavailable' })
+        .get('/.well-known/openid-configuration')
+        .reply(200, CONFIGURATION);
+
+      try {
+        await discovery.getConfiguration(ISSUER_BASE_URL);
+        throw new Error('Expected the discovery to fail');
+      } catch (err) {
+        expect(err.statusCode).to.equal(503);
+        expect(err.errorCode).to.equal('temporarily_unavailable');
+      }
+
+      const configuration = await discovery.getConfiguration(ISSUER_BASE_URL);
+      expect(configuration.issuer).to.equal(CONFIGURATION.issuer);
+    });
+
+    it('should reject a configuration of another issuer', async () => {
+      nock(ISSUER_BASE_URL)
+        .get('/.well-known/openid-configuration')
+        .reply(200, { ...CONFIGURATION, issuer: 'https://other.example.com/' });
+
+      try {
+        await discovery.getConfiguration(ISSUER_BASE_URL);
+        throw new Error('Expected the discovery to fail');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(ArgumentError);
+        expect(err.message).to.equal(
+          'The OpenID configuration issuer "https://other.example.com/" does not match "https://login.example.com"'
+        );
+      }
+    });
+  });
+
+  describe('#getEndpoints', () => {
+    it('should default to the Auth0 endpoints of the base URL', () => {
+      expect(discovery.getEndpoints(ISSUER_BASE_URL)).to.deep.equal({
+        authorization: `${ISSUER_BASE_URL}/authorize`,
+        token: `${ISSUER_BASE_URL}/oauth/token`,
+        userinfo: `${ISSUER_BASE_URL}/userinfo`,
+        revocation: `${ISSUER_BASE_URL}/oauth/revoke`,
+        deviceAuthorization: `${ISSUER_BASE_URL}/oauth/device/code`,
+        pushedAuthorizationRequest: `${ISSUER_BASE_URL}/oauth/par`,
+        backchannelAuthentication: `${ISSUER_BASE_URL}/bc-authorize`,
+        endSession: `${ISSUER_BASE_URL}/oidc/logout`,
+        jwks: `${ISSUER_BASE_URL}/.well-known/jwks.json`,
+      });
+    });
+
+    it('should use the endpoints of the configuration', () => {
+      const endpoints = discovery.getEndpoints(ISSUER_BASE_URL, {
+        ...CONFIGURATION,
+        token_endpoint: 'http://localhost:3000/token',
+        end_session_endpoint: 'http://localhost:3000/session/end',
+        jwks_uri: 'http://localhost:3000/jwks',
+      });
+
+      expect(endpoints).to.include({
+        authorization: `${ISSUER_BASE_URL}/authorize`,
+        token: 'http://localhost:3000/token',
+        endSession: 'http://localhost:3000/session/end',
+        jwks: 'http://localhost:3000/jwks',
+      });
+    });
+  });
+});
@@ -0,0 +1,277 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ArgumentError } = require('rest-facade');
+
+const LogoutTokenVerifier = require('../../src/auth/LogoutTokenVerifier');
+const InMemoryTokenCache = require('../../src/management/InMemoryTokenCache');
+const { LogoutTokenValidationError } = require('../../src/errors');
+
+const DOMAIN = 'tenant.auth0.com';
+const ISSUER = `https://${DOMAIN}/`;
+const CLIENT_ID = 'CLIENT_ID';
+const CLIENT_SECRET = 'CLIENT_SECRET';
+const LOGOUT_EVENT = 'http://schemas.openid.net/event/backchannel-logout';
+
+const generateKeyPair = () =>
+  crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+
+describe('LogoutTokenVerifier', () => {
+  const { publicKey, privateKey } = generateKeyPair();
+  let jwksClient;
+  let verifier;
+
+  const sign = (payload = {}, options = {}) =>
+    jwt.sign(
+      {
+        sub: 'auth0|123',
+        sid: 'SESSION_ID',
+        jti: crypto.randomBytes(8).toString('hex'),
+        events: { [LOGOUT_EVENT]: {} },
+        ...payload,
+      },
+      options.key || privateKey,
+      {
+        algorithm: 'RS256',
+        keyid: 'kid',
+        issuer: ISSUER,
+        audience: CLIENT_ID,
+        expiresIn: '2m',
+        ...options.sign,
+      }
+    );
+
+  const expectValidationError = async (promise, message) => {
+    try {
+      await promise;
+    } catch (err) {
+      expect(err).to.be.an.instanceOf(LogoutTokenValidationError);
+      expect(err.message).to.contain(message);
+      return err;
+    }
+    throw new Error(`Expected the token to be rejected with "${message}"`);
+  };
+
+  beforeEach(() => {
+    jwksClient = {
+      getSigningKey: sinon.stub().resolves({ getPublicKey: () => publicKey }),
+    };
+    verifier = new LogoutTokenVerifier({
+      domain: DOMAIN,
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+      jwksClient,
+    });
+  });
+
+  describe('#constructor', () => {
+    it('should raise an error when no options are provided', () => {
+      expect(() => new LogoutTokenVerifier()).to.throw(
+        ArgumentError,
+        'Missing logout token verifier options'
+      );
+    });
+
+    it('should raise an error when no domain is provided', () => {
+      expect(() => new LogoutTokenVerifier({ clientId: CLIENT_ID })).to.throw(
+        ArgumentError,
+        'Must provide a domain'
+      );
+    });
+
+    it('should raise an error when the replay store is invalid', () => {
+      expect(
+        () => new LogoutTokenVerifier({ domain: DOMAIN, replayStore: { get() {}, set() {} } })
+      ).to.throw(ArgumentError, 'replayStore must implement add');
+    });
+
+    it('should use an in-memory replay store by default', () => {
+      expect(verifier.replayStore).to.be.an.instanceOf(InMemoryTokenCache);
+    });
+  });
+
+  describe('#verify', () => {
+    it('should require a client ID', () => {
+      const withoutClientId = new LogoutTokenVerifier({ domain: DOMAIN, jwksClient });
+
+      expect(() => withoutClientId.verify(sign())).to.throw(
+        ArgumentError,
+        'Must provide a clientId'
+      );
+    });
+
+    it('should return the payload of a valid token', async () => {
+      const payload = await verifier.verify(sign());
+
+      expect(payload).to.include({ sub: 'auth0|123', sid: 'SESSION_ID', iss: ISSUER });
+      sinon.assert.calledWithExactly(jwksClient.getSigningKey, 'kid');
+    });
+
+    it('should accept a callback', (done) => {
+      verifier.verify(sign(), (err, payload) => {
+        expect(payload.sid).to.equal('SESSION_ID');
+        done(err);
+      });
+    });
+
+    it('should accept HS256 tokens signed with the client secret, decoded like for ID tokens', async () => {
+      const token = sign(
+        {},
+        { key: Buffer.from(CLIENT_SECRET, 'base64'), sign: { algorithm: 'HS256' } }
+      );
+
+      const payload = await verifier.verify(token);
+
+      expect(payload.sub).to.equal('auth0|123');
+      sinon.assert.notCalled(jwksClient.getSigningKey);
+    });
+
+    it('should reject a missing token', async () => {
+      await expectValidationError(verifier.verify(), 'Logout token is required but missing');
+    });
+
+    it('should reject a token with an invalid signature', async () => {
+      const token = sign({}, { key: generateKeyPair().privateKey });
+
+      const err = await expectValidationError(verifier.verify(token), 'invalid signature');
+      expect(err.originalError).to.exist;
+    });
+
+    it('should reject an unsupported algorithm', async () => {
+      const token = sign({}, { key: CLIENT_SECRET, sign: { algorithm: 'HS384' } });
+
+      await expectValidationError(verifier.verify(token), 'Signature algorithm of "HS384"');
+    });
+
+    it('should reject a token signed with an unknown key', async () => {
+      jwksClient.getSigningKey.rejects(new Error('Unable to find a signing key'));
+
+      await expectValidationError(verifier.verify(sign()), 'Unable to find a signing key');
+    });
+
+    it('should reject a token issued for another client', async () => {
+      const token = sign({}, { sign: { audience: 'OTHER_CLIENT' } });
+
+      await expectValidationError(verifier.verify(token), 'Audience (aud) claim mismatch');
+    });
+
+    it('should reject a token issued by another tenant', async () => {
+      const token = sign({}, { sign: { issuer: 'https://other.auth0.com/' } });
+
+      await expectValidationError(verifier.verify(token), 'Issuer (iss) claim mismatch');
+    });
+
+    it('should reject an expired token', async () => {
+      const token = sign({}, { sign: { expiresIn: -120 } });
+
+      await expectValidationError(verifier.verify(token), 'Expiration Time (exp) claim error');
+    });
+
+    it('should apply the clock tolerance', async () => {
+      const token = sign({}, { sign: { expiresIn: -30 } });
+      const strict = new LogoutTokenVerifier({
+        domain: DOMAIN,
+        clientId: CLIENT_ID,
+        jwksClient,
+        clockTolerance: 0,
+      });
+
+      await verifier.verify(token);
+      await expectValidationError(strict.verify(token), 'Expiration Time (exp) claim error');
+    });
+
+    it('should check the expiration with the given clock', async () => {
+      const withClock = new LogoutTokenVerifier({
+        domain: DOMAIN,
+        clientId: CLIENT_ID,
+        jwksClient,
+        clock: () => Date.now() + 10 * 60 * 1000,
+      });
+
+      await expectValidationError(withClock.verify(sign()), 'Expiration Time (exp) claim error');
+    });
+
+    it('should reject a token without the logout event', async () => {
+      const token = sign({ events: { 'http://example.com/other-event': {} } });
+
+      await expectValidationError(verifier.verify(token), 'Events (events) claim');
+    });
+
+    it('should reject a token without sub and sid', async () => {
+      const token = sign({ sub: undefined, sid: undefined });
+
+      await expectValidationError(verifier.verify(token), 'Subject (sub) or Session ID (sid)');
+    });
+
+    it('should accept a token with only a sid', async () => {
+      const payload = await verifier.verify(sign({ sub: undefined }));
+
+      expect(payload.sid).to.equal('SESSION_ID');
+    });
+
+    it('should reject a token with a nonce', async () => {
+      await expectValidationError(verifier.verify(sign({ nonce: 'NONCE' })), 'Nonce (nonce)');
+    });
+
+    it('should reject a token without a jti', async () => {
+      await expectValidationError(verifier.verify(sign({ jti: undefined })), 'JWT ID (jti)');
+    });
+
+    it('should reject a replayed token', async () => {
+      const token = sign();
+
+      await verifier.verify(token);
+      await expectValidationError(verifier.verify(token), 'has already been used');
+    });
+
+    it('should remember the token ID in the replay store until it expires', async () => {
+      const replayStore = { add: sinon.stub().resolves(true) };
+      const withStore = new LogoutTokenVerifier({
+        domain: DOMAIN,
+        clientId: CLIENT_ID,
+        jwksClient,
+        replayStore,
+      });
+
+      await withStore.verify(sign({ jti: 'JTI' }));
+
+      sinon.assert.calledOnce(replayStore.add);
+      sinon.assert.calledWithMatch(replayStore.add, `${ISSUER}|JTI`, true);
+      const [, , ttl] = replayStore.add.firstCall.args;
+      expect(ttl).to.be.within(170 * 1000, 180 * 1000);
+    });
+
+    it('should reject the token when the replay store already has its ID', async () => {
+      const withStore = new LogoutTokenVerifier({
+        domain: DOMAIN,
+        clientId: CLIENT_ID,
+        jwksClient,
+        replayStore: { add: async () => false },
+      });
+
+      await expectValidationError(withStore.verify(sign()), 'has already been used');
+    });
+
+    it('should only accept one of concurrent deliveries of a token', async () => {
+      const token = sign();
+
+      const settle = (promise) =>
+        promise.then(
+          () => 'fulfilled',
+          () => 'rejected'
+        );
+
+      const results = await Promise.all([
+        settle(verifier.verify(token)),
+        settle(verifier.verify(token)),
+      ]);
+
+      expect(results.sort()).to.deep.equal(['fulfilled', 'rejected']);
+    });
+  });
+});
@@ -0,0 +1,284 @@
+const { expect } = require('chai');
+const nock = require('nock');
+
+const DOMAIN = 'tenant.auth0.com';
+const API_URL = `https://${DOMAIN}`;
+const CLIENT_ID = 'TEST_CLIENT_ID';
+const CLIENT_SECRET = 'TEST_CLIENT_SECRET';
+const MFA_TOKEN = 'MFA_TOKEN';
+
+const { ArgumentError } = require('rest-facade');
+const Authenticator = require(`../../src/auth/MfaAuthenticator`);
+const OAuth = require(`../../src/auth/OAuthAuthenticator`);
+const { getEndpoints } = require('../../src/auth/discovery');
+const { ForbiddenError } = require('../../src/errors');
+
+const validOptions = {
+  baseUrl: API_URL,
+  domain: DOMAIN,
+  clientId: CLIENT_ID,
+  clientSecret: CLIENT_SECRET,
+};
+
+describe('MfaAuthenticator', () => {
+  beforeEach(function () {
+    this.authenticator = new Authenticator(validOptions, new OAuth(validOptions));
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe('#constructor', () => {
+    it('should require an options object', () => {
+      expect(() => {
+        new Authenticator();
+      }).to.throw(ArgumentError, 'Missing authenticator options');
+
+      expect(() => {
+        new Authenticator(1);
+      }).to.throw(ArgumentError, 'The authenticator options must be an object');
+    });
+  });
+
+  describe('instance', () => {
+    const methods = [
+      'getMfaToken',
+      'listAuthenticators',
+      'associate',
+      'challenge',
+      'otpGrant',
+      'oobGrant',
+      'recoveryCodeGrant',
+    ];
+
+    methods.forEach((method) => {
+      it(`should have a ${method} method`, function () {
+        expect(this.authenticator[method]).to.exist.to.be.an.instanceOf(Function);
+      });
+    });
+  });
+
+  describe('#getMfaToken', () => {
+    it('should extract the MFA token of an mfa_required error', async function () {
+      nock(API_URL).post('/oauth/token').reply(403, {
+        error: 'mfa_required',
+        error_description: 'Multifactor authentication required',
+        mfa_token: MFA_TOKEN,
+      });
+      const oauth = new OAuth(validOptions);
+
+      try {
+        await oauth.passwordGrant({ username: 'user', password: 'pwd' });
+        throw new Error('Expected the grant to fail');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(ForbiddenError);
+        expect(err.errorCode).to.equal('mfa_required');
+        expect(this.authenticator.getMfaToken(err)).to.equal(MFA_TOKEN);
+      }
+    });
+
+    it('should accept the response body', function () {
+      expect(
+        this.authenticator.getMfaToken({ error: 'mfa_required', mfa_token: MFA_TOKEN })
+      ).to.equal(MFA_TOKEN);
+    });
+
+    it('should ignore other errors', function () {
+      expect(this.authenticator.getMfaToken(new Error('invalid_grant'))).to.be.undefined;
+      expect(this.authenticator.getMfaToken()).to.be.undefined;
+    });
+  });
+
+  describe('#listAuthenticators', () => {
+    it('should require an mfa_token', function () {
+      expect(() => this.authenticator.listAuthenticators({})).to.throw(
+        ArgumentError,
+        'mfa_token field is required'
+      );
+    });
+
+    it('should perform a GET request to /mfa/authenticators with the MFA token', async function () {
+      const authenticators = [{ id: 'totp|dev_123', authenticator_type: 'otp', active: true }];
+      const request = nock(API_URL, { reqheaders: { authorization: `Bearer ${MFA_TOKEN}` } })
+        .get('/mfa/authenticators')
+        .reply(200, authenticators);
+
+      const result = await this.authenticator.listAuthenticators({ mfa_token: MFA_TOKEN });
+
+      expect(result).to.deep.equal(authenticators);
+      expect(request.isDone()).to.be.true;
+    });
+
+    it('should accept a callback', function (done) {
+      nock(API_URL).get('/mfa/authenticators').reply(200, []);
+
+      this.authenticator.listAuthenticators({ mfa_token: MFA_TOKEN }, done.bind(null, null));
+    });
+  });
+
+  describe('#associate', () => {
+    it('should require an mfa_token', function () {
+      expect(() => this.authenticator.associate({ authenticator_types: ['otp'] })).to.throw(
+        ArgumentError,
+        'mfa_token field is required'
+      );
+    });
+
+    it('should require the authenticator types', function () {
+      expect(() => this.authenticator.associate({ mfa_token: MFA_TOKEN })).to.throw(
+        ArgumentError,
+        'authenticator_types field is required'
+      );
+    });
+
+    it('should perform a POST request to /mfa/associate', async function () {
+      const request = nock(API_URL, { reqheaders: { authorization: `Bearer ${MFA_TOKEN}` } })
+        .post(
+          '/mfa/associate',
+          (body) =>
+            body.client_id === CLIENT_ID &&
+            body.client_secret === CLIENT_SECRET &&
+            body.authenticator_types[0] === 'oob' &&
+            body.phone_number === '+12345678900' &&
+            body.mfa_token === undefined
+        )
+        .reply(200, { authenticator_type: 'oob', oob_code: 'OOB_CODE' });
+
+      const result = await this.authenticator.associate({
+        mfa_token: MFA_TOKEN,
+        authenticator_types: ['oob'],
+        oob_channels: ['sms'],
+        phone_number: '+12345678900',
+      });
+
+      expect(result.oob_code).to.equal('OOB_CODE');
+      expect(request.isDone()).to.be.true;
+    });
+  });
+
+  describe('#challenge', () => {
+    it('should require an mfa_token', function () {
+      expect(() => this.authenticator.challenge({})).to.throw(
+        ArgumentError,
+        'mfa_token field is required'
+      );
+    });
+
+    it('should perform a POST request to /mfa/challenge', async function () {
+      const request = nock(API_URL)
+        .post(
+          '/mfa/challenge',
+          (body) =>
+            body.client_id === CLIENT_ID &&
+            body.client_secret === CLIENT_SECRET &&
+            body.mfa_token === MFA_TOKEN &&
+            body.authenticator_id === 'sms|dev_123'
+        )
+        .reply(200, { challenge_type: 'oob', oob_code: 'OOB_CODE', binding_method: 'prompt' });
+
+      const result = await this.authenticator.challenge({
+        mfa_token: MFA_TOKEN,
+        challenge_type: 'oob',
+        authenticator_id: 'sms|dev_123',
+      });
+
+      expect(result.oob_code).to.equal('OOB_CODE');
+      expect(request.isDone()).to.be.true;
+    });
+  });
+
+  describe('grants', () => {
+    const grants = {
+      otpGrant: {
+        grantType: 'http://auth0.com/oauth/grant-type/mfa-otp',
+        data: { otp: '123456' },
+      },
+      oobGrant: {
+        grantType: 'http://auth0.com/oauth/grant-type/mfa-oob',
+        data: { oob_code: 'OOB_CODE', binding_code: '123456' },
+      },
+      recoveryCodeGrant: {
+        grantType: 'http://auth0.com/oauth/grant-type/mfa-recovery-code',
+        data: { recovery_code: 'RECOVERY_CODE' },
+      },
+    };
+
+    Object.keys(grants).forEach((method) => {
+      const { grantType, data } = grants[method];
+
+      describe(`#${method}`, () => {
+        it('should require an mfa_token', function () {
+          expect(() => this.authenticator[method](data)).to.throw(
+            ArgumentError,
+            'mfa_token field is required'
+          );
+        });
+
+        it(`should require the ${Object.keys(data)[0]}`, function () {
+          expect(() => this.authenticator[method]({ mfa_token: MFA_TOKEN })).to.throw(
+            ArgumentError,
+            `${Object.keys(data)[0]} field is required`
+          );
+        });
+
+        it(`should use the ${grantType} grant`, async function () {
+          const request = nock(API_URL)
+            .post(
+              '/oauth/token',
+              (body) =>
+                body.grant_type === grantType &&
+                body.mfa_token === MFA_TOKEN &&
+                body.client_secret === CLIENT_SECRET &&
+                Object.keys(data).every((key) => body[key] === data[key])
+            )
+            .reply(200, { access_token: 'ACCESS_TOKEN' });
+
+          const tokens = await this.authenticator[method]({ mfa_token: MFA_TOKEN, ...data });
+
+          expect(tokens.access_token).to.equal('ACCESS_TOKEN');
+          expect(request.isDone()).to.be.true;
+        });
+      });
+    });
+
+    it('should send the grant as given to the discovered token endpoint', async () => {
+      const endpoints = { ...getEndpoints(API_URL), token: 'https://login.example.com/token' };
+      const authenticator = new Authenticator(
+        validOptions,
+        new OAuth({ ...validOptions, endpoints })
+      );
+      const request = nock('https://login.example.com')
+        .post(
+          '/token',
+          (body) =>
+            body.grant_type === 'http://auth0.com/oauth/grant-type/mfa-otp' &&
+            body.client_id === CLIENT_ID &&
+            body.scope === undefined
+        )
+        .reply(200, { access_token: 'ACCESS_TOKEN' });
+
+      const tokens = await authenticator.otpGrant({ mfa_token: MFA_TOKEN, otp: '123456' });
+
+      expect(tokens.access_token).to.equal('ACCESS_TOKEN');
+      expect(request.isDone()).to.be.true;
+    });
+
+    it('should validate the ID token', async function () {
+      nock(API_URL).post('/oauth/token').reply(200, { id_token: 'invalid' });
+
+      try {
+        await this.authenticator.otpGrant({ mfa_token: MFA_TOKEN, otp: '123456' });
+        throw new Error('Expected the grant to fail');
+      } catch (err) {
+        expect(err.name).to.equal('IdTokenValidationError');
+      }
+    });
+
+    it('should accept a callback', function (done) {
+      nock(API_URL).post('/oauth/token').reply(200, {});
+
+      this.authenticator.otpGrant({ mfa_token: MFA_TOKEN, otp: '123456' }, done.bind(null, null));
+    });
+  });
+});
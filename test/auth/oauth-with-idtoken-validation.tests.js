@@ -11,6 +11,7 @@ const CLIENT_ID = 'TEST_CLIENT_ID';
 const CLIENT_SECRET = Buffer.from('TEST_CLIENT_SECRET', 'base64');
 
 const OAUthWithIDTokenValidation = require('../../src/auth/OAUthWithIDTokenValidation');
+const { IdTokenValidationError } = require('../../src/errors');
 const PARAMS = { params: true };
 const DATA = { data: true };
 
@@ -43,6 +44,121 @@ describe('OAUthWithIDTokenValidation', () => {
       }).to.throw('The authenticator options must be an object');
     });
   });
+  describe('signature algorithms', () => {
+    const keyPairs = {
+      RS512: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+      PS256: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+      ES256: crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }),
+    };
+    const exportKey = (key) =>
+      key.export({ type: key.type === 'public' ? 'spki' : 'pkcs8', format: 'pem' });
+    const toSigningKey = (alg, kid) => ({
+      kid,
+      alg,
+      getPublicKey: () => exportKey(keyPairs[alg].publicKey),
+      get publicKey() {
+        return exportKey(keyPairs[alg].publicKey);
+      },
+    });
+    const sign = (alg, keyid) =>
+      jwt.sign({ sub: 'auth0|123' }, exportKey(keyPairs[alg].privateKey), {
+        algorithm: alg,
+        ...(keyid && { keyid }),
+        issuer: `https://${DOMAIN}/`,
+        audience: CLIENT_ID,
+        expiresIn: '1h',
+      });
+    const createValidator = (idToken, jwksClient, supportedAlgorithms) =>
+      new OAUthWithIDTokenValidation(
+        { create: () => Promise.resolve({ id_token: idToken }) },
+        { clientId: CLIENT_ID, domain: DOMAIN, jwksClient, supportedAlgorithms }
+      );
+
+    it('rejects unsupported algorithms', () => {
+      expect(() => createValidator('token', {}, ['RS256', 'HS512', 'none'])).to.throw(
+        'Unsupported ID token signing algorithms "HS512", "none"'
+      );
+    });
+
+    Object.keys(keyPairs).forEach((alg) => {
+      it(`validates ${alg} id_tokens`, async () => {
+        const jwksClient = {
+          getSigningKey: sinon.spy((kid, cb) => cb(null, toSigningKey(alg, kid))),
+        };
+
+        const result = await createValidator(sign(alg, 'kid'), jwksClient, [alg]).create(
+          PARAMS,
+          DATA
+        );
+
+        expect(result.id_token).to.be.a('string');
+        sinon.assert.calledWith(jwksClient.getSigningKey, 'kid');
+      });
+    });
+
+    it('rejects id_tokens of an algorithm that is not configured', async () => {
+      const jwksClient = { getSigningKey: (kid, cb) => cb(null, toSigningKey('ES256', kid)) };
+
+      try {
+        await createValidator(sign('ES256', 'kid'), jwksClient, ['RS256']).create(PARAMS, DATA);
+        throw new Error('Expected the validation to fail');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(IdTokenValidationError);
+        expect(err.message).to.equal('invalid algorithm');
+      }
+    });
+
+    it('rejects a signing key of another algorithm', async () => {
+      const jwksClient = { getSigningKey: (kid, cb) => cb(null, toSigningKey('PS256', kid)) };
+
+      try {
+        await createValidator(sign('RS512', 'kid'), jwksClient, ['RS512', 'PS256']).create(
+          PARAMS,
+          DATA
+        );
+        throw new Error('Expected the validation to fail');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(IdTokenValidationError);
+        expect(err.message).to.contain(
+          'Signing key "kid" (PS256) cannot verify "RS512" signatures'
+        );
+      }
+    });
+
+    it('rejects a signing key of another key type', async () => {
+      const key = { ...toSigningKey('ES256', 'kid'), alg: undefined };
+      const jwksClient = { getSigningKey: (kid, cb) => cb(null, key) };
+
+      try {
+        await createValidator(sign('RS512', 'kid'), jwksClient, ['RS512']).create(PARAMS, DATA);
+        throw new Error('Expected the validation to fail');
+      } catch (err) {
+        expect(err.message).to.contain('Signing key "kid" (ec) cannot verify "RS512" signatures');
+      }
+    });
+
+    it('selects the signing key by alg and key type when the id_token has no kid', async () => {
+      const notFound = Object.assign(new Error('No KID specified'), {
+        name: 'SigningKeyNotFoundError',
+      });
+      const jwksClient = {
+        getSigningKey: (kid, cb) => cb(notFound),
+        getSigningKeys: sinon.stub().resolves([
+          { ...toSigningKey('RS512', 'rsa'), alg: undefined },
+          { ...toSigningKey('ES256', 'ec'), alg: undefined },
+        ]),
+      };
+
+      const result = await createValidator(sign('ES256'), jwksClient, ['RS512', 'ES256']).create(
+        PARAMS,
+        DATA
+      );
+
+      expect(result.id_token).to.be.a('string');
+      sinon.assert.calledOnce(jwksClient.getSigningKeys);
+    });
+  });
+
   describe('#create', function () {
     this.afterEach(() => {
       if (jwt.verify.restore) {
@@ -104,6 +220,30 @@ describe('OAUthWithIDTokenValidation', () => {
       });
       oauthWithValidation.create(PARAMS, DATA);
     });
+    it('Passes the clock tolerance and clock to jwt.verify', (done) => {
+      const oauth = {
+        create() {
+          return new Promise((resolve) => resolve({ id_token: 'foobar' }));
+        },
+      };
+      const clock = () => 1600000000500;
+      sinon.stub(jwt, 'verify').callsFake((idtoken, getKey, options) => {
+        expect(options).to.include({
+          clockTolerance: 30,
+          leeway: 30,
+          clock,
+          clockTimestamp: 1600000000,
+        });
+        done();
+      });
+      const oauthWithValidation = new OAUthWithIDTokenValidation(oauth, {
+        clientId: CLIENT_ID,
+        domain: DOMAIN,
+        clockTolerance: 30,
+        clock,
+      });
+      oauthWithValidation.create(PARAMS, DATA);
+    });
     it('Returns auth result when verify response is successful', (done) => {
       const oauth = {
         create() {
@@ -138,7 +278,8 @@ describe('OAUthWithIDTokenValidation', () => {
       });
       const oauthWithValidation = new OAUthWithIDTokenValidation(oauth, {});
       oauthWithValidation.create(PARAMS, DATA).catch((r) => {
-        expect(r).to.be.eql({ the: 'error' });
+        expect(r).to.be.an.instanceOf(IdTokenValidationError);
+        expect(r.originalError).to.be.eql({ the: 'error' });
         done();
       });
     });
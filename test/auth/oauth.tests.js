@@ -12,6 +12,11 @@ const CLIENT_SECRET = 'TEST_CLIENT_SECRET';
 const { ArgumentError } = require('rest-facade');
 const Authenticator = require(`../../src/auth/OAuthAuthenticator`);
 const OAUthWithIDTokenValidation = require('../../src/auth/OAUthWithIDTokenValidation');
+const { getEndpoints } = require('../../src/auth/discovery');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { AbortError, AuthorizationError, IdTokenValidationError } = require('../../src/errors');
+const { createAbortController } = require('../utils');
 
 const validOptions = {
   baseUrl: API_URL,
@@ -42,6 +47,21 @@ describe('OAuthAuthenticator', () => {
         new Authenticator(validOptions);
       }).to.not.throw(ArgumentError);
     });
+
+    it('should send the token requests to the token endpoint', async () => {
+      const authenticator = new Authenticator({
+        ...validOptions,
+        endpoints: { ...getEndpoints(API_URL), token: 'https://login.example.com/connect/issue' },
+      });
+      const request = nock('https://login.example.com')
+        .post('/connect/issue', (body) => body.grant_type === 'client_credentials')
+        .reply(200, { access_token: 'ACCESS_TOKEN' });
+
+      const tokens = await authenticator.clientCredentialsGrant({ audience: 'AUDIENCE' });
+
+      expect(request.isDone()).to.be.true;
+      expect(tokens).to.deep.equal({ access_token: 'ACCESS_TOKEN' });
+    });
   });
 
   describe('instance', () => {
@@ -263,6 +283,7 @@ describe('OAuthAuthenticator', () => {
       const MockAuthenticator = proxyquire(`../../src/auth/OAuthAuthenticator`, {
         'rest-facade': {
           Client: MockClient,
+          '@global': true,
         },
       });
 
@@ -477,6 +498,7 @@ describe('OAuthAuthenticator', () => {
       const MockAuthenticator = proxyquire(`../../src/auth/OAuthAuthenticator`, {
         'rest-facade': {
           Client: MockClient,
+          '@global': true,
         },
       });
 
@@ -491,6 +513,23 @@ describe('OAuthAuthenticator', () => {
         expect(request.isDone()).to.be.true;
       });
     });
+
+    it('should reject with an AbortError when the request is aborted', async function () {
+      nock.cleanAll();
+      nock(API_URL).post(path).delay(500).reply(200);
+
+      const controller = createAbortController();
+      const promise = this.authenticator.passwordGrant(userData, { signal: controller.signal });
+      setTimeout(() => controller.abort(), 10);
+
+      try {
+        await promise;
+        throw new Error('Expected request to be aborted');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(AbortError);
+      }
+      nock.cleanAll();
+    });
   });
 
   describe('#refreshToken', () => {
@@ -604,6 +643,7 @@ describe('OAuthAuthenticator', () => {
       const MockAuthenticator = proxyquire(`../../src/auth/OAuthAuthenticator`, {
         'rest-facade': {
           Client: MockClient,
+          '@global': true,
         },
       });
 
@@ -757,6 +797,7 @@ describe('OAuthAuthenticator', () => {
       const MockAuthenticator = proxyquire(`../../src/auth/OAuthAuthenticator`, {
         'rest-facade': {
           Client: MockClient,
+          '@global': true,
         },
       });
 
@@ -918,6 +959,7 @@ describe('OAuthAuthenticator', () => {
       const MockAuthenticator = proxyquire(`../../src/auth/OAuthAuthenticator`, {
         'rest-facade': {
           Client: MockClient,
+          '@global': true,
         },
       });
 
@@ -1091,6 +1133,7 @@ describe('OAuthAuthenticator', () => {
       const MockAuthenticator = proxyquire(`../../src/auth/OAuthAuthenticator`, {
         'rest-facade': {
           Client: MockClient,
+          '@global': true,
         },
       });
 
@@ -1106,4 +1149,836 @@ describe('OAuthAuthenticator', () => {
       });
     });
   });
+
+  describe('#buildAuthorizeUrl', () => {
+    const options = { redirect_uri: 'https://example.com/callback' };
+
+    beforeEach(function () {
+      this.authenticator = new Authenticator(validOptions);
+    });
+
+    it('should require an options object', function () {
+      expect(() => this.authenticator.buildAuthorizeUrl()).to.throw(
+        ArgumentError,
+        'Missing options object'
+      );
+    });
+
+    it('should require a redirect_uri', function () {
+      expect(() => this.authenticator.buildAuthorizeUrl({})).to.throw(
+        ArgumentError,
+        'redirect_uri field is required'
+      );
+    });
+
+    it('should require a client_id', () => {
+      const authenticator = new Authenticator({ baseUrl: API_URL });
+
+      expect(() => authenticator.buildAuthorizeUrl(options)).to.throw(
+        ArgumentError,
+        'client_id field is required'
+      );
+    });
+
+    it('should build the /authorize url', function () {
+      const { url, transaction } = this.authenticator.buildAuthorizeUrl({
+        ...options,
+        audience: 'https://api.example.com',
+      });
+      const { origin, pathname, searchParams } = new URL(url);
+
+      expect(origin).to.equal(API_URL);
+      expect(pathname).to.equal('/authorize');
+      expect(searchParams.get('client_id')).to.equal(CLIENT_ID);
+      expect(searchParams.get('response_type')).to.equal('code');
+      expect(searchParams.get('scope')).to.equal('openid profile email');
+      expect(searchParams.get('redirect_uri')).to.equal(options.redirect_uri);
+      expect(searchParams.get('audience')).to.equal('https://api.example.com');
+      expect(searchParams.get('state')).to.equal(transaction.state);
+      expect(searchParams.get('nonce')).to.equal(transaction.nonce);
+      expect(searchParams.has('max_age')).to.be.false;
+    });
+
+    it('should use an S256 code challenge of the code verifier', function () {
+      const { url, transaction } = this.authenticator.buildAuthorizeUrl(options);
+      const { searchParams } = new URL(url);
+      const challenge = crypto
+        .createHash('sha256')
+        .update(transaction.code_verifier)
+        .digest('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+
+      expect(transaction.code_verifier).to.match(/^[A-Za-z0-9_-]{43}$/);
+      expect(searchParams.get('code_challenge_method')).to.equal('S256');
+      expect(searchParams.get('code_challenge')).to.equal(challenge);
+    });
+
+    it('should generate new secrets for every transaction', function () {
+      const first = this.authenticator.buildAuthorizeUrl(options).transaction;
+      const second = this.authenticator.buildAuthorizeUrl(options).transaction;
+
+      expect(first.code_verifier).to.not.equal(second.code_verifier);
+      expect(first.state).to.not.equal(second.state);
+      expect(first.nonce).to.not.equal(second.nonce);
+    });
+
+    it('should keep the given parameters in the transaction', function () {
+      const { url, transaction } = this.authenticator.buildAuthorizeUrl({
+        ...options,
+        state: 'STATE',
+        nonce: 'NONCE',
+        max_age: 3600,
+        organization: 'org_123',
+      });
+      const { searchParams } = new URL(url);
+
+      expect(searchParams.get('max_age')).to.equal('3600');
+      expect(searchParams.get('organization')).to.equal('org_123');
+      expect(transaction).to.deep.include({
+        redirect_uri: options.redirect_uri,
+        state: 'STATE',
+        nonce: 'NONCE',
+        max_age: 3600,
+        organization: 'org_123',
+      });
+    });
+
+    it('should generate the state and nonce when they are undefined or null', function () {
+      const { url, transaction } = this.authenticator.buildAuthorizeUrl({
+        ...options,
+        state: undefined,
+        nonce: null,
+      });
+      const { searchParams } = new URL(url);
+
+      expect(transaction.state).to.match(/^[A-Za-z0-9_-]{43}$/);
+      expect(transaction.nonce).to.match(/^[A-Za-z0-9_-]{43}$/);
+      expect(searchParams.get('state')).to.equal(transaction.state);
+      expect(searchParams.get('nonce')).to.equal(transaction.nonce);
+    });
+  });
+
+  describe('#handleCallback', () => {
+    const path = '/oauth/token';
+    const transaction = {
+      code_verifier: 'CODE_VERIFIER',
+      redirect_uri: 'https://example.com/callback',
+      state: 'STATE',
+      nonce: 'NONCE',
+      max_age: 3600,
+      organization: 'org_123',
+    };
+
+    beforeEach(function () {
+      this.authenticator = new Authenticator({ ...validOptions, domain: DOMAIN });
+    });
+
+    it('should require the callback params', function () {
+      expect(() => this.authenticator.handleCallback()).to.throw(
+        ArgumentError,
+        'Missing callback params'
+      );
+    });
+
+    it('should require a transaction', function () {
+      expect(() => this.authenticator.handleCallback({})).to.throw(
+        ArgumentError,
+        'Missing transaction object'
+      );
+    });
+
+    it('should require the state of the transaction', function () {
+      expect(() =>
+        this.authenticator.handleCallback({ code: 'CODE' }, { ...transaction, state: undefined })
+      ).to.throw(ArgumentError, 'The transaction is missing the state');
+      expect(() =>
+        this.authenticator.handleCallback(
+          { code: 'CODE', state: '' },
+          { ...transaction, state: '' }
+        )
+      ).to.throw(ArgumentError, 'The transaction is missing the state');
+    });
+
+    it('should exchange the code using the code verifier', async function () {
+      const request = nock(API_URL)
+        .post(
+          path,
+          (body) =>
+            body.grant_type === 'authorization_code' &&
+            body.code === 'CODE' &&
+            body.code_verifier === transaction.code_verifier &&
+            body.redirect_uri === transaction.redirect_uri
+        )
+        .reply(200, { access_token: 'ACCESS_TOKEN' });
+
+      const tokens = await this.authenticator.handleCallback(
+        { code: 'CODE', state: 'STATE' },
+        transaction
+      );
+
+      expect(tokens).to.deep.equal({ access_token: 'ACCESS_TOKEN' });
+      expect(request.isDone()).to.be.true;
+    });
+
+    it('should validate the ID token against the transaction', async function () {
+      nock(API_URL).post(path).reply(200);
+
+      await this.authenticator.handleCallback(
+        new URLSearchParams({ code: 'CODE', state: 'STATE' }),
+        transaction
+      );
+
+      sinon.assert.calledWithMatch(
+        OAUthWithIDTokenValidation.prototype.create,
+        sinon.match((params) => params.type === undefined),
+        { nonce: 'NONCE', maxAge: 3600, organization: 'org_123' }
+      );
+    });
+
+    it('should reject an ID token issued for another nonce', async function () {
+      const idToken = jwt.sign(
+        { sub: 'user|123', nonce: 'OTHER_NONCE' },
+        Buffer.from(CLIENT_SECRET, 'base64'),
+        { algorithm: 'HS256', issuer: `https://${DOMAIN}/`, audience: CLIENT_ID, expiresIn: 60 }
+      );
+      nock(API_URL).post(path).reply(200, { id_token: idToken });
+
+      try {
+        await this.authenticator.handleCallback(
+          { code: 'CODE', state: 'STATE' },
+          { ...transaction, max_age: undefined, organization: undefined }
+        );
+        throw new Error('Expected the callback to fail');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(IdTokenValidationError);
+        expect(err.message).to.match(/nonce/i);
+      }
+    });
+
+    it('should reject a callback with another state', async function () {
+      const request = nock(API_URL).post(path).reply(200);
+
+      try {
+        await this.authenticator.handleCallback({ code: 'CODE', state: 'OTHER' }, transaction);
+        throw new Error('Expected the callback to fail');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(AuthorizationError);
+        expect(err.errorCode).to.equal('state_mismatch');
+        expect(request.isDone()).to.be.false;
+      }
+    });
+
+    it('should reject a callback without a code', async function () {
+      try {
+        await this.authenticator.handleCallback({ state: 'STATE' }, transaction);
+        throw new Error('Expected the callback to fail');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(AuthorizationError);
+        expect(err.errorCode).to.equal('missing_code');
+      }
+    });
+
+    it('should reject the errors reported by the authorization server', function (done) {
+      this.authenticator.handleCallback(
+        { error: 'access_denied', error_description: 'User did not authorize', state: 'STATE' },
+        transaction,
+        (err) => {
+          expect(err).to.be.an.instanceOf(AuthorizationError);
+          expect(err.errorCode).to.equal('access_denied');
+          expect(err.message).to.equal('User did not authorize');
+          done();
+        }
+      );
+    });
+  });
+
+  describe('#deviceAuthorization', () => {
+    const path = '/oauth/device/code';
+
+    beforeEach(function () {
+      this.authenticator = new Authenticator(validOptions);
+    });
+
+    it('should require a client_id', () => {
+      const authenticator = new Authenticator({ baseUrl: API_URL });
+
+      expect(() => authenticator.deviceAuthorization()).to.throw(
+        ArgumentError,
+        'client_id field is required'
+      );
+    });
+
+    it(`should perform a POST request to ${path}`, async function () {
+      const request = nock(API_URL)
+        .post(
+          path,
+          (body) => body.client_id === CLIENT_ID && body.scope === 'openid offline_access'
+        )
+        .reply(200, { device_code: 'DEVICE_CODE', user_code: 'USER_CODE', interval: 5 });
+
+      const authorization = await this.authenticator.deviceAuthorization({
+        scope: 'openid offline_access',
+      });
+
+      expect(authorization.device_code).to.equal('DEVICE_CODE');
+      expect(request.isDone()).to.be.true;
+    });
+
+    it('should accept a callback as only argument', function (done) {
+      nock(API_URL).post(path).reply(200, { device_code: 'DEVICE_CODE' });
+
+      this.authenticator.deviceAuthorization((err, authorization) => {
+        expect(authorization.device_code).to.equal('DEVICE_CODE');
+        done(err);
+      });
+    });
+  });
+
+  describe('#deviceCodeGrant', () => {
+    const path = '/oauth/token';
+
+    beforeEach(function () {
+      this.authenticator = new Authenticator(validOptions);
+    });
+
+    it('should require a device_code', function () {
+      expect(() => this.authenticator.deviceCodeGrant({})).to.throw(
+        ArgumentError,
+        'device_code field is required'
+      );
+    });
+
+    it('should exchange the device code using OAUthWithIDTokenValidation', async function () {
+      const request = nock(API_URL)
+        .post(
+          path,
+          (body) =>
+            body.grant_type === 'urn:ietf:params:oauth:grant-type:device_code' &&
+            body.device_code === 'DEVICE_CODE' &&
+            body.client_id === CLIENT_ID
+        )
+        .reply(200, { access_token: 'ACCESS_TOKEN' });
+
+      await this.authenticator.deviceCodeGrant({ device_code: 'DEVICE_CODE' });
+
+      expect(request.isDone()).to.be.true;
+      expect(OAUthWithIDTokenValidation.prototype.create.calledOnce).to.be.true;
+    });
+
+    it('should report the pending authorization as errorCode', async function () {
+      nock(API_URL).post(path).reply(403, {
+        error: 'authorization_pending',
+        error_description: 'User has yet to authorize device code.',
+      });
+
+      try {
+        await this.authenticator.deviceCodeGrant({ device_code: 'DEVICE_CODE' });
+        throw new Error('Expected the grant to fail');
+      } catch (err) {
+        expect(err.errorCode).to.equal('authorization_pending');
+      }
+    });
+  });
+
+  describe('#pollDeviceCodeGrant', () => {
+    const pending = () =>
+      Object.assign(new Error('pending'), { errorCode: 'authorization_pending' });
+    const slowDown = () => Object.assign(new Error('slow down'), { errorCode: 'slow_down' });
+    let clock;
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers();
+      this.authenticator = new Authenticator(validOptions);
+      this.grant = sinon.stub(this.authenticator, 'deviceCodeGrant');
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should require a device_code', function () {
+      expect(() => this.authenticator.pollDeviceCodeGrant({})).to.throw(
+        ArgumentError,
+        'device_code field is required'
+      );
+    });
+
+    it('should poll at the given interval until the user authorizes the device', async function () {
+      this.grant.onCall(0).rejects(pending());
+      this.grant.onCall(1).rejects(pending());
+      this.grant.onCall(2).resolves({ access_token: 'ACCESS_TOKEN' });
+
+      const promise = this.authenticator.pollDeviceCodeGrant({
+        device_code: 'DEVICE_CODE',
+        interval: 2,
+      });
+
+      await clock.tickAsync(1999);
+      sinon.assert.notCalled(this.grant);
+      await clock.tickAsync(1);
+      sinon.assert.calledOnce(this.grant);
+      sinon.assert.calledWithMatch(this.grant, { device_code: 'DEVICE_CODE' });
+      await clock.tickAsync(4000);
+
+      expect(await promise).to.deep.equal({ access_token: 'ACCESS_TOKEN' });
+      sinon.assert.calledThrice(this.grant);
+    });
+
+    it('should increase the interval by 5 seconds on slow_down', async function () {
+      this.grant.onCall(0).rejects(slowDown());
+      this.grant.onCall(1).resolves({ access_token: 'ACCESS_TOKEN' });
+
+      const promise = this.authenticator.pollDeviceCodeGrant({ device_code: 'DEVICE_CODE' });
+
+      await clock.tickAsync(5000);
+      sinon.assert.calledOnce(this.grant);
+      await clock.tickAsync(9999);
+      sinon.assert.calledOnce(this.grant);
+      await clock.tickAsync(1);
+
+      expect(await promise).to.deep.equal({ access_token: 'ACCESS_TOKEN' });
+    });
+
+    it('should reject the errors of the authorization server', function (done) {
+      const error = Object.assign(new Error('expired'), { errorCode: 'expired_token' });
+      this.grant.rejects(error);
+
+      this.authenticator.pollDeviceCodeGrant({ device_code: 'DEVICE_CODE' }, (err) => {
+        expect(err).to.equal(error);
+        done();
+      });
+
+      clock.tickAsync(5000);
+    });
+
+    it('should stop polling when the device code expires', async function () {
+      this.grant.rejects(pending());
+
+      const promise = this.authenticator.pollDeviceCodeGrant({
+        device_code: 'DEVICE_CODE',
+        interval: 5,
+        expires_in: 12,
+      });
+      promise.catch(() => {});
+
+      await clock.tickAsync(15000);
+
+      try {
+        await promise;
+        throw new Error('Expected the polling to fail');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(AuthorizationError);
+        expect(err.errorCode).to.equal('expired_token');
+        sinon.assert.calledThrice(this.grant);
+      }
+    });
+
+    it('should stop polling when the signal is aborted', async function () {
+      this.grant.rejects(pending());
+      const controller = createAbortController();
+
+      const promise = this.authenticator.pollDeviceCodeGrant(
+        { device_code: 'DEVICE_CODE' },
+        { signal: controller.signal }
+      );
+      promise.catch(() => {});
+
+      await clock.tickAsync(5000);
+      controller.abort();
+
+      try {
+        await promise;
+        throw new Error('Expected the polling to fail');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(AbortError);
+        sinon.assert.calledOnce(this.grant);
+      }
+    });
+  });
+
+  describe('#pushedAuthorizationRequest', () => {
+    const path = '/oauth/par';
+    const data = { redirect_uri: 'https://example.com/callback', scope: 'openid' };
+
+    beforeEach(function () {
+      this.authenticator = new Authenticator({ ...validOptions, domain: DOMAIN });
+    });
+
+    it('should require a data object', function () {
+      expect(() => this.authenticator.pushedAuthorizationRequest()).to.throw(
+        ArgumentError,
+        'Missing data object'
+      );
+    });
+
+    it('should require a redirect_uri', function () {
+      expect(() => this.authenticator.pushedAuthorizationRequest({ scope: 'openid' })).to.throw(
+        ArgumentError,
+        'redirect_uri field is required'
+      );
+    });
+
+    it('should require client authentication', () => {
+      const authenticator = new Authenticator({ baseUrl: API_URL, clientId: CLIENT_ID });
+
+      expect(() => authenticator.pushedAuthorizationRequest(data)).to.throw(
+        ArgumentError,
+        'The client_secret or client_assertion field is required.'
+      );
+    });
+
+    it(`should post the form encoded parameters to ${path}`, async function () {
+      const request = nock(API_URL, {
+        reqheaders: { 'content-type': 'application/x-www-form-urlencoded' },
+      })
+        .post(path, {
+          client_id: CLIENT_ID,
+          client_secret: CLIENT_SECRET,
+          response_type: 'code',
+          redirect_uri: data.redirect_uri,
+          scope: 'openid',
+        })
+        .reply(201, { request_uri: 'urn:ietf:params:oauth:request_uri:abc', expires_in: 30 });
+
+      const response = await this.authenticator.pushedAuthorizationRequest(data);
+
+      expect(response).to.deep.equal({
+        request_uri: 'urn:ietf:params:oauth:request_uri:abc',
+        expires_in: 30,
+      });
+      expect(request.isDone()).to.be.true;
+    });
+
+    it('should only send the client parameters with a request object', function (done) {
+      const request = nock(API_URL)
+        .post(path, {
+          client_id: CLIENT_ID,
+          client_secret: CLIENT_SECRET,
+          request: 'REQUEST_OBJECT',
+        })
+        .reply(201, { request_uri: 'urn:ietf:params:oauth:request_uri:abc', expires_in: 30 });
+
+      this.authenticator.pushedAuthorizationRequest({ request: 'REQUEST_OBJECT' }, (err) => {
+        expect(request.isDone()).to.be.true;
+        done(err);
+      });
+    });
+  });
+
+  describe('#buildRequestObject', () => {
+    const params = { redirect_uri: 'https://example.com/callback', scope: 'openid' };
+
+    it('should require a params object', () => {
+      const authenticator = new Authenticator({ ...validOptions, domain: DOMAIN });
+
+      expect(() => authenticator.buildRequestObject()).to.throw(
+        ArgumentError,
+        'Missing params object'
+      );
+    });
+
+    it('should require a signing key', () => {
+      const authenticator = new Authenticator({ baseUrl: API_URL, clientId: CLIENT_ID });
+
+      expect(() => authenticator.buildRequestObject(params)).to.throw(
+        ArgumentError,
+        'The clientAssertionSigningKey or clientSecret option is required to sign the request object'
+      );
+    });
+
+    it('should sign the parameters with the client assertion signing key', () => {
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      });
+      const authenticator = new Authenticator({
+        baseUrl: API_URL,
+        domain: DOMAIN,
+        clientId: CLIENT_ID,
+        clientAssertionSigningKey: privateKey,
+      });
+
+      const payload = jwt.verify(authenticator.buildRequestObject(params), publicKey, {
+        algorithms: ['RS256'],
+        audience: `https://${DOMAIN}/`,
+        issuer: CLIENT_ID,
+      });
+
+      expect(payload).to.include({
+        client_id: CLIENT_ID,
+        response_type: 'code',
+        redirect_uri: params.redirect_uri,
+        scope: 'openid',
+      });
+      expect(payload.exp - payload.iat).to.equal(300);
+      expect(payload.jti).to.be.a('string');
+    });
+
+    it('should sign the parameters with the client secret without a signing key', () => {
+      const authenticator = new Authenticator({ ...validOptions, domain: DOMAIN });
+
+      const payload = jwt.verify(
+        authenticator.buildRequestObject(params, { expiresIn: 60 }),
+        CLIENT_SECRET,
+        { algorithms: ['HS256'] }
+      );
+
+      expect(payload.exp - payload.iat).to.equal(60);
+    });
+  });
+
+  describe('#backchannelAuthorize', () => {
+    const path = '/bc-authorize';
+    const loginHint = { format: 'iss_sub', iss: `https://${DOMAIN}/`, sub: 'auth0|123' };
+
+    beforeEach(function () {
+      this.authenticator = new Authenticator({ ...validOptions, domain: DOMAIN });
+    });
+
+    it('should require a login_hint', function () {
+      expect(() => this.authenticator.backchannelAuthorize({ scope: 'openid' })).to.throw(
+        ArgumentError,
+        'login_hint field is required'
+      );
+    });
+
+    it('should require the openid scope', function () {
+      expect(() =>
+        this.authenticator.backchannelAuthorize({ login_hint: loginHint, scope: 'profile' })
+      ).to.throw(ArgumentError, 'scope field must include openid');
+    });
+
+    it('should require client authentication', () => {
+      const authenticator = new Authenticator({ baseUrl: API_URL, clientId: CLIENT_ID });
+
+      expect(() =>
+        authenticator.backchannelAuthorize({ login_hint: loginHint, scope: 'openid' })
+      ).to.throw(ArgumentError, 'The client_secret or client_assertion field is required.');
+    });
+
+    it(`should post the form encoded parameters to ${path}`, async function () {
+      const request = nock(API_URL, {
+        reqheaders: { 'content-type': 'application/x-www-form-urlencoded' },
+      })
+        .post(path, {
+          client_id: CLIENT_ID,
+          client_secret: CLIENT_SECRET,
+          login_hint: JSON.stringify(loginHint),
+          binding_message: 'Confirm order 1234',
+          scope: 'openid',
+        })
+        .reply(200, { auth_req_id: 'AUTH_REQ_ID', expires_in: 300, interval: 5 });
+
+      const authorization = await this.authenticator.backchannelAuthorize({
+        login_hint: loginHint,
+        binding_message: 'Confirm order 1234',
+        scope: 'openid',
+      });
+
+      expect(authorization.auth_req_id).to.equal('AUTH_REQ_ID');
+      expect(request.isDone()).to.be.true;
+    });
+  });
+
+  describe('#backchannelGrant', () => {
+    const path = '/oauth/token';
+
+    beforeEach(function () {
+      this.authenticator = new Authenticator({ ...validOptions, domain: DOMAIN });
+    });
+
+    it('should require an auth_req_id', function () {
+      expect(() => this.authenticator.backchannelGrant({})).to.throw(
+        ArgumentError,
+        'auth_req_id field is required'
+      );
+    });
+
+    it('should exchange the auth_req_id using OAUthWithIDTokenValidation', async function () {
+      const request = nock(API_URL)
+        .post(
+          path,
+          (body) =>
+            body.grant_type === 'urn:openid:params:grant-type:ciba' &&
+            body.auth_req_id === 'AUTH_REQ_ID' &&
+            body.client_secret === CLIENT_SECRET
+        )
+        .reply(200, { access_token: 'ACCESS_TOKEN' });
+
+      await this.authenticator.backchannelGrant({ auth_req_id: 'AUTH_REQ_ID' });
+
+      expect(request.isDone()).to.be.true;
+      expect(OAUthWithIDTokenValidation.prototype.create.calledOnce).to.be.true;
+    });
+  });
+
+  describe('#pollBackchannelGrant', () => {
+    let clock;
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers();
+      this.authenticator = new Authenticator(validOptions);
+      this.grant = sinon.stub(this.authenticator, 'backchannelGrant');
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should require an auth_req_id', function () {
+      expect(() => this.authenticator.pollBackchannelGrant({})).to.throw(
+        ArgumentError,
+        'auth_req_id field is required'
+      );
+    });
+
+    it('should poll until the user approves the request', async function () {
+      const pending = Object.assign(new Error('pending'), { errorCode: 'authorization_pending' });
+      this.grant.onCall(0).rejects(pending);
+      this.grant.onCall(1).resolves({ access_token: 'ACCESS_TOKEN' });
+
+      const promise = this.authenticator.pollBackchannelGrant({
+        auth_req_id: 'AUTH_REQ_ID',
+        interval: 3,
+      });
+      await clock.tickAsync(6000);
+
+      expect(await promise).to.deep.equal({ access_token: 'ACCESS_TOKEN' });
+      sinon.assert.calledTwice(this.grant);
+      sinon.assert.calledWithMatch(this.grant, { auth_req_id: 'AUTH_REQ_ID' });
+    });
+
+    it('should reject when the user denies the request', function (done) {
+      const denied = Object.assign(new Error('denied'), { errorCode: 'access_denied' });
+      this.grant.rejects(denied);
+
+      this.authenticator.pollBackchannelGrant({ auth_req_id: 'AUTH_REQ_ID' }, (err) => {
+        expect(err).to.equal(denied);
+        done();
+      });
+
+      clock.tickAsync(5000);
+    });
+  });
+
+  describe('#grant', () => {
+    const path = '/oauth/token';
+    const grantType = 'urn:example:params:grant-type:custom';
+
+    beforeEach(function () {
+      this.authenticator = new Authenticator(validOptions);
+    });
+
+    it('should require a grant type', function () {
+      expect(() => this.authenticator.grant()).to.throw(ArgumentError, 'Must provide a grant type');
+    });
+
+    it('should require the data to be an object', function () {
+      expect(() => this.authenticator.grant(grantType, 'data')).to.throw(
+        ArgumentError,
+        'The data must be an object'
+      );
+    });
+
+    it('should require client authentication when asked to', () => {
+      const authenticator = new Authenticator({ baseUrl: API_URL, clientId: CLIENT_ID });
+
+      expect(() =>
+        authenticator.grant(grantType, {}, { requireClientAuthentication: true })
+      ).to.throw(ArgumentError, 'The client_secret or client_assertion field is required.');
+    });
+
+    it('should send the grant type with the client authentication', async function () {
+      const request = nock(API_URL)
+        .post(path, {
+          client_id: CLIENT_ID,
+          client_secret: CLIENT_SECRET,
+          assertion: 'ASSERTION',
+          grant_type: grantType,
+        })
+        .reply(200, { access_token: 'ACCESS_TOKEN' });
+
+      const tokens = await this.authenticator.grant(grantType, {
+        assertion: 'ASSERTION',
+        grant_type: 'password',
+      });
+
+      expect(tokens.access_token).to.equal('ACCESS_TOKEN');
+      expect(request.isDone()).to.be.true;
+      expect(OAUthWithIDTokenValidation.prototype.create.calledOnce).to.be.true;
+    });
+
+    it('should skip the ID token validation when asked to', async function () {
+      nock(API_URL).post(path).reply(200, { id_token: 'ID_TOKEN' });
+
+      const tokens = await this.authenticator.grant(grantType, {}, { validateIdToken: false });
+
+      expect(tokens.id_token).to.equal('ID_TOKEN');
+      expect(OAUthWithIDTokenValidation.prototype.create.called).to.be.false;
+    });
+
+    it('should accept a callback as second argument', function (done) {
+      nock(API_URL).post(path).reply(200);
+
+      this.authenticator.grant(grantType, done.bind(null, null));
+    });
+  });
+
+  describe('#tokenExchange', () => {
+    const path = '/oauth/token';
+    const data = {
+      subject_token: 'SUBJECT_TOKEN',
+      subject_token_type: 'urn:ietf:params:oauth:token-type:access_token',
+    };
+
+    beforeEach(function () {
+      this.authenticator = new Authenticator(validOptions);
+    });
+
+    it('should require a subject_token', function () {
+      expect(() =>
+        this.authenticator.tokenExchange({ subject_token_type: data.subject_token_type })
+      ).to.throw(ArgumentError, 'subject_token field is required');
+    });
+
+    it('should require a subject_token_type', function () {
+      expect(() =>
+        this.authenticator.tokenExchange({ subject_token: data.subject_token })
+      ).to.throw(ArgumentError, 'subject_token_type field is required');
+    });
+
+    it('should require an actor_token_type with an actor_token', function () {
+      expect(() =>
+        this.authenticator.tokenExchange({ ...data, actor_token: 'ACTOR_TOKEN' })
+      ).to.throw(ArgumentError, 'actor_token_type field is required with an actor_token');
+    });
+
+    it('should use the token exchange grant', async function () {
+      const request = nock(API_URL)
+        .post(path, {
+          client_id: CLIENT_ID,
+          client_secret: CLIENT_SECRET,
+          grant_type: 'urn:ietf:params:oauth:grant-type:token-exchange',
+          subject_token: data.subject_token,
+          subject_token_type: data.subject_token_type,
+          actor_token: 'ACTOR_TOKEN',
+          actor_token_type: 'urn:ietf:params:oauth:token-type:jwt',
+          audience: 'https://downstream.example.com',
+        })
+        .reply(200, { access_token: 'ACCESS_TOKEN', issued_token_type: 'access_token' });
+
+      const tokens = await this.authenticator.tokenExchange({
+        ...data,
+        actor_token: 'ACTOR_TOKEN',
+        actor_token_type: 'urn:ietf:params:oauth:token-type:jwt',
+        audience: 'https://downstream.example.com',
+      });
+
+      expect(tokens.access_token).to.equal('ACCESS_TOKEN');
+      expect(request.isDone()).to.be.true;
+    });
+  });
 });
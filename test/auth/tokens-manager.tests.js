@@ -7,6 +7,8 @@ const BASE_URL = 'https://tenant.auth0.com';
 
 const { ArgumentError } = require('rest-facade');
 const TokensManager = require('../../src/auth/TokensManager');
+const { AbortError, UnauthorizedError } = require('../../src/errors');
+const { createAbortController } = require('../utils');
 
 describe('TokensManager', () => {
   const validOptions = {
@@ -127,6 +129,41 @@ describe('TokensManager', () => {
         done();
       });
     });
+
+    it('should reject with the error class matching the response status', async () => {
+      nock.cleanAll();
+      nock(BASE_URL)
+        .post(path)
+        .reply(401, { error: 'invalid_token', error_description: 'The token is not valid' });
+
+      try {
+        await manager.getInfo('VALID_TOKEN');
+        throw new Error('Expected request to fail');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(UnauthorizedError);
+        expect(err.message).to.equal('The token is not valid');
+        expect(err.errorCode).to.equal('invalid_token');
+        expect(err.method).to.equal('POST');
+        expect(err.path).to.equal('/tokeninfo');
+      }
+    });
+
+    it('should reject with an AbortError when the request is aborted', async () => {
+      nock.cleanAll();
+      nock(BASE_URL).post(path).delay(500).reply(200);
+
+      const controller = createAbortController();
+      const promise = manager.getInfo('VALID_TOKEN', { signal: controller.signal });
+      setTimeout(() => controller.abort(), 10);
+
+      try {
+        await promise;
+        throw new Error('Expected request to be aborted');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(AbortError);
+      }
+      nock.cleanAll();
+    });
   });
 
   describe('#getDelegationToken', () => {
@@ -5,6 +5,8 @@ const sinon = require('sinon');
 const { ArgumentError, Client } = require('rest-facade');
 const Auth0RestClient = require('../src/Auth0RestClient');
 const proxyquire = require('proxyquire');
+const { AbortError, NotFoundError, TimeoutError } = require('../src/errors');
+const { createAbortController } = require('./utils');
 
 const API_URL = 'https://tenant.auth0.com';
 
@@ -269,6 +271,22 @@ describe('Auth0RestClient', () => {
     nock.cleanAll();
   });
 
+  it('should include the rate limit info in the response', async function () {
+    nock(API_URL)
+      .get('/some-resource')
+      .reply(200, { data: 'value' }, { 'x-ratelimit-limit': '10', 'x-ratelimit-remaining': '9' });
+
+    const options = {
+      includeResponseHeaders: true,
+      headers: {},
+    };
+
+    const client = new Auth0RestClient(`${API_URL}/some-resource`, options, this.providerMock);
+    const { rateLimit } = await client.getAll();
+    expect(rateLimit).to.deep.equal({ limit: 10, remaining: 9, reset: undefined });
+    nock.cleanAll();
+  });
+
   it('should include response headers in callback response', function (done) {
     nock(API_URL).get('/some-resource').reply(200, { data: 'value' });
 
@@ -313,4 +331,235 @@ describe('Auth0RestClient', () => {
       proxy: 'http://proxy',
     });
   });
+
+  describe('abort signal', () => {
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should not send the signal as a query parameter', async function () {
+      const request = nock(API_URL)
+        .get('/some-resource')
+        .query({ page: 0 })
+        .reply(200, { data: 'value' });
+
+      const client = new Auth0RestClient(
+        `${API_URL}/some-resource`,
+        { headers: {} },
+        this.providerMock
+      );
+      const data = await client.getAll({ page: 0, signal: createAbortController().signal });
+      expect(data).to.deep.equal({ data: 'value' });
+      expect(request.isDone()).to.be.true;
+    });
+
+    it('should not send the signal in the body of create requests', async function () {
+      const request = nock(API_URL)
+        .post('/some-resource', { name: 'test' })
+        .reply(201, { data: 'value' });
+
+      const client = new Auth0RestClient(
+        `${API_URL}/some-resource`,
+        { headers: {} },
+        this.providerMock
+      );
+      await client.create({ name: 'test', signal: createAbortController().signal });
+      expect(request.isDone()).to.be.true;
+    });
+
+    it('should reject with an AbortError when the request is aborted', async function () {
+      nock(API_URL).get('/some-resource').delay(500).reply(200, { data: 'value' });
+
+      const controller = createAbortController();
+      const client = new Auth0RestClient(
+        `${API_URL}/some-resource`,
+        { headers: {} },
+        this.providerMock
+      );
+      const promise = client.getAll({ signal: controller.signal });
+      setTimeout(() => controller.abort(), 10);
+
+      try {
+        await promise;
+        throw new Error('Expected request to be aborted');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(AbortError);
+      }
+    });
+
+    it('should not perform the request when the signal is already aborted', function (done) {
+      const request = nock(API_URL).get('/some-resource').reply(200, { data: 'value' });
+
+      const controller = createAbortController();
+      controller.abort();
+      const client = new Auth0RestClient(
+        `${API_URL}/some-resource`,
+        { headers: {} },
+        this.providerMock
+      );
+      client.getAll({ signal: controller.signal }, (err) => {
+        expect(err).to.be.an.instanceOf(AbortError);
+        expect(request.isDone()).to.be.false;
+        done();
+      });
+    });
+  });
+
+  describe('timeout', () => {
+    it('should fail the request when the timeout is exceeded', async function () {
+      nock(API_URL).get('/some-resource').delay(200).reply(200, { data: 'value' });
+
+      const client = new Auth0RestClient(
+        `${API_URL}/some-resource`,
+        { headers: {}, timeout: 20 },
+        this.providerMock
+      );
+
+      try {
+        await client.getAll();
+        throw new Error('Expected request to time out');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(TimeoutError);
+        expect(err.statusCode).to.equal('ECONNABORTED');
+      }
+      nock.cleanAll();
+    });
+
+    it('should keep the request customizer given with the timeout', async function () {
+      const request = nock(API_URL, { reqheaders: { 'x-custom': 'value' } })
+        .get('/some-resource')
+        .reply(200, { data: 'value' });
+
+      const client = new Auth0RestClient(
+        `${API_URL}/some-resource`,
+        {
+          headers: {},
+          timeout: 5000,
+          request: { customizer: (req) => req.set('x-custom', 'value') },
+        },
+        this.providerMock
+      );
+
+      await client.getAll();
+      expect(request.isDone()).to.be.true;
+    });
+  });
+
+  describe('errors', () => {
+    it('should reject with the error class matching the response status', async function () {
+      nock(API_URL).get('/some-resource/123').reply(
+        404,
+        {
+          statusCode: 404,
+          error: 'Not Found',
+          message: 'Not found',
+          errorCode: 'inexistent_user',
+        },
+        { 'x-auth0-requestid': 'request-id' }
+      );
+
+      const client = new Auth0RestClient(
+        `${API_URL}/some-resource/:id`,
+        { headers: {} },
+        this.providerMock
+      );
+
+      try {
+        await client.get({ id: '123' });
+        throw new Error('Expected request to fail');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(NotFoundError);
+        expect(err.statusCode).to.equal(404);
+        expect(err.errorCode).to.equal('inexistent_user');
+        expect(err.requestId).to.equal('request-id');
+        expect(err.method).to.equal('GET');
+        expect(err.path).to.equal('/some-resource/123');
+      }
+      nock.cleanAll();
+    });
+  });
+
+  describe('invalid token', () => {
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    const createProvider = () => {
+      const tokens = ['revoked_token', 'new_token'];
+      return {
+        getAccessToken: sinon.spy(() => Promise.resolve(tokens[0])),
+        invalidate: sinon.spy(() => {
+          tokens.shift();
+          return Promise.resolve();
+        }),
+      };
+    };
+
+    it('should invalidate the token and retry the request once', async () => {
+      nock(API_URL)
+        .get('/some-resource')
+        .matchHeader('Authorization', 'Bearer revoked_token')
+        .reply(401, { statusCode: 401, error: 'Unauthorized', message: 'Invalid token' })
+        .get('/some-resource')
+        .matchHeader('Authorization', 'Bearer new_token')
+        .reply(200, { data: 'value' });
+
+      const provider = createProvider();
+      const client = new Auth0RestClient(`${API_URL}/some-resource`, { headers: {} }, provider);
+      const data = await client.getAll();
+
+      expect(data).to.deep.equal({ data: 'value' });
+      sinon.assert.calledOnceWithExactly(provider.invalidate, 'revoked_token');
+    });
+
+    it('should retry once when the token is rejected by the WWW-Authenticate header', (done) => {
+      nock(API_URL)
+        .get('/some-resource')
+        .reply(401, {}, { 'WWW-Authenticate': 'Bearer error="invalid_token"' })
+        .get('/some-resource')
+        .reply(200, { data: 'value' });
+
+      const provider = createProvider();
+      const client = new Auth0RestClient(`${API_URL}/some-resource`, { headers: {} }, provider);
+
+      client.getAll((err, data) => {
+        expect(err).to.be.null;
+        expect(data).to.deep.equal({ data: 'value' });
+        sinon.assert.calledOnce(provider.invalidate);
+        done();
+      });
+    });
+
+    it('should return the error when the new token is rejected too', async () => {
+      const body = { statusCode: 401, error: 'Unauthorized', message: 'Invalid token' };
+      nock(API_URL).get('/some-resource').twice().reply(401, body);
+
+      const provider = createProvider();
+      const client = new Auth0RestClient(`${API_URL}/some-resource`, { headers: {} }, provider);
+
+      try {
+        await client.getAll();
+        throw new Error('Expected request to fail');
+      } catch (err) {
+        expect(err.statusCode).to.equal(401);
+        sinon.assert.calledOnce(provider.invalidate);
+      }
+    });
+
+    it('should not retry other unauthorized errors', async () => {
+      const body = { statusCode: 401, error: 'Unauthorized', message: 'Missing authentication' };
+      nock(API_URL).get('/some-resource').reply(401, body);
+
+      const provider = createProvider();
+      const client = new Auth0RestClient(`${API_URL}/some-resource`, { headers: {} }, provider);
+
+      try {
+        await client.getAll();
+        throw new Error('Expected request to fail');
+      } catch (err) {
+        expect(err.statusCode).to.equal(401);
+        sinon.assert.notCalled(provider.invalidate);
+      }
+    });
+  });
 });
@@ -3,6 +3,9 @@ const { expect } = require('chai');
 const auth0 = require('../src');
 const AuthenticationClient = require('../src/auth');
 const ManagementClient = require('../src/management');
+const middleware = require('../src/middleware');
+const passwordHashes = require('../src/management/passwordHashes');
+const errors = require('../src/errors');
 
 describe('Auth0 module', () => {
   it('should expose the AuthenticationClient', () => {
@@ -12,4 +15,34 @@ describe('Auth0 module', () => {
   it('should expose the ManagementClient', () => {
     expect(auth0.ManagementClient).to.equal(ManagementClient);
   });
+
+  it('should expose the middleware', () => {
+    expect(auth0.middleware).to.equal(middleware);
+  });
+
+  it('should expose the password hash builders', () => {
+    expect(auth0.passwordHashes).to.equal(passwordHashes);
+  });
+
+  [
+    'SanitizedError',
+    'RateLimitError',
+    'UnauthorizedError',
+    'ForbiddenError',
+    'NotFoundError',
+    'ConflictError',
+    'ValidationError',
+    'NetworkError',
+    'TimeoutError',
+    'IdTokenValidationError',
+    'LogoutTokenValidationError',
+    'AccessTokenValidationError',
+    'AbortError',
+    'AuthorizationError',
+    'JobError',
+  ].forEach((name) => {
+    it(`should expose the ${name}`, () => {
+      expect(auth0[name]).to.equal(errors[name]);
+    });
+  });
 });
@@ -107,5 +107,168 @@ describe('Errors', () => {
     it('should have a stack with the message and location the error was created', () => {
       expect(sanitizedError.stack).to.exist;
     });
+
+    it('should not have rate limit info when the response has no rate limit headers', () => {
+      expect(sanitizedError.rateLimit).to.be.undefined;
+    });
+
+    it('should expose the rate limit info of the response', () => {
+      const error = new errors.SanitizedError(name, message, 429, requestInfo, {
+        response: {
+          headers: {
+            'x-ratelimit-limit': '10',
+            'x-ratelimit-remaining': '0',
+            'x-ratelimit-reset': '1700000000',
+          },
+        },
+      });
+      expect(error.rateLimit).to.deep.equal({ limit: 10, remaining: 0, reset: 1700000000 });
+    });
+  });
+
+  describe('createSanitizedError', () => {
+    const requestInfo = {
+      method: 'GET',
+      url: 'https://tenant.auth0.com/api/v2/users/123?fields=name',
+    };
+    const createHttpError = (status, body = {}, headers = {}) =>
+      errors.createSanitizedError(body.error, body.message, status, requestInfo, {
+        status,
+        response: { body, headers },
+      });
+
+    [
+      [400, 'ValidationError'],
+      [401, 'UnauthorizedError'],
+      [403, 'ForbiddenError'],
+      [404, 'NotFoundError'],
+      [409, 'ConflictError'],
+      [422, 'ValidationError'],
+      [429, 'RateLimitError'],
+    ].forEach(([status, className]) => {
+      it(`should create a ${className} for ${status} responses`, () => {
+        const error = createHttpError(status);
+        expect(error).to.be.an.instanceOf(errors[className]);
+        expect(error).to.be.an.instanceOf(errors.SanitizedError);
+        expect(error).to.be.an.instanceOf(Error);
+        expect(error.statusCode).to.equal(status);
+      });
+    });
+
+    it('should create a SanitizedError for other responses', () => {
+      const error = createHttpError(500);
+      expect(error.constructor).to.equal(errors.SanitizedError);
+    });
+
+    it('should keep the name of the response body', () => {
+      const error = createHttpError(404, {
+        error: 'Not Found',
+        message: 'The user does not exist.',
+      });
+      expect(error.name).to.equal('Not Found');
+      expect(error.message).to.equal('The user does not exist.');
+    });
+
+    it('should default the name to the error class', () => {
+      expect(createHttpError(404).name).to.equal('NotFoundError');
+    });
+
+    it('should expose the error code, request id, method and path', () => {
+      const error = createHttpError(
+        404,
+        { error: 'Not Found', errorCode: 'inexistent_user' },
+        { 'x-auth0-requestid': 'request-id' }
+      );
+      expect(error.errorCode).to.equal('inexistent_user');
+      expect(error.requestId).to.equal('request-id');
+      expect(error.method).to.equal('GET');
+      expect(error.path).to.equal('/api/v2/users/123');
+    });
+
+    it('should use OAuth2 error codes as error code', () => {
+      const error = createHttpError(403, { error: 'invalid_grant' });
+      expect(error.errorCode).to.equal('invalid_grant');
+    });
+
+    it('should expose the rate limit info on RateLimitErrors', () => {
+      const error = createHttpError(
+        429,
+        {},
+        { 'x-ratelimit-limit': '10', 'x-ratelimit-remaining': '0' }
+      );
+      expect(error.rateLimit).to.deep.equal({ limit: 10, remaining: 0, reset: undefined });
+    });
+
+    it('should create a TimeoutError when the request timed out', () => {
+      const error = errors.createSanitizedError(
+        'APIError',
+        'Timeout of 10ms exceeded',
+        undefined,
+        requestInfo,
+        {
+          code: 'ECONNABORTED',
+          timeout: 10,
+        }
+      );
+      expect(error).to.be.an.instanceOf(errors.TimeoutError);
+      expect(error).to.be.an.instanceOf(errors.NetworkError);
+      expect(error.statusCode).to.equal('ECONNABORTED');
+      expect(error.errorCode).to.equal('ECONNABORTED');
+    });
+
+    it('should create a NetworkError when the request failed without a response', () => {
+      const error = errors.createSanitizedError(
+        'APIError',
+        'socket hang up',
+        undefined,
+        requestInfo,
+        {
+          code: 'ECONNRESET',
+        }
+      );
+      expect(error).to.be.an.instanceOf(errors.NetworkError);
+      expect(error).to.not.be.an.instanceOf(errors.TimeoutError);
+    });
+  });
+
+  describe('fromAxiosError', () => {
+    it('should convert axios errors and redact the credentials', () => {
+      const axiosError = new Error('Request failed with status code 401');
+      axiosError.code = 'ERR_BAD_REQUEST';
+      axiosError.config = {
+        method: 'post',
+        url: 'https://tenant.auth0.com/oauth/revoke',
+        headers: { Authorization: 'Bearer token' },
+        data: JSON.stringify({ client_id: 'id', client_secret: 'secret' }),
+      };
+      axiosError.response = {
+        status: 401,
+        data: { error: 'access_denied', error_description: 'Unauthorized' },
+        headers: {},
+      };
+
+      const error = errors.fromAxiosError(axiosError);
+
+      expect(error).to.be.an.instanceOf(errors.UnauthorizedError);
+      expect(error.name).to.equal('access_denied');
+      expect(error.message).to.equal('Unauthorized');
+      expect(error.errorCode).to.equal('access_denied');
+      expect(error.method).to.equal('POST');
+      expect(error.path).to.equal('/oauth/revoke');
+      expect(error.originalError.config.headers.Authorization).to.equal('[REDACTED]');
+      expect(JSON.parse(error.originalError.config.data)).to.deep.equal({
+        client_id: 'id',
+        client_secret: '[REDACTED]',
+      });
+    });
+  });
+
+  describe('IdTokenValidationError', () => {
+    it('should be an instance of the builtin Error', () => {
+      const error = new errors.IdTokenValidationError('ID token is required but missing');
+      expect(error).to.be.an.instanceOf(Error);
+      expect(error.name).to.equal('IdTokenValidationError');
+      expect(error.message).to.equal('ID token is required but missing');
+    });
   });
 });
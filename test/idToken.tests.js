@@ -2,6 +2,7 @@ const assert = require('assert');
 const { expect } = require('chai');
 const jws = require('jws');
 const idToken = require('../src/auth/idToken');
+const { IdTokenValidationError } = require('../src/errors');
 
 const secretHMAC = 'secret';
 //openssl genrsa -out private.pem 2048
@@ -88,6 +89,12 @@ function generateJWT(bodyOverrides, alg) {
   return jws.sign(options);
 }
 
+function withHeader(header, token) {
+  const parts = token.split('.');
+  parts[0] = Buffer.from(JSON.stringify(header)).toString('base64').replace(/=+$/, '');
+  return parts.join('.');
+}
+
 describe('idToken.decode', () => {
   it('should decode a valid token', () => {
     const alg = 'RS256';
@@ -135,7 +142,7 @@ describe('idToken.validate', () => {
   it('should throw when no id token is present', () => {
     expect(() => {
       idToken.validate();
-    }).to.throw('ID token is required but missing');
+    }).to.throw(IdTokenValidationError, 'ID token is required but missing');
   });
   it('should throw when no Issuer is present in the claim', () => {
     expect(() => {
@@ -164,6 +171,23 @@ describe('idToken.validate', () => {
       'Signature algorithm of "HS512" is not supported. Expected the ID token to be signed with "RS256" or "HS256".'
     );
   });
+  it('should accept the configured asymmetric algorithms', () => {
+    ['RS384', 'RS512', 'PS256', 'ES256', 'ES512'].forEach((alg) => {
+      const token = withHeader({ alg }, generateJWT({}));
+
+      const decoded = idToken.validate(token, { ...expectedOptions, algorithms: [alg] });
+      expect(decoded.header.alg).to.equal(alg);
+    });
+  });
+  it('should throw when the alg is not one of the configured algorithms', () => {
+    const token = withHeader({ alg: 'RS256' }, generateJWT({}));
+
+    expect(() => {
+      idToken.validate(token, { ...expectedOptions, algorithms: ['ES256', 'PS256', 'HS512'] });
+    }).to.throw(
+      'Signature algorithm of "RS256" is not supported. Expected the ID token to be signed with "ES256" or "PS256".'
+    );
+  });
   it('should throw when the audience is not a string or array', () => {
     expect(() => {
       idToken.validate(generateJWT({ aud: undefined }), defaultOptions);
@@ -252,6 +276,25 @@ describe('idToken.validate', () => {
       idToken.validate(generateJWT({ exp: yesterday() }), expectedOptions);
     }).to.throw('is after expiration time');
   });
+  it('should apply a leeway of 0 seconds', () => {
+    const token = generateJWT({ exp: TODAY_IN_SECONDS - 10 });
+
+    expect(() => idToken.validate(token, expectedOptions)).not.to.throw();
+    expect(() => {
+      idToken.validate(token, { ...expectedOptions, leeway: 0 });
+    }).to.throw('is after expiration time');
+  });
+  it('should validate the time claims with the given clock', () => {
+    const token = generateJWT({ exp: yesterday(), auth_time: yesterday() });
+    const clock = () => (yesterday() - 60) * 1000;
+
+    expect(() => idToken.validate(token, { ...expectedOptions, clock })).not.to.throw();
+    expect(() => {
+      idToken.validate(token, { ...expectedOptions, clock: () => (yesterday() + 61) * 1000 });
+    }).to.throw(
+      `current time (${yesterday() + 61}) is after expiration time (${yesterday() + 60})`
+    );
+  });
   it('should throw when idtoken indicates too much time has passed', () => {
     expect(() => {
       idToken.validate(generateJWT({ auth_time: yesterday() }), expectedOptions);
@@ -144,6 +144,36 @@ describe('ActionsManager', () => {
       });
     });
 
+    describe('#iterate', () => {
+      it('should fetch pages until the last one', async function () {
+        nock.cleanAll();
+
+        const first = nock(API_URL)
+          .get('/actions/actions')
+          .query({ page: 0, per_page: 2, include_totals: true })
+          .reply(200, { total: 4, actions: [{ id: 1 }, { id: 2 }] });
+        const second = nock(API_URL)
+          .get('/actions/actions')
+          .query({ page: 1, per_page: 2, include_totals: true })
+          .reply(200, { total: 4, actions: [{ id: 3 }, { id: 4 }] });
+        const next = nock(API_URL)
+          .get('/actions/actions')
+          .query(true)
+          .reply(200, { total: 4, actions: [] });
+
+        const ids = [];
+        for await (const item of this.actions.iterate({ per_page: 2 })) {
+          ids.push(item.id);
+        }
+
+        expect(ids).to.deep.equal([1, 2, 3, 4]);
+        expect(first.isDone()).to.be.true;
+        expect(second.isDone()).to.be.true;
+        expect(next.isDone()).to.be.false;
+        nock.cleanAll();
+      });
+    });
+
     describe('#get', () => {
       beforeEach(function () {
         this.data = {
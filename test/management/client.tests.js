@@ -141,6 +141,33 @@ describe('ClientsManager', () => {
     });
   });
 
+  describe('#iterate', () => {
+    it('should fetch pages until the last one', async () => {
+      nock.cleanAll();
+
+      const first = nock(API_URL)
+        .get('/clients')
+        .query({ page: 0, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, clients: [{ id: 1 }, { id: 2 }] });
+      const second = nock(API_URL)
+        .get('/clients')
+        .query({ page: 1, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, clients: [{ id: 3 }, { id: 4 }] });
+      const next = nock(API_URL).get('/clients').query(true).reply(200, { total: 4, clients: [] });
+
+      const ids = [];
+      for await (const item of clients.iterate({ per_page: 2 })) {
+        ids.push(item.id);
+      }
+
+      expect(ids).to.deep.equal([1, 2, 3, 4]);
+      expect(first.isDone()).to.be.true;
+      expect(second.isDone()).to.be.true;
+      expect(next.isDone()).to.be.false;
+      nock.cleanAll();
+    });
+  });
+
   describe('#create', () => {
     const data = { name: 'Test client' };
 
@@ -135,6 +135,33 @@ describe('GrantsManager', () => {
     });
   });
 
+  describe('#iterate', () => {
+    it('should fetch pages until the last one', async function () {
+      nock.cleanAll();
+
+      const first = nock(API_URL)
+        .get('/grants')
+        .query({ page: 0, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, grants: [{ id: 1 }, { id: 2 }] });
+      const second = nock(API_URL)
+        .get('/grants')
+        .query({ page: 1, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, grants: [{ id: 3 }, { id: 4 }] });
+      const next = nock(API_URL).get('/grants').query(true).reply(200, { total: 4, grants: [] });
+
+      const ids = [];
+      for await (const item of this.grants.iterate({ per_page: 2 })) {
+        ids.push(item.id);
+      }
+
+      expect(ids).to.deep.equal([1, 2, 3, 4]);
+      expect(first.isDone()).to.be.true;
+      expect(second.isDone()).to.be.true;
+      expect(next.isDone()).to.be.false;
+      nock.cleanAll();
+    });
+  });
+
   describe('#delete', () => {
     const id = 5;
 
@@ -138,6 +138,33 @@ describe('HookManager', () => {
     });
   });
 
+  describe('#iterate', () => {
+    it('should fetch pages until the last one', async function () {
+      nock.cleanAll();
+
+      const first = nock(API_URL)
+        .get('/hooks')
+        .query({ page: 0, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, hooks: [{ id: 1 }, { id: 2 }] });
+      const second = nock(API_URL)
+        .get('/hooks')
+        .query({ page: 1, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, hooks: [{ id: 3 }, { id: 4 }] });
+      const next = nock(API_URL).get('/hooks').query(true).reply(200, { total: 4, hooks: [] });
+
+      const ids = [];
+      for await (const item of this.hooks.iterate({ per_page: 2 })) {
+        ids.push(item.id);
+      }
+
+      expect(ids).to.deep.equal([1, 2, 3, 4]);
+      expect(first.isDone()).to.be.true;
+      expect(second.isDone()).to.be.true;
+      expect(next.isDone()).to.be.false;
+      nock.cleanAll();
+    });
+  });
+
   describe('#get', () => {
     beforeEach(function () {
       this.data = {
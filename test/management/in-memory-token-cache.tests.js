@@ -0,0 +1,69 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const InMemoryTokenCache = require('../../src/management/InMemoryTokenCache');
+
+describe('InMemoryTokenCache', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('should return undefined for missing keys', () => {
+    const cache = new InMemoryTokenCache();
+    expect(cache.get('missing')).to.be.undefined;
+  });
+
+  it('should return stored values', () => {
+    const cache = new InMemoryTokenCache();
+    cache.set('key', { access_token: 'token' });
+    expect(cache.get('key')).to.deep.equal({ access_token: 'token' });
+  });
+
+  it('should expire values after their ttl', () => {
+    const cache = new InMemoryTokenCache();
+    cache.set('key', { access_token: 'token' }, 1000);
+
+    clock.tick(999);
+    expect(cache.get('key')).to.deep.equal({ access_token: 'token' });
+
+    clock.tick(1);
+    expect(cache.get('key')).to.be.undefined;
+  });
+
+  it('should delete values', () => {
+    const cache = new InMemoryTokenCache();
+    cache.set('key', { access_token: 'token' });
+    cache.delete('key');
+    expect(cache.get('key')).to.be.undefined;
+  });
+
+  it('should only add values for missing or expired keys', () => {
+    const cache = new InMemoryTokenCache();
+
+    expect(cache.add('key', 1, 1000)).to.be.true;
+    expect(cache.add('key', 2, 1000)).to.be.false;
+    expect(cache.get('key')).to.equal(1);
+
+    clock.tick(1000);
+    expect(cache.add('key', 3)).to.be.true;
+    expect(cache.get('key')).to.equal(3);
+  });
+
+  it('should evict the least recently used value when full', () => {
+    const cache = new InMemoryTokenCache({ max: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.get('a')).to.equal(1);
+    expect(cache.get('b')).to.be.undefined;
+    expect(cache.get('c')).to.equal(3);
+  });
+});
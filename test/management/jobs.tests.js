@@ -1,13 +1,16 @@
 const path = require('path');
 const { expect } = require('chai');
 const nock = require('nock');
-const { extractParts } = require('../utils');
+const { extractParts, createAbortController } = require('../utils');
 const fs = require('fs');
+const zlib = require('zlib');
+const { Readable } = require('stream');
 
 const API_URL = 'https://tenant.auth0.com';
 
 const JobsManager = require(`../../src/management/JobsManager`);
 const { ArgumentError } = require('rest-facade');
+const { RateLimitError, JobError, AbortError } = require('../../src/errors');
 
 const token = 'TOKEN';
 
@@ -26,7 +29,17 @@ describe('JobsManager', () => {
   });
 
   describe('instance', () => {
-    const methods = ['verifyEmail', 'importUsers', 'exportUsers', 'get'];
+    const methods = [
+      'verifyEmail',
+      'importUsers',
+      'exportUsers',
+      'get',
+      'waitForCompletion',
+      'importUsersAndWait',
+      'exportUsersAndWait',
+      'downloadExport',
+      'importUsersInChunks',
+    ];
 
     methods.forEach((method) => {
       it(`should have a ${method} method`, function () {
@@ -328,6 +341,8 @@ describe('JobsManager', () => {
         ]);
 
       this.jobs.importUsers(data).catch((err) => {
+        expect(err).to.be.an.instanceOf(RateLimitError);
+        expect(err.method).to.equal('POST');
         expect(err.message).to.equal(
           'cannot POST https://tenant.auth0.com/jobs/users-imports (429)'
         );
@@ -634,6 +649,671 @@ describe('JobsManager', () => {
     });
   });
 
+  describe('#waitForCompletion', () => {
+    const job = (status, extra) => ({ id: 'testJob', type: 'users_import', status, ...extra });
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should validate the job id', function () {
+      expect(() => this.jobs.waitForCompletion()).to.throw(
+        ArgumentError,
+        'The id parameter must be a valid job id'
+      );
+    });
+
+    it('should validate the interval', function () {
+      expect(() => this.jobs.waitForCompletion(this.id, { interval: -1 })).to.throw(
+        ArgumentError,
+        'The interval must be a positive number of milliseconds'
+      );
+    });
+
+    it('should validate the timeout', function () {
+      expect(() => this.jobs.waitForCompletion(this.id, { timeout: '1m' })).to.throw(
+        ArgumentError,
+        'The timeout must be a positive number of milliseconds'
+      );
+    });
+
+    it('should validate onProgress', function () {
+      expect(() => this.jobs.waitForCompletion(this.id, { onProgress: true })).to.throw(
+        ArgumentError,
+        'onProgress must be a function'
+      );
+    });
+
+    it('should poll the job until it is completed', async function () {
+      const request = nock(API_URL)
+        .get(`/jobs/${this.id}`)
+        .reply(200, job('pending'))
+        .get(`/jobs/${this.id}`)
+        .reply(200, job('processing', { percentage_done: 50 }))
+        .get(`/jobs/${this.id}`)
+        .reply(200, job('completed', { summary: { total: 2 } }));
+      const progress = [];
+
+      const result = await this.jobs.waitForCompletion(this.id, {
+        interval: 1,
+        onProgress: ({ status }) => progress.push(status),
+      });
+
+      expect(result).to.deep.equal(job('completed', { summary: { total: 2 } }));
+      expect(progress).to.deep.equal(['pending', 'processing']);
+      expect(request.isDone()).to.be.true;
+    });
+
+    it('should accept a callback', function (done) {
+      nock(API_URL).get(`/jobs/${this.id}`).reply(200, job('completed'));
+
+      this.jobs.waitForCompletion(this.id, (err, result) => {
+        expect(result.status).to.equal('completed');
+        done(err);
+      });
+    });
+
+    it('should reject with the errors of a failed job', async function () {
+      const errors = [{ user: { email: 'john@doe.com' }, errors: [{ code: 'INVALID_FORMAT' }] }];
+      nock(API_URL)
+        .get(`/jobs/${this.id}`)
+        .reply(200, job('failed'))
+        .get(`/jobs/${this.id}/errors`)
+        .reply(200, errors);
+
+      try {
+        await this.jobs.waitForCompletion(this.id, { interval: 1 });
+        throw new Error('Expected the job to fail');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(JobError);
+        expect(err.message).to.equal('Job testJob failed');
+        expect(err.errorCode).to.equal('job_failed');
+        expect(err.job).to.deep.equal(job('failed'));
+        expect(err.errors).to.deep.equal(errors);
+      }
+    });
+
+    it('should reject a failed job when its errors cannot be loaded', async function () {
+      nock(API_URL)
+        .get(`/jobs/${this.id}`)
+        .reply(200, job('failed'))
+        .get(`/jobs/${this.id}/errors`)
+        .reply(404);
+
+      try {
+        await this.jobs.waitForCompletion(this.id, { interval: 1 });
+        throw new Error('Expected the job to fail');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(JobError);
+        expect(err.errors).to.deep.equal([]);
+      }
+    });
+
+    it('should reject when the job does not complete in time', async function () {
+      nock(API_URL).get(`/jobs/${this.id}`).times(3).reply(200, job('processing'));
+
+      try {
+        await this.jobs.waitForCompletion(this.id, { interval: 20, timeout: 50 });
+        throw new Error('Expected the wait to time out');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(JobError);
+        expect(err.errorCode).to.equal('job_timeout');
+        expect(err.job.status).to.equal('processing');
+      }
+    });
+
+    it('should stop polling when the signal is aborted', async function () {
+      const controller = createAbortController();
+      const request = nock(API_URL).get(`/jobs/${this.id}`).reply(200, job('pending'));
+
+      const promise = this.jobs.waitForCompletion(this.id, {
+        interval: 60 * 1000,
+        signal: controller.signal,
+        onProgress: () => setImmediate(() => controller.abort()),
+      });
+
+      try {
+        await promise;
+        throw new Error('Expected the wait to be aborted');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(AbortError);
+      }
+      expect(request.isDone()).to.be.true;
+    });
+  });
+
+  describe('#importUsersAndWait', () => {
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should wait for the import job to complete', async function () {
+      const request = nock(API_URL)
+        .post('/jobs/users-imports')
+        .reply(200, { id: 'importJob', status: 'pending' })
+        .get('/jobs/importJob')
+        .reply(200, { id: 'importJob', status: 'completed', summary: { inserted: 1 } });
+
+      const result = await this.jobs.importUsersAndWait(
+        { users: usersFilePath, connection_id: 'con_test' },
+        { interval: 1 }
+      );
+
+      expect(result.summary).to.deep.equal({ inserted: 1 });
+      expect(request.isDone()).to.be.true;
+    });
+
+    it('should accept a callback', function (done) {
+      nock(API_URL)
+        .post('/jobs/users-imports')
+        .reply(200, { id: 'importJob', status: 'pending' })
+        .get('/jobs/importJob')
+        .reply(200, { id: 'importJob', status: 'completed' });
+
+      this.jobs.importUsersAndWait(
+        { users: usersFilePath, connection_id: 'con_test' },
+        (err, result) => {
+          expect(result.status).to.equal('completed');
+          done(err);
+        }
+      );
+    });
+  });
+
+  describe('#exportUsersAndWait', () => {
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should wait for the export job to complete', async function () {
+      const location = 'https://exports.example.com/users.json.gz';
+      nock(API_URL)
+        .post('/jobs/users-exports', { format: 'json' })
+        .reply(200, { id: 'exportJob', status: 'pending' })
+        .get('/jobs/exportJob')
+        .reply(200, { id: 'exportJob', status: 'processing' })
+        .get('/jobs/exportJob')
+        .reply(200, { id: 'exportJob', status: 'completed', location });
+
+      const result = await this.jobs.exportUsersAndWait({ format: 'json' }, { interval: 1 });
+
+      expect(result.location).to.equal(location);
+    });
+
+    it('should reject when the export fails', async function () {
+      nock(API_URL)
+        .post('/jobs/users-exports')
+        .reply(200, { id: 'exportJob', status: 'pending' })
+        .get('/jobs/exportJob')
+        .reply(200, { id: 'exportJob', status: 'failed' })
+        .get('/jobs/exportJob/errors')
+        .reply(200, []);
+
+      try {
+        await this.jobs.exportUsersAndWait({ format: 'json' }, { interval: 1 });
+        throw new Error('Expected the export to fail');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(JobError);
+        expect(err.errorCode).to.equal('job_failed');
+      }
+    });
+  });
+
+  describe('waiting for jobs with the response headers included', () => {
+    before(function () {
+      this.jobsWithHeaders = new JobsManager({
+        tokenProvider: {
+          getAccessToken() {
+            return Promise.resolve(token);
+          },
+        },
+        headers: {},
+        baseUrl: API_URL,
+        includeResponseHeaders: true,
+      });
+    });
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should resolve with the completed job', async function () {
+      nock(API_URL)
+        .get(`/jobs/${this.id}`)
+        .reply(200, { id: this.id, status: 'pending' })
+        .get(`/jobs/${this.id}`)
+        .reply(200, { id: this.id, status: 'completed', summary: { total: 1 } });
+
+      const result = await this.jobsWithHeaders.waitForCompletion(this.id, {
+        interval: 1,
+        timeout: 300,
+      });
+
+      expect(result).to.deep.equal({ id: this.id, status: 'completed', summary: { total: 1 } });
+    });
+
+    it('should reject with the errors of a failed job', async function () {
+      const errors = [{ user: { email: 'john@doe.com' }, errors: [{ code: 'INVALID_FORMAT' }] }];
+      nock(API_URL)
+        .get(`/jobs/${this.id}`)
+        .reply(200, { id: this.id, status: 'failed' })
+        .get(`/jobs/${this.id}/errors`)
+        .reply(200, errors);
+
+      try {
+        await this.jobsWithHeaders.waitForCompletion(this.id, { interval: 1 });
+        throw new Error('Expected the job to fail');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(JobError);
+        expect(err.job).to.deep.equal({ id: this.id, status: 'failed' });
+        expect(err.errors).to.deep.equal(errors);
+      }
+    });
+
+    it('should wait for the export job to complete', async function () {
+      nock(API_URL)
+        .post('/jobs/users-exports')
+        .reply(200, { id: 'exportJob', status: 'pending' })
+        .get('/jobs/exportJob')
+        .reply(200, { id: 'exportJob', status: 'completed' });
+
+      const result = await this.jobsWithHeaders.exportUsersAndWait(
+        { format: 'json' },
+        { interval: 1 }
+      );
+
+      expect(result).to.deep.equal({ id: 'exportJob', status: 'completed' });
+    });
+
+    it('should wait for the import job to complete', async function () {
+      nock(API_URL)
+        .post('/jobs/users-imports')
+        .reply(200, { id: 'importJob', status: 'pending' })
+        .get('/jobs/importJob')
+        .reply(200, { id: 'importJob', status: 'completed' });
+
+      const result = await this.jobsWithHeaders.importUsersAndWait(
+        { users: usersFilePath, connection_id: 'con_test' },
+        { interval: 1 }
+      );
+
+      expect(result).to.deep.equal({ id: 'importJob', status: 'completed' });
+    });
+  });
+
+  describe('#downloadExport', () => {
+    const EXPORTS_URL = 'https://exports.example.com';
+    const job = (extra) => ({
+      id: 'exportJob',
+      type: 'users_export',
+      status: 'completed',
+      location: `${EXPORTS_URL}/users.gz`,
+      ...extra,
+    });
+    const collect = async (iterable) => {
+      const records = [];
+      for await (const record of iterable) {
+        records.push(record);
+      }
+      return records;
+    };
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should require a job', function () {
+      expect(() => this.jobs.downloadExport()).to.throw(
+        ArgumentError,
+        'Must provide an export job'
+      );
+    });
+
+    it('should require a completed job', function () {
+      expect(() => this.jobs.downloadExport(job({ status: 'processing' }))).to.throw(
+        ArgumentError,
+        'The export job must be completed, its status is "processing"'
+      );
+    });
+
+    it('should require the location of the export', function () {
+      expect(() => this.jobs.downloadExport(job({ location: undefined }))).to.throw(
+        ArgumentError,
+        'The export job must have a location'
+      );
+    });
+
+    it('should reject unsupported formats', function () {
+      expect(() => this.jobs.downloadExport(job({ format: 'xml' }))).to.throw(
+        ArgumentError,
+        'Unsupported export format "xml"'
+      );
+    });
+
+    it('should download and parse a json export', async function () {
+      const request = nock(EXPORTS_URL)
+        .get('/users.gz')
+        .reply(
+          200,
+          zlib.gzipSync('{"user_id":"auth0|1","email":"john@doe.com"}\n{"user_id":"auth0|2"}\n')
+        );
+
+      const stream = this.jobs.downloadExport(job({ format: 'json' }));
+      const records = await collect(stream);
+
+      expect(stream.readableObjectMode).to.be.true;
+      expect(records).to.deep.equal([
+        { user_id: 'auth0|1', email: 'john@doe.com' },
+        { user_id: 'auth0|2' },
+      ]);
+      expect(request.isDone()).to.be.true;
+    });
+
+    it('should not send the Management API token', async function () {
+      const request = nock(EXPORTS_URL, { badheaders: ['authorization'] })
+        .get('/users.gz')
+        .reply(200, zlib.gzipSync('{"user_id":"auth0|1"}\n'));
+
+      await collect(this.jobs.downloadExport(job({ format: 'json' })));
+
+      expect(request.isDone()).to.be.true;
+    });
+
+    it('should download and parse a csv export with the requested fields', async function () {
+      nock(EXPORTS_URL)
+        .get('/users.gz')
+        .reply(200, zlib.gzipSync('Id,Plan\nauth0|1,"pro, yearly"\n'), {
+          'Content-Encoding': 'gzip',
+        });
+
+      const records = await collect(
+        this.jobs.downloadExport(
+          job({
+            format: 'csv',
+            fields: [{ name: 'user_id' }, { name: 'user_metadata.plan', export_as: 'plan' }],
+          })
+        )
+      );
+
+      expect(records).to.deep.equal([{ user_id: 'auth0|1', plan: 'pro, yearly' }]);
+    });
+
+    it('should report download failures', async function () {
+      nock(EXPORTS_URL).get('/users.gz').reply(403);
+
+      try {
+        await collect(this.jobs.downloadExport(job()));
+        throw new Error('Expected the download to fail');
+      } catch (err) {
+        expect(err.statusCode).to.equal(403);
+      }
+    });
+
+    it('should report files that are not gzipped', async function () {
+      nock(EXPORTS_URL).get('/users.gz').reply(200, 'user_id\nauth0|1\n');
+
+      try {
+        await collect(this.jobs.downloadExport(job()));
+        throw new Error('Expected the parsing to fail');
+      } catch (err) {
+        expect(err.code).to.equal('Z_DATA_ERROR');
+      }
+    });
+
+    it('should abort the download', async function () {
+      const controller = createAbortController();
+      controller.abort();
+
+      try {
+        await collect(this.jobs.downloadExport(job(), { signal: controller.signal }));
+        throw new Error('Expected the download to be aborted');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(AbortError);
+      }
+    });
+  });
+
+  describe('#importUsersInChunks', () => {
+    const usersOf = (body) => JSON.parse(body.match(/\r\n\r\n(\[.*\])\r\n/s)[1]);
+    const users = (count) =>
+      Array.from({ length: count }, (value, index) => ({ email: `user${index}@doe.com` }));
+    const chunkSize = (count) => JSON.stringify(users(count)).length;
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should validate the import data', function () {
+      expect(() => this.jobs.importUsersInChunks({ users: [] })).to.throw(
+        ArgumentError,
+        'The connection_id must be a string'
+      );
+      expect(() => this.jobs.importUsersInChunks({ connection_id: 'con_test' })).to.throw(
+        ArgumentError,
+        'The users must be an array, an iterable or a NDJSON stream'
+      );
+    });
+
+    it('should validate the options', function () {
+      const data = { connection_id: 'con_test', users: [] };
+
+      expect(() => this.jobs.importUsersInChunks(data, { concurrency: 0 })).to.throw(
+        ArgumentError,
+        'The concurrency must be a positive integer'
+      );
+      expect(() => this.jobs.importUsersInChunks(data, { maxChunkSize: '500KB' })).to.throw(
+        ArgumentError,
+        'The maxChunkSize must be a positive number of bytes'
+      );
+    });
+
+    it('should import the users in chunks and aggregate the results', async function () {
+      const imported = [];
+      let jobCount = 0;
+      nock(API_URL)
+        .post('/jobs/users-imports', (body) => {
+          imported.push(usersOf(body));
+          return body.includes('name="connection_id"\r\n\r\ncon_test');
+        })
+        .times(2)
+        .reply(200, () => ({ id: `job${++jobCount}`, status: 'pending' }))
+        .get('/jobs/job1')
+        .reply(200, {
+          id: 'job1',
+          status: 'completed',
+          summary: { total: 2, inserted: 1, updated: 0, failed: 1 },
+        })
+        .get('/jobs/job1/errors')
+        .reply(200, [{ user: { email: 'user1@doe.com' }, errors: [{ code: 'DUPLICATED_USER' }] }])
+        .get('/jobs/job2')
+        .reply(200, {
+          id: 'job2',
+          status: 'completed',
+          summary: { total: 1, inserted: 0, updated: 1, failed: 0 },
+        });
+      const chunkResults = [];
+
+      const result = await this.jobs.importUsersInChunks(
+        { connection_id: 'con_test', users: [...users(3), { email: 'invalid' }] },
+        {
+          concurrency: 1,
+          maxChunkSize: chunkSize(2),
+          interval: 1,
+          onChunk: (chunk) => chunkResults.push(chunk.index),
+        }
+      );
+
+      expect(imported).to.deep.equal([users(2), [users(3)[2]]]);
+      expect(result.summary).to.deep.equal({
+        total: 4,
+        inserted: 1,
+        updated: 1,
+        failed: 1,
+        invalid: 1,
+      });
+      expect(result.invalid).to.have.lengthOf(1);
+      expect(result.invalid[0].index).to.equal(3);
+      expect(result.errors).to.deep.equal([
+        { user: { email: 'user1@doe.com' }, errors: [{ code: 'DUPLICATED_USER' }] },
+      ]);
+      expect(result.chunks.map(({ size, job }) => [size, job.id])).to.deep.equal([
+        [2, 'job1'],
+        [1, 'job2'],
+      ]);
+      expect(chunkResults).to.deep.equal([0, 1]);
+    });
+
+    it('should import the users of a NDJSON stream', async function () {
+      const imported = [];
+      nock(API_URL)
+        .post('/jobs/users-imports', (body) => {
+          imported.push(usersOf(body));
+          return true;
+        })
+        .reply(200, { id: 'job1', status: 'pending' })
+        .get('/jobs/job1')
+        .reply(200, { id: 'job1', status: 'completed', summary: { inserted: 2 } });
+
+      const stream = Readable.from(
+        [
+          users(2)
+            .map((user) => JSON.stringify(user))
+            .join('\n'),
+        ],
+        { objectMode: false }
+      );
+      const result = await this.jobs.importUsersInChunks({
+        connection_id: 'con_test',
+        users: stream,
+      });
+
+      expect(imported).to.deep.equal([users(2)]);
+      expect(result.summary.inserted).to.equal(2);
+    });
+
+    it('should aggregate the results when the response headers are included', async () => {
+      const errors = [{ user: { email: 'user1@doe.com' }, errors: [{ code: 'DUPLICATED_USER' }] }];
+      nock(API_URL)
+        .post('/jobs/users-imports')
+        .times(2)
+        .reply(200, (uri, body) => ({
+          id: body.includes('user0@doe.com') ? 'job1' : 'job2',
+          status: 'pending',
+        }))
+        .get('/jobs/job1')
+        .reply(200, { id: 'job1', status: 'completed', summary: { inserted: 1, failed: 1 } })
+        .get('/jobs/job1/errors')
+        .reply(200, errors)
+        .get('/jobs/job2')
+        .reply(200, { id: 'job2', status: 'completed', summary: { updated: 1 } });
+      const jobs = new JobsManager({
+        tokenProvider: {
+          getAccessToken() {
+            return Promise.resolve(token);
+          },
+        },
+        headers: {},
+        baseUrl: API_URL,
+        includeResponseHeaders: true,
+      });
+
+      const result = await jobs.importUsersInChunks(
+        { connection_id: 'con_test', users: users(3) },
+        { concurrency: 1, maxChunkSize: chunkSize(2), interval: 1 }
+      );
+
+      expect(result.summary).to.deep.equal({
+        total: 3,
+        inserted: 1,
+        updated: 1,
+        failed: 1,
+        invalid: 0,
+      });
+      expect(result.errors).to.deep.equal(errors);
+      expect(result.chunks.map(({ job }) => job.id)).to.deep.equal(['job1', 'job2']);
+    });
+
+    it('should report the chunks that failed and continue', async function () {
+      nock(API_URL)
+        .post('/jobs/users-imports')
+        .reply(200, { id: 'job1', status: 'pending' })
+        .post('/jobs/users-imports')
+        .reply(400, { message: 'Invalid file' })
+        .get('/jobs/job1')
+        .reply(200, { id: 'job1', status: 'failed' })
+        .get('/jobs/job1/errors')
+        .reply(200, [{ user: { email: 'user0@doe.com' }, errors: [] }]);
+
+      const result = await this.jobs.importUsersInChunks(
+        { connection_id: 'con_test', users: users(2) },
+        { concurrency: 1, maxChunkSize: chunkSize(1), interval: 1 }
+      );
+
+      expect(result.summary).to.include({ total: 2, failed: 2 });
+      expect(result.chunks[0].error).to.be.an.instanceOf(JobError);
+      expect(result.chunks[0].job.status).to.equal('failed');
+      expect(result.chunks[1].error.statusCode).to.equal(400);
+      expect(result.errors).to.deep.equal([{ user: { email: 'user0@doe.com' }, errors: [] }]);
+    });
+
+    it('should limit the number of jobs running at once', async function () {
+      let running = 0;
+      let maxRunning = 0;
+      let jobCount = 0;
+      nock(API_URL)
+        .post('/jobs/users-imports')
+        .times(4)
+        .reply(200, () => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          return { id: `job${++jobCount}`, status: 'pending' };
+        })
+        .get(/\/jobs\/job\d$/)
+        .times(4)
+        .delay(5)
+        .reply(200, (uri) => {
+          running--;
+          return { id: uri.split('/').pop(), status: 'completed', summary: { inserted: 1 } };
+        });
+
+      const result = await this.jobs.importUsersInChunks(
+        { connection_id: 'con_test', users: users(4) },
+        { concurrency: 2, maxChunkSize: chunkSize(1) }
+      );
+
+      expect(maxRunning).to.equal(2);
+      expect(result.summary.inserted).to.equal(4);
+    });
+
+    it('should accept a callback', function (done) {
+      this.jobs.importUsersInChunks({ connection_id: 'con_test', users: [] }, (err, result) => {
+        expect(result.summary.total).to.equal(0);
+        done(err);
+      });
+    });
+
+    it('should stop when the signal is aborted', async function () {
+      const controller = createAbortController();
+      nock(API_URL)
+        .post('/jobs/users-imports')
+        .reply(200, { id: 'job1', status: 'pending' })
+        .get('/jobs/job1')
+        .reply(200, { id: 'job1', status: 'pending' });
+
+      const promise = this.jobs.importUsersInChunks(
+        { connection_id: 'con_test', users: users(1), signal: controller.signal },
+        { interval: 60 * 1000, onProgress: () => setImmediate(() => controller.abort()) }
+      );
+
+      try {
+        await promise;
+        throw new Error('Expected the import to be aborted');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(AbortError);
+      }
+    });
+  });
+
   describe('#verifyEmail', () => {
     const data = {
       user_id: 'github|12345',
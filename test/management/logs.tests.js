@@ -132,6 +132,47 @@ describe('LogsManager', () => {
     });
   });
 
+  describe('#iterate', () => {
+    it('should use the last log id as checkpoint when from is provided', async function () {
+      nock.cleanAll();
+
+      const first = nock(API_URL)
+        .get('/logs')
+        .query({ from: 'log_0', take: 2 })
+        .reply(200, [{ log_id: 'log_1' }, { log_id: 'log_2' }]);
+      const second = nock(API_URL)
+        .get('/logs')
+        .query({ from: 'log_2', take: 2 })
+        .reply(200, [{ log_id: 'log_3' }]);
+
+      const logs = [];
+      for await (const log of this.logs.iterate({ from: 'log_0', take: 2 })) {
+        logs.push(log.log_id);
+      }
+
+      expect(logs).to.deep.equal(['log_1', 'log_2', 'log_3']);
+      expect(first.isDone()).to.be.true;
+      expect(second.isDone()).to.be.true;
+    });
+
+    it('should use offset pagination without from', async function () {
+      nock.cleanAll();
+
+      const request = nock(API_URL)
+        .get('/logs')
+        .query({ q: 'type:f', page: 0, per_page: 50, include_totals: true })
+        .reply(200, { total: 1, logs: [{ log_id: 'log_1' }] });
+
+      const logs = [];
+      for await (const log of this.logs.iterate({ q: 'type:f' })) {
+        logs.push(log.log_id);
+      }
+
+      expect(logs).to.deep.equal(['log_1']);
+      expect(request.isDone()).to.be.true;
+    });
+  });
+
   describe('#get', () => {
     const params = { id: 5 };
     const data = {
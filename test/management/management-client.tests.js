@@ -148,6 +148,21 @@ describe('ManagementClient', () => {
         nock.cleanAll();
       });
     });
+
+    it('should return token from the tokenProvider cache adapter', async () => {
+      const client = new ManagementClient({
+        ...withTokenProviderConfig,
+        tokenProvider: {
+          cache: {
+            get: () => Promise.resolve({ access_token: 'cached-token' }),
+            set: () => Promise.resolve(),
+            delete: () => Promise.resolve(),
+          },
+        },
+      });
+
+      expect(await client.getAccessToken()).to.equal('cached-token');
+    });
   });
 
   describe('instance properties', () => {
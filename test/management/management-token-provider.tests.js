@@ -271,7 +271,7 @@ describe('ManagementTokenProvider', () => {
     clock.restore();
   });
 
-  it('should request new access token when cache is expired', (done) => {
+  it('should request new access token when cache is expired', async () => {
     const options = Object.assign({}, defaultOptions);
     options.domain = 'auth0-node-sdk-4.auth0.com';
     const client = new ManagementTokenProvider(options);
@@ -288,29 +288,17 @@ describe('ManagementTokenProvider', () => {
         expires_in: 3600,
       });
 
-    client.getAccessToken().then((access_token) => {
-      expect(access_token).to.exist;
-      expect(access_token).to.be.equal('access_token');
-
-      setTimeout(() => {
-        client
-          .getAccessToken()
-          .then((access_token) => {
-            expect(access_token).to.exist;
-            expect(access_token).to.be.equal('new_access_token');
-            done();
-            nock.cleanAll();
-          })
-          .catch(() => {
-            expect.fail();
-            done();
-            nock.cleanAll();
-          });
-      }, 40);
-    });
+    const accessToken = await client.getAccessToken();
+    expect(accessToken).to.be.equal('access_token');
+
+    await new Promise((resolve) => setTimeout(resolve, 40));
+
+    const accessToken2 = await client.getAccessToken();
+    expect(accessToken2).to.be.equal('new_access_token');
+    nock.cleanAll();
   });
 
-  it('should return new access token on the second call when cache is disabled', (done) => {
+  it('should return new access token on the second call when cache is disabled', async () => {
     const options = Object.assign({}, defaultOptions);
     options.enableCache = false;
     options.domain = 'auth0-node-sdk-3.auth0.com';
@@ -328,29 +316,41 @@ describe('ManagementTokenProvider', () => {
         expires_in: 3600,
       });
 
-    client.getAccessToken().then((access_token) => {
-      expect(access_token).to.exist;
-      expect(access_token).to.be.equal('access_token');
-
-      setTimeout(() => {
-        client
-          .getAccessToken()
-          .then((access_token) => {
-            expect(access_token).to.exist;
-            expect(access_token).to.be.equal('new_access_token');
-            done();
-            nock.cleanAll();
-          })
-          .catch(() => {
-            expect.fail();
-            done();
-            nock.cleanAll();
-          });
-      }, 40);
+    const accessToken = await client.getAccessToken();
+    expect(accessToken).to.be.equal('access_token');
+
+    await new Promise((resolve) => setTimeout(resolve, 40));
+
+    const accessToken2 = await client.getAccessToken();
+    expect(accessToken2).to.be.equal('new_access_token');
+    nock.cleanAll();
+  });
+
+  it('should request a single access token for concurrent calls when cache is disabled', async () => {
+    const domain = 'auth0-node-sdk-3.auth0.com';
+    const request = nock(`https://${domain}`).post('/oauth/token').once().reply(200, {
+      access_token: 'access_token',
+      expires_in: 3600,
     });
+    const next = nock(`https://${domain}`).post('/oauth/token').reply(200, {
+      access_token: 'new_access_token',
+      expires_in: 3600,
+    });
+    const client = new ManagementTokenProvider({ ...defaultOptions, domain, enableCache: false });
+
+    const accessTokens = await Promise.all([
+      client.getAccessToken(),
+      client.getAccessToken(),
+      client.getAccessToken(),
+    ]);
+
+    expect(accessTokens).to.deep.equal(['access_token', 'access_token', 'access_token']);
+    expect(request.isDone()).to.be.true;
+    expect(next.isDone()).to.be.false;
+    nock.cleanAll();
   });
 
-  it('should return cached access token on the second call when cacheTTLInSeconds is not passed', (done) => {
+  it('should return cached access token on the second call when cacheTTLInSeconds is not passed', async () => {
     const options = Object.assign({}, defaultOptions);
     options.domain = 'auth0-node-sdk-5.auth0.com';
     options.cacheTTLInSeconds = 10; // 1sec / 40 = 25ms;
@@ -366,29 +366,17 @@ describe('ManagementTokenProvider', () => {
         access_token: 'new_access_token',
       });
 
-    client.getAccessToken().then((access_token) => {
-      expect(access_token).to.exist;
-      expect(access_token).to.be.equal('access_token');
-
-      setTimeout(() => {
-        client
-          .getAccessToken()
-          .then((access_token) => {
-            expect(access_token).to.exist;
-            expect(access_token).to.be.equal('access_token');
-            done();
-            nock.cleanAll();
-          })
-          .catch(() => {
-            expect.fail();
-            done();
-            nock.cleanAll();
-          });
-      }, 40);
-    });
+    const accessToken = await client.getAccessToken();
+    expect(accessToken).to.be.equal('access_token');
+
+    await new Promise((resolve) => setTimeout(resolve, 40));
+
+    const accessToken2 = await client.getAccessToken();
+    expect(accessToken2).to.be.equal('access_token');
+    nock.cleanAll();
   });
 
-  it('should return new access token on the second call when cacheTTLInSeconds is passed', (done) => {
+  it('should return new access token on the second call when cacheTTLInSeconds is passed', async () => {
     const options = Object.assign({}, defaultOptions);
     options.domain = 'auth0-node-sdk-6.auth0.com';
     options.cacheTTLInSeconds = 1 / 40; // 1sec / 40 = 25ms
@@ -404,29 +392,17 @@ describe('ManagementTokenProvider', () => {
         access_token: 'new_access_token',
       });
 
-    client.getAccessToken().then((access_token) => {
-      expect(access_token).to.exist;
-      expect(access_token).to.be.equal('access_token');
-
-      setTimeout(() => {
-        client
-          .getAccessToken()
-          .then((access_token) => {
-            expect(access_token).to.exist;
-            expect(access_token).to.be.equal('new_access_token');
-            done();
-            nock.cleanAll();
-          })
-          .catch(() => {
-            expect.fail();
-            done();
-            nock.cleanAll();
-          });
-      }, 40);
-    });
+    const accessToken = await client.getAccessToken();
+    expect(accessToken).to.be.equal('access_token');
+
+    await new Promise((resolve) => setTimeout(resolve, 40));
+
+    const accessToken2 = await client.getAccessToken();
+    expect(accessToken2).to.be.equal('new_access_token');
+    nock.cleanAll();
   });
 
-  it('should pass the correct payload in the body of the oauth/token request with cache enabled', (done) => {
+  it('should pass the correct payload in the body of the oauth/token request with cache enabled', async () => {
     const options = Object.assign({}, defaultOptions);
     const client = new ManagementTokenProvider(options);
 
@@ -440,13 +416,11 @@ describe('ManagementTokenProvider', () => {
       })
       .reply(200);
 
-    client.getAccessToken().then(() => {
-      done();
-      nock.cleanAll();
-    });
+    await client.getAccessToken();
+    nock.cleanAll();
   });
 
-  it('should pass the correct payload in the body of the oauth/token request with cache disabled', (done) => {
+  it('should pass the correct payload in the body of the oauth/token request with cache disabled', async () => {
     const options = Object.assign({}, defaultOptions);
     options.enableCache = false;
     const client = new ManagementTokenProvider(options);
@@ -461,9 +435,294 @@ describe('ManagementTokenProvider', () => {
       })
       .reply(200);
 
-    client.getAccessToken().then(() => {
-      done();
+    await client.getAccessToken();
+    nock.cleanAll();
+  });
+
+  it('should raise an error when the cache does not implement get, set and delete', () => {
+    const options = { ...defaultOptions, cache: { get() {}, set() {} } };
+
+    expect(() => {
+      new ManagementTokenProvider(options);
+    }).to.throw(ArgumentError, 'cache must implement get, set and delete');
+  });
+
+  describe('cache adapter', () => {
+    const domain = 'auth0-node-sdk-7.auth0.com';
+    const key = `${domain}-clientId-undefined-${defaultOptions.audience}`;
+    let cache;
+
+    beforeEach(() => {
+      cache = {
+        get: sinon.stub().resolves(undefined),
+        set: sinon.stub().resolves(),
+        delete: sinon.stub().resolves(),
+      };
+    });
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should not share the tokens of different audiences', async () => {
+      cache.get.withArgs(key).resolves({ access_token: 'cached_token' });
+      const request = nock(`https://${domain}`)
+        .post('/oauth/token', (body) => body.audience === 'https://api.example.com')
+        .reply(200, { access_token: 'api_token', expires_in: 3600 });
+      const client = new ManagementTokenProvider({
+        ...defaultOptions,
+        domain,
+        audience: 'https://api.example.com',
+        cache,
+      });
+
+      const accessToken = await client.getAccessToken();
+
+      expect(accessToken).to.be.equal('api_token');
+      expect(request.isDone()).to.be.true;
+      sinon.assert.calledWith(cache.set, `${domain}-clientId-undefined-https://api.example.com`);
+    });
+
+    it('should return the access token from the cache adapter', async () => {
+      cache.get.withArgs(key).resolves({ access_token: 'cached_token' });
+      const request = nock(`https://${domain}`).post('/oauth/token').reply(200);
+      const client = new ManagementTokenProvider({ ...defaultOptions, domain, cache });
+
+      const accessToken = await client.getAccessToken();
+
+      expect(accessToken).to.be.equal('cached_token');
+      expect(request.isDone()).to.be.false;
+    });
+
+    it('should store a new access token in the cache adapter with its ttl', async () => {
+      nock(`https://${domain}`).post('/oauth/token').reply(200, {
+        access_token: 'token',
+        expires_in: 3600,
+      });
+      const client = new ManagementTokenProvider({ ...defaultOptions, domain, cache });
+
+      const accessToken = await client.getAccessToken();
+
+      expect(accessToken).to.be.equal('token');
+      sinon.assert.calledWith(
+        cache.set,
+        key,
+        sinon.match({ access_token: 'token', expires_in: 3600, expires_at: sinon.match.number }),
+        3600 * 1000 - 10000
+      );
+    });
+
+    it('should support synchronous cache adapters', async () => {
+      const client = new ManagementTokenProvider({
+        ...defaultOptions,
+        domain,
+        cache: {
+          get: () => ({ access_token: 'cached_token' }),
+          set() {},
+          delete() {},
+        },
+      });
+
+      expect(await client.getAccessToken()).to.be.equal('cached_token');
+    });
+
+    it('should fetch a new access token when the cache adapter fails', async () => {
+      cache.get.rejects(new Error('connection refused'));
+      cache.set.rejects(new Error('connection refused'));
+      nock(`https://${domain}`).post('/oauth/token').reply(200, {
+        access_token: 'token',
+        expires_in: 3600,
+      });
+      const client = new ManagementTokenProvider({ ...defaultOptions, domain, cache });
+
+      expect(await client.getAccessToken()).to.be.equal('token');
+    });
+
+    it('should request a single access token for concurrent calls', async () => {
+      const request = nock(`https://${domain}`).post('/oauth/token').once().reply(200, {
+        access_token: 'token',
+        expires_in: 3600,
+      });
+      const client = new ManagementTokenProvider({ ...defaultOptions, domain, cache });
+
+      const accessTokens = await Promise.all([
+        client.getAccessToken(),
+        client.getAccessToken(),
+        client.getAccessToken(),
+      ]);
+
+      expect(accessTokens).to.deep.equal(['token', 'token', 'token']);
+      expect(request.isDone()).to.be.true;
+      sinon.assert.calledOnce(cache.get);
+      sinon.assert.calledOnce(cache.set);
+    });
+
+    it('should share a failed request between concurrent calls and retry on the next call', async () => {
+      nock(`https://${domain}`)
+        .post('/oauth/token')
+        .once()
+        .reply(401)
+        .post('/oauth/token')
+        .reply(200, { access_token: 'token', expires_in: 3600 });
+      const client = new ManagementTokenProvider({ ...defaultOptions, domain, cache });
+
+      const results = await Promise.allSettled([client.getAccessToken(), client.getAccessToken()]);
+
+      expect(results.map(({ status }) => status)).to.deep.equal(['rejected', 'rejected']);
+      expect(await client.getAccessToken()).to.be.equal('token');
+    });
+  });
+
+  it('should raise an error when backgroundRefreshRatio is not a number', () => {
+    const options = { ...defaultOptions, backgroundRefreshRatio: '0.5' };
+
+    expect(() => {
+      new ManagementTokenProvider(options);
+    }).to.throw(ArgumentError, 'backgroundRefreshRatio must be a number');
+  });
+
+  it('should raise an error when backgroundRefreshRatio is not between 0 and 1', () => {
+    const options = { ...defaultOptions, backgroundRefreshRatio: 1 };
+
+    expect(() => {
+      new ManagementTokenProvider(options);
+    }).to.throw(ArgumentError, 'backgroundRefreshRatio must be between 0 and 1');
+  });
+
+  describe('#invalidate', () => {
+    const domain = 'auth0-node-sdk-8.auth0.com';
+
+    afterEach(() => {
       nock.cleanAll();
     });
+
+    it('should fetch a new access token after the token was invalidated', async () => {
+      nock(`https://${domain}`)
+        .post('/oauth/token')
+        .reply(200, { access_token: 'token', expires_in: 3600 })
+        .post('/oauth/token')
+        .reply(200, { access_token: 'new_token', expires_in: 3600 });
+      const client = new ManagementTokenProvider({ ...defaultOptions, domain });
+
+      expect(await client.getAccessToken()).to.be.equal('token');
+      await client.invalidate();
+      expect(await client.getAccessToken()).to.be.equal('new_token');
+    });
+
+    it('should keep the cached token when a different token is invalidated', async () => {
+      const request = nock(`https://${domain}`)
+        .post('/oauth/token')
+        .once()
+        .reply(200, { access_token: 'token', expires_in: 3600 });
+      const client = new ManagementTokenProvider({ ...defaultOptions, domain });
+
+      expect(await client.getAccessToken()).to.be.equal('token');
+      await client.invalidate('previous_token');
+      expect(await client.getAccessToken()).to.be.equal('token');
+      expect(request.isDone()).to.be.true;
+    });
+  });
+
+  describe('background refresh', () => {
+    const domain = 'auth0-node-sdk-9.auth0.com';
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+    });
+
+    afterEach(() => {
+      clock.restore();
+      nock.cleanAll();
+    });
+
+    it('should fetch a new access token after the configured fraction of its lifetime', async () => {
+      const refresh = nock(`https://${domain}`)
+        .post('/oauth/token')
+        .reply(200, { access_token: 'token', expires_in: 100 })
+        .post('/oauth/token')
+        .reply(200, { access_token: 'new_token', expires_in: 100 });
+      const client = new ManagementTokenProvider({
+        ...defaultOptions,
+        domain,
+        backgroundRefreshRatio: 0.5,
+      });
+
+      expect(await client.getAccessToken()).to.be.equal('token');
+
+      await clock.tickAsync(49 * 1000);
+      expect(refresh.isDone()).to.be.false;
+
+      // Let the background request complete, nock replies asynchronously.
+      clock.tick(1000);
+      await client.pendingTokenRequest;
+      expect(refresh.isDone()).to.be.true;
+      expect(await client.getAccessToken()).to.be.equal('new_token');
+    });
+
+    it('should refresh an access token read from a shared cache', async () => {
+      const cache = {
+        get: sinon.stub().resolves({
+          access_token: 'token',
+          expires_in: 100,
+          expires_at: Date.now() + 60 * 1000,
+        }),
+        set: sinon.stub().resolves(),
+        delete: sinon.stub().resolves(),
+      };
+      const refresh = nock(`https://${domain}`)
+        .post('/oauth/token')
+        .reply(200, { access_token: 'new_token', expires_in: 100 });
+      const client = new ManagementTokenProvider({
+        ...defaultOptions,
+        domain,
+        cache,
+        backgroundRefreshRatio: 0.5,
+      });
+
+      expect(await client.getAccessToken()).to.be.equal('token');
+
+      // Half of the remaining lifetime of the cached token.
+      await clock.tickAsync(29 * 1000);
+      expect(refresh.isDone()).to.be.false;
+
+      clock.tick(1000);
+      await client.pendingTokenRequest;
+      expect(refresh.isDone()).to.be.true;
+      sinon.assert.calledWith(
+        cache.set,
+        sinon.match.string,
+        sinon.match({ access_token: 'new_token' })
+      );
+    });
+
+    it('should not refresh the access token in the background by default', async () => {
+      nock(`https://${domain}`).post('/oauth/token').reply(200, {
+        access_token: 'token',
+        expires_in: 100,
+      });
+      const client = new ManagementTokenProvider({ ...defaultOptions, domain });
+
+      await client.getAccessToken();
+      expect(client.refreshTimer).to.be.null;
+    });
+
+    it('should cancel the background refresh when the token is invalidated', async () => {
+      nock(`https://${domain}`).post('/oauth/token').reply(200, {
+        access_token: 'token',
+        expires_in: 100,
+      });
+      const client = new ManagementTokenProvider({
+        ...defaultOptions,
+        domain,
+        backgroundRefreshRatio: 0.5,
+      });
+
+      await client.getAccessToken();
+      expect(client.refreshTimer).to.not.be.null;
+
+      await client.invalidate();
+      expect(client.refreshTimer).to.be.null;
+    });
   });
 });
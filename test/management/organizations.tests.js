@@ -922,6 +922,47 @@ describe('OrganizationsManager', () => {
     });
   });
 
+  describe('#iterateMembers', () => {
+    it('should use checkpoint pagination until there is no next token', async () => {
+      nock.cleanAll();
+
+      const first = nock(API_URL)
+        .get('/organizations/org_id/members')
+        .query({ take: 2 })
+        .reply(200, { members: [{ user_id: 'u1' }, { user_id: 'u2' }], next: 'token' });
+      const second = nock(API_URL)
+        .get('/organizations/org_id/members')
+        .query({ take: 2, from: 'token' })
+        .reply(200, { members: [{ user_id: 'u3' }] });
+
+      const members = [];
+      for await (const member of organizations.iterateMembers({ id: 'org_id', take: 2 })) {
+        members.push(member.user_id);
+      }
+
+      expect(members).to.deep.equal(['u1', 'u2', 'u3']);
+      expect(first.isDone()).to.be.true;
+      expect(second.isDone()).to.be.true;
+    });
+
+    it('should use offset pagination when a page is provided', async () => {
+      nock.cleanAll();
+
+      const request = nock(API_URL)
+        .get('/organizations/org_id/members')
+        .query({ page: 0, per_page: 50, include_totals: true })
+        .reply(200, { total: 1, members: [{ user_id: 'u1' }] });
+
+      const members = [];
+      for await (const member of organizations.iterateMembers({ id: 'org_id', page: 0 })) {
+        members.push(member.user_id);
+      }
+
+      expect(members).to.deep.equal(['u1']);
+      expect(request.isDone()).to.be.true;
+    });
+  });
+
   describe('#addMembers', () => {
     beforeEach(function () {
       this.data = {
@@ -1139,6 +1180,40 @@ describe('OrganizationsManager', () => {
     });
   });
 
+  describe('#iterateMemberRoles', () => {
+    it('should fetch pages until the last one', async () => {
+      nock.cleanAll();
+
+      const first = nock(API_URL)
+        .get('/organizations/org_id/members/user_id/roles')
+        .query({ page: 0, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, roles: [{ id: 1 }, { id: 2 }] });
+      const second = nock(API_URL)
+        .get('/organizations/org_id/members/user_id/roles')
+        .query({ page: 1, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, roles: [{ id: 3 }, { id: 4 }] });
+      const next = nock(API_URL)
+        .get('/organizations/org_id/members/user_id/roles')
+        .query(true)
+        .reply(200, { total: 4, roles: [] });
+
+      const ids = [];
+      for await (const item of organizations.iterateMemberRoles({
+        id: 'org_id',
+        user_id: 'user_id',
+        per_page: 2,
+      })) {
+        ids.push(item.id);
+      }
+
+      expect(ids).to.deep.equal([1, 2, 3, 4]);
+      expect(first.isDone()).to.be.true;
+      expect(second.isDone()).to.be.true;
+      expect(next.isDone()).to.be.false;
+      nock.cleanAll();
+    });
+  });
+
   describe('#addMemberRoles', () => {
     beforeEach(function () {
       this.data = {
@@ -1387,6 +1462,36 @@ describe('OrganizationsManager', () => {
     });
   });
 
+  describe('#iterateInvitations', () => {
+    it('should fetch pages until the last one', async () => {
+      nock.cleanAll();
+
+      const first = nock(API_URL)
+        .get('/organizations/org_id/invitations')
+        .query({ page: 0, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, invitations: [{ id: 1 }, { id: 2 }] });
+      const second = nock(API_URL)
+        .get('/organizations/org_id/invitations')
+        .query({ page: 1, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, invitations: [{ id: 3 }, { id: 4 }] });
+      const next = nock(API_URL)
+        .get('/organizations/org_id/invitations')
+        .query(true)
+        .reply(200, { total: 4, invitations: [] });
+
+      const ids = [];
+      for await (const item of organizations.iterateInvitations({ id: 'org_id', per_page: 2 })) {
+        ids.push(item.id);
+      }
+
+      expect(ids).to.deep.equal([1, 2, 3, 4]);
+      expect(first.isDone()).to.be.true;
+      expect(second.isDone()).to.be.true;
+      expect(next.isDone()).to.be.false;
+      nock.cleanAll();
+    });
+  });
+
   describe('#getInvitation', () => {
     const data = {
       id: 'org_id',
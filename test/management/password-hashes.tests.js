@@ -0,0 +1,301 @@
+const { expect } = require('chai');
+const crypto = require('crypto');
+const { ArgumentError } = require('rest-facade');
+
+const passwordHashes = require('../../src/management/passwordHashes');
+
+const PASSWORD = 'correct horse battery staple';
+const BCRYPT_HASH = '$2b$10$C4wL9iBHGzvJOLNd2BDNmeAc09OjNz2Z1Efr0NF1fkHEGmE8tkj0u';
+
+const sha = (algorithm, value) => crypto.createHash(algorithm).update(value).digest();
+
+describe('passwordHashes', () => {
+  describe('#bcrypt', () => {
+    it('should build a bcrypt hash', () => {
+      expect(passwordHashes.bcrypt(BCRYPT_HASH)).to.deep.equal({
+        algorithm: 'bcrypt',
+        hash: { value: BCRYPT_HASH },
+      });
+    });
+
+    it('should reject invalid hashes', () => {
+      expect(() => passwordHashes.bcrypt('secret')).to.throw(
+        ArgumentError,
+        'Invalid custom password hash: custom_password_hash.hash.value is not a valid bcrypt hash'
+      );
+    });
+
+    it('should not verify passwords without a bcrypt library', () => {
+      expect(() => passwordHashes.bcrypt(BCRYPT_HASH, { password: PASSWORD })).to.throw(
+        ArgumentError,
+        'bcrypt hashes cannot be verified locally'
+      );
+    });
+  });
+
+  describe('#ldap', () => {
+    it('should build and verify a salted SHA hash', () => {
+      const salt = Buffer.from('salt1234');
+      const value = `{SSHA}${Buffer.concat([
+        sha('sha1', Buffer.concat([Buffer.from(PASSWORD), salt])),
+        salt,
+      ]).toString('base64')}`;
+
+      expect(passwordHashes.ldap(value, { password: PASSWORD })).to.deep.equal({
+        algorithm: 'ldap',
+        hash: { value },
+      });
+      expect(() => passwordHashes.ldap(value, { password: 'wrong' })).to.throw(
+        ArgumentError,
+        'The password does not match the custom password hash'
+      );
+    });
+  });
+
+  describe('#pbkdf2', () => {
+    it('should encode the hash in the PHC format', () => {
+      const salt = Buffer.from('saltsalt');
+      const hash = crypto.pbkdf2Sync(PASSWORD, salt, 1000, 32, 'sha256');
+
+      expect(
+        passwordHashes.pbkdf2({ iterations: 1000, salt, hash }, { password: PASSWORD })
+      ).to.deep.equal({
+        algorithm: 'pbkdf2',
+        hash: {
+          value: `$pbkdf2-sha256$i=1000,l=32$c2FsdHNhbHQ$${hash
+            .toString('base64')
+            .replace(/=+$/, '')}`,
+          encoding: 'utf8',
+        },
+      });
+    });
+
+    it('should require the iterations', () => {
+      expect(() => passwordHashes.pbkdf2({ salt: 'a', hash: 'b' })).to.throw(
+        ArgumentError,
+        'The iterations must be a positive integer'
+      );
+    });
+
+    it('should check the password', () => {
+      const hash = crypto.pbkdf2Sync('other', 'salt', 1000, 20, 'sha1');
+
+      expect(() =>
+        passwordHashes.pbkdf2(
+          { digest: 'sha1', iterations: 1000, salt: Buffer.from('salt'), hash },
+          { password: PASSWORD }
+        )
+      ).to.throw(ArgumentError, 'The password does not match the custom password hash');
+    });
+  });
+
+  describe('#digest', () => {
+    it('should build a salted hash', () => {
+      const hash = sha('sha256', `${PASSWORD}pepper`).toString('base64');
+
+      expect(
+        passwordHashes.digest(
+          'sha256',
+          { hash, encoding: 'base64', salt: 'pepper', position: 'suffix' },
+          { password: PASSWORD }
+        )
+      ).to.deep.equal({
+        algorithm: 'sha256',
+        hash: { value: hash, encoding: 'base64' },
+        salt: { value: 'pepper', encoding: 'utf8', position: 'suffix' },
+      });
+    });
+
+    it('should accept buffers and the password encoding', () => {
+      const hash = sha('md5', Buffer.from(PASSWORD, 'utf16le'));
+
+      expect(
+        passwordHashes.digest('md5', { hash, passwordEncoding: 'utf16le' }, { password: PASSWORD })
+      ).to.deep.equal({
+        algorithm: 'md5',
+        hash: { value: hash.toString('hex'), encoding: 'hex' },
+        password: { encoding: 'utf16le' },
+      });
+    });
+
+    it('should reject other algorithms', () => {
+      expect(() => passwordHashes.digest('sha384', { hash: 'a' })).to.throw(
+        ArgumentError,
+        'The algorithm must be one of "md4", "md5", "sha1", "sha256", "sha512"'
+      );
+    });
+  });
+
+  describe('#hmac', () => {
+    it('should build and verify a HMAC hash', () => {
+      const hash = crypto.createHmac('sha512', 'key').update(`salt${PASSWORD}`).digest('hex');
+
+      expect(
+        passwordHashes.hmac(
+          { digest: 'sha512', key: 'key', hash, salt: 'salt' },
+          { password: PASSWORD }
+        )
+      ).to.deep.equal({
+        algorithm: 'hmac',
+        hash: {
+          value: hash,
+          encoding: 'hex',
+          digest: 'sha512',
+          key: { value: 'key', encoding: 'utf8' },
+        },
+        salt: { value: 'salt', encoding: 'utf8', position: 'prefix' },
+      });
+    });
+  });
+
+  describe('#scrypt', () => {
+    it('should build and verify a scrypt hash', () => {
+      const hash = crypto.scryptSync(PASSWORD, 'salt', 32, { N: 1024 });
+
+      expect(
+        passwordHashes.scrypt({ hash, salt: 'salt', cost: 1024 }, { password: PASSWORD })
+      ).to.deep.equal({
+        algorithm: 'scrypt',
+        hash: { value: hash.toString('base64'), encoding: 'base64' },
+        salt: { value: 'salt', encoding: 'utf8' },
+        keylen: 32,
+        cost: 1024,
+      });
+    });
+  });
+
+  describe('#django', () => {
+    it('should convert pbkdf2_sha256 passwords', () => {
+      const hash = crypto.pbkdf2Sync(PASSWORD, 'seasalt', 1000, 32, 'sha256').toString('base64');
+
+      const result = passwordHashes.django(`pbkdf2_sha256$1000$seasalt$${hash}`, {
+        password: PASSWORD,
+      });
+
+      expect(result.algorithm).to.equal('pbkdf2');
+      expect(result.hash.value).to.match(/^\$pbkdf2-sha256\$i=1000,l=32\$c2Vhc2FsdA\$/);
+    });
+
+    it('should convert salted and unsalted sha1 passwords', () => {
+      const salted = sha('sha1', `salt${PASSWORD}`).toString('hex');
+      const unsalted = sha('sha1', PASSWORD).toString('hex');
+
+      expect(passwordHashes.django(`sha1$salt$${salted}`, { password: PASSWORD })).to.deep.equal({
+        algorithm: 'sha1',
+        hash: { value: salted, encoding: 'hex' },
+        salt: { value: 'salt', encoding: 'utf8', position: 'prefix' },
+      });
+      expect(passwordHashes.django(`sha1$$${unsalted}`, { password: PASSWORD })).to.deep.equal({
+        algorithm: 'sha1',
+        hash: { value: unsalted, encoding: 'hex' },
+      });
+    });
+
+    it('should convert legacy unsalted md5 passwords', () => {
+      const hash = sha('md5', PASSWORD).toString('hex');
+
+      expect(passwordHashes.django(hash, { password: PASSWORD }).algorithm).to.equal('md5');
+    });
+
+    it('should convert scrypt passwords', () => {
+      const hash = crypto
+        .scryptSync(PASSWORD, 'salt', 64, { N: 1024, r: 8, p: 1 })
+        .toString('base64');
+
+      expect(
+        passwordHashes.django(`scrypt$1024$salt$8$1$${hash}`, { password: PASSWORD })
+      ).to.include({
+        algorithm: 'scrypt',
+        keylen: 64,
+        cost: 1024,
+        blockSize: 8,
+        parallelization: 1,
+      });
+    });
+
+    it('should convert bcrypt and argon2 passwords', () => {
+      const argon2 = '$argon2id$v=19$m=102400,t=2,p=8$c2FsdA$aGFzaA';
+
+      expect(passwordHashes.django(`bcrypt$${BCRYPT_HASH}`).hash.value).to.equal(BCRYPT_HASH);
+      expect(passwordHashes.django(`argon2${argon2}`).hash.value).to.equal(argon2);
+    });
+
+    it('should reject unsupported hashers', () => {
+      expect(() => passwordHashes.django(`bcrypt_sha256$${BCRYPT_HASH}`)).to.throw(
+        ArgumentError,
+        'Unsupported Django password hasher "bcrypt_sha256"'
+      );
+    });
+  });
+
+  describe('#phpass', () => {
+    it('should convert bcrypt hashes', () => {
+      expect(passwordHashes.phpass(BCRYPT_HASH).algorithm).to.equal('bcrypt');
+    });
+
+    it('should build and verify portable hashes', () => {
+      // Test vector of the phpass reference implementation.
+      const value = '$P$9IQRaTwmfeRo7ud9Fh4E2PdI0S3r.L0';
+
+      expect(passwordHashes.phpass(value, { password: 'test12345' })).to.deep.equal({
+        algorithm: 'phpass',
+        hash: { value },
+      });
+      expect(() => passwordHashes.phpass(value, { password: 'test12346' })).to.throw(
+        ArgumentError,
+        'The password does not match the custom password hash'
+      );
+    });
+
+    it('should accept the phpBB prefix of portable hashes', () => {
+      expect(passwordHashes.phpass('$H$9IQRaTwmfeRo7ud9Fh4E2PdI0S3r.L0').algorithm).to.equal(
+        'phpass'
+      );
+    });
+
+    it('should reject other hashes', () => {
+      expect(() => passwordHashes.phpass('$1$salt$hash')).to.throw(
+        ArgumentError,
+        'Unsupported phpass hash'
+      );
+    });
+  });
+
+  describe('#aspNetIdentity', () => {
+    const salt = Buffer.from('0123456789abcdef');
+
+    it('should convert v2 hashes', () => {
+      const subkey = crypto.pbkdf2Sync(PASSWORD, salt, 1000, 32, 'sha1');
+      const encoded = Buffer.concat([Buffer.from([0x00]), salt, subkey]).toString('base64');
+
+      const result = passwordHashes.aspNetIdentity(encoded, { password: PASSWORD });
+
+      expect(result.hash.value).to.match(/^\$pbkdf2-sha1\$i=1000,l=32\$/);
+    });
+
+    it('should convert v3 hashes', () => {
+      const subkey = crypto.pbkdf2Sync(PASSWORD, salt, 10000, 32, 'sha256');
+      const header = Buffer.alloc(13);
+      header.writeUInt8(0x01, 0);
+      header.writeUInt32BE(1, 1);
+      header.writeUInt32BE(10000, 5);
+      header.writeUInt32BE(salt.length, 9);
+      const encoded = Buffer.concat([header, salt, subkey]).toString('base64');
+
+      const result = passwordHashes.aspNetIdentity(encoded, { password: PASSWORD });
+
+      expect(result.hash.value).to.match(/^\$pbkdf2-sha256\$i=10000,l=32\$/);
+      expect(() => passwordHashes.aspNetIdentity(encoded, { password: 'wrong' })).to.throw(
+        ArgumentError,
+        'The password does not match the custom password hash'
+      );
+    });
+
+    it('should reject other hashes', () => {
+      expect(() => passwordHashes.aspNetIdentity(Buffer.from('hash').toString('base64'))).to.throw(
+        ArgumentError,
+        'Unsupported ASP.NET Identity password hash'
+      );
+    });
+  });
+});
@@ -129,6 +129,33 @@ describe('RolesManager', () => {
     });
   });
 
+  describe('#iterate', () => {
+    it('should fetch pages until the last one', async function () {
+      nock.cleanAll();
+
+      const first = nock(API_URL)
+        .get('/roles')
+        .query({ page: 0, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, roles: [{ id: 1 }, { id: 2 }] });
+      const second = nock(API_URL)
+        .get('/roles')
+        .query({ page: 1, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, roles: [{ id: 3 }, { id: 4 }] });
+      const next = nock(API_URL).get('/roles').query(true).reply(200, { total: 4, roles: [] });
+
+      const ids = [];
+      for await (const item of this.roles.iterate({ per_page: 2 })) {
+        ids.push(item.id);
+      }
+
+      expect(ids).to.deep.equal([1, 2, 3, 4]);
+      expect(first.isDone()).to.be.true;
+      expect(second.isDone()).to.be.true;
+      expect(next.isDone()).to.be.false;
+      nock.cleanAll();
+    });
+  });
+
   describe('#get', () => {
     beforeEach(function () {
       this.data = {
@@ -396,6 +423,36 @@ describe('RolesManager', () => {
     });
   });
 
+  describe('#iteratePermissions', () => {
+    it('should fetch pages until the last one', async function () {
+      nock.cleanAll();
+
+      const first = nock(API_URL)
+        .get('/roles/role_id/permissions')
+        .query({ page: 0, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, permissions: [{ id: 1 }, { id: 2 }] });
+      const second = nock(API_URL)
+        .get('/roles/role_id/permissions')
+        .query({ page: 1, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, permissions: [{ id: 3 }, { id: 4 }] });
+      const next = nock(API_URL)
+        .get('/roles/role_id/permissions')
+        .query(true)
+        .reply(200, { total: 4, permissions: [] });
+
+      const ids = [];
+      for await (const item of this.roles.iteratePermissions({ id: 'role_id', per_page: 2 })) {
+        ids.push(item.id);
+      }
+
+      expect(ids).to.deep.equal([1, 2, 3, 4]);
+      expect(first.isDone()).to.be.true;
+      expect(second.isDone()).to.be.true;
+      expect(next.isDone()).to.be.false;
+      nock.cleanAll();
+    });
+  });
+
   describe('#addPermissions', () => {
     beforeEach(function () {
       this.data = {
@@ -612,6 +669,32 @@ describe('RolesManager', () => {
     });
   });
 
+  describe('#iterateUsers', () => {
+    it('should stop at the 1000 results offset pagination limit', async function () {
+      nock.cleanAll();
+
+      const users = Array.from({ length: 100 }, (_, id) => ({ id }));
+      const request = nock(API_URL)
+        .get('/roles/role_id/users')
+        .query({ page: 9, per_page: 100, include_totals: true })
+        .reply(200, { total: 5000, users });
+      const next = nock(API_URL)
+        .get('/roles/role_id/users')
+        .query(true)
+        .reply(200, { total: 5000, users });
+
+      const result = [];
+      for await (const user of this.roles.iterateUsers({ id: 'role_id', page: 9, per_page: 100 })) {
+        result.push(user);
+      }
+
+      expect(result).to.have.length(100);
+      expect(request.isDone()).to.be.true;
+      expect(next.isDone()).to.be.false;
+      nock.cleanAll();
+    });
+  });
+
   describe('#assignUsers', () => {
     beforeEach(function () {
       this.data = {
@@ -0,0 +1,114 @@
+const { expect } = require('chai');
+
+const usersExport = require('../../src/management/usersExport');
+
+const collect = async (iterable) => {
+  const records = [];
+  for await (const record of iterable) {
+    records.push(record);
+  }
+  return records;
+};
+
+describe('usersExport', () => {
+  describe('#getFieldKeys', () => {
+    it('should return undefined when no fields were requested', () => {
+      expect(usersExport.getFieldKeys()).to.be.undefined;
+      expect(usersExport.getFieldKeys([])).to.be.undefined;
+    });
+
+    it('should prefer the export_as of the fields', () => {
+      const keys = usersExport.getFieldKeys([
+        { name: 'email' },
+        { name: 'user_metadata.plan', export_as: 'plan' },
+      ]);
+
+      expect(keys).to.deep.equal(['email', 'plan']);
+    });
+  });
+
+  describe('#parseJsonLines', () => {
+    it('should parse one record per line across chunks', async () => {
+      const records = await collect(
+        usersExport.parseJsonLines(['{"email":"john@', 'doe.com"}\n\n{"email":"jane@doe.com"}'])
+      );
+
+      expect(records).to.deep.equal([{ email: 'john@doe.com' }, { email: 'jane@doe.com' }]);
+    });
+
+    it('should only keep the requested keys', async () => {
+      const records = await collect(
+        usersExport.parseJsonLines(
+          ['{"email":"john@doe.com","user_id":"auth0|1","plan":"pro"}\n'],
+          ['user_id', 'plan', 'name']
+        )
+      );
+
+      expect(records).to.deep.equal([{ user_id: 'auth0|1', plan: 'pro' }]);
+    });
+
+    it('should report the line of invalid records', async () => {
+      try {
+        await collect(usersExport.parseJsonLines(['{"email":"john@doe.com"}\n', '\n{"email"\n']));
+        throw new Error('Expected the parsing to fail');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(SyntaxError);
+        expect(err.message).to.contain('Unable to parse the user on line 3');
+      }
+    });
+  });
+
+  describe('#parseCsv', () => {
+    it('should key the records by the header', async () => {
+      const records = await collect(
+        usersExport.parseCsv([
+          'user_id,email\r\n',
+          'auth0|1,john@doe.com\r\nauth0|2,jane@',
+          'doe.com',
+        ])
+      );
+
+      expect(records).to.deep.equal([
+        { user_id: 'auth0|1', email: 'john@doe.com' },
+        { user_id: 'auth0|2', email: 'jane@doe.com' },
+      ]);
+    });
+
+    it('should parse quoted values', async () => {
+      const records = await collect(
+        usersExport.parseCsv(['name,note\n"Doe, John","He said ""hi', '""\nand left"\n,\n'])
+      );
+
+      expect(records).to.deep.equal([
+        { name: 'Doe, John', note: 'He said "hi"\nand left' },
+        { name: '', note: '' },
+      ]);
+    });
+
+    it('should parse empty quoted values', async () => {
+      const records = await collect(usersExport.parseCsv(['a,b,c\na,"', '",b\n']));
+
+      expect(records).to.deep.equal([{ a: 'a', b: '', c: 'b' }]);
+    });
+
+    it('should parse escaped quotes at the edges of quoted values', async () => {
+      const records = await collect(usersExport.parseCsv(['name,note\n"""x""","""', '"""\n']));
+
+      expect(records).to.deep.equal([{ name: '"x"', note: '""' }]);
+    });
+
+    it('should key the records by the requested fields', async () => {
+      const records = await collect(
+        usersExport.parseCsv(['Id,Email\nauth0|1,john@doe.com\n'], ['user_id', 'email'])
+      );
+
+      expect(records).to.deep.equal([{ user_id: 'auth0|1', email: 'john@doe.com' }]);
+    });
+
+    it('should skip empty lines and default missing values', async () => {
+      const records = await collect(usersExport.parseCsv(['user_id,email\n\nauth0|1\n']));
+
+      expect(records).to.deep.equal([{ user_id: 'auth0|1', email: '' }]);
+    });
+  });
+});
@@ -0,0 +1,264 @@
+const { expect } = require('chai');
+const { Readable } = require('stream');
+const { ArgumentError } = require('rest-facade');
+
+const usersImport = require('../../src/management/usersImport');
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+};
+
+const paths = (errors) => errors.map(({ path }) => path);
+
+describe('usersImport', () => {
+  describe('#validateUser', () => {
+    it('should accept a valid user', () => {
+      expect(
+        usersImport.validateUser({
+          email: 'john@doe.com',
+          email_verified: true,
+          user_id: 'legacy|1',
+          app_metadata: { plan: 'pro' },
+          password_hash: '$2b$10$C4wL9iBHGzvJOLNd2BDNmeAc09OjNz2Z1Efr0NF1fkHEGmE8tkj0u',
+          identities: [{ provider: 'auth0', user_id: 'legacy|1' }],
+        })
+      ).to.deep.equal([]);
+    });
+
+    it('should reject values that are not objects', () => {
+      expect(usersImport.validateUser('john@doe.com')).to.deep.equal([
+        { path: '', message: 'must be an object' },
+      ]);
+    });
+
+    it('should require a valid email', () => {
+      expect(usersImport.validateUser({ email: 'john' })).to.deep.equal([
+        { path: 'email', message: 'must be a valid email address' },
+      ]);
+    });
+
+    it('should check the types of the properties', () => {
+      const errors = usersImport.validateUser({
+        email: 'john@doe.com',
+        username: '',
+        blocked: 'false',
+        user_metadata: [],
+        mfa_factors: {},
+      });
+
+      expect(paths(errors)).to.deep.equal(['username', 'blocked', 'user_metadata', 'mfa_factors']);
+    });
+
+    it('should only accept bcrypt password hashes', () => {
+      expect(
+        usersImport.validateUser({ email: 'john@doe.com', password_hash: 'secret' })
+      ).to.deep.equal([{ path: 'password_hash', message: 'must be a bcrypt hash' }]);
+    });
+
+    it('should not accept both password hashes', () => {
+      const errors = usersImport.validateUser({
+        email: 'john@doe.com',
+        password_hash: '$2b$10$C4wL9iBHGzvJOLNd2BDNmeAc09OjNz2Z1Efr0NF1fkHEGmE8tkj0u',
+        custom_password_hash: { algorithm: 'md5', hash: { value: 'a' } },
+      });
+
+      expect(errors).to.deep.include({
+        path: 'password_hash',
+        message: 'cannot be combined with custom_password_hash',
+      });
+    });
+
+    it('should check the identities', () => {
+      const errors = usersImport.validateUser({
+        email: 'john@doe.com',
+        identities: [{ provider: 'auth0' }, { user_id: '1' }, { provider: 'auth0', user_id: 1 }],
+      });
+
+      expect(paths(errors)).to.deep.equal(['identities[1].provider', 'identities[2].user_id']);
+    });
+  });
+
+  describe('#validateCustomPasswordHash', () => {
+    const validate = (hash) => usersImport.validateCustomPasswordHash(hash);
+
+    it('should accept the hashes of each algorithm', () => {
+      [
+        {
+          algorithm: 'argon2',
+          hash: { value: '$argon2id$v=19$m=65536,t=2,p=1$c2FsdA$aGFzaA' },
+        },
+        { algorithm: 'bcrypt', hash: { value: '$2y$10$abcdefghijklmnopqrstuu' } },
+        { algorithm: 'ldap', hash: { value: '{SSHA}aGFzaHNhbHQ=' } },
+        {
+          algorithm: 'pbkdf2',
+          hash: { value: '$pbkdf2-sha256$i=1000,l=32$c2FsdA$aGFzaA', encoding: 'utf8' },
+        },
+        { algorithm: 'phpass', hash: { value: '$P$9IQRaTwmfeRo7ud9Fh4E2PdI0S3r.L0' } },
+        {
+          algorithm: 'sha256',
+          hash: { value: 'aGFzaA==', encoding: 'base64' },
+          salt: { value: 'salt', encoding: 'utf8', position: 'prefix' },
+          password: { encoding: 'utf8' },
+        },
+        { algorithm: 'md5', hash: { value: '5f4dcc3b5aa765d61d8327deb882cf99', encoding: 'hex' } },
+        {
+          algorithm: 'hmac',
+          hash: { value: 'aGFzaA==', encoding: 'base64', digest: 'sha1', key: { value: 'key' } },
+        },
+        {
+          algorithm: 'scrypt',
+          hash: { value: 'aGFzaA==', encoding: 'base64' },
+          salt: { value: 'c2FsdA==', encoding: 'base64' },
+          keylen: 64,
+          cost: 16384,
+        },
+      ].forEach((hash) => {
+        expect(validate(hash), hash.algorithm).to.deep.equal([]);
+      });
+    });
+
+    it('should reject unknown algorithms', () => {
+      expect(paths(validate({ algorithm: 'crc32', hash: { value: 'a' } }))).to.deep.equal([
+        'custom_password_hash.algorithm',
+      ]);
+    });
+
+    it('should require the hash value', () => {
+      expect(validate({ algorithm: 'md5' })).to.deep.equal([
+        { path: 'custom_password_hash.hash.value', message: 'must be a non-empty string' },
+      ]);
+    });
+
+    it('should check the format of self-describing hashes', () => {
+      expect(
+        validate({ algorithm: 'pbkdf2', hash: { value: 'pbkdf2_sha256$1000$salt$hash' } })
+      ).to.deep.equal([
+        { path: 'custom_password_hash.hash.value', message: 'is not a valid pbkdf2 hash' },
+      ]);
+    });
+
+    it('should reject a salt for self-describing hashes', () => {
+      const errors = validate({
+        algorithm: 'bcrypt',
+        hash: { value: '$2b$10$abcdefghijklmnopqrstuu', encoding: 'hex' },
+        salt: { value: 'salt' },
+      });
+
+      expect(paths(errors)).to.deep.equal([
+        'custom_password_hash.hash.encoding',
+        'custom_password_hash.salt',
+      ]);
+    });
+
+    it('should require the position of the salt', () => {
+      expect(
+        paths(validate({ algorithm: 'sha1', hash: { value: 'a' }, salt: { value: 'salt' } }))
+      ).to.deep.equal(['custom_password_hash.salt.position']);
+    });
+
+    it('should require the digest and key of hmac hashes', () => {
+      expect(paths(validate({ algorithm: 'hmac', hash: { value: 'a' } }))).to.deep.equal([
+        'custom_password_hash.hash.digest',
+        'custom_password_hash.hash.key.value',
+      ]);
+    });
+
+    it('should require the salt and key length of scrypt hashes', () => {
+      expect(paths(validate({ algorithm: 'scrypt', hash: { value: 'a' }, cost: 0 }))).to.deep.equal(
+        ['custom_password_hash.salt', 'custom_password_hash.keylen', 'custom_password_hash.cost']
+      );
+    });
+
+    it('should only accept the scrypt parameters for scrypt', () => {
+      expect(
+        paths(validate({ algorithm: 'sha512', hash: { value: 'a' }, keylen: 64 }))
+      ).to.deep.equal(['custom_password_hash.keylen']);
+    });
+  });
+
+  describe('#toIterable', () => {
+    it('should return arrays and iterables', () => {
+      const users = [{ email: 'john@doe.com' }];
+
+      expect(usersImport.toIterable(users)).to.equal(users);
+    });
+
+    it('should parse NDJSON streams', async () => {
+      const stream = Readable.from(
+        [Buffer.from('{"email":"john@doe.com"}\n{"email":"jane@'), 'doe.com"}'],
+        {
+          objectMode: false,
+        }
+      );
+
+      const users = await collect(usersImport.toIterable(stream));
+
+      expect(users).to.deep.equal([{ email: 'john@doe.com' }, { email: 'jane@doe.com' }]);
+    });
+
+    it('should reject other values', () => {
+      expect(() => usersImport.toIterable('users.json')).to.throw(
+        ArgumentError,
+        'The users must be an array, an iterable or a NDJSON stream'
+      );
+    });
+  });
+
+  describe('#chunk', () => {
+    it('should split the users in chunks under the maximum size', async () => {
+      const users = Array.from({ length: 5 }, (value, index) => ({
+        email: `user${index}@doe.com`,
+      }));
+      const userSize = JSON.stringify(users[0]).length;
+
+      const chunks = await collect(
+        usersImport.chunk(users, { maxSize: 2 + userSize * 2 + 1, onInvalid: () => {} })
+      );
+
+      expect(chunks.map((chunk) => chunk.length)).to.deep.equal([2, 2, 1]);
+      chunks.forEach((chunk) => {
+        expect(JSON.stringify(chunk).length).to.be.at.most(2 + userSize * 2 + 1);
+      });
+    });
+
+    it('should report and skip the invalid users', async () => {
+      const invalid = [];
+
+      const chunks = await collect(
+        usersImport.chunk([{ email: 'john@doe.com' }, { email: 'jane' }], {
+          maxSize: usersImport.MAX_FILE_SIZE,
+          onInvalid: (user) => invalid.push(user),
+        })
+      );
+
+      expect(chunks).to.deep.equal([[{ email: 'john@doe.com' }]]);
+      expect(invalid).to.deep.equal([
+        {
+          index: 1,
+          user: { email: 'jane' },
+          errors: [{ path: 'email', message: 'must be a valid email address' }],
+        },
+      ]);
+    });
+
+    it('should report the users larger than the maximum size', async () => {
+      const invalid = [];
+
+      const chunks = await collect(
+        usersImport.chunk([{ email: 'john@doe.com', name: 'x'.repeat(100) }], {
+          maxSize: 50,
+          onInvalid: (user) => invalid.push(user),
+        })
+      );
+
+      expect(chunks).to.deep.equal([]);
+      expect(invalid[0].errors).to.deep.equal([
+        { path: '', message: 'is larger than the 50 bytes import file limit' },
+      ]);
+    });
+  });
+});
@@ -5,6 +5,8 @@ const API_URL = 'https://tenants.auth0.com';
 
 const UsersManager = require(`../../src/management/UsersManager`);
 const { ArgumentError } = require('rest-facade');
+const { AbortError, RateLimitError } = require('../../src/errors');
+const { createAbortController } = require('../utils');
 
 describe('UsersManager', () => {
   /**
@@ -48,6 +50,8 @@ describe('UsersManager', () => {
       'assignPermissions',
       'removePermissions',
       'getUserOrganizations',
+      'iterate',
+      'bulk',
     ];
 
     methods.forEach((method) => {
@@ -151,6 +155,83 @@ describe('UsersManager', () => {
     });
   });
 
+  describe('#iterate', () => {
+    const collect = async (iterator) => {
+      const items = [];
+      for await (const item of iterator) {
+        items.push(item);
+      }
+      return items;
+    };
+
+    it('should fetch pages until the last one', async () => {
+      nock.cleanAll();
+
+      const first = nock(API_URL)
+        .get('/users')
+        .query({ q: 'name:foo', page: 0, per_page: 2, include_totals: true })
+        .reply(200, { start: 0, limit: 2, length: 2, total: 3, users: [{ id: 1 }, { id: 2 }] });
+      const second = nock(API_URL)
+        .get('/users')
+        .query({ q: 'name:foo', page: 1, per_page: 2, include_totals: true })
+        .reply(200, { start: 2, limit: 2, length: 1, total: 3, users: [{ id: 3 }] });
+
+      const users = await collect(usersManager.iterate({ q: 'name:foo', per_page: 2 }));
+
+      expect(users.map(({ id }) => id)).to.deep.equal([1, 2, 3]);
+      expect(first.isDone()).to.be.true;
+      expect(second.isDone()).to.be.true;
+    });
+
+    it('should stop at the 1000 results search limit', async () => {
+      nock.cleanAll();
+
+      const users = Array.from({ length: 100 }, (_, id) => ({ id }));
+      const request = nock(API_URL)
+        .get('/users')
+        .query({ page: 9, per_page: 100, include_totals: true })
+        .reply(200, { total: 5000, users });
+      const next = nock(API_URL).get('/users').query(true).reply(200, { total: 5000, users });
+
+      const result = await collect(usersManager.iterate({ page: 9, per_page: 100 }));
+
+      expect(result).to.have.length(100);
+      expect(request.isDone()).to.be.true;
+      expect(next.isDone()).to.be.false;
+    });
+
+    it('should not fetch more pages when the iteration is stopped', async () => {
+      nock.cleanAll();
+
+      const request = nock(API_URL)
+        .get('/users')
+        .query(true)
+        .reply(200, { total: 4, users: [{ id: 1 }, { id: 2 }] });
+      const next = nock(API_URL).get('/users').query(true).reply(200, { total: 4, users: [] });
+
+      for await (const user of usersManager.iterate({ per_page: 2 })) {
+        expect(user.id).to.equal(1);
+        break;
+      }
+
+      expect(request.isDone()).to.be.true;
+      expect(next.isDone()).to.be.false;
+    });
+
+    it('should pass any errors to the iterator consumer', async () => {
+      nock.cleanAll();
+
+      nock(API_URL).get('/users').query(true).reply(500);
+
+      try {
+        await collect(usersManager.iterate());
+        throw new Error('Expected iteration to fail');
+      } catch (err) {
+        expect(err.statusCode).to.equal(500);
+      }
+    });
+  });
+
   describe('#getByEmail', () => {
     /**
      * @type {nock}
@@ -1051,6 +1132,36 @@ describe('UsersManager', () => {
     });
   });
 
+  describe('#iterateRoles', () => {
+    it('should fetch pages until the last one', async () => {
+      nock.cleanAll();
+
+      const first = nock(API_URL)
+        .get('/users/user_id/roles')
+        .query({ page: 0, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, roles: [{ id: 1 }, { id: 2 }] });
+      const second = nock(API_URL)
+        .get('/users/user_id/roles')
+        .query({ page: 1, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, roles: [{ id: 3 }, { id: 4 }] });
+      const next = nock(API_URL)
+        .get('/users/user_id/roles')
+        .query(true)
+        .reply(200, { total: 4, roles: [] });
+
+      const ids = [];
+      for await (const item of usersManager.iterateRoles({ id: 'user_id', per_page: 2 })) {
+        ids.push(item.id);
+      }
+
+      expect(ids).to.deep.equal([1, 2, 3, 4]);
+      expect(first.isDone()).to.be.true;
+      expect(second.isDone()).to.be.true;
+      expect(next.isDone()).to.be.false;
+      nock.cleanAll();
+    });
+  });
+
   describe('#assignRoles', () => {
     /**
      * @typedef {object} data
@@ -1295,6 +1406,36 @@ describe('UsersManager', () => {
     });
   });
 
+  describe('#iteratePermissions', () => {
+    it('should fetch pages until the last one', async () => {
+      nock.cleanAll();
+
+      const first = nock(API_URL)
+        .get('/users/user_id/permissions')
+        .query({ page: 0, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, permissions: [{ id: 1 }, { id: 2 }] });
+      const second = nock(API_URL)
+        .get('/users/user_id/permissions')
+        .query({ page: 1, per_page: 2, include_totals: true })
+        .reply(200, { total: 4, permissions: [{ id: 3 }, { id: 4 }] });
+      const next = nock(API_URL)
+        .get('/users/user_id/permissions')
+        .query(true)
+        .reply(200, { total: 4, permissions: [] });
+
+      const ids = [];
+      for await (const item of usersManager.iteratePermissions({ id: 'user_id', per_page: 2 })) {
+        ids.push(item.id);
+      }
+
+      expect(ids).to.deep.equal([1, 2, 3, 4]);
+      expect(first.isDone()).to.be.true;
+      expect(second.isDone()).to.be.true;
+      expect(next.isDone()).to.be.false;
+      nock.cleanAll();
+    });
+  });
+
   describe('#assignPermissions', () => {
     /**
      * @typedef {object} data
@@ -1754,4 +1895,309 @@ describe('UsersManager', () => {
       expect(scope.isDone()).to.be.true;
     });
   });
+
+  describe('#bulk', () => {
+    const ids = ['user_1', 'user_2', 'user_3'];
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should validate the arguments', () => {
+      expect(() => usersManager.bulk([1], 'block')).to.throw(
+        ArgumentError,
+        'The user IDs must be non-empty strings'
+      );
+      expect(() => usersManager.bulk('', 'block')).to.throw(
+        ArgumentError,
+        'The target must be an array of user IDs, a search query or search params'
+      );
+      expect(() => usersManager.bulk(ids, 'archive')).to.throw(
+        ArgumentError,
+        'The operation must be a function, one of "block", "unblock", "delete" or an object with one of "update", "appMetadata", "userMetadata", "assignRoles", "removeRoles"'
+      );
+      expect(() => usersManager.bulk(ids, { assignRoles: [] })).to.throw(
+        ArgumentError,
+        'The assignRoles operation requires an array of role IDs'
+      );
+      expect(() => usersManager.bulk(ids, { update: 'blocked' })).to.throw(
+        ArgumentError,
+        'The update operation requires an object'
+      );
+      expect(() => usersManager.bulk(ids, 'block', { concurrency: 0 })).to.throw(
+        ArgumentError,
+        'The concurrency must be a positive integer'
+      );
+      expect(() => usersManager.bulk(ids, 'block', { rate: -1 })).to.throw(
+        ArgumentError,
+        'The rate must be a positive number of calls per second'
+      );
+      expect(() => usersManager.bulk(ids, 'block', { resume: {} })).to.throw(
+        ArgumentError,
+        'resume must be the report of a previous run'
+      );
+    });
+
+    it('should run the operation for each user ID', async () => {
+      const request = nock(API_URL)
+        .patch(/\/users\/user_\d/, { blocked: true })
+        .times(3)
+        .reply(200, {});
+
+      const report = await usersManager.bulk([...ids, 'user_1'], 'block');
+
+      expect(request.isDone()).to.be.true;
+      expect(report).to.deep.equal({
+        operation: 'block',
+        dryRun: false,
+        summary: { total: 3, succeeded: 3, failed: 0, skipped: 0, dry_run: 0, pending: 0 },
+        results: ids.map((user_id) => ({ user_id, status: 'succeeded' })),
+      });
+    });
+
+    it('should resolve the users of a search query first', async () => {
+      const search = nock(API_URL)
+        .get('/users')
+        .query({
+          q: 'email.domain:"example.com"',
+          fields: 'user_id',
+          include_fields: true,
+          page: 0,
+          per_page: 100,
+          include_totals: true,
+        })
+        .reply(200, { total: 2, users: [{ user_id: 'user_1' }, { user_id: 'user_2' }] });
+      const deletes = nock(API_URL)
+        .delete(/\/users\/user_[12]$/)
+        .times(2)
+        .reply(204);
+
+      const report = await usersManager.bulk('email.domain:"example.com"', 'delete');
+
+      expect(search.isDone()).to.be.true;
+      expect(deletes.isDone()).to.be.true;
+      expect(report.summary.succeeded).to.equal(2);
+    });
+
+    it('should fetch the next pages of the search', async () => {
+      const query = { q: 'name:foo', fields: 'user_id', include_fields: true, per_page: 2 };
+      const first = nock(API_URL)
+        .get('/users')
+        .query({ ...query, page: 0, include_totals: true })
+        .reply(200, { total: 3, users: [{ user_id: 'user_1' }, { user_id: 'user_2' }] });
+      const second = nock(API_URL)
+        .get('/users')
+        .query({ ...query, page: 1, include_totals: true })
+        .reply(200, { total: 3, users: [{ user_id: 'user_3' }] });
+
+      const report = await usersManager.bulk({ q: 'name:foo', per_page: 2 }, 'block', {
+        dryRun: true,
+      });
+
+      expect(first.isDone()).to.be.true;
+      expect(second.isDone()).to.be.true;
+      expect(report.results.map(({ user_id }) => user_id)).to.deep.equal(ids);
+    });
+
+    it('should reject searches matching more than 1000 users', async () => {
+      nock(API_URL)
+        .get('/users')
+        .query(true)
+        .reply(200, { total: 1001, users: [{ user_id: 'user_1' }] });
+      const request = nock(API_URL)
+        .delete(/\/users\//)
+        .reply(204);
+
+      try {
+        await usersManager.bulk('name:foo', 'delete');
+        expect.fail('Should have thrown');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(ArgumentError);
+        expect(err.message).to.equal(
+          'The search matches 1001 users, more than the 1000 users it can return: narrow the query or pass the user IDs'
+        );
+      }
+
+      expect(request.isDone()).to.be.false;
+    });
+
+    it('should send the data of the operation', async () => {
+      const metadata = nock(API_URL)
+        .patch('/users/user_1', { app_metadata: { plan: 'pro' } })
+        .reply(200, {});
+      const roles = nock(API_URL)
+        .post('/users/user_1/roles', { roles: ['rol_1'] })
+        .reply(200);
+
+      await usersManager.bulk(['user_1'], { appMetadata: { plan: 'pro' } });
+      await usersManager.bulk(['user_1'], { assignRoles: ['rol_1'] });
+
+      expect(metadata.isDone()).to.be.true;
+      expect(roles.isDone()).to.be.true;
+    });
+
+    it('should not call the operation on a dry run', async () => {
+      const request = nock(API_URL)
+        .patch(/\/users\//)
+        .reply(200, {});
+
+      const report = await usersManager.bulk(ids, 'unblock', { dryRun: true });
+
+      expect(request.isDone()).to.be.false;
+      expect(report.dryRun).to.be.true;
+      expect(report.summary).to.deep.equal({
+        total: 3,
+        succeeded: 0,
+        failed: 0,
+        skipped: 0,
+        dry_run: 3,
+        pending: 0,
+      });
+      expect(report.results.map(({ status }) => status)).to.deep.equal([
+        'dry_run',
+        'dry_run',
+        'dry_run',
+      ]);
+    });
+
+    it('should report the failed users without stopping', async () => {
+      nock(API_URL).delete('/users/user_1').reply(204);
+      nock(API_URL).delete('/users/user_2').reply(404, { message: 'User not found' });
+      nock(API_URL).delete('/users/user_3').reply(204);
+      const results = [];
+
+      const report = await usersManager.bulk(ids, 'delete', {
+        onResult: (result) => results.push(result.user_id),
+      });
+
+      expect(report.summary).to.deep.equal({
+        total: 3,
+        succeeded: 2,
+        failed: 1,
+        skipped: 0,
+        dry_run: 0,
+        pending: 0,
+      });
+      expect(report.results[1].status).to.equal('failed');
+      expect(report.results[1].error.statusCode).to.equal(404);
+      expect(results).to.have.members(ids);
+    });
+
+    it('should skip the users that succeeded in the resumed report', async () => {
+      const request = nock(API_URL).delete('/users/user_2').reply(204);
+
+      const report = await usersManager.bulk(ids, 'delete', {
+        resume: {
+          results: [
+            { user_id: 'user_1', status: 'succeeded' },
+            { user_id: 'user_2', status: 'failed' },
+            { user_id: 'user_3', status: 'skipped' },
+          ],
+        },
+      });
+
+      expect(request.isDone()).to.be.true;
+      expect(report.results.map(({ status }) => status)).to.deep.equal([
+        'skipped',
+        'succeeded',
+        'skipped',
+      ]);
+    });
+
+    it('should fail the rate limited users and wait for the rate limit to reset', async () => {
+      const manager = new UsersManager({
+        baseUrl: API_URL,
+        retry: { enabled: false },
+      });
+      const limited = nock(API_URL).patch('/users/user_1').reply(429, {}, { 'retry-after': '0.2' });
+      let next;
+      const request = nock(API_URL)
+        .patch('/users/user_2')
+        .reply(200, () => {
+          next = Date.now();
+          return {};
+        });
+      const start = Date.now();
+
+      const report = await manager.bulk(['user_1', 'user_2'], 'block', { concurrency: 1 });
+
+      expect(limited.isDone()).to.be.true;
+      expect(request.isDone()).to.be.true;
+      expect(next - start).to.be.at.least(190);
+      expect(report.results[0].status).to.equal('failed');
+      expect(report.results[0].error).to.be.an.instanceOf(RateLimitError);
+      expect(report.results[1].status).to.equal('succeeded');
+    });
+
+    it('should leave the retries of rate limited calls to the rest client', async () => {
+      const manager = new UsersManager({
+        baseUrl: API_URL,
+        retry: { maxRetries: 1 },
+      });
+      const request = nock(API_URL)
+        .patch('/users/user_1')
+        .times(2)
+        .reply(429, {}, { 'retry-after': '0' });
+      const extra = nock(API_URL).patch('/users/user_1').reply(200, {});
+
+      const report = await manager.bulk(['user_1'], 'block');
+
+      expect(request.isDone()).to.be.true;
+      expect(extra.isDone()).to.be.false;
+      expect(report.results[0].status).to.equal('failed');
+    });
+
+    it('should limit the number of concurrent calls', async () => {
+      let active = 0;
+      let maxActive = 0;
+      const operation = async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        active--;
+      };
+
+      const report = await usersManager.bulk(ids, operation, { concurrency: 2 });
+
+      expect(report.operation).to.equal('custom');
+      expect(maxActive).to.equal(2);
+    });
+
+    it('should limit the rate of the calls', async () => {
+      const starts = [];
+
+      await usersManager.bulk(ids, async () => starts.push(Date.now()), {
+        concurrency: 3,
+        rate: 20,
+      });
+
+      expect(starts[2] - starts[0]).to.be.at.least(90);
+    });
+
+    it('should pass the report to the callback', (done) => {
+      usersManager.bulk(
+        ['user_1'],
+        () => {},
+        { dryRun: true },
+        (err, report) => {
+          expect(err).to.be.null;
+          expect(report.summary.total).to.equal(1);
+          done();
+        }
+      );
+    });
+
+    it('should reject with the report when aborted', async () => {
+      const controller = createAbortController();
+      const operation = async () => controller.abort();
+
+      try {
+        await usersManager.bulk(ids, operation, { concurrency: 1, signal: controller.signal });
+        expect.fail('Should have thrown');
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(AbortError);
+        expect(err.report.summary).to.include({ succeeded: 1, pending: 2 });
+      }
+    });
+  });
 });
@@ -0,0 +1,177 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ArgumentError } = require('rest-facade');
+
+const {
+  auth,
+  requireScopes,
+  requirePermissions,
+  requireOrganization,
+} = require('../../src/middleware');
+const { AccessTokenValidationError } = require('../../src/errors');
+
+const createResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  setHeader(name, value) {
+    this.headers[name] = value;
+  },
+  end: sinon.spy(),
+});
+
+const run = (middleware, req) =>
+  new Promise((resolve) => {
+    const res = createResponse();
+    res.end = sinon.spy(() => resolve({ res }));
+    middleware(req, res, (err) => resolve({ res, err, next: true }));
+  });
+
+describe('Express middleware', () => {
+  describe('#auth', () => {
+    let verifier;
+
+    beforeEach(() => {
+      verifier = {
+        audience: 'https://api.example.com',
+        verify: sinon.stub().resolves({ sub: 'user|123' }),
+      };
+    });
+
+    it('should raise an error when no options are provided', () => {
+      expect(() => auth()).to.throw(ArgumentError, 'Must provide the middleware options');
+    });
+
+    it('should raise an error when no audience is provided', () => {
+      expect(() => auth({ domain: 'tenant.auth0.com' })).to.throw(
+        ArgumentError,
+        'Must provide an audience'
+      );
+    });
+
+    it('should verify the bearer token and set req.auth', async () => {
+      const req = { headers: { authorization: 'Bearer TOKEN' } };
+      const { err, next } = await run(auth({ verifier }), req);
+
+      expect(next).to.be.true;
+      expect(err).to.be.undefined;
+      expect(req.auth).to.deep.equal({ token: 'TOKEN', payload: { sub: 'user|123' } });
+      sinon.assert.calledWithExactly(verifier.verify, 'TOKEN');
+    });
+
+    it('should challenge requests without a token', async () => {
+      const { res } = await run(auth({ verifier }), { headers: {} });
+
+      expect(res.statusCode).to.equal(401);
+      expect(res.headers['WWW-Authenticate']).to.equal('Bearer');
+      sinon.assert.notCalled(verifier.verify);
+    });
+
+    it('should reject malformed authorization headers', async () => {
+      const { res } = await run(auth({ verifier }), { headers: { authorization: 'Basic abc' } });
+
+      expect(res.statusCode).to.equal(400);
+      expect(res.headers['WWW-Authenticate']).to.equal(
+        'Bearer error="invalid_request", error_description="The Authorization header must be a Bearer token"'
+      );
+    });
+
+    it('should reject invalid tokens', async () => {
+      verifier.verify.rejects(
+        new AccessTokenValidationError(
+          'Access token validation failed: jwt expired',
+          'token_expired'
+        )
+      );
+      const { res } = await run(auth({ verifier }), {
+        headers: { authorization: 'Bearer TOKEN' },
+      });
+
+      expect(res.statusCode).to.equal(401);
+      expect(res.headers['WWW-Authenticate']).to.equal(
+        'Bearer error="invalid_token", error_description="Access token validation failed: jwt expired"'
+      );
+      expect(JSON.parse(res.end.firstCall.args[0])).to.deep.equal({
+        error: 'invalid_token',
+        error_description: 'Access token validation failed: jwt expired',
+      });
+    });
+
+    it('should pass unexpected errors to next', async () => {
+      const error = new Error('unexpected');
+      verifier.verify.rejects(error);
+      const { err } = await run(auth({ verifier }), {
+        headers: { authorization: 'Bearer TOKEN' },
+      });
+
+      expect(err).to.equal(error);
+    });
+  });
+
+  describe('#requireScopes', () => {
+    const req = { auth: { token: 'TOKEN', payload: { scope: 'read:messages write:messages' } } };
+
+    it('should accept requests with the required scopes', async () => {
+      const { next } = await run(requireScopes('read:messages', ['write:messages']), req);
+      expect(next).to.be.true;
+    });
+
+    it('should reject requests missing a scope', async () => {
+      const { res } = await run(requireScopes('read:messages delete:messages'), req);
+
+      expect(res.statusCode).to.equal(403);
+      expect(res.headers['WWW-Authenticate']).to.equal(
+        'Bearer error="insufficient_scope", error_description="Missing required scopes \\"delete:messages\\"", scope="read:messages delete:messages"'
+      );
+    });
+
+    it('should challenge unauthenticated requests', async () => {
+      const { res } = await run(requireScopes('read:messages'), {});
+      expect(res.statusCode).to.equal(401);
+    });
+  });
+
+  describe('#requirePermissions', () => {
+    const req = { auth: { token: 'TOKEN', payload: { permissions: ['read:messages'] } } };
+
+    it('should accept requests with the required permissions', async () => {
+      const { next } = await run(requirePermissions('read:messages'), req);
+      expect(next).to.be.true;
+    });
+
+    it('should reject requests missing a permission', async () => {
+      const { res } = await run(requirePermissions(['read:messages', 'delete:messages']), req);
+
+      expect(res.statusCode).to.equal(403);
+      expect(res.headers['WWW-Authenticate']).to.contain('error="insufficient_scope"');
+    });
+  });
+
+  describe('#requireOrganization', () => {
+    it('should raise an error when no organization is provided', () => {
+      expect(() => requireOrganization()).to.throw(ArgumentError, 'Must provide an organization');
+    });
+
+    it('should accept requests for the organization id', async () => {
+      const { next } = await run(requireOrganization('org_123'), {
+        auth: { payload: { org_id: 'org_123' } },
+      });
+      expect(next).to.be.true;
+    });
+
+    it('should accept requests for the organization name', async () => {
+      const { next } = await run(requireOrganization('Acme'), {
+        auth: { payload: { org_name: 'acme' } },
+      });
+      expect(next).to.be.true;
+    });
+
+    it('should reject requests for another organization', async () => {
+      const { res } = await run(requireOrganization('org_123'), {
+        auth: { payload: { org_id: 'org_456' } },
+      });
+
+      expect(res.statusCode).to.equal(403);
+      expect(res.headers['WWW-Authenticate']).to.contain('error="insufficient_scope"');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const { fastify } = require('../../src/middleware');
+const { AccessTokenValidationError } = require('../../src/errors');
+
+const createReply = () => {
+  const reply = {
+    code: sinon.spy(() => reply),
+    header: sinon.spy(() => reply),
+    send: sinon.spy(() => reply),
+  };
+  return reply;
+};
+
+describe('Fastify hooks', () => {
+  describe('#auth', () => {
+    let verifier;
+
+    beforeEach(() => {
+      verifier = {
+        audience: 'https://api.example.com',
+        verify: sinon.stub().resolves({ sub: 'user|123' }),
+      };
+    });
+
+    it('should verify the bearer token and set request.auth', async () => {
+      const request = { headers: { authorization: 'Bearer TOKEN' } };
+      const reply = createReply();
+
+      await fastify.auth({ verifier })(request, reply);
+
+      expect(request.auth).to.deep.equal({ token: 'TOKEN', payload: { sub: 'user|123' } });
+      sinon.assert.notCalled(reply.send);
+    });
+
+    it('should reply with the RFC 6750 challenge for invalid tokens', async () => {
+      verifier.verify.rejects(new AccessTokenValidationError('Invalid token', 'invalid_token'));
+      const reply = createReply();
+
+      const result = await fastify.auth({ verifier })(
+        { headers: { authorization: 'Bearer TOKEN' } },
+        reply
+      );
+
+      expect(result).to.equal(reply);
+      sinon.assert.calledWithExactly(reply.code, 401);
+      sinon.assert.calledWithExactly(
+        reply.header,
+        'WWW-Authenticate',
+        'Bearer error="invalid_token", error_description="Invalid token"'
+      );
+      sinon.assert.calledWithExactly(reply.send, {
+        error: 'invalid_token',
+        error_description: 'Invalid token',
+      });
+    });
+
+    it('should rethrow unexpected errors', async () => {
+      verifier.verify.rejects(new Error('unexpected'));
+
+      try {
+        await fastify.auth({ verifier })(
+          { headers: { authorization: 'Bearer TOKEN' } },
+          createReply()
+        );
+        throw new Error('Expected the hook to fail');
+      } catch (err) {
+        expect(err.message).to.equal('unexpected');
+      }
+    });
+  });
+
+  describe('guards', () => {
+    const request = {
+      auth: {
+        token: 'TOKEN',
+        payload: { scope: 'read:messages', permissions: ['read:messages'], org_id: 'org_123' },
+      },
+    };
+
+    it('should accept requests passing the checks', async () => {
+      const reply = createReply();
+
+      await fastify.requireScopes('read:messages')(request, reply);
+      await fastify.requirePermissions('read:messages')(request, reply);
+      await fastify.requireOrganization('org_123')(request, reply);
+
+      sinon.assert.notCalled(reply.send);
+    });
+
+    it('should reject requests missing a scope', async () => {
+      const reply = createReply();
+
+      await fastify.requireScopes('write:messages')(request, reply);
+
+      sinon.assert.calledWithExactly(reply.code, 403);
+      sinon.assert.calledWithMatch(reply.header, 'WWW-Authenticate', /insufficient_scope/);
+    });
+
+    it('should reject requests for another organization', async () => {
+      const reply = createReply();
+
+      await fastify.requireOrganization('org_456')(request, reply);
+
+      sinon.assert.calledWithExactly(reply.code, 403);
+    });
+  });
+});
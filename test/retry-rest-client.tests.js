@@ -5,6 +5,9 @@ const nock = require('nock');
 const { ArgumentError } = require('rest-facade');
 const RestClient = require('rest-facade').Client;
 const RetryRestClient = require('../src/RetryRestClient');
+const Auth0RestClient = require('../src/Auth0RestClient');
+const { AbortError, RateLimitError } = require('../src/errors');
+const { createAbortController } = require('./utils');
 
 const API_URL = 'https://tenant.auth0.com';
 
@@ -44,6 +47,20 @@ describe('RetryRestClient', () => {
     }).to.throw(ArgumentError, 'Must provide maxRetries as a positive number');
   });
 
+  it('should raise an error when maxRetryDelay is negative', () => {
+    const options = { maxRetryDelay: -1 };
+    expect(() => {
+      new RetryRestClient({}, options);
+    }).to.throw(ArgumentError, 'Must provide maxRetryDelay as a non-negative number');
+  });
+
+  it('should raise an error when retryableMethods is not an array', () => {
+    const options = { retryableMethods: 'create' };
+    expect(() => {
+      new RetryRestClient({}, options);
+    }).to.throw(ArgumentError, 'Must provide retryableMethods as an array');
+  });
+
   describe('instance', () => {
     const client = new RetryRestClient(new RestClient(API_URL));
     const methods = ['getAll', 'get', 'create', 'update', 'delete'];
@@ -215,6 +232,193 @@ describe('RetryRestClient', () => {
     }
   });
 
+  it('should delay the retry using the Retry-After header', async () => {
+    const clock = sinon.useFakeTimers();
+    const calls = [];
+    const restClientSpy = {
+      getAll(...args) {
+        calls.push(new Date().getTime());
+        return restClient.getAll(...args).finally(() => {
+          clock.runAllAsync();
+        });
+      },
+    };
+
+    nock(API_URL)
+      .get('/')
+      .reply(429, { success: false }, { 'Retry-After': '30' })
+      .get('/')
+      .reply(200, { success: true });
+
+    const client = new RetryRestClient(restClientSpy);
+    const data = await client.getAll();
+    clock.restore();
+    expect(data.success).to.be.true;
+    expect(calls[1] - calls[0]).to.be.equal(30000);
+  });
+
+  it('should delay the retry until the x-ratelimit-reset time', async () => {
+    const clock = sinon.useFakeTimers();
+    const calls = [];
+    const restClientSpy = {
+      getAll(...args) {
+        calls.push(new Date().getTime());
+        return restClient.getAll(...args).finally(() => {
+          clock.runAllAsync();
+        });
+      },
+    };
+
+    nock(API_URL)
+      .get('/')
+      .reply(429, { success: false }, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '12' })
+      .get('/')
+      .reply(200, { success: true });
+
+    const client = new RetryRestClient(restClientSpy);
+    const data = await client.getAll();
+    clock.restore();
+    expect(data.success).to.be.true;
+    expect(calls[1]).to.be.equal(12000);
+  });
+
+  it('should not retry when the delay is longer than maxRetryDelay', async () => {
+    const request = nock(API_URL)
+      .get('/')
+      .reply(429, { success: false }, { 'Retry-After': '3600' });
+    const retried = nock(API_URL).get('/').reply(200, { success: true });
+
+    const client = new RetryRestClient(new Auth0RestClient(API_URL, { headers: {} }), {
+      maxRetryDelay: 1000,
+    });
+    try {
+      await client.getAll();
+      throw new Error('Expected request to fail');
+    } catch (err) {
+      expect(err).to.be.an.instanceOf(RateLimitError);
+    }
+    expect(request.isDone()).to.be.true;
+    expect(retried.isDone()).to.be.false;
+    nock.cleanAll();
+  });
+
+  it('should expose the rate limit info on the error when retries are exhausted', async () => {
+    nock(API_URL)
+      .get('/')
+      .times(2)
+      .reply(429, { success: false }, { 'x-ratelimit-limit': '10', 'x-ratelimit-remaining': '0' });
+
+    const client = new RetryRestClient(new Auth0RestClient(API_URL, { headers: {} }), {
+      maxRetries: 1,
+      minTimeout: 1,
+      randomize: false,
+    });
+    try {
+      await client.getAll();
+      throw new Error('Expected request to fail');
+    } catch (err) {
+      expect(err.statusCode).to.be.equal(429);
+      expect(err.rateLimit).to.deep.include({ limit: 10, remaining: 0 });
+    }
+  });
+
+  describe('transient errors', () => {
+    const options = { minTimeout: 1, randomize: false };
+
+    it('should retry gateway errors for idempotent methods', async () => {
+      nock(API_URL).get('/').reply(503).get('/').reply(200, { success: true });
+
+      const client = new RetryRestClient(restClient, options);
+      const data = await client.getAll();
+      expect(data.success).to.be.true;
+    });
+
+    it('should retry network errors for idempotent methods', async () => {
+      nock(API_URL)
+        .get('/')
+        .replyWithError({ code: 'ECONNRESET' })
+        .get('/')
+        .reply(200, { success: true });
+
+      const client = new RetryRestClient(restClient, options);
+      const data = await client.getAll();
+      expect(data.success).to.be.true;
+    });
+
+    it('should not retry gateway errors for create by default', async () => {
+      const request = nock(API_URL).post('/').reply(503).post('/').reply(201, { success: true });
+
+      const client = new RetryRestClient(restClient, options);
+      try {
+        await client.create({});
+        throw new Error('Expected request to fail');
+      } catch (err) {
+        expect(err.statusCode).to.be.equal(503);
+        expect(request.isDone()).to.be.false;
+      }
+      nock.cleanAll();
+    });
+
+    it('should retry rate limited create requests', async () => {
+      nock(API_URL).post('/').reply(429).post('/').reply(201, { success: true });
+
+      const client = new RetryRestClient(restClient, options);
+      const data = await client.create({});
+      expect(data.success).to.be.true;
+    });
+
+    it('should retry gateway errors for create when opted in', async () => {
+      nock(API_URL).post('/').reply(502).post('/').reply(201, { success: true });
+
+      const client = new RetryRestClient(
+        restClient,
+        Object.assign({ retryableMethods: ['create'] }, options)
+      );
+      const data = await client.create({});
+      expect(data.success).to.be.true;
+    });
+
+    it('should only retry the configured status codes', async () => {
+      const request = nock(API_URL).get('/').reply(503).get('/').reply(200, { success: true });
+
+      const client = new RetryRestClient(
+        restClient,
+        Object.assign({ retryableStatusCodes: [429] }, options)
+      );
+      try {
+        await client.getAll();
+        throw new Error('Expected request to fail');
+      } catch (err) {
+        expect(err.statusCode).to.be.equal(503);
+        expect(request.isDone()).to.be.false;
+      }
+      nock.cleanAll();
+    });
+  });
+
+  it('should stop retrying when the signal is aborted', async () => {
+    let timesCalled = 0;
+    const controller = createAbortController();
+    const restClientSpy = {
+      getAll() {
+        timesCalled += 1;
+        setTimeout(() => controller.abort(), 10);
+        return restClient.getAll();
+      },
+    };
+
+    nock(API_URL).get('/').reply(429, { success: false });
+
+    const client = new RetryRestClient(restClientSpy, { minTimeout: 1000 });
+    try {
+      await client.getAll({ signal: controller.signal });
+      throw new Error('Expected request to be aborted');
+    } catch (err) {
+      expect(err).to.be.an.instanceOf(AbortError);
+      expect(timesCalled).to.be.equal(1);
+    }
+  });
+
   it('should not retry when retry functionality is disabled', async () => {
     let timesCalled = 0;
     const restClientSpy = {
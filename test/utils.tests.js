@@ -31,4 +31,125 @@ describe('Utils', () => {
       expect(utils.maybeDecode(maliciousId)).to.be.equal('auth0%7C1234');
     });
   });
+
+  describe('rate limit', () => {
+    it('reads the rate limit quota from the headers', () => {
+      expect(
+        utils.getRateLimit({
+          'x-ratelimit-limit': '50',
+          'x-ratelimit-remaining': '0',
+          'x-ratelimit-reset': '1700000000',
+        })
+      ).to.deep.equal({ limit: 50, remaining: 0, reset: 1700000000 });
+    });
+    it('returns undefined without rate limit headers', () => {
+      expect(utils.getRateLimit({ 'content-type': 'application/json' })).to.be.undefined;
+    });
+    it('reads the retry delay from Retry-After in seconds', () => {
+      expect(utils.getRetryAfter({ 'retry-after': '3' })).to.equal(3000);
+    });
+    it('reads the retry delay from Retry-After as a date', () => {
+      const now = Date.parse('2023-01-01T00:00:00Z');
+      expect(utils.getRetryAfter({ 'retry-after': 'Sun, 01 Jan 2023 00:00:05 GMT' }, now)).to.equal(
+        5000
+      );
+    });
+    it('reads the retry delay from x-ratelimit-reset', () => {
+      const now = 1700000000000;
+      expect(utils.getRetryAfter({ 'x-ratelimit-reset': '1700000002' }, now)).to.equal(2000);
+    });
+    it('never returns a negative delay', () => {
+      const now = 1700000000000;
+      expect(utils.getRetryAfter({ 'x-ratelimit-reset': '1600000000' }, now)).to.equal(0);
+    });
+    it('returns undefined without retry headers', () => {
+      expect(utils.getRetryAfter({})).to.be.undefined;
+    });
+  });
+
+  describe('build url', () => {
+    it('encodes the query parameters', () => {
+      expect(
+        utils.buildUrl('https://login.example.com', '/v2/logout', {
+          returnTo: 'https://myapp.com/?a=1&b=2',
+        })
+      ).to.equal(
+        'https://login.example.com/v2/logout?returnTo=https%3A%2F%2Fmyapp.com%2F%3Fa%3D1%26b%3D2'
+      );
+    });
+    it('skips undefined and null parameters', () => {
+      expect(
+        utils.buildUrl('https://login.example.com', '/authorize', { a: undefined, b: null, c: 0 })
+      ).to.equal('https://login.example.com/authorize?c=0');
+    });
+  });
+
+  describe('for each concurrently', () => {
+    const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    it('calls the function with each item and its index', async () => {
+      const calls = [];
+
+      await utils.forEachConcurrently(['a', 'b', 'c'], 2, async (item, index) => {
+        await delay(1);
+        calls.push([item, index]);
+      });
+
+      expect(calls).to.have.deep.members([
+        ['a', 0],
+        ['b', 1],
+        ['c', 2],
+      ]);
+    });
+
+    it('limits the number of calls in flight', async () => {
+      let running = 0;
+      let maxRunning = 0;
+
+      await utils.forEachConcurrently([1, 2, 3, 4, 5], 2, async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await delay(2);
+        running--;
+      });
+
+      expect(maxRunning).to.equal(2);
+    });
+
+    it('reads async iterables lazily', async () => {
+      const read = [];
+      const items = {
+        async *[Symbol.asyncIterator]() {
+          for (let i = 0; i < 4; i++) {
+            read.push(i);
+            yield i;
+          }
+        },
+      };
+
+      await utils.forEachConcurrently(items, 1, async (item) => {
+        expect(read).to.have.lengthOf(item + 1);
+        await delay(1);
+      });
+    });
+
+    it('stops after a failure and throws it once the calls settled', async () => {
+      const settled = [];
+
+      try {
+        await utils.forEachConcurrently([1, 2, 3, 4], 2, async (item) => {
+          await delay(item);
+          if (item === 1) {
+            throw new Error('failed');
+          }
+          settled.push(item);
+        });
+        throw new Error('Expected the call to fail');
+      } catch (err) {
+        expect(err.message).to.equal('failed');
+      }
+
+      expect(settled).to.deep.equal([2]);
+    });
+  });
 });
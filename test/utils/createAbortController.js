@@ -0,0 +1,29 @@
+const { EventEmitter } = require('events');
+
+/**
+ * AbortController for the Node versions that don't provide one globally.
+ *
+ * @returns {AbortController} Controller whose `signal` emits `abort` once.
+ */
+module.exports = function () {
+  if (typeof AbortController === 'function') {
+    return new AbortController();
+  }
+
+  const emitter = new EventEmitter();
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => emitter.on(type, listener),
+    removeEventListener: (type, listener) => emitter.removeListener(type, listener),
+  };
+
+  return {
+    signal,
+    abort() {
+      if (!signal.aborted) {
+        signal.aborted = true;
+        emitter.emit('abort');
+      }
+    },
+  };
+};
@@ -2,4 +2,5 @@ module.exports = {
   extractParts: require('./extractParts'),
   ensureProperty: require('./ensureProperty'),
   ensureMethod: require('./ensureMethod'),
+  createAbortController: require('./createAbortController'),
 };